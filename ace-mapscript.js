@@ -0,0 +1,348 @@
+// Ace editor support for MapScript (browser only; needs the global `ace` from ace.js).
+// - registerMapScriptAceMode(ace): defines "ace/mode/mapscript" (syntax highlighting, "#" line comments)
+// - showMapScriptDiagnostics(editor, errors, warnings): "Line N: ..." errors + lint warnings -> gutter annotations + squiggles
+// - createMapScriptCompleter({ resolveInclude }): Ace completer (needs ext-language_tools.js) backed by mapScriptCompletions()
+//
+// mapScriptCompletions() itself is pure (no Ace, no DOM), so it can be tested from Node.
+
+import {
+  BRACKET_ATTRIBUTES,
+  CSS_NAMED_COLOURS,
+  findCommentStart,
+  parseMapScript,
+  PORT_SIDES,
+  scanClusterOpenersFromLines,
+  SETTING_VALUE_SUGGESTIONS,
+  SUPPORTED_SETTING_LINE_KEYS,
+} from "./mapscript.js";
+
+// Token names follow Ace's TextMate scopes so the bundled themes colour them.
+const SETTING_KEY_RE = "^(\\s*)([A-Za-z][A-Za-z0-9 _-]*?)(\\s*:)(?!:)(?![^#]*(?:->|<-))(?!(?:ne|nw|se|sw|n|e|s|w|c)\\s)"; // "Key: a -> b" and "A:s -- B" are links
+const NODE_DEF_RE = "^(\\s*)([^\\s:\\[\\]#|]+)(\\s*::)";
+const GROUP_ALIAS_RE = "^(\\s*)(-{2,})(\\s*)([A-Za-z_][\\w-]*)(\\s*::)";
+const GROUP_MARKER_RE = "^(\\s*)(-{2,})";
+const RANK_RE = "^(\\s*)(rank)(\\s*=\\s*)([^:#]+?)(\\s*:)";
+const STYLE_CLASS_RE = "^(\\s*)(style)(\\s+)([A-Za-z][\\w-]*)(\\s*:)";
+const LET_RE = "^(\\s*)(let)(\\s+)([A-Za-z_]\\w*)(\\s*=)";
+// "Include: #m=...": the first word of the value may hold a "#" (same rule as findCommentStart()).
+const INCLUDE_RE = "^(\\s*)(include)(\\s*:\\s*)(\\S*)";
+// Settings whose value may hold a "#hex" colour (same keys as findCommentStart() in mapscript.js).
+const COLOUR_SETTING_KEY_RE = "^(\\s*)(background|text colou?r|default (?:node |group |link )?(?:text )?colou?r|default node border)(\\s*:)";
+
+function mapScriptHighlightRules(TextHighlightRules) {
+  // Purpose: one rule set per line kind (settings, node defs, group markers, rank lines, links) + an attrs state for [...].
+  function MapScriptHighlightRules() {
+    const attrsStart = { token: "paren.lparen", regex: "\\[", next: "attrs" };
+    const comment = { token: "comment", regex: "#.*$" };
+    const link = { token: "keyword.operator", regex: "<->|<-|->|\\s--(?=\\s)" };
+    const pipe = { token: "punctuation.operator", regex: "\\|" };
+    const attrPair = { token: ["variable.parameter", "keyword.operator"], regex: "([A-Za-z][A-Za-z0-9 _-]*?)(\\s*=)" };
+    const classRef = { token: "variable", regex: "\\.[A-Za-z][\\w-]*(?=\\s*(?:\\||\\]|#|$))" };
+    // "#rgb" / "#rrggbb" / "#rrggbbaa" starting a colour value is a colour, not a comment.
+    const hexColour = { token: "constant.numeric", regex: "#(?:[0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3})(?![\\w-])" };
+    // "url=https://x.org/doc#page=3": the "#" belongs to the URL.
+    const urlPair = { token: ["variable.parameter", "keyword.operator", "string"], regex: "(url)(\\s*=\\s*)([^\\s|\\]]+)", caseInsensitive: true };
+    // "$brand" (a "Let brand = ..." variable); "$$" is a literal "$".
+    const variableRef = { token: "variable.language", regex: "\\$\\$|\\$[A-Za-z_]\\w*" };
+    const port = { token: "constant.language", regex: ":(?:ne|nw|se|sw|n|e|s|w|c)(?=\\s|\\||$)" }; // "A:s -> B"
+
+    this.$rules = {
+      start: [
+        comment,
+        { token: ["text", "keyword", "text", "variable", "keyword.operator"], regex: GROUP_ALIAS_RE, next: "line" },
+        { token: ["text", "keyword"], regex: GROUP_MARKER_RE, next: "line" },
+        { token: ["text", "keyword", "keyword.operator", "constant.language", "keyword.operator"], regex: RANK_RE, caseInsensitive: true, next: "line" },
+        { token: ["text", "keyword", "text", "variable", "keyword.operator"], regex: STYLE_CLASS_RE, caseInsensitive: true, next: "styleClass" },
+        { token: ["text", "entity.name.function", "keyword.operator"], regex: NODE_DEF_RE, next: "line" },
+        { token: ["text", "keyword", "keyword.operator", "string"], regex: INCLUDE_RE, caseInsensitive: true, next: "setting" },
+        { token: ["text", "keyword", "text", "variable", "keyword.operator"], regex: LET_RE, caseInsensitive: true, next: "colourSetting" },
+        { token: ["text", "support.type", "keyword.operator"], regex: COLOUR_SETTING_KEY_RE, caseInsensitive: true, next: "colourSetting" },
+        { token: ["text", "support.type", "keyword.operator"], regex: SETTING_KEY_RE, next: "setting" },
+        { regex: "", next: "line" },
+      ],
+      // Rest of a node / group / rank / link line.
+      line: [comment, attrsStart, link, pipe, port, variableRef, { defaultToken: "text" }],
+      // Setting value (plain text up to a comment; "Title: ..." may carry a [...] style).
+      setting: [comment, attrsStart, variableRef, { defaultToken: "string" }],
+      // Colour / border setting value ("Background: #fafafa"), and the value of a "Let name = ..." line.
+      colourSetting: [hexColour, comment, variableRef, { defaultToken: "string" }],
+      // "Style name: key=value | ..." (a style class: the same pairs as inside [...], without brackets).
+      styleClass: [hexColour, comment, pipe, attrPair, variableRef, { defaultToken: "string" }],
+      // Inside [...]: "key=value" pairs, ".name" style classes and loose parts separated by "|".
+      attrs: [
+        { token: "paren.rparen", regex: "\\]", next: "line" },
+        hexColour,
+        urlPair,
+        comment,
+        pipe,
+        attrPair,
+        classRef,
+        variableRef,
+        { defaultToken: "string" },
+      ],
+    };
+    this.normalizeRules();
+  }
+  MapScriptHighlightRules.prototype = Object.create(TextHighlightRules.prototype);
+  MapScriptHighlightRules.prototype.constructor = MapScriptHighlightRules;
+  return MapScriptHighlightRules;
+}
+
+export function registerMapScriptAceMode(ace) {
+  // Purpose: make `session.setMode("ace/mode/mapscript")` available (safe to call more than once).
+  if (!ace?.define || ace.require.defined?.("ace/mode/mapscript")) return;
+  ace.define("ace/mode/mapscript", ["require", "exports", "module"], (require, exports) => {
+    const { TextHighlightRules } = require("ace/mode/text_highlight_rules");
+    const { Mode: TextMode } = require("ace/mode/text");
+    const HighlightRules = mapScriptHighlightRules(TextHighlightRules);
+
+    function Mode() {
+      TextMode.call(this);
+      this.HighlightRules = HighlightRules;
+    }
+    Mode.prototype = Object.create(TextMode.prototype);
+    Mode.prototype.constructor = Mode;
+    Mode.prototype.lineCommentStart = "#";
+    Mode.prototype.getTokenizer = function () {
+      // Every MapScript statement is one line, so each line starts fresh (an unclosed "[" can't spill over).
+      const tokenizer = TextMode.prototype.getTokenizer.call(this);
+      if (!tokenizer.$tmLineBased) {
+        const getLineTokens = tokenizer.getLineTokens;
+        tokenizer.getLineTokens = function (line) {
+          return { ...getLineTokens.call(this, line, "start"), state: "start" };
+        };
+        tokenizer.$tmLineBased = true;
+      }
+      return tokenizer;
+    };
+    Mode.prototype.$id = "ace/mode/mapscript";
+    exports.Mode = Mode;
+  });
+}
+
+function parseLineError(message) {
+  // "Line 12: unrecognised syntax: foo" -> { row: 11, text: "unrecognised syntax: foo" }
+  const m = String(message || "").match(/^Line\s+(\d+)\s*:\s*([\s\S]*)$/);
+  if (!m) return null;
+  return { row: Number(m[1]) - 1, text: m[2].trim() };
+}
+
+export function showMapScriptDiagnostics(editor, errors, warnings = []) {
+  // Purpose: show problems in the editor itself: annotations (visible when the gutter is on) and a squiggle under
+  // the code part of each offending line (red for errors, amber for lintMapScript() warnings).
+  // Error messages without a line number stay in the #tm-errors list only.
+  const session = editor?.session;
+  if (!session) return;
+  const { Range } = ace.require("ace/range");
+
+  for (const id of session.$tmErrorMarkerIds || []) session.removeMarker(id);
+  session.$tmErrorMarkerIds = [];
+
+  const problems = [
+    ...(errors || []).map((msg) => ({ ...parseLineError(msg), type: "error" })),
+    ...(warnings || []).map((w) => ({ row: w.line - 1, text: w.message, type: "warning" })),
+  ];
+  const annotations = [];
+  const markedRows = new Set();
+  for (const p of problems) {
+    if (!Number.isInteger(p.row) || p.row < 0 || p.row >= session.getLength()) continue;
+    annotations.push({ row: p.row, column: 0, text: p.text, type: p.type });
+    if (markedRows.has(p.row)) continue; // errors come first, so they win the squiggle
+    markedRows.add(p.row);
+
+    const raw = session.getLine(p.row);
+    const hash = findCommentStart(raw);
+    const code = hash >= 0 ? raw.slice(0, hash) : raw;
+    const start = code.length - code.trimStart().length;
+    const end = Math.max(start + 1, code.trimEnd().length);
+    const range = new Range(p.row, start, p.row, end);
+    session.$tmErrorMarkerIds.push(session.addMarker(range, `tm-ace-${p.type}-marker`, "text", true));
+  }
+  session.setAnnotations(annotations);
+}
+
+// -----------------------------
+// Completion
+// -----------------------------
+
+const RANK_KINDS = ["same", "min", "max", "source", "sink"];
+
+// Setting keys as typed at line start ("Default node colour: "); the "color" spellings are left out.
+const COMPLETION_SETTING_KEYS = ["title", "description", "include", ...SUPPORTED_SETTING_LINE_KEYS]
+  .filter((k) => !/\bcolor\b/.test(k))
+  .map((k) => k.charAt(0).toUpperCase() + k.slice(1));
+
+function isColourSettingKey(keyLower) {
+  return keyLower === "background" || /\bcolou?r$/.test(keyLower);
+}
+
+function startsWithCi(text, typed) {
+  return String(text).toLowerCase().startsWith(String(typed).toLowerCase());
+}
+
+function suggest(typed, column, items) {
+  // Purpose: keep the items that extend what has been typed; `start` is where the replaced text begins.
+  return { start: column - typed.length, items: items.filter((it) => startsWithCi(it.value, typed)) };
+}
+
+function colourItems() {
+  return [...CSS_NAMED_COLOURS].map((name) => ({ value: name, meta: "colour", score: 10 }));
+}
+
+function valueItems(values, meta) {
+  return (values || []).map((v) => ({ value: v, meta, score: 50 }));
+}
+
+function modelItems(lines, options) {
+  // Purpose: explicit node ids (label shown alongside) + group aliases, from the parsed document (and its includes).
+  const items = [];
+  const seen = new Set();
+  for (const n of parseMapScript(lines.join("\n"), options).nodes) {
+    if (seen.has(n.id)) continue;
+    seen.add(n.id);
+    const label = String(n.label || "").trim();
+    items.push({ value: n.id, meta: label.length > 28 ? `${label.slice(0, 27)}…` : label || "node", docText: label, score: 100 });
+  }
+  for (const g of scanClusterOpenersFromLines(lines)) {
+    if (!g.alias || seen.has(g.alias)) continue;
+    seen.add(g.alias);
+    items.push({ value: g.alias, meta: "group", docText: `Group: ${String(g.label || "").trim()}`, score: 90 });
+  }
+  return items;
+}
+
+function variableItems(lines, options) {
+  return Object.values(parseMapScript(lines.join("\n"), options).variables).map((v) => ({
+    value: `$${v.name}`,
+    meta: v.value.length > 28 ? `${v.value.slice(0, 27)}…` : v.value,
+    docText: `Let ${v.name} = ${v.value}`,
+    score: 95,
+  }));
+}
+
+// "Style name: ..." lines take the attributes of every kind of line (a class can be used on nodes, links and groups).
+const STYLE_CLASS_ATTRIBUTES = { ...BRACKET_ATTRIBUTES.group, ...BRACKET_ATTRIBUTES.node, ...BRACKET_ATTRIBUTES.link };
+delete STYLE_CLASS_ATTRIBUTES.label;
+
+function classItems(lines, prefix, options) {
+  return Object.values(parseMapScript(lines.join("\n"), options).styleClasses).map((c) => ({
+    value: `${prefix}${c.name}`,
+    meta: "style class",
+    docText: c.styleInner,
+    score: 65,
+  }));
+}
+
+function bracketKind(code) {
+  // Purpose: which kind of line a "[...]" belongs to (code = text before the "[").
+  if (/^\s*-{2,}/.test(code)) return "group";
+  if (/^\s*title\s*:/i.test(code)) return "title";
+  if (code.includes("::")) return "node";
+  if (/<->|<-|->|\s--\s|\s--$/.test(code)) return "link";
+  return "";
+}
+
+function bracketCompletions(kind, inner, column, lines, options) {
+  // Purpose: "key=" suggestions for the current "|" part, or values once the "=" is typed.
+  // Nodes, links and groups also get their style classes (".name" / "class=") once the map defines some.
+  const attrs = kind === "style" ? STYLE_CLASS_ATTRIBUTES : BRACKET_ATTRIBUTES[kind];
+  if (!attrs) return null;
+  const takesClasses = kind === "node" || kind === "link" || kind === "group";
+  const part = inner.slice(inner.lastIndexOf("|") + 1);
+  const eq = part.indexOf("=");
+  if (eq < 0) {
+    const items = Object.keys(attrs).map((key) => ({ value: `${key}=`, caption: key, meta: "attribute", score: 60 }));
+    if (kind === "group") items.push({ value: "collapsed", meta: "draw as one node", score: 58 });
+    const classes = takesClasses ? classItems(lines, ".", options) : [];
+    if (classes.length) items.push(...classes, { value: "class=", caption: "class", meta: "attribute", score: 55 });
+    return suggest(part.trimStart(), column, items);
+  }
+
+  const key = part.slice(0, eq).trim().toLowerCase();
+  if (key === "class" && takesClasses) return suggest(part.slice(eq + 1).split(/[\s,]+/).pop(), column, classItems(lines, "", options));
+  const spec = attrs[key];
+  const typed = part.slice(eq + 1).trimStart();
+  if (spec === "colour") return suggest(typed, column, colourItems());
+  if (key === "border" && /\s/.test(typed)) {
+    // "2px dashed gr|": the colour is the last word.
+    return suggest(typed.split(/\s+/).pop(), column, colourItems());
+  }
+  return suggest(typed, column, valueItems(spec, key));
+}
+
+export function mapScriptCompletions(lines, row, column, options = {}) {
+  // Purpose: what to suggest at (row, column), from the text before the cursor on that line:
+  // - after "$": variables ("Let name = ...")
+  // - inside "[...]": attribute keys for that kind of line (and style classes), then their values (CSS colour names for colours)
+  // - after "Style name:": the attributes a class can set, as inside "[...]"
+  // - line start: setting keys, "rank=...:" and node ids / group aliases
+  // - after "Key:" on a settings line: that setting's values
+  // - after a link connector or "|" (and in rank lines): node ids / group aliases; after "id:" there, its ports
+  // Returns { start, items: [{ value, caption?, meta, docText?, score }] }; the text from `start` to the cursor
+  // is replaced by the chosen item's value. `options.resolveInclude` is passed to parseMapScript() for "Include:" lines.
+  const none = { start: column, items: [] };
+  const before = String(lines?.[row] ?? "").slice(0, column);
+  if (findCommentStart(before) >= 0) return none;
+  const variableRef = before.match(/(?<!\$)\$[A-Za-z_]?\w*$/);
+  if (variableRef) return suggest(variableRef[0], column, variableItems(lines, options));
+
+  const open = before.lastIndexOf("[");
+  if (open > before.lastIndexOf("]")) return bracketCompletions(bracketKind(before.slice(0, open)), before.slice(open + 1), column, lines, options) || none;
+  if (before.includes("]") || before.includes("::")) return none;
+
+  const styleClass = before.match(/^\s*style\s+[A-Za-z][\w-]*\s*:(.*)$/i);
+  if (styleClass) return bracketCompletions("style", styleClass[1], column, lines, options) || none;
+
+  if (/^\s*rank\s*=/i.test(before)) {
+    const m = before.match(/^\s*rank\s*=\s*([^:]*)$/i);
+    if (m) return suggest(m[1], column, valueItems(RANK_KINDS.map((k) => `${k}: `), "rank"));
+    const endpoint = before.match(/[:|]\s*([A-Za-z_]\w*)?$/);
+    return endpoint ? suggest(endpoint[1] || "", column, modelItems(lines, options)) : none;
+  }
+
+  const lineStart = before.match(/^\s*([A-Za-z_][\w ]*)?$/);
+  if (lineStart) {
+    const items = [
+      ...modelItems(lines, options),
+      ...COMPLETION_SETTING_KEYS.map((k) => ({ value: `${k}: `, caption: k, meta: "setting", score: 80 })),
+      ...RANK_KINDS.map((k) => ({ value: `rank=${k}: `, caption: `rank=${k}`, meta: "rank", score: 70 })),
+      { value: "Style ", caption: "Style name: ...", meta: "style class", score: 60 },
+      { value: "Let ", caption: "Let name = value", meta: "variable", score: 60 },
+    ];
+    return suggest(lineStart[1] || "", column, items);
+  }
+
+  const port = before.match(/(?:<->|<-|->|\s--|\|)\s*[A-Za-z_][\w-]*:([a-z]{0,2})$/);
+  if (port) return suggest(port[1], column, Object.entries(PORT_SIDES).map(([side, c]) => ({ value: c, meta: side, score: 50 })));
+
+  const setting = before.match(/^\s*([A-Za-z][A-Za-z ]*?)\s*:\s*(.*)$/);
+  if (setting && !/->|<-/.test(before)) {
+    const key = setting[1].toLowerCase();
+    if (isColourSettingKey(key)) return suggest(setting[2], column, colourItems());
+    return suggest(setting[2], column, valueItems(SETTING_VALUE_SUGGESTIONS[key], key));
+  }
+
+  const endpoint = before.match(/(?:<->|<-|->|\s--|\|)\s*([A-Za-z_]\w*)?$/);
+  if (endpoint) return suggest(endpoint[1] || "", column, modelItems(lines, options));
+  return none;
+}
+
+export function createMapScriptCompleter({ resolveInclude = null } = {}) {
+  // Purpose: plug mapScriptCompletions() into Ace (editor.completers). Items replace the whole partial
+  // token (eg "label st" -> "label style="), not just Ace's word prefix.
+  const completer = {
+    id: "mapscript",
+    identifierRegexps: [/[\w$]/], // "$" so typing "$br" offers variables
+    getCompletions(editor, session, pos, prefix, callback) {
+      const { start, items } = mapScriptCompletions(session.getDocument().getAllLines(), pos.row, pos.column, { resolveInclude });
+      callback(null, items.map((item) => ({ ...item, row: pos.row, start, completer })));
+    },
+    insertMatch(editor, data) {
+      const { Range } = ace.require("ace/range");
+      const cursor = editor.getCursorPosition();
+      const end = cursor.row === data.row && cursor.column >= data.start ? cursor : { row: data.row, column: data.start };
+      editor.session.replace(new Range(data.row, data.start, end.row, end.column), data.value);
+    },
+  };
+  return completer;
+}
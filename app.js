@@ -6,6 +6,93 @@
 import { Graphviz } from "https://cdn.jsdelivr.net/npm/@hpcc-js/wasm@2.20.0/dist/graphviz.js";
 import { GALLERY_EXAMPLES } from "./examples.js";
 import { initHelpFromMarkdown } from "./help.js";
+import { createMapScriptCompleter, registerMapScriptAceMode, showMapScriptDiagnostics } from "./ace-mapscript.js";
+import {
+  ARROWHEADS,
+  astToDot,
+  buildEdgeBracketInner,
+  byteToHex,
+  clusterAliasFromAnchorNodeId,
+  clusterIdFromCollapsedNodeId,
+  compactColourToken,
+  cssColorToRgb,
+  deleteCluster,
+  deleteNodeEverywhere,
+  deleteSingleEdgeFromLine,
+  dotLayoutKey,
+  ensureExplicitNodeFromFreeLabel,
+  findClusterRangeFromLines,
+  findEdgeChainPair,
+  findExplicitNodeDefIdx,
+  findStyleClassLineIndex,
+  findInsertIdxForAutoNodeDef,
+  findTrailingLinksBlockStart,
+  formatEdgeChain,
+  formatMapScript,
+  getClusterDepthAtLine,
+  getExplicitNodeIdsFromLines,
+  groupNodesIntoCluster,
+  hexToRgb,
+  isEdgeLineCode,
+  isEdgeLineRaw,
+  isInternalClusterAnchorNodeId,
+  isMultiEdgeLine,
+  isStyleClassName,
+  isSimpleIdToken,
+  LAYOUTS,
+  LINK_ROUTINGS,
+  lintMapScript,
+  makeNodeDomId,
+  makeUniqueNodeIdFromLabel,
+  moveExplicitNodeDefsIntoCluster,
+  moveExplicitNodeDefsOutToTopLevel,
+  NODE_SHAPES,
+  nodeDetailsInSvg,
+  nodeShadowCssFilter,
+  normalizeArrowhead,
+  normalizeColor,
+  normalizeDirection,
+  normalizeLayout,
+  normalizeLinkRouting,
+  normalizeNodeShape,
+  normalizeTitlePosition,
+  orientEdgePair,
+  parseBorder,
+  parseBorderRaw,
+  parseBracketAttrs,
+  parseClusterDefLineAt,
+  parseEdgeBorderLoosePart,
+  parseEdgeEndpoints,
+  parseEdgeLine,
+  parseLeadingNumber,
+  parseMapScript,
+  parseNodeDefLine,
+  parseRelativeScale,
+  parseTitleDefLineAt,
+  parseTrailingBracket,
+  portCompassPoint,
+  portSideName,
+  recolourSvg,
+  renameIdEverywhere,
+  resolveStyleClasses,
+  rgbToHex,
+  safeLinkUrl,
+  scanClusterOpenersFromLines,
+  searchMapNodes,
+  setClusterCollapsed,
+  setClusterDefLineAt,
+  setEdgeLine,
+  setNodeDefLine,
+  setStyleClassLine,
+  setStyleClassRefs,
+  settingLinesWithVariables,
+  setTitleDefLineAt,
+  slugId,
+  stripComment,
+  stripCommentKeepSuffix,
+  stadiumNodesInSvg,
+  SUPPORTED_SETTING_LINE_KEYS,
+} from "./mapscript.js";
 
 // -----------------------------
 // Browser history (back/forward) + discrete undo/redo buttons
@@ -37,6 +124,9 @@ const STYLE_SETTING_KEYS = [
   "defaultLinkColour",
   "defaultLinkStyle",
   "defaultLinkWidth",
+  "linkRouting",
+  "arrowhead",
+  "layout",
   "direction",
   "labelWrap",
   "spacingAlong",
@@ -162,6 +252,17 @@ function wireButtonsToSelect(selectEl, btns) {
   setButtonsUi(btns, selectEl.value);
 }
 
+function fillNodeShapeSelect(selectEl, emptyLabel, shapes = NODE_SHAPES) {
+  // Purpose: one <option> per MapScript node shape; "" (emptyLabel) writes no shape, so the default applies.
+  if (!selectEl) return;
+  selectEl.replaceChildren(...["", ...shapes].map((v) => new Option(v || emptyLabel, v)));
+}
+
+function isRoundedNodeShape(shape) {
+  // Shapes whose outline has no square corners (for the small CSS previews).
+  return ["rounded", "stadium", "ellipse", "circle"].includes(normalizeNodeShape(shape));
+}
+
 // -----------------------------
 // Ace: incremental (undo-friendly) edits
 // -----------------------------
@@ -237,34 +338,27 @@ function closeOtherVizDrawers(exceptEl) {
   });
 }
 
-function cssColorToEditorToken(value) {
-  // Purpose: avoid "#rrggbb" in MapScript (because "#" starts comments).
-  const raw = String(value ?? "").trim();
-  if (!raw) return raw;
-  if (!raw.startsWith("#")) return raw; // already "rgb(...)" or a named colour
-  const rgb = hexToRgb(raw);
-  if (!rgb) return raw;
-  return `rgb(${rgb.r},${rgb.g},${rgb.b})`;
-}
-
 function buildEditorStyleLinesFromUiStyleSettings(sIn) {
   // Purpose: write global styles into the editor so changes are saved in MapScript too.
   const s = sIn && typeof sIn === "object" ? sIn : {};
   const lines = [];
 
-  if (s.background) lines.push(`Background: ${cssColorToEditorToken(s.background)}`);
-  if (s.textColour) lines.push(`Text colour: ${cssColorToEditorToken(s.textColour)}`);
-  if (s.defaultNodeTextColour) lines.push(`Default node text colour: ${cssColorToEditorToken(s.defaultNodeTextColour)}`);
-  if (s.defaultBoxTextColour) lines.push(`Default group text colour: ${cssColorToEditorToken(s.defaultBoxTextColour)}`);
+  if (s.background) lines.push(`Background: ${compactColourToken(s.background)}`);
+  if (s.textColour) lines.push(`Text colour: ${compactColourToken(s.textColour)}`);
+  if (s.defaultNodeTextColour) lines.push(`Default node text colour: ${compactColourToken(s.defaultNodeTextColour)}`);
+  if (s.defaultBoxTextColour) lines.push(`Default group text colour: ${compactColourToken(s.defaultBoxTextColour)}`);
   if (Number.isFinite(Number(s.titleSize))) lines.push(`Title size: ${Math.round(Number(s.titleSize))}`);
   if (s.titlePosition) lines.push(`Title position: ${String(s.titlePosition).trim()}`);
-  if (s.defaultBoxColour) lines.push(`Default node colour: ${cssColorToEditorToken(s.defaultBoxColour)}`);
+  if (s.defaultBoxColour) lines.push(`Default node colour: ${compactColourToken(s.defaultBoxColour)}`);
   if (s.defaultBoxShape) lines.push(`Default node shape: ${String(s.defaultBoxShape).trim()}`);
   if (s.defaultBoxShadow) lines.push(`Default node shadow: ${String(s.defaultBoxShadow).trim()}`);
   if (s.defaultBoxBorder) lines.push(`Default node border: ${String(s.defaultBoxBorder).trim()}`);
-  if (s.defaultLinkColour) lines.push(`Default link colour: ${cssColorToEditorToken(s.defaultLinkColour)}`);
+  if (s.defaultLinkColour) lines.push(`Default link colour: ${compactColourToken(s.defaultLinkColour)}`);
   if (s.defaultLinkStyle) lines.push(`Default link style: ${String(s.defaultLinkStyle).trim()}`);
   if (Number.isFinite(Number(s.defaultLinkWidth))) lines.push(`Default link width: ${Math.round(Number(s.defaultLinkWidth))}`);
+  if (s.linkRouting) lines.push(`Link routing: ${String(s.linkRouting).trim()}`);
+  if (s.arrowhead) lines.push(`Arrowhead: ${String(s.arrowhead).trim()}`);
+  if (s.layout) lines.push(`Layout: ${String(s.layout).trim()}`);
   if (s.direction) lines.push(`Direction: ${String(s.direction).trim()}`);
   if (Number.isFinite(Number(s.labelWrap))) lines.push(`Label wrap: ${Math.round(Number(s.labelWrap))}`);
   if (Number.isFinite(Number(s.spacingAlong))) lines.push(`Spacing along: ${Math.round(Number(s.spacingAlong))}`);
@@ -278,9 +372,13 @@ function editorHasStyleLines(text) {
   return Boolean(split?.styles);
 }
 
-function upsertEditorStyleBlockFromUiStyleSettings(editor, uiStyles) {
-  // Purpose: replace only the *settings lines* in the initial "styles" section; keep any blank/comment lines there.
-  const text = editor.getValue();
+function upsertEditorStyleBlockFromUiStyleSettings(editor, uiStyles, { useVariables = false } = {}) {
+  // Purpose: replace only the *settings lines* in the initial "styles" section; keep any blank/comment/Let lines there.
+  // Settings that read "$name" keep it; useVariables writes changed values to the Let lines (settingLinesWithVariables()).
+  const written = settingLinesWithVariables(buildEditorStyleLinesFromUiStyleSettings(uiStyles), editor.getValue().split(/\r?\n/), {
+    useVariables,
+  });
+  const text = written.lines.join("\n");
   const split = splitMapScriptStylesAndContents(text);
 
   const styleLines = (split.styles ? split.styles.split(/\r?\n/) : []).slice(0);
@@ -298,7 +396,7 @@ function upsertEditorStyleBlockFromUiStyleSettings(editor, uiStyles) {
   };
 
   const keptStyleLines = styleLines.filter((l) => !isSettingLine(l));
-  const nextSettingLines = buildEditorStyleLinesFromUiStyleSettings(uiStyles);
+  const nextSettingLines = written.settingLines;
 
   // Also remove any settings lines that appear later in the document (outside the initial style block),
   // so we never end up with multiple lines for the same setting.
@@ -323,34 +421,6 @@ function upsertEditorStyleBlockFromUiStyleSettings(editor, uiStyles) {
   editor.clearSelection();
 }
 
-// Supported *editor* settings line keys (eg "Background: ...") used by:
-// - splitMapScriptStylesAndContents()
-// - the cursor-adjacent "Style" button (so it can act on global style lines too)
-const SUPPORTED_SETTING_LINE_KEYS = new Set([
-  "background",
-  "text colour",
-  "text color",
-  "default node text colour",
-  "default node text color",
-  "default group text colour",
-  "default group text color",
-  "title size",
-  "title position",
-  "default node colour",
-  "default node color",
-  "default node shape",
-  "default node border",
-  "default link colour",
-  "default link color",
-  "default link style",
-  "default link width",
-  "default node shadow",
-  "direction",
-  "label wrap",
-  "spacing along",
-  "spacing across",
-]);
-
 // -----------------------------
 // Admin/dev mode: when running locally via Live Server (localhost)
 // -----------------------------
@@ -382,6 +452,11 @@ function initAceLineStylePopover({ editor, graphviz }) {
   const edgeBox = document.getElementById("tm-ace-style-edge");
   const apply = document.getElementById("tm-ace-style-apply");
   const close = document.getElementById("tm-ace-style-close"); // optional (we now only have one button)
+  const renameRow = document.getElementById("tm-ace-rename-row");
+  const renameLabel = document.getElementById("tm-ace-rename-label");
+  const renameInput = document.getElementById("tm-ace-rename-id");
+  const renameBtn = document.getElementById("tm-ace-rename-btn");
+  const renameFeedback = document.getElementById("tm-ace-rename-feedback");
 
   // Single setting-line modal (focused UI for "Key: Value" lines)
   const settingModalEl = document.getElementById("tm-setting-line-modal");
@@ -400,7 +475,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
   const nodeBsBtnsWrap = document.getElementById("tm-ace-style-node-border-style-btns");
   const nodeBsBtns = nodeBsBtnsWrap ? Array.from(nodeBsBtnsWrap.querySelectorAll('button[data-value]')) : [];
   const nodeBc = document.getElementById("tm-ace-style-node-border-color");
-  const nodeRounded = document.getElementById("tm-ace-style-node-rounded");
+  const nodeShape = document.getElementById("tm-ace-style-node-shape");
   const nodeTextSizeEnabled = document.getElementById("tm-ace-style-node-text-size-enabled");
   const nodeTextSize = document.getElementById("tm-ace-style-node-text-size");
 
@@ -436,11 +511,13 @@ function initAceLineStylePopover({ editor, graphviz }) {
   if (!btn || !pop || !apply) return;
   const closeBtn = close || apply; // single-button UI: Apply is the close button
   let suppressLiveApply = false; // prevents feedback loops while we populate widgets
+  let edgeSidesShown = { from: "", to: "" }; // sides loaded into the link drawer; only a changed side is written back
 
   // Button groups (preferred UI) write to hidden selects (source of truth).
   wireButtonsToSelect(nodeBs, nodeBsBtns);
   wireButtonsToSelect(clusterBs, clusterBsBtns);
   wireButtonsToSelect(edgeBs, edgeBsBtns);
+  fillNodeShapeSelect(nodeShape, "Default");
 
   function setBtnLabelText(el, text) {
     // Cursor button has an icon + a dedicated label span; avoid overwriting the icon DOM.
@@ -596,8 +673,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
     // and does NOT trigger on closers like "--" / "----".
     if (parseClusterDefLineAt([raw], 0)) return { type: "cluster", row, lineNo };
 
-    const edgeMatch = trimmed.match(/^(.+?)\s*->\s*(.+)$/);
-    if (edgeMatch) return { type: "edge", row, lineNo };
+    if (isEdgeLineCode(trimmed)) return { type: "edge", row, lineNo };
 
     return { type: "none", row, lineNo };
   }
@@ -609,7 +685,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
     if (nodeBw) nodeBw.disabled = !enabled || !nodeBorderEnabled?.checked;
     if (nodeBs) nodeBs.disabled = !enabled || !nodeBorderEnabled?.checked;
     if (nodeBc) nodeBc.disabled = !enabled || !nodeBorderEnabled?.checked;
-    if (nodeRounded) nodeRounded.disabled = !enabled;
+    if (nodeShape) nodeShape.disabled = !enabled;
     if (nodeFillEnabled) nodeFillEnabled.disabled = !enabled;
     if (nodeBorderEnabled) nodeBorderEnabled.disabled = !enabled;
     if (nodeTextSizeEnabled) nodeTextSizeEnabled.disabled = !enabled;
@@ -644,11 +720,55 @@ function initAceLineStylePopover({ editor, graphviz }) {
     if (titleTextSize) titleTextSize.disabled = !enabled || !titleTextSizeEnabled?.checked;
   }
 
+  let renameFrom = ""; // node ID / group alias defined on the cursor line ("" = nothing to rename)
+
+  function setRenameFeedback(message) {
+    if (!renameFeedback) return;
+    renameFeedback.textContent = String(message || "");
+    renameFeedback.classList.toggle("d-none", !message);
+  }
+
+  function syncRenameRow(info) {
+    // Purpose: show the "Rename" field for "ID:: ..." lines and "-- alias:: ..." group lines.
+    const lines = [editor.session.getLine(info.row) || ""];
+    const alias = info.type === "cluster" ? parseClusterDefLineAt(lines, 0)?.alias || "" : "";
+    const next = info.type === "node" ? info.nodeId : alias;
+    if (next !== renameFrom) setRenameFeedback("");
+    renameFrom = next;
+    renameRow?.classList.toggle("d-none", !renameFrom);
+    if (renameLabel) renameLabel.textContent = alias ? "Group alias" : "ID";
+    if (renameInput && document.activeElement !== renameInput) renameInput.value = renameFrom;
+  }
+
+  function renameFromCursorLine() {
+    // Purpose: rename the ID/alias everywhere (links, "|" lists, rank lines), keeping the cursor where it was.
+    if (!renameFrom) return;
+    const lines = editor.getValue().split(/\r?\n/);
+    const res = renameIdEverywhere(lines, renameFrom, renameInput?.value ?? "");
+    setRenameFeedback(res.ok ? "" : res.message);
+    if (!res.ok || !res.count) return;
+    const cursor = editor.getCursorPosition();
+    editor.setValue(lines.join("\n"), -1);
+    editor.moveCursorToPosition(cursor);
+    editor.clearSelection();
+    renameInput?.blur();
+    refreshFormFromCursorLine();
+    setVizStatus(res.message);
+  }
+
+  renameBtn?.addEventListener("click", renameFromCursorLine);
+  renameInput?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    renameFromCursorLine();
+  });
+
   function refreshFormFromCursorLine() {
     suppressLiveApply = true;
     try {
       const info = getCursorLineInfo();
       if (meta) meta.textContent = `Line ${info.lineNo}`;
+      syncRenameRow(info);
 
       const showNone = info.type === "none";
       none?.classList.toggle("d-none", !showNone);
@@ -684,7 +804,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
         setButtonsUi(nodeBsBtns, nodeBs?.value);
         if (nodeBc) nodeBc.value = String(borderUi?.colorHex || "#999999");
 
-        if (nodeRounded) nodeRounded.checked = Boolean(fromAttrs?.rounded);
+        if (nodeShape) nodeShape.value = fromAttrs?.shape || "";
 
         const textSizeScale = fromAttrs?.textSizeScale;
         if (nodeTextSizeEnabled) nodeTextSizeEnabled.checked = Number.isFinite(textSizeScale) && textSizeScale !== 1;
@@ -744,7 +864,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
 
         if (titleTextSizeEnabled) titleTextSizeEnabled.checked = Number.isFinite(ts);
         if (titleTextSize) {
-          const base = dslToDot(editor.getValue()).settings?.titleSize || 18;
+          const base = parseMapScript(editor.getValue()).settings?.titleSize || 18;
           const v = Number.isFinite(ts) ? ts : base;
           titleTextSize.value = String(Math.max(10, Math.min(36, Math.round(Number(v || 18)))));
         }
@@ -815,13 +935,13 @@ function initAceLineStylePopover({ editor, graphviz }) {
       const parts = [];
       if (ui.fillHex) parts.push(`colour=${ui.fillHex}`);
       if (ui.borderUi) parts.push(`border=${uiToBorderText(ui.borderUi)}`);
-      if (ui.rounded) parts.push("shape=rounded");
+      if (ui.shape) parts.push(`shape=${ui.shape}`);
 
       // Effective preview: merge defaults + inline overrides
       const defaults = getDefaultNodeUi();
       const effFillHex = ui.fillHex || defaults.fillHex || "";
       const effBorderUi = ui.borderUi || defaults.borderUi || { width: 1, style: "solid", colorHex: "#999999" };
-      const effRounded = ui.rounded || Boolean(defaults.rounded);
+      const effRounded = isRoundedNodeShape(ui.shape || defaults.shape);
 
       setStyleButtonState({
         enabled: true,
@@ -942,7 +1062,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
     if (!settingModalEl || !settingModalBody) return openStylesModalForSettingKey(keyLower);
 
     const key = String(keyLower || "").trim().toLowerCase();
-    const parsed = dslToDot(editor.getValue()).settings;
+    const parsed = parseMapScript(editor.getValue()).settings;
     const cur = coerceUiStyleSettings(pickStyleSettings(parsed));
 
     const titleMap = {
@@ -965,6 +1085,9 @@ function initAceLineStylePopover({ editor, graphviz }) {
       "default link color": "Default link colour",
       "default link style": "Default link style",
       "default link width": "Default link width",
+      "link routing": "Link routing",
+      "arrowhead": "Arrowhead",
+      "layout": "Layout",
       "label wrap": "Label wrap",
       "spacing along": "Spacing along",
       "spacing across": "Spacing across",
@@ -1139,13 +1262,34 @@ function initAceLineStylePopover({ editor, graphviz }) {
       );
       settingModalBody.appendChild(el);
       focusEl = f;
+    } else if (key === "link routing") {
+      const { el, focusEl: f } = makeSelect(
+        Object.keys(LINK_ROUTINGS).map((v) => ({ value: v, label: v })),
+        String(cur.linkRouting || "curved"),
+        (v) => applyPatch({ linkRouting: normalizeLinkRouting(v) })
+      );
+      settingModalBody.appendChild(el);
+      focusEl = f;
+    } else if (key === "arrowhead") {
+      const { el, focusEl: f } = makeSelect(
+        Object.keys(ARROWHEADS).map((v) => ({ value: v, label: v })),
+        String(cur.arrowhead || "normal"),
+        (v) => applyPatch({ arrowhead: normalizeArrowhead(v) })
+      );
+      settingModalBody.appendChild(el);
+      focusEl = f;
+    } else if (key === "layout") {
+      const { el, focusEl: f } = makeSelect(
+        Object.keys(LAYOUTS).map((v) => ({ value: v, label: v })),
+        String(cur.layout || "hierarchical"),
+        (v) => applyPatch({ layout: normalizeLayout(v) })
+      );
+      settingModalBody.appendChild(el);
+      focusEl = f;
     } else if (key === "default node shape") {
       const { el, focusEl: f } = makeSelect(
-        [
-          { value: "", label: "square" },
-          { value: "rounded", label: "rounded" },
-        ],
-        String(cur.defaultBoxShape || ""),
+        [{ value: "", label: "square" }, ...NODE_SHAPES.filter((v) => v !== "box").map((v) => ({ value: v, label: v }))],
+        normalizeNodeShape(cur.defaultBoxShape) === "box" ? "" : normalizeNodeShape(cur.defaultBoxShape),
         (v) => applyPatch({ defaultBoxShape: String(v || "").trim().toLowerCase() || null })
       );
       settingModalBody.appendChild(el);
@@ -1249,13 +1393,13 @@ function initAceLineStylePopover({ editor, graphviz }) {
             colorHex: nodeBc?.value ?? "#999999",
           })
         : "";
-      const rounded = Boolean(nodeRounded?.checked);
+      const shape = String(nodeShape?.value || "");
       const textSizeScale = nodeTextSizeEnabled?.checked ? Number(nodeTextSize?.value) : null;
 
       const nextInner = upsertNodeStyleInner(parsed.styleInner || "", {
         fillHex,
         borderText,
-        rounded,
+        shape,
         textSizeScale: Number.isFinite(textSizeScale) && textSizeScale > 0 ? textSizeScale : null,
       });
 
@@ -1374,6 +1518,21 @@ function initAceLineStylePopover({ editor, graphviz }) {
     else if (info.type === "edge") (edgeLabel || edgeBorderEnabled)?.focus?.();
   }
 
+  // F2 (as in most code editors): open the popover with the ID / alias field ready to type.
+  editor.commands.addCommand({
+    name: "tmRenameId",
+    bindKey: { win: "F2", mac: "F2" },
+    exec: () => {
+      const info = getCursorLineInfo();
+      if (info.type !== "node" && info.type !== "cluster") return;
+      refreshFormFromCursorLine();
+      if (!renameFrom) return;
+      showAtCursor();
+      renameInput?.focus();
+      renameInput?.select();
+    },
+  });
+
   // Use mousedown (not click) so Ace blur doesn't hide the button before the handler runs.
   btn.addEventListener("mousedown", (e) => {
     e.preventDefault();
@@ -1395,7 +1554,7 @@ function initAceLineStylePopover({ editor, graphviz }) {
     nodeBw,
     nodeBs,
     nodeBc,
-    nodeRounded,
+    nodeShape,
     nodeTextSizeEnabled,
     nodeTextSize,
     clusterFillEnabled,
@@ -1621,6 +1780,9 @@ function initStyleModal({ editor, graphviz }) {
   // Direction buttons (UX: 4 buttons, no dropdown)
   const dirBtnsWrap = document.getElementById("tm-style-direction-btns");
   const dirBtns = dirBtnsWrap ? Array.from(dirBtnsWrap.querySelectorAll('button[data-value]')) : [];
+  const layout = document.getElementById("tm-style-layout");
+  const layoutBtnsWrap = document.getElementById("tm-style-layout-btns");
+  const layoutBtns = layoutBtnsWrap ? Array.from(layoutBtnsWrap.querySelectorAll('button[data-value]')) : [];
   const boxFill = document.getElementById("tm-style-node-fill");
   const boxShape = document.getElementById("tm-style-node-shape");
   const boxShapeBtnsWrap = document.getElementById("tm-style-node-shape-btns");
@@ -1648,6 +1810,12 @@ function initStyleModal({ editor, graphviz }) {
   const linkStyleBtns = linkStyleBtnsWrap ? Array.from(linkStyleBtnsWrap.querySelectorAll('button[data-value]')) : [];
   const linkWidth = document.getElementById("tm-style-link-width");
   const linkWidthVal = document.getElementById("tm-style-link-width-val");
+  const linkRouting = document.getElementById("tm-style-link-routing");
+  const linkRoutingBtnsWrap = document.getElementById("tm-style-link-routing-btns");
+  const linkRoutingBtns = linkRoutingBtnsWrap ? Array.from(linkRoutingBtnsWrap.querySelectorAll('button[data-value]')) : [];
+  const arrowhead = document.getElementById("tm-style-arrowhead");
+  const arrowheadBtnsWrap = document.getElementById("tm-style-arrowhead-btns");
+  const arrowheadBtns = arrowheadBtnsWrap ? Array.from(arrowheadBtnsWrap.querySelectorAll('button[data-value]')) : [];
   const labelWrap = document.getElementById("tm-style-label-wrap");
   const labelWrapVal = document.getElementById("tm-style-label-wrap-val");
   const rankGap = document.getElementById("tm-style-rank-gap");
@@ -1657,6 +1825,11 @@ function initStyleModal({ editor, graphviz }) {
   // Labels (we dynamically rename "along/across" to "horizontal/vertical" based on direction)
   const rankGapLabel = modalEl.querySelector('label[for="tm-style-rank-gap"]');
   const nodeGapLabel = modalEl.querySelector('label[for="tm-style-node-gap"]');
+  const useVariables = document.getElementById("tm-style-use-variables");
+  if (useVariables) {
+    useVariables.checked = localStorage.getItem(TM_STYLE_USE_VARIABLES_KEY) === "1";
+    useVariables.addEventListener("change", () => localStorage.setItem(TM_STYLE_USE_VARIABLES_KEY, useVariables.checked ? "1" : "0"));
+  }
 
   const bs = globalThis.bootstrap;
   const bsCollapse = bs?.Collapse || null;
@@ -1772,10 +1945,24 @@ function initStyleModal({ editor, graphviz }) {
   }
 
   // Button groups (preferred UI) write to hidden selects (source of truth).
+  fillNodeShapeSelect(boxShape, "square", NODE_SHAPES.filter((v) => v !== "box"));
   wireButtonsToSelect(boxShape, boxShapeBtns);
   wireButtonsToSelect(boxShadow, boxShadowBtns);
   wireButtonsToSelect(boxBorderStyle, boxBorderStyleBtns);
   wireButtonsToSelect(linkStyle, linkStyleBtns);
+  wireButtonsToSelect(linkRouting, linkRoutingBtns);
+  wireButtonsToSelect(arrowhead, arrowheadBtns);
+  wireButtonsToSelect(layout, layoutBtns);
+
+  function syncDirectionForLayout(value) {
+    // Purpose: only the hierarchical layout has a direction; grey the arrows out for the others.
+    const hierarchical = !normalizeLayout(value) || normalizeLayout(value) === "hierarchical";
+    for (const b of dirBtns) {
+      b.disabled = !hierarchical;
+      b.title = hierarchical ? "" : "Direction only applies to the hierarchical layout";
+    }
+  }
+  layout?.addEventListener("change", () => syncDirectionForLayout(layout.value));
 
   function setControlsFromStyleSettings(sIn) {
     suppressLiveApply = true;
@@ -1806,7 +1993,7 @@ function initStyleModal({ editor, graphviz }) {
 
       const boxRgb = resolveCssColorToRgb(s.defaultBoxColour || "#e7f5ff") || { r: 231, g: 245, b: 255 };
       if (boxFill) boxFill.value = rgbToHex(boxRgb);
-      if (boxShape) boxShape.value = String(s.defaultBoxShape || "");
+      if (boxShape) boxShape.value = normalizeNodeShape(s.defaultBoxShape) === "box" ? "" : normalizeNodeShape(s.defaultBoxShape);
       setButtonsUi(boxShapeBtns, boxShape?.value);
 
       const b = borderTextToUi(s.defaultBoxBorder || "1px solid rgb(30,144,255)");
@@ -1828,6 +2015,21 @@ function initStyleModal({ editor, graphviz }) {
       if (linkWidth) rangeSetThumbFromActualValue(linkWidth, Math.max(1, Math.min(6, Math.round(Number(s.defaultLinkWidth || 1)))));
       syncRangeValueLabelExp(linkWidth, linkWidthVal);
 
+      // "curved" / "normal" are the defaults: shown as the empty option so no setting line is written for them.
+      if (linkRouting) linkRouting.value = s.linkRouting === "curved" ? "" : String(s.linkRouting || "");
+      setButtonsUi(linkRoutingBtns, linkRouting?.value);
+      if (arrowhead) {
+        const v = s.arrowhead === "normal" ? "" : String(s.arrowhead || "");
+        // A Graphviz arrow name typed in the editor ("odot") has no button: add it as an option so it isn't reset.
+        if (![...arrowhead.options].some((o) => o.value === v)) arrowhead.add(new Option(v, v));
+        arrowhead.value = v;
+      }
+      setButtonsUi(arrowheadBtns, arrowhead?.value);
+
+      if (layout) layout.value = s.layout === "hierarchical" ? "" : String(s.layout || "");
+      setButtonsUi(layoutBtns, layout?.value);
+      syncDirectionForLayout(layout?.value);
+
       if (labelWrap) rangeSetThumbFromActualValue(labelWrap, Math.max(8, Math.min(40, Math.round(Number(s.labelWrap || 18)))));
       syncRangeValueLabelExp(labelWrap, labelWrapVal);
 
@@ -1855,10 +2057,10 @@ function initStyleModal({ editor, graphviz }) {
     }
     if (dir) out.direction = normalizeDirection(dir.value) || dir.value;
     if (boxFill) out.defaultBoxColour = normalizeColor(boxFill.value);
-    if (boxShape) out.defaultBoxShape = String(boxShape.value || "").trim().toLowerCase() || null;
+    if (boxShape) out.defaultBoxShape = normalizeNodeShape(boxShape.value) || null;
     if (boxShadow) out.defaultBoxShadow = String(boxShadow.value || "").trim() || null;
 
-    // Border text stays in our existing "Npx style rgb(...)" format.
+    // Border text uses the editor format "Npx style #rrggbb".
     if (boxBorderW && boxBorderStyle && boxBorderColor) {
       out.defaultBoxBorder = uiToBorderText({
         width: rangeGetActualValue(boxBorderW),
@@ -1870,6 +2072,9 @@ function initStyleModal({ editor, graphviz }) {
     if (linkColor) out.defaultLinkColour = normalizeColor(linkColor.value);
     if (linkStyle) out.defaultLinkStyle = String(linkStyle.value || "").trim().toLowerCase() || null;
     if (linkWidth) out.defaultLinkWidth = rangeGetActualValue(linkWidth);
+    if (linkRouting) out.linkRouting = normalizeLinkRouting(linkRouting.value);
+    if (arrowhead) out.arrowhead = normalizeArrowhead(arrowhead.value);
+    if (layout) out.layout = normalizeLayout(layout.value);
     if (labelWrap) out.labelWrap = rangeGetActualValue(labelWrap);
     if (rankGap) out.spacingAlong = rangeGetActualValue(rankGap);
     if (nodeGap) out.spacingAcross = rangeGetActualValue(nodeGap);
@@ -2067,7 +2272,8 @@ function initStyleModal({ editor, graphviz }) {
       });
     });
 
-    // 12 style presets: rounded/square + thick/thin + edge style, without overriding colours.
+    // Style presets: rounded/square + thick/thin + edge style (+ routing / arrowheads), without overriding colours.
+    // Presets without routing / arrow reset them to the defaults (curved, normal).
     const STYLES = [
       { name: "Square / thin", shape: "", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "none" },
       { name: "Rounded / thin", shape: "rounded", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "subtle" },
@@ -2079,6 +2285,8 @@ function initStyleModal({ editor, graphviz }) {
       { name: "Rounded / dashed", shape: "rounded", bw: 2, bs: "dashed", ew: 2, es: "dashed", shadow: "subtle" },
       { name: "Soft shadow", shape: "rounded", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "medium" },
       { name: "Flat + crisp", shape: "", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "none" },
+      { name: "Orthogonal / open arrows", shape: "", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "none", routing: "orthogonal", arrow: "open" },
+      { name: "Straight / dots", shape: "rounded", bw: 1, bs: "solid", ew: 1, es: "solid", shadow: "subtle", routing: "straight", arrow: "dot" },
     ];
 
     STYLES.forEach((st) => {
@@ -2105,6 +2313,8 @@ function initStyleModal({ editor, graphviz }) {
             defaultBoxBorder: nextBorder,
             defaultLinkWidth: st.ew,
             defaultLinkStyle: st.es,
+            linkRouting: st.routing || null,
+            arrowhead: st.arrow || null,
           };
           setControlsFromStyleSettings(merged);
           applyLiveFromModal(); // preset clicks don't fire input/change events; apply immediately
@@ -2120,13 +2330,13 @@ function initStyleModal({ editor, graphviz }) {
     if (suppressLiveApply) return;
     // Persist to the editor (source of truth), then URL (#m), then render.
     const ui = readUiStylesFromModal();
-    upsertEditorStyleBlockFromUiStyleSettings(editor, ui);
+    upsertEditorStyleBlockFromUiStyleSettings(editor, ui, { useVariables: Boolean(useVariables?.checked) });
     afterEditorMutation({ editor, graphviz });
   }
 
   btn.addEventListener("click", () => {
     // Prefer what's currently in the editor (so manual edits to style lines are respected).
-    const parsed = dslToDot(editor.getValue()).settings;
+    const parsed = parseMapScript(editor.getValue()).settings;
     const fromEditor = coerceUiStyleSettings(pickStyleSettings(parsed));
     setControlsFromStyleSettings(fromEditor || {});
     // Always open on Presets unless a caller explicitly requests "more".
@@ -2166,6 +2376,9 @@ function initStyleModal({ editor, graphviz }) {
     linkColor,
     linkStyle,
     linkWidth,
+    linkRouting,
+    arrowhead,
+    layout,
     labelWrap,
     rankGap,
     nodeGap,
@@ -2344,7 +2557,7 @@ function initTitleModal({ editor, graphviz }) {
 
   function applyLive() {
     if (suppressLiveApply) return;
-    const parsed = dslToDot(editor.getValue()).settings;
+    const parsed = parseMapScript(editor.getValue()).settings;
 
     // Title text is NOT a "style setting" in this app; it stays as a user-facing "Title: ..." line.
     const nextTitle = titleText ? String(titleText.value || "") : "";
@@ -2391,7 +2604,7 @@ function initTitleModal({ editor, graphviz }) {
   btnClose?.addEventListener("click", closeTitleDrawer);
 
   return function openTitleModal() {
-    const parsed = dslToDot(editor.getValue()).settings;
+    const parsed = parseMapScript(editor.getValue()).settings;
     // Need `title` too (not in pickStyleSettings), so pass the parsed settings directly.
     setControlsFromStyleSettings(parsed || {});
     openTitleDrawer();
@@ -2612,11 +2825,11 @@ async function svgTextToPngDataUrl(svgText, { scale = 2, backgroundColor = "#fff
 
 async function buildExampleThumbnail(example, graphviz) {
   // Render example DSL → DOT → SVG, then convert SVG → PNG dataURL.
-  const { dot, errors } = dslToDot(example.dsl);
+  const { dot, errors, engine } = dslToDot(example.dsl);
   if (errors?.length) return null;
 
   try {
-    const svg = await graphviz.layout(dot, "svg", "dot");
+    const svg = await graphviz.layout(dot, "svg", engine);
     const bg = "#ffffff"; // keep thumbnails consistent; map background is already embedded in DOT as bgcolor
     return await svgTextToPngDataUrl(svg, { scale: 2, backgroundColor: bg });
   } catch {
@@ -2625,7 +2838,7 @@ async function buildExampleThumbnail(example, graphviz) {
 }
 
 function splitMapScriptStylesAndContents(text) {
-  // “Styles” here means: initial comment/blank lines + any recognised settings lines,
+  // “Styles” here means: initial comment/blank lines + any recognised settings lines and "Let" variables,
   // up until the first “content-like” line (node, edge, cluster, headings, etc).
   const lines = String(text || "").split(/\r?\n/);
   const styleLines = [];
@@ -2644,9 +2857,10 @@ function splitMapScriptStylesAndContents(text) {
       const key = m[1].trim().toLowerCase();
       return SUPPORTED_SETTING_LINE_KEYS.has(key);
     })();
+    const isVariableLine = /^let\s+[A-Za-z_]\w*\s*=/i.test(trimmed);
 
     if (inStyles) {
-      if (isBlank || isComment || isSettingLine) {
+      if (isBlank || isComment || isSettingLine || isVariableLine) {
         styleLines.push(raw);
         continue;
       }
@@ -2775,7 +2989,7 @@ function initTemplates(editor, graphviz) {
     const styleFromItem =
       item.styleSettings && typeof item.styleSettings === "object"
         ? coerceUiStyleSettings(item.styleSettings)
-        : coerceUiStyleSettings(pickStyleSettings(dslToDot(selectedDsl).settings));
+        : coerceUiStyleSettings(pickStyleSettings(parseMapScript(selectedDsl).settings));
 
     // Replace entire editor content; ensure selected styles are present as style lines.
     editor.setValue(selectedDsl, -1);
@@ -3050,251 +3264,69 @@ function initHistoryNav({ editor, graphviz }) {
 
 // -----------------------------
 // DSL → DOT
+// Parsing + DOT emission live in mapscript.js (DOM-free); the browser adds canvas text metrics.
 // -----------------------------
 
-function stripComment(line) {
-  const idx = line.indexOf("#");
-  return (idx >= 0 ? line.slice(0, idx) : line).trim();
-}
-
-function slugId(s) {
-  return s
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "_")
-    .replace(/^_+|_+$/g, "")
-    .slice(0, 40) || "node";
-}
-
-function parseClusterAliasTitle(labelText) {
-  // Purpose: support optional group alias syntax: "-- a:: Group title"
-  // If present, returns { alias: "a", title: "Group title" }.
-  // Otherwise returns { alias: "", title: <labelText> }.
-  const s = String(labelText || "").trim();
-  const m = s.match(/^([A-Za-z]\w*)\s*::\s*(.*)$/);
-  if (!m) return { alias: "", title: s };
-  return { alias: String(m[1] || "").trim(), title: String(m[2] || "").trim() };
-}
-
-function isInternalClusterAnchorNodeId(nodeId) {
-  return String(nodeId || "").startsWith("__cluster_anchor_");
-}
-
-function clusterAliasFromAnchorNodeId(nodeId) {
-  // Purpose: map internal invisible anchor node ids back to the user-facing group alias token.
-  // "__cluster_anchor_a" -> "a"
-  const s = String(nodeId || "").trim();
-  const prefix = "__cluster_anchor_";
-  if (!s.startsWith(prefix)) return s;
-  return s.slice(prefix.length).trim();
-}
-
-function domSafeToken(s) {
-  // Used only for DOM ids embedded into Graphviz SVG output.
-  // Keep it simple and deterministic: alnum only, other chars -> "_".
-  return String(s || "").replace(/[^A-Za-z0-9]+/g, "_");
-}
-
-function makeNodeDomId(nodeId) {
-  return `tm_n_${domSafeToken(nodeId)}`;
-}
-
-function makeEdgeDomId({ srcLineNo, fromId, toId }) {
-  // Use "--" as delimiter because domSafeToken never outputs "-".
-  return `tm_e_${srcLineNo}--${domSafeToken(fromId)}--${domSafeToken(toId)}`;
-}
-
-function parseBorder(borderText) {
-  // Accept: "1px dotted green" or "1px solid blue"
-  // Maps to DOT: penwidth, style, color
-  const parts = borderText.trim().split(/\s+/);
-  if (parts.length < 2) return {};
-
-  const widthPart = parts[0];
-  const stylePart = parts[1];
-  const colorPart = parts.slice(2).join(" ");
-
-  const widthMatch = widthPart.match(/^(\d+)(px)?$/i);
-  const penwidth = widthMatch ? widthMatch[1] : null;
-
-  const style = ["solid", "dotted", "dashed"].includes(stylePart.toLowerCase())
-    ? stylePart.toLowerCase()
-    : null;
-
-  const color = colorPart ? normalizeColor(colorPart.trim()) : null;
-
-  const out = {};
-  if (penwidth) out.penwidth = penwidth;
-  if (style) out.style = style;
-  if (color) out.color = color;
-  return out;
-}
-
-function parseEdgeBorderLoosePart(partRaw) {
-  // Purpose: parse *partial* edge border specs so users can write:
-  // - [seagreen] (colour only)
-  // - [1px] (width only)
-  // - [dotted] (style only)
-  // - [1px solid] (width + style)
-  // - [1px solid seagreen] (full)
-  // - [solid seagreen] (style + colour)
-  const part = String(partRaw || "").trim();
-  if (!part) return {};
-
-  const normalizeColorIfValid = (token) => {
-    // Avoid treating arbitrary words (e.g. "decreases") as colours.
-    const rgb = resolveCssColorToRgb(token);
-    if (!rgb) return null;
-    return normalizeColor(token);
+let _tmTextMeasurer = null;
+function getCanvasTextMeasurer() {
+  // Purpose: measure label text width (px) so clusters can give their nodes a consistent DOT min `width`.
+  // NOTE: This is an approximation (browser font metrics vs Graphviz), but good enough for "all same width".
+  if (_tmTextMeasurer) return _tmTextMeasurer;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  _tmTextMeasurer = function measureMaxLinePx(dotLabel, fontPx) {
+    if (!ctx) return 0;
+    const fs = Number(fontPx);
+    if (!(Number.isFinite(fs) && fs > 0)) return 0;
+    ctx.font = `${fs}px Arial`;
+    const lines = String(dotLabel ?? "").split("\\n");
+    let max = 0;
+    for (const line of lines) {
+      const w = ctx.measureText(String(line || "")).width || 0;
+      if (w > max) max = w;
+    }
+    return max;
   };
-
-  // Try full border text first (only works for WIDTH STYLE [COLOUR]).
-  const full = parseBorder(part);
-  if (full && (full.penwidth || full.style || full.color)) return full;
-
-  // Width only
-  const mW = part.match(/^(\d+)(px)?$/i);
-  if (mW) return { penwidth: mW[1] };
-
-  // Style only
-  const s = part.toLowerCase();
-  if (["solid", "dotted", "dashed"].includes(s)) return { style: s };
-
-  // Style + colour (no width)
-  const mSC = part.match(/^(solid|dotted|dashed)\s+(.+)$/i);
-  if (mSC) {
-    const c = normalizeColorIfValid(mSC[2].trim());
-    const out = { style: mSC[1].toLowerCase() };
-    if (c) out.color = c;
-    return out;
-  }
-
-  // Colour only
-  const c = normalizeColorIfValid(part);
-  if (c) return { color: c };
-
-  return {};
-}
-
-function looksLikeEdgeStyleToken(token) {
-  const t = String(token || "").trim();
-  if (!t) return false;
-  const b = parseEdgeBorderLoosePart(t);
-  return Boolean(b && (b.penwidth || b.style || b.color));
-}
-
-function clampByte(n) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return 0;
-  return Math.max(0, Math.min(255, Math.round(x)));
-}
-
-function byteToHex(n) {
-  return clampByte(n).toString(16).padStart(2, "0");
-}
-
-function expandHexColor(s) {
-  // Supports: #rgb, #rgba, #rrggbb, #rrggbbaa (alpha ignored)
-  const hex = String(s || "").trim().replace(/^#/, "");
-  if (!/^[0-9a-fA-F]+$/.test(hex)) return null;
-  if (hex.length === 3) return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
-  if (hex.length === 4) return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
-  if (hex.length === 6) return `#${hex}`.toLowerCase();
-  if (hex.length === 8) return `#${hex.slice(0, 6)}`.toLowerCase();
-  return null;
+  return _tmTextMeasurer;
 }
 
-function parseCssNumberOrPercent(s) {
-  const t = String(s).trim();
-  if (t.endsWith("%")) {
-    const n = Number(t.slice(0, -1));
-    if (!Number.isFinite(n)) return null;
-    return (n / 100) * 255;
+function resolveMapInclude(name) {
+  // Purpose: "Include: name" -> MapScript text: a saved map (by name), a built-in example (by id) or a "#m=..." link.
+  const key = String(name || "").trim();
+  try {
+    const raw = localStorage.getItem(makeSavedMapKey(key));
+    const saved = raw ? JSON.parse(raw) : null;
+    if (typeof saved?.dsl === "string") return saved.dsl;
+  } catch {
+    // storage unavailable or malformed entry: try the other sources
   }
-  const n = Number(t);
-  return Number.isFinite(n) ? n : null;
-}
-
-function normalizeColor(value) {
-  // Convert common CSS formats into Graphviz-friendly hex where possible.
-  const raw = String(value ?? "").trim();
-  if (!raw) return raw;
-
-  if (raw.startsWith("#")) return expandHexColor(raw) ?? raw;
-
-  const rgbMatch = raw.match(/^rgba?\(\s*([^)]+)\s*\)$/i);
-  if (rgbMatch) {
-    const parts = rgbMatch[1].split(",").map((p) => p.trim());
-    const r = parseCssNumberOrPercent(parts[0]);
-    const g = parseCssNumberOrPercent(parts[1]);
-    const b = parseCssNumberOrPercent(parts[2]);
-    if (r == null || g == null || b == null) return raw;
-    return `#${byteToHex(r)}${byteToHex(g)}${byteToHex(b)}`;
+  const example = GALLERY_EXAMPLES.find((ex) => ex.id === key);
+  if (example) return example.dsl;
+  const hash = key.match(/[#&]m=([\w-]+)/);
+  if (hash) {
+    try {
+      return base64UrlDecodeUtf8(hash[1]);
+    } catch {
+      return null;
+    }
   }
-
-  // Keep named colours and other formats as-is.
-  return raw;
-}
-
-function parseBorderRaw(borderText) {
-  // Like parseBorder(), but keeps the raw colour token(s) without normalization
-  // so we can round-trip UI values as rgb(...) rather than hex.
-  const parts = String(borderText || "").trim().split(/\s+/).filter(Boolean);
-  if (parts.length < 2) return {};
-
-  const widthPart = parts[0];
-  const stylePart = parts[1];
-  const colorPart = parts.slice(2).join(" ");
-
-  const widthMatch = widthPart.match(/^(\d+)(px)?$/i);
-  const penwidth = widthMatch ? Number(widthMatch[1]) : null;
-
-  const style = ["solid", "dotted", "dashed"].includes(stylePart.toLowerCase())
-    ? stylePart.toLowerCase()
-    : null;
-
-  const out = {};
-  if (penwidth != null) out.penwidth = penwidth;
-  if (style) out.style = style;
-  if (colorPart) out.colorRaw = colorPart.trim();
-  return out;
+  return null;
 }
 
-function hexToRgb(hex) {
-  const h = String(hex || "").trim();
-  const ex = expandHexColor(h);
-  if (!ex || !/^#[0-9a-f]{6}$/i.test(ex)) return null;
-  const r = parseInt(ex.slice(1, 3), 16);
-  const g = parseInt(ex.slice(3, 5), 16);
-  const b = parseInt(ex.slice(5, 7), 16);
-  return { r, g, b };
+function parseMapScriptWithIncludes(dslText) {
+  return parseMapScript(dslText, { resolveInclude: resolveMapInclude });
 }
 
-function rgbToHex({ r, g, b }) {
-  return `#${byteToHex(r)}${byteToHex(g)}${byteToHex(b)}`;
+function includedNodeSource(lines, nodeId) {
+  // Purpose: the "Include:" name a node comes from ("" when it is defined, or only linked, in this map).
+  const node = parseMapScriptWithIncludes(lines.join("\n")).nodes.find((n) => n.id === nodeId && n.source);
+  return node ? node.source : "";
 }
 
-function cssColorToRgb(value) {
-  // Fast path: parse rgb()/rgba() or #hex only.
-  const raw = String(value || "").trim();
-  if (!raw) return null;
-
-  // rgb()/rgba()
-  const rgbMatch = raw.match(/^rgba?\(\s*([^)]+)\s*\)$/i);
-  if (rgbMatch) {
-    const parts = rgbMatch[1].split(",").map((p) => p.trim());
-    const r = parseCssNumberOrPercent(parts[0]);
-    const g = parseCssNumberOrPercent(parts[1]);
-    const b = parseCssNumberOrPercent(parts[2]);
-    if (r == null || g == null || b == null) return null;
-    return { r: clampByte(r), g: clampByte(g), b: clampByte(b) };
-  }
-
-  // hex
-  if (raw.startsWith("#")) return hexToRgb(raw);
-
-  // Named colours/hsl(): handled by resolveCssColorToRgb()
-  return null;
+function dslToDot(dslText) {
+  // Returns astToDot()'s { dot, errors, settings, engine } plus the parsed `ast`.
+  const ast = parseMapScriptWithIncludes(dslText);
+  return { ...astToDot(ast, { measureText: getCanvasTextMeasurer() }), ast };
 }
 
 let _tmColorProbeEl = null;
@@ -3582,8 +3614,7 @@ function uiToBorderText({ width, style, colorHex }) {
   const sRaw = String(style || "solid").trim() || "solid";
   const s = sRaw === "bold" ? "solid" : sRaw;
   const rgb = hexToRgb(colorHex || "#999999") || { r: 153, g: 153, b: 153 };
-  // Store rgb(...) in the DSL, but Graphviz will still get hex via normalizeColor() later.
-  return `${Math.round(w)}px ${s} rgb(${rgb.r},${rgb.g},${rgb.b})`;
+  return `${Math.round(w)}px ${s} ${rgbToHex(rgb)}`;
 }
 
 function getDefaultEdgeBorderText() {
@@ -3608,416 +3639,9 @@ function getDefaultNodeUi() {
   const borderText = String(lastVizSettings?.defaultBoxBorder || "").trim();
   const borderUi = borderText ? borderTextToUi(borderText) : { width: 0, style: "solid", colorHex: "#999999" };
 
-  const rounded = String(lastVizSettings?.defaultBoxShape || "").trim().toLowerCase() === "rounded";
-
-  return { fillHex, borderUi, rounded, hasFillDefault: Boolean(lastVizSettings?.defaultBoxColour), hasBorderDefault: Boolean(borderText) };
-}
-
-function normalizeDslRemoveRedundantEdgeBorders(dsl, settings) {
-  // Purpose: keep the editor text tidy by removing per-link border specs that don't change
-  // anything relative to the current global defaults (default link width/style/colour).
-  //
-  // Scope (intentionally minimal): edge border tokens only.
-  const text = String(dsl || "");
-  const lines = text.split(/\r?\n/);
-
-  const normalizeColourForCompare = (token) => {
-    const raw = String(token || "").trim();
-    if (!raw) return "";
-    const rgb = resolveCssColorToRgb(raw);
-    return rgb ? rgbToHex(rgb) : normalizeColor(raw);
-  };
-
-  const s = settings && typeof settings === "object" ? settings : {};
-  const defWRaw = Number(s.defaultLinkWidth);
-  const defW = Number.isFinite(defWRaw) && defWRaw > 0 ? Math.round(defWRaw) : 1;
-  const defStyleRaw = String(s.defaultLinkStyle || "").trim().toLowerCase();
-  const defStyle = ["solid", "dotted", "dashed"].includes(defStyleRaw) ? defStyleRaw : "solid";
-  // IMPORTANT: match Graphviz's real default edge colour (black) if the user hasn't set one.
-  const defColorToken = String(s.defaultLinkColour || "").trim() || "black";
-  const defColorCmp = normalizeColourForCompare(defColorToken);
-
-  const isEdgeLine = (rawLine) => {
-    const { code } = stripCommentKeepSuffix(String(rawLine || ""));
-    const t = String(code || "").trim();
-    if (!t) return false;
-    if (t.startsWith("#")) return false;
-    if (t.includes("::")) return false; // node def
-    return t.includes("->");
-  };
-
-  const pickColourTokenFromBorderRaw = (borderRaw) => {
-    const parts = String(borderRaw || "").trim().split(/\s+/).filter(Boolean);
-    if (!parts.length) return "";
-
-    // Drop a leading width token and/or leading style token(s); whatever remains is a colour candidate.
-    let i = 0;
-    if (/^\d+(px)?$/i.test(parts[i] || "")) i++;
-    if (["solid", "dotted", "dashed"].includes(String(parts[i] || "").toLowerCase())) i++;
-    const candidate = parts.slice(i).join(" ").trim();
-    if (!candidate) return "";
-
-    // Only keep it if the browser can resolve it as a real colour (avoid words like "decreases").
-    return resolveCssColorToRgb(candidate) ? candidate : "";
-  };
-
-  let changed = false;
-  for (let i = 0; i < lines.length; i++) {
-    if (!isEdgeLine(lines[i])) continue;
-
-    const parsed = parseEdgeLine(lines, i + 1);
-    if (!parsed) continue;
-
-    const borderRaw = String(parsed.border || "").trim();
-    if (!borderRaw) continue;
-
-    const spec = parseEdgeBorderLoosePart(borderRaw);
-    if (!spec || (!spec.penwidth && !spec.style && !spec.color)) continue;
-
-    const effW = spec.penwidth ? Math.round(Number(spec.penwidth)) : defW;
-    const effStyle = spec.style ? String(spec.style).trim().toLowerCase() : defStyle;
-    const effColorCmp = spec.color ? normalizeColourForCompare(String(spec.color).trim()) : defColorCmp;
-
-    const wDiff = effW !== defW;
-    const styleDiff = effStyle !== defStyle;
-    const colorDiff = effColorCmp !== defColorCmp;
-
-    let nextBorder = borderRaw;
-    if (!wDiff && !styleDiff && !colorDiff) {
-      // Fully redundant.
-      nextBorder = "";
-    } else {
-      const colourToken = pickColourTokenFromBorderRaw(borderRaw) || (spec.color ? String(spec.color).trim() : "");
-
-      // Emit the shortest border token string we can that will parse correctly.
-      if (!wDiff && !styleDiff && colorDiff) nextBorder = colourToken; // colour only
-      else if (!wDiff && styleDiff && !colorDiff) nextBorder = effStyle; // style only
-      else if (!wDiff && styleDiff && colorDiff) nextBorder = `${effStyle} ${colourToken}`.trim();
-      else if (wDiff && !styleDiff && !colorDiff) nextBorder = `${effW}px`;
-      else if (wDiff && styleDiff && !colorDiff) nextBorder = `${effW}px ${effStyle}`;
-      else if (wDiff && !styleDiff && colorDiff) nextBorder = `${effW}px ${defStyle} ${colourToken}`.trim(); // needs a style token to parse width+colour
-      else nextBorder = `${effW}px ${effStyle} ${colourToken}`.trim();
-    }
-
-    if (nextBorder !== borderRaw) {
-      setEdgeLine(lines, i + 1, { label: parsed.label, border: nextBorder });
-      changed = true;
-    }
-  }
-
-  return changed ? lines.join("\n") : text;
-}
-
-function normalizeDslRemoveRedundantSpecs(dsl, settings) {
-  // Purpose: remove redundant styling/specification from the editor DSL while preserving meaning.
-  // Kept intentionally simple; only touches:
-  // - edge border tokens (including dropping fully redundant ones)
-  // - node and group (cluster) style overrides that repeat the global defaults
-  // - a small set of safe redundant settings lines (e.g. default link width=1)
-  const text = String(dsl || "");
-  const lines = text.split(/\r?\n/);
-
-  const normalizeColourForCompare = (token) => {
-    const raw = String(token || "").trim();
-    if (!raw) return "";
-    const rgb = resolveCssColorToRgb(raw);
-    return rgb ? rgbToHex(rgb) : normalizeColor(raw);
-  };
-
-  const s = settings && typeof settings === "object" ? settings : {};
-
-  // ----- Safe redundant settings lines (only those that are true no-ops vs Graphviz/app defaults)
-  const isSettingLine = (trimmed) => {
-    if (!trimmed) return false;
-    if (trimmed.startsWith("#")) return false;
-    if (trimmed.includes("->") || trimmed.includes("::")) return false;
-    const m = trimmed.match(/^([^:]+):\s*(.+)$/);
-    if (!m) return false;
-    const key = m[1].trim().toLowerCase();
-    return SUPPORTED_SETTING_LINE_KEYS.has(key);
-  };
-
-  const dropSettingLineIfRedundant = (rawLine) => {
-    const t = String(rawLine || "").trim();
-    if (!isSettingLine(t)) return rawLine;
-    const m = t.match(/^([^:]+):\s*(.+)$/);
-    if (!m) return rawLine;
-    const key = m[1].trim().toLowerCase();
-    const value = m[2].trim();
-
-    // Default node shadow: dslToDot() default is already "medium"
-    if (key === "default node shadow") {
-      const v = value.trim().toLowerCase();
-      if (!v || v === "medium") return ""; // redundant
-      return rawLine;
-    }
-
-    // Default link width/style/colour: only remove when it matches Graphviz defaults.
-    if (key === "default link width") {
-      const n = parseLeadingNumber(value);
-      if (Number.isFinite(n) && Math.round(n) === 1) return "";
-      return rawLine;
-    }
-    if (key === "default link style") {
-      const v = value.trim().toLowerCase();
-      if (!v || v === "solid") return "";
-      return rawLine;
-    }
-    if (key === "default link colour" || key === "default link color") {
-      const vCmp = normalizeColourForCompare(value);
-      if (vCmp && vCmp === normalizeColourForCompare("black")) return "";
-      return rawLine;
-    }
-
-    return rawLine;
-  };
-
-  // ----- Node defaults for redundancy checks
-  const defNodeFillCmp = s.defaultBoxColour ? normalizeColourForCompare(s.defaultBoxColour) : "";
-  const defNodeBorder = s.defaultBoxBorder ? parseBorderRaw(String(s.defaultBoxBorder)) : {};
-  const defNodeBorderW = Number.isFinite(Number(defNodeBorder.penwidth)) ? Math.round(Number(defNodeBorder.penwidth)) : null;
-  const defNodeBorderStyle = defNodeBorder.style ? String(defNodeBorder.style).trim().toLowerCase() : null;
-  const defNodeBorderColorCmp = defNodeBorder.colorRaw ? normalizeColourForCompare(defNodeBorder.colorRaw) : "";
-  const defNodeRounded = String(s.defaultBoxShape || "").trim().toLowerCase() === "rounded";
-
-  // ----- Cluster defaults for redundancy checks (from dslToDot's emitCluster())
-  const defClusterBorderW = 1;
-  const defClusterBorderStyle = "solid";
-  const defClusterBorderColorCmp = normalizeColourForCompare("#cccccc");
-  const defClusterTextColorCmp = normalizeColourForCompare(s.defaultBoxTextColour || "black");
-
-  // First, drop safe redundant settings lines (but keep blank/comment formatting stable).
-  let changed = false;
-  for (let i = 0; i < lines.length; i++) {
-    const next = dropSettingLineIfRedundant(lines[i]);
-    if (next !== lines[i]) {
-      lines[i] = next;
-      changed = true;
-    }
-  }
-
-  // Normalize edge borders (reuse the existing routine over the current text).
-  const afterSettings = lines.join("\n");
-  const edgeNormalized = normalizeDslRemoveRedundantEdgeBorders(afterSettings, settings);
-  if (edgeNormalized !== afterSettings) {
-    changed = true;
-    lines.splice(0, lines.length, ...edgeNormalized.split(/\r?\n/));
-  }
-
-  // Normalize nodes and clusters in-place, preserving unknown attrs verbatim.
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-    const { code, comment } = stripCommentKeepSuffix(String(raw || ""));
-    const trimmed = String(code || "").trim();
-    if (!trimmed) continue;
-    if (trimmed.startsWith("#")) continue;
-
-    // Edge line: remove redundant edge label attrs (label style/size) while preserving meaning.
-    // (Border redundancy is handled earlier; this is for kv-only attrs.)
-    if (trimmed.includes("->") && !trimmed.includes("::")) {
-      const parsed = parseEdgeLine(lines, i + 1);
-      if (parsed) {
-        const keptKv = parsed.keptKv && typeof parsed.keptKv === "object" ? { ...parsed.keptKv } : {};
-
-        const ls = String(keptKv["label style"] || keptKv.labelstyle || "").trim().toLowerCase();
-        if (ls === "normal" || ls === "plain") {
-          delete keptKv["label style"];
-          delete keptKv.labelstyle;
-          changed = true;
-        }
-
-        const lszRaw = keptKv["label size"] || keptKv.labelsize || "";
-        const lsz = parseLeadingNumber(lszRaw);
-        if (Number.isFinite(lsz) && Math.round(lsz) === 12) {
-          delete keptKv["label size"];
-          delete keptKv.labelsize;
-          changed = true;
-        }
-
-        const inner = buildEdgeBracketInner({
-          label: parsed.label,
-          border: parsed.border,
-          keptKv,
-          keptLoose: parsed.keptLoose,
-        });
-        const bracket = inner ? ` [${inner}]` : "";
-        const c = comment ? ` ${comment.trim()}` : "";
-        const nextLine = `${String(parsed.before || "").trimEnd()}${bracket}${c}`.trimEnd();
-        if (nextLine !== raw) {
-          lines[i] = nextLine;
-          changed = true;
-        }
-      }
-      continue;
-    }
-
-    // Node line: "A:: Label [attrs]"
-    const nodeMatch = trimmed.match(/^(\S+)\s*::\s*(.+)$/);
-    if (nodeMatch) {
-      const idToken = nodeMatch[1].trim();
-      const after = code.split("::").slice(1).join("::");
-      const { before: labelPart, inner: styleInner } = parseTrailingBracket(after);
-      const inner = String(styleInner || "").trim();
-      if (!inner) continue;
-
-      const parts = inner.split("|").map((p) => p.trim()).filter(Boolean);
-      const kept = [];
-
-      for (const p of parts) {
-        const eq = p.indexOf("=");
-        if (eq < 0) {
-          kept.push(p);
-          continue;
-        }
-        const k = p.slice(0, eq).trim().toLowerCase();
-        const v = p.slice(eq + 1).trim();
-
-        // Node fill: redundant only if global default node fill is set and matches.
-        if (k === "colour" || k === "color" || k === "background") {
-          const vCmp = normalizeColourForCompare(v);
-          if (defNodeFillCmp && vCmp && vCmp === defNodeFillCmp) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        // Node border: redundant only if global default node border is set and matches.
-        if (k === "border") {
-          if (s.defaultBoxBorder) {
-            const b = parseBorderRaw(v);
-            const bw = Number.isFinite(Number(b.penwidth)) ? Math.round(Number(b.penwidth)) : null;
-            const bs = b.style ? String(b.style).trim().toLowerCase() : null;
-            const bc = b.colorRaw ? normalizeColourForCompare(b.colorRaw) : "";
-            const same = bw === defNodeBorderW && bs === defNodeBorderStyle && bc === defNodeBorderColorCmp;
-            if (same) {
-              changed = true;
-              continue;
-            }
-          }
-          kept.push(p);
-          continue;
-        }
-
-        // Node rounded: redundant only if global default node shape is rounded.
-        if (k === "shape") {
-          const vv = v.trim().toLowerCase();
-          if (vv === "rounded" && defNodeRounded) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        // Node text size: drop if it's effectively 1 (no-op).
-        if (k === "text size" || k === "textscale" || k === "text scale") {
-          const scale = parseRelativeScale(v);
-          if (Number.isFinite(scale) && Math.abs(scale - 1) < 1e-9) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        kept.push(p);
-      }
-
-      const nextInner = kept.join(" | ").trim();
-      const bracket = nextInner ? ` [${nextInner}]` : "";
-      const c = comment ? ` ${comment.trim()}` : "";
-      const nextLine = `${idToken}:: ${String(labelPart || "").trim()}${bracket}${c}`.trimEnd();
-      if (nextLine !== raw) {
-        lines[i] = nextLine;
-        changed = true;
-      }
-      continue;
-    }
-
-    // Cluster line: "--Label [attrs]" (syntactic only; safe to normalize styleInner if present)
-    const cl = parseClusterDefLineAt(lines, i);
-    if (cl && cl.styleInner) {
-      const parts = String(cl.styleInner || "")
-        .split("|")
-        .map((p) => p.trim())
-        .filter(Boolean);
-      const kept = [];
-      for (const p of parts) {
-        const eq = p.indexOf("=");
-        if (eq < 0) {
-          kept.push(p);
-          continue;
-        }
-        const k = p.slice(0, eq).trim().toLowerCase();
-        const v = p.slice(eq + 1).trim();
-
-        // Cluster border: redundant if it matches the built-in default cluster border (rounded + #cccccc).
-        if (k === "border") {
-          const b = parseBorderRaw(v);
-          const bw = Number.isFinite(Number(b.penwidth)) ? Math.round(Number(b.penwidth)) : null;
-          const bs = b.style ? String(b.style).trim().toLowerCase() : null;
-          const bc = b.colorRaw ? normalizeColourForCompare(b.colorRaw) : "";
-          const same = bw === defClusterBorderW && bs === defClusterBorderStyle && bc === defClusterBorderColorCmp;
-          if (same) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        // Cluster title text colour: redundant if it matches the effective default.
-        if (k === "text colour" || k === "text color" || k === "textcolour" || k === "textcolor") {
-          const vCmp = normalizeColourForCompare(v);
-          if (vCmp && vCmp === defClusterTextColorCmp) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        // Cluster title text size: drop if effectively 1 (no-op).
-        if (k === "text size" || k === "textscale" || k === "text scale") {
-          const scale = parseRelativeScale(v);
-          if (Number.isFinite(scale) && Math.abs(scale - 1) < 1e-9) {
-            changed = true;
-            continue;
-          }
-          kept.push(p);
-          continue;
-        }
-
-        kept.push(p);
-      }
+  const shape = normalizeNodeShape(lastVizSettings?.defaultBoxShape) || "box";
 
-      const nextInner = kept.join(" | ").trim();
-      if (nextInner !== cl.styleInner) {
-        setClusterDefLineAt(lines, cl.idx, { dashes: cl.dashes, alias: cl.alias, label: cl.label, styleInner: nextInner, comment: cl.comment });
-        changed = true;
-      }
-      continue;
-    }
-  }
-
-  // Tidy: remove blank lines that we may have created by dropping setting lines (keep it conservative).
-  // Only collapse runs of >2 blank lines to 2.
-  const out = [];
-  let blankRun = 0;
-  for (const l of lines) {
-    const isBlank = String(l || "").trim() === "";
-    if (isBlank) blankRun++;
-    else blankRun = 0;
-    if (blankRun > 2) {
-      changed = true;
-      continue;
-    }
-    out.push(l);
-  }
-
-  return changed ? out.join("\n").trimEnd() : text;
+  return { fillHex, borderUi, shape, hasFillDefault: Boolean(lastVizSettings?.defaultBoxColour), hasBorderDefault: Boolean(borderText) };
 }
 
 function styleInnerToNodeUi(styleInner) {
@@ -4032,12 +3656,12 @@ function styleInnerToNodeUi(styleInner) {
   const borderRaw = kv.border ? String(kv.border) : "";
   const borderUi = borderRaw ? borderTextToUi(borderRaw) : null;
 
-  const rounded = String(kv.shape || "").trim().toLowerCase() === "rounded";
+  const shape = normalizeNodeShape(kv.shape);
 
   const textScaleRaw = kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale || "";
   const textSizeScale = parseRelativeScale(textScaleRaw);
 
-  return { fillHex, borderUi, rounded, textSizeScale: Number.isFinite(textSizeScale) ? textSizeScale : null };
+  return { fillHex, borderUi, shape, textSizeScale: Number.isFinite(textSizeScale) ? textSizeScale : null };
 }
 
 function styleInnerToClusterUi(styleInner) {
@@ -4068,7 +3692,7 @@ function styleInnerToClusterUi(styleInner) {
   };
 }
 
-function upsertNodeStyleInner(existingInner, { fillHex, borderText, rounded, textSizeScale }) {
+function upsertNodeStyleInner(existingInner, { fillHex, borderText, shape, textSizeScale }) {
   // Update/replace only the keys we manage; preserve any other attrs/loose tokens.
   const parts = String(existingInner || "")
     .split("|")
@@ -4121,10 +3745,10 @@ function upsertNodeStyleInner(existingInner, { fillHex, borderText, rounded, tex
   const out = [];
   if (fillHex) {
     const rgb = hexToRgb(fillHex);
-    if (rgb) out.push(`colour=rgb(${rgb.r},${rgb.g},${rgb.b})`);
+    if (rgb) out.push(`colour=${rgbToHex(rgb)}`);
   }
   if (borderText) out.push(`border=${borderText}`);
-  if (rounded) out.push("shape=rounded");
+  if (normalizeNodeShape(shape)) out.push(`shape=${normalizeNodeShape(shape)}`);
   if (Number.isFinite(Number(textSizeScale)) && Number(textSizeScale) > 0) {
     const s = Math.round(Number(textSizeScale) * 100) / 100;
     if (s !== 1) out.push(`text size=${String(s)}`);
@@ -4161,14 +3785,14 @@ function upsertClusterStyleInner(existingInner, { fillHex, borderText, textColou
 
   if (fillHex) {
     const rgb = hexToRgb(fillHex);
-    if (rgb) out.push(`colour=rgb(${rgb.r},${rgb.g},${rgb.b})`);
+    if (rgb) out.push(`colour=${rgbToHex(rgb)}`);
   }
 
   if (borderText) out.push(`border=${borderText}`);
 
   if (textColourHex) {
     const rgb = hexToRgb(textColourHex);
-    if (rgb) out.push(`text colour=rgb(${rgb.r},${rgb.g},${rgb.b})`);
+    if (rgb) out.push(`text colour=${rgbToHex(rgb)}`);
   }
 
   if (Number.isFinite(Number(textSizeScale)) && Number(textSizeScale) > 0) {
@@ -4204,7 +3828,7 @@ function upsertTitleStyleInner(existingInner, { textColourHex, textSizePt }) {
 
   if (textColourHex) {
     const rgb = hexToRgb(textColourHex);
-    if (rgb) out.push(`text colour=rgb(${rgb.r},${rgb.g},${rgb.b})`);
+    if (rgb) out.push(`text colour=${rgbToHex(rgb)}`);
   }
 
   if (Number.isFinite(Number(textSizePt)) && Number(textSizePt) > 0) {
@@ -4215,1493 +3839,22 @@ function upsertTitleStyleInner(existingInner, { textColourHex, textSizePt }) {
   return out.join(" | ");
 }
 
-function parseBracketAttrs(text) {
-  // Node form: [colour=red | border=1px solid blue]
-  // Edge form: [some edgelabel | 1px solid]
-  const raw = text.trim();
-  const inner = raw.startsWith("[") && raw.endsWith("]") ? raw.slice(1, -1) : raw;
-  const parts = inner.split("|").map((p) => p.trim()).filter(Boolean);
-
-  const kv = {};
-  const loose = [];
-
-  for (const p of parts) {
-    const eq = p.indexOf("=");
-    if (eq >= 0) {
-      const k = p.slice(0, eq).trim().toLowerCase();
-      const v = p.slice(eq + 1).trim();
-      kv[k] = v;
-    } else {
-      loose.push(p);
-    }
-  }
+// -----------------------------
+// Viz interactivity (click nodes/edges → edit modal)
+// -----------------------------
 
-  return { kv, loose };
+function clearVizSelection() {
+  document.querySelectorAll("#tm-viz .tm-viz-selected").forEach((el) => el.classList.remove("tm-viz-selected"));
 }
 
-function toDotAttrs(attrs) {
-  const pairs = Object.entries(attrs)
-    .filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "")
-    // NOTE: don't escape backslashes here; Graphviz uses sequences like "\n" inside quoted labels.
-    .map(([k, v]) => {
-      let s = String(v);
-      const kk = String(k).trim().toLowerCase();
-      if (kk === "label" || kk === "xlabel" || kk === "headlabel" || kk === "taillabel") {
-        const manual = dotLabelWithManualBreaks(s);
-        if (manual != null) s = manual;
-      }
-      return `${k}="${s.replaceAll('"', '\\"')}"`;
-    });
-  return pairs.length ? ` [${pairs.join(", ")}]` : "";
+function getClosestGraphvizGroup(target, cls) {
+  // Graphviz SVG uses <g class="node"> and <g class="edge"> groups.
+  return target?.closest?.(`g.${cls}`) || null;
 }
 
-function addStyle(attrs, styleToken) {
-  if (!styleToken) return;
-  const token = String(styleToken).trim();
-  if (!token) return;
-  const existing = String(attrs.style || "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  if (!existing.includes(token)) existing.push(token);
-  attrs.style = existing.join(",");
-}
-
-function dotLabelWithManualBreaks(rawLabel) {
-  // Purpose: allow explicit line breaks inside labels using "///".
-  // If present, this overrides the default wrap behavior for that one label.
-  const s = String(rawLabel ?? "");
-  if (!s.includes("///")) return null;
-  return s
-    .split("///")
-    .map((p) => String(p).trim())
-    .join("\\n");
-}
-
-function wrapLabelToDot(label, maxChars) {
-  const manual = dotLabelWithManualBreaks(label);
-  if (manual != null) return manual;
-
-  const n = Number(maxChars);
-  if (!Number.isFinite(n) || n <= 0) return label;
-  const words = String(label).split(/\s+/).filter(Boolean);
-  if (!words.length) return label;
-
-  const lines = [];
-  let cur = "";
-  for (const w of words) {
-    const next = cur ? `${cur} ${w}` : w;
-    if (next.length <= n) {
-      cur = next;
-    } else {
-      if (cur) lines.push(cur);
-      cur = w;
-    }
-  }
-  if (cur) lines.push(cur);
-  return lines.join("\\n");
-}
-
-function normalizeDirection(value) {
-  const v = String(value || "").trim().toLowerCase();
-  if (!v) return null;
-  if (v === "tb" || v === "top-bottom" || v === "top to bottom") return "TB";
-  if (v === "bt" || v === "bottom-top" || v === "bottom to top") return "BT";
-  if (v === "lr" || v === "left-right" || v === "left to right") return "LR";
-  if (v === "rl" || v === "right-left" || v === "right to left") return "RL";
-  return null;
-}
-
-function normalizeTitlePosition(value) {
-  // MapScript values accepted (case-insensitive):
-  // - top left|centre|center|right
-  // - bottom left|centre|center|right
-  // - also accept hyphen/underscore forms (e.g. "bottom-left")
-  // - single word shortcuts: left|centre|center|right map to bottom-*
-  const raw = String(value ?? "").trim().toLowerCase();
-  if (!raw) return null;
-
-  const compact = raw.replace(/[\s_-]+/g, "");
-  const mapCompact = new Map([
-    ["topleft", "top-left"],
-    ["topcenter", "top-centre"],
-    ["topcentre", "top-centre"],
-    ["topright", "top-right"],
-    ["bottomleft", "bottom-left"],
-    ["bottomcenter", "bottom-centre"],
-    ["bottomcentre", "bottom-centre"],
-    ["bottomright", "bottom-right"],
-    ["left", "bottom-left"],
-    ["center", "bottom-centre"],
-    ["centre", "bottom-centre"],
-    ["right", "bottom-right"],
-    ["top", "top-centre"],
-    ["bottom", "bottom-centre"],
-  ]);
-  const hit = mapCompact.get(compact);
-  return hit || null;
-}
-
-function titlePositionToGraphvizAttrs(titlePosition) {
-  // Default: bottom-left (preferred)
-  const p = normalizeTitlePosition(titlePosition) || "bottom-left";
-  const loc = p.startsWith("top") ? "t" : "b";
-  const just = p.endsWith("left") ? "l" : p.endsWith("right") ? "r" : "c";
-  return { labelloc: loc, labeljust: just };
-}
-
-function parseLeadingNumber(value) {
-  const m = String(value || "").trim().match(/^-?\d+(\.\d+)?/);
-  return m ? Number(m[0]) : null;
-}
-
-function parseRelativeScale(value) {
-  // Parse a "relative size" multiplier like:
-  // - "1.2" (20% bigger)
-  // - "80%" (20% smaller)
-  const raw = String(value ?? "").trim();
-  if (!raw) return null;
-  if (raw.endsWith("%")) {
-    const n = Number(raw.slice(0, -1));
-    if (!Number.isFinite(n) || n <= 0) return null;
-    return n / 100;
-  }
-  const n = Number(raw);
-  if (!Number.isFinite(n) || n <= 0) return null;
-  return n;
-}
-
-function fontNameWithStyle(baseFont, styleText) {
-  // Minimal mapping: Graphviz doesn't have separate "font-weight"/"font-style" attrs,
-  // so we use fontname variants when possible.
-  const base = String(baseFont || "").trim() || "Arial";
-  const raw = String(styleText || "").trim().toLowerCase();
-  if (!raw || raw === "normal" || raw === "plain") return base;
-  const wantsBold = raw.includes("bold");
-  const wantsItalic = raw.includes("italic");
-  if (wantsBold && wantsItalic) return `${base} Bold Italic`;
-  if (wantsBold) return `${base} Bold`;
-  if (wantsItalic) return `${base} Italic`;
-  return base;
-}
-
-function dslToDot(dslText) {
-  const errors = [];
-  const BASE_NODE_FONT_SIZE = 14; // Graphviz-ish default; used only when user sets a relative node text size
-  const BASE_CLUSTER_FONT_SIZE = 14; // used only when user sets a relative cluster title text size
-  const settings = {
-    title: null,
-    titleStyleInner: "", // optional attrs stored on the Title: line as "[text colour=... | text size=...]"
-    description: null,
-    background: null,
-    textColour: null,
-    defaultNodeTextColour: null,
-    defaultBoxTextColour: null,
-    titlePosition: null,
-    defaultBoxColour: null,
-    defaultBoxShape: null,
-    defaultBoxBorder: null,
-    // Default node shadow (used for rendered SVG via CSS filter drop-shadow()).
-    defaultBoxShadow: "medium",
-    defaultLinkColour: null,
-    defaultLinkStyle: null,
-    defaultLinkWidth: null,
-    direction: null,
-    labelWrap: null,
-    spacingAlong: null,
-    spacingAcross: null,
-  };
-
-  const nodes = new Map(); // id -> { label, attrs }
-  const autoLabelNodes = new Map(); // id -> label (from edges)
-  const rawEdges = []; // { fromToken, toToken, attrs, srcLineNo }
-  const rankConstraints = []; // { kind: "same"|"min"|"max"|"source"|"sink"|number, tokens: string[], srcLineNo }
-  const clusters = []; // { id, alias, label, depth, styleInner, srcLineNo, nodeIds: [], children: [], anchorId }
-  const clusterStack = []; // stack of clusters (nested)
-  const clusterByAlias = new Map(); // alias -> cluster
-  const explicitNodeIds = new Set(); // ids defined via "ID:: Label" (used to detect alias collisions)
-
-  function clusterFirstNodeId(c) {
-    // Purpose: pick a stable "attachment node" inside a cluster so group->* edges don't need a synthetic anchor.
-    // Preference: first direct node; else first descendant node; else "".
-    if (!c) return "";
-    const direct = Array.isArray(c.nodeIds) ? c.nodeIds.find(Boolean) : "";
-    if (direct) return direct;
-    const kids = Array.isArray(c.children) ? c.children : [];
-    for (const child of kids) {
-      const got = clusterFirstNodeId(child);
-      if (got) return got;
-    }
-    return "";
-  }
-
-  function ensureNode(token) {
-    const raw = token.trim();
-    if (!raw) return null;
-
-    const isSimpleId = /^[A-Za-z]\w*$/.test(raw);
-    const id = isSimpleId ? raw : slugId(raw);
-
-    if (!nodes.has(id)) {
-      const label = isSimpleId ? raw : raw;
-      nodes.set(id, { label, attrs: {} });
-    }
-
-    // If token is a free label and we previously created an auto node, keep its label.
-    if (!isSimpleId) {
-      autoLabelNodes.set(id, raw);
-      const n = nodes.get(id);
-      n.label = raw;
-    }
-
-    return id;
-  }
-
-  function applyDefaults(nodeAttrs) {
-    // Defaults are interpreted in DOT terms:
-    // - default node colour -> fillcolor + filled
-    // - default node border -> color/style/penwidth
-    if (settings.defaultBoxColour) {
-      if (!nodeAttrs.fillcolor) nodeAttrs.fillcolor = settings.defaultBoxColour;
-      addStyle(nodeAttrs, "filled");
-    }
-    if (settings.defaultBoxShape) {
-      if (settings.defaultBoxShape === "rounded") addStyle(nodeAttrs, "rounded");
-    }
-    if (settings.defaultBoxBorder) {
-      const b = parseBorder(settings.defaultBoxBorder);
-      if (b.color && !nodeAttrs.color) nodeAttrs.color = b.color;
-      if (b.style) addStyle(nodeAttrs, b.style);
-      if (b.penwidth && !nodeAttrs.penwidth) nodeAttrs.penwidth = b.penwidth;
-    }
-  }
-
-  const lines = dslText.split(/\r?\n/);
-  let inLinksSection = false; // once true, groups are implicitly closed (no nodes are assigned to groups after this point)
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-    const line = stripComment(raw);
-    if (!line) continue;
-
-    // Groups are always implicitly closed before the links section.
-    // We treat the links section as explicit: a "## Links" heading (recommended style).
-    // Links can appear anywhere; they don't affect box membership.
-    if (/^##\s*links\b/i.test(line)) {
-      inLinksSection = true;
-      clusterStack.length = 0;
-      continue;
-    }
-
-    // Rank constraints:
-    // - rank=same: A | B | C
-    // - rank=min:  A | B
-    // - rank=0:    A | B
-    //
-    // Notes:
-    // - Tokens can be node IDs, free-label tokens (will be slugged), or group aliases (resolved later).
-    // - We only parse and store here; we resolve to actual node ids after full parse.
-    const rankMatch = line.match(/^rank\s*=\s*([^:]+)\s*:\s*(.+)$/i);
-    if (rankMatch) {
-      const kindRaw = String(rankMatch[1] || "").trim().toLowerCase();
-      const rhs = String(rankMatch[2] || "").trim();
-      const tokens = rhs
-        .split("|")
-        .map((t) => String(t || "").trim())
-        .filter(Boolean);
-
-      if (!tokens.length) {
-        errors.push(`Line ${i + 1}: rank constraint has no nodes (expected: rank=...: A | B | C)`);
-        continue;
-      }
-
-      const isGraphvizRankKeyword = ["same", "min", "max", "source", "sink"].includes(kindRaw);
-      const isInt = /^-?\d+$/.test(kindRaw);
-      if (!isGraphvizRankKeyword && !isInt) {
-        errors.push(`Line ${i + 1}: invalid rank kind "${kindRaw}" (use same|min|max|source|sink or an integer like 0)`);
-        continue;
-      }
-
-      rankConstraints.push({
-        kind: isInt ? Number(kindRaw) : kindRaw,
-        tokens,
-        srcLineNo: i + 1,
-      });
-      continue;
-    }
-
-    // Grouping box line:
-    // - "--Label" opens a level-1 cluster
-    // - "----Label" opens a level-2 cluster (nested)
-    // - "----" closes the current level-2 cluster (if any)
-    // - "--" closes the current level-1 cluster (and anything nested)
-    //
-    // Rule: the number of leading '-' determines nesting depth (2 = level 1, 4 = level 2, etc).
-    const clusterMatch = line.match(/^(-{2,})(.*)$/);
-    if (clusterMatch) {
-      if (inLinksSection) continue; // boxes are closed/ignored in the links section
-      const dashes = clusterMatch[1];
-      let rest = (clusterMatch[2] || "").trim();
-      const depth = dashes.length;
-
-      if (depth % 2 !== 0) {
-        errors.push(`Line ${i + 1}: grouping box marker must use an even number of '-' (e.g. -- or ----)`);
-        continue;
-      }
-
-      // Optional cluster attrs: "--Label [colour=... | border=... | text colour=... | text size=...]"
-      let bracket = null;
-      const bracketStart = rest.lastIndexOf("[");
-      if (bracketStart >= 0 && rest.endsWith("]")) {
-        bracket = rest.slice(bracketStart);
-        rest = rest.slice(0, bracketStart).trim();
-      }
-
-      // Closing marker is *only* "--" / "----" with no label and no bracket.
-      // Untitled opener must be explicit ("--[]"/"--[...]" etc).
-      if (!rest && !bracket) {
-        while (clusterStack.length && clusterStack[clusterStack.length - 1].depth >= depth) {
-          clusterStack.pop();
-        }
-        continue;
-      }
-
-      // Opening marker: ensure stack is aligned to parent level (depth-2)
-      const parentDepth = depth - 2;
-      while (clusterStack.length && clusterStack[clusterStack.length - 1].depth > parentDepth) {
-        clusterStack.pop();
-      }
-
-    const { alias, title } = parseClusterAliasTitle(rest);
-    if (alias) {
-      if (clusterByAlias.has(alias)) {
-        errors.push(`Line ${i + 1}: group alias "${alias}" is already used by another group`);
-      }
-      if (explicitNodeIds.has(alias) || nodes.has(alias)) {
-        errors.push(`Line ${i + 1}: group alias "${alias}" conflicts with an existing node id; please rename one of them`);
-      }
-    }
-
-      const c = {
-        id: `cluster_${clusters.length}`,
-      alias,
-      label: title,
-        depth,
-        styleInner: bracket ? bracket.slice(1, -1).trim() : "",
-        srcLineNo: i + 1,
-        nodeIds: [],
-        children: [],
-      anchorId: alias ? `__cluster_anchor_${alias}` : "",
-      };
-
-      const parent = clusterStack[clusterStack.length - 1] || null;
-      if (parent) parent.children.push(c);
-      clusters.push(c);
-    if (alias && !clusterByAlias.has(alias)) clusterByAlias.set(alias, c);
-      clusterStack.push(c);
-      continue;
-    }
-
-    // Settings line: "Key: Value"
-    const settingMatch = line.match(/^([^:]+):\s*(.+)$/);
-    if (settingMatch && !line.includes("->") && !line.includes("::")) {
-      const key = settingMatch[1].trim().toLowerCase();
-      const value = settingMatch[2].trim();
-      if (key === "title") {
-        const { before, inner } = parseTrailingBracket(value);
-        settings.title = String(before || "").trim();
-        settings.titleStyleInner = String(inner || "").trim();
-      }
-      else if (key === "description") settings.description = value;
-      else if (key === "background") settings.background = normalizeColor(value);
-      else if (key === "text colour" || key === "text color") settings.textColour = normalizeColor(value);
-      else if (key === "default node text colour" || key === "default node text color") settings.defaultNodeTextColour = normalizeColor(value);
-      else if (key === "default group text colour" || key === "default group text color") settings.defaultBoxTextColour = normalizeColor(value);
-      else if (key === "title size") settings.titleSize = parseLeadingNumber(value);
-      else if (key === "title position") settings.titlePosition = normalizeTitlePosition(value);
-      else if (key === "default node colour" || key === "default node color") settings.defaultBoxColour = normalizeColor(value);
-      else if (key === "default node shape") settings.defaultBoxShape = value.trim().toLowerCase();
-      else if (key === "default node border") settings.defaultBoxBorder = value;
-      else if (key === "default link colour" || key === "default link color") settings.defaultLinkColour = normalizeColor(value);
-      else if (key === "default link style") settings.defaultLinkStyle = value.trim().toLowerCase();
-      else if (key === "default link width") settings.defaultLinkWidth = parseLeadingNumber(value);
-      else if (key === "default node shadow") settings.defaultBoxShadow = value;
-      else if (key === "direction") settings.direction = normalizeDirection(value);
-      else if (key === "label wrap") settings.labelWrap = parseLeadingNumber(value);
-      else if (key === "spacing along") settings.spacingAlong = parseLeadingNumber(value);
-      else if (key === "spacing across") settings.spacingAcross = parseLeadingNumber(value);
-      continue;
-    }
-
-    // Node line: "A:: Label [attrs]"
-    const nodeMatch = line.match(/^(\S+)\s*::\s*(.+)$/);
-    if (nodeMatch) {
-      const idToken = nodeMatch[1].trim();
-      let rest = nodeMatch[2].trim();
-
-      let bracket = null;
-      const bracketStart = rest.lastIndexOf("[");
-      if (bracketStart >= 0 && rest.endsWith("]")) {
-        bracket = rest.slice(bracketStart);
-        rest = rest.slice(0, bracketStart).trim();
-      }
-
-      const id = ensureNode(idToken);
-      if (!id) {
-        errors.push(`Line ${i + 1}: could not parse node id`);
-        continue;
-      }
-      explicitNodeIds.add(id);
-      if (clusterByAlias.has(id)) {
-        errors.push(`Line ${i + 1}: node id "${id}" conflicts with an existing group alias; please rename one of them`);
-      }
-
-      const n = nodes.get(id);
-      n.label = rest || n.label || id;
-
-      // Parse node attrs
-      const attrs = {};
-      applyDefaults(attrs);
-
-      if (bracket) {
-        const { kv } = parseBracketAttrs(bracket);
-        // Flexible parsing: accept "colour"/"color" and "border"
-        if (kv.colour || kv.color) {
-          attrs.fillcolor = normalizeColor(kv.colour || kv.color);
-          addStyle(attrs, "filled");
-        }
-        if (kv.background) {
-          attrs.fillcolor = normalizeColor(kv.background);
-          addStyle(attrs, "filled");
-        }
-        if (kv.shape && String(kv.shape).trim().toLowerCase() === "rounded") {
-          addStyle(attrs, "rounded");
-        }
-        if (kv.border) {
-          const b = parseBorder(kv.border);
-          if (b.color) attrs.color = b.color;
-          if (b.penwidth) attrs.penwidth = b.penwidth;
-          if (b.style) addStyle(attrs, b.style);
-        }
-
-        // Relative node text sizing (multiplier vs default)
-        // Example: A:: Label [text size=1.2] or [text size=80%]
-        const textSizeScale = parseRelativeScale(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
-        if (Number.isFinite(textSizeScale) && textSizeScale > 0) {
-          attrs.fontsize = (BASE_NODE_FONT_SIZE * textSizeScale).toFixed(1);
-        }
-      }
-
-      n.attrs = { ...n.attrs, ...attrs };
-
-      const currentCluster = clusterStack[clusterStack.length - 1] || null;
-      if (currentCluster) currentCluster.nodeIds.push(id);
-      continue;
-    }
-
-    // Edge line: "A -> B | C [edgeLabel | 1px solid]"
-    const edgeMatch = line.match(/^(.+?)\s*->\s*(.+)$/);
-    if (edgeMatch) {
-      let left = edgeMatch[1].trim();
-      let right = edgeMatch[2].trim();
-
-      let bracket = null;
-      const bracketStart = right.lastIndexOf("[");
-      if (bracketStart >= 0 && right.endsWith("]")) {
-        bracket = right.slice(bracketStart);
-        right = right.slice(0, bracketStart).trim();
-      }
-
-      // Autocorrect: allow "A→B" pasted, normalize arrows in left/right
-      left = left.replaceAll("→", "").trim();
-      right = right.replaceAll("→", "").trim();
-
-      // Cross product: "A | Q -> B | C" means A->B, A->C, Q->B, Q->C
-      const sources = left
-        .split("|")
-        .map((t) => t.trim())
-        .filter(Boolean);
-
-      if (!sources.length) {
-        errors.push(`Line ${i + 1}: edge has no sources`);
-        continue;
-      }
-
-      // Right side can be "B | C"
-      const targets = right
-        .split("|")
-        .map((t) => t.trim())
-        .filter(Boolean);
-
-      if (!targets.length) {
-        errors.push(`Line ${i + 1}: edge has no targets`);
-        continue;
-      }
-
-      const edgeAttrs = {};
-      if (bracket) {
-        const { kv, loose } = parseBracketAttrs(bracket);
-        // Flexible edge parsing:
-        // - label: either "label=..." or first loose part
-        // - border: either "border=..." or second loose part
-        //
-        // New (key/value only, to avoid ambiguity):
-        // - label style: "label style=italic|bold|bold italic|normal"
-        // - label size: "label size=10" (Graphviz points-ish)
-
-        const labelFromKv = kv.label ? String(kv.label) : "";
-        const borderFromKv = kv.border ? String(kv.border) : "";
-        const labelStyleFromKv = kv["label style"] || kv.labelstyle || "";
-        const labelSizeFromKv = kv["label size"] || kv.labelsize || "";
-
-        // Label/border (prefer explicit keys)
-        if (labelFromKv) edgeAttrs.label = labelFromKv;
-
-        // Border from explicit key: allow full or partial, just like loose tokens.
-        if (borderFromKv) {
-          const b = parseEdgeBorderLoosePart(borderFromKv);
-          if (b.color) edgeAttrs.color = b.color;
-          if (b.penwidth) edgeAttrs.penwidth = b.penwidth;
-          if (b.style) addStyle(edgeAttrs, b.style);
-        }
-
-        // Loose tokens (split by "|") are now more flexible:
-        // - first token is a label ONLY if it doesn't look like a style token (colour/width/style)
-        // - any remaining tokens are treated as style fragments (can be partial: colour-only, width-only, etc)
-        const looseTokens = Array.isArray(loose) ? loose.map((x) => String(x || "").trim()).filter(Boolean) : [];
-        if (!labelFromKv && looseTokens.length) {
-          if (!looksLikeEdgeStyleToken(looseTokens[0])) {
-            edgeAttrs.label = looseTokens[0];
-            looseTokens.shift();
-          }
-        }
-        if (!borderFromKv && looseTokens.length) {
-          for (const tok of looseTokens) {
-            const b = parseEdgeBorderLoosePart(tok);
-            if (b.color) edgeAttrs.color = b.color;
-            if (b.penwidth) edgeAttrs.penwidth = b.penwidth;
-            if (b.style) addStyle(edgeAttrs, b.style);
-          }
-        }
-
-        // Link label styling
-        if (labelStyleFromKv) edgeAttrs.fontname = fontNameWithStyle("Arial", labelStyleFromKv);
-        const sz = parseLeadingNumber(labelSizeFromKv);
-        if (Number.isFinite(sz) && sz > 0) edgeAttrs.fontsize = sz;
-
-      }
-
-      for (const s of sources) {
-        for (const t of targets) {
-          // IMPORTANT: clone attrs so per-edge ids or later changes don't mutate other edges from the same line.
-          rawEdges.push({ fromToken: s, toToken: t, attrs: { ...edgeAttrs }, srcLineNo: i + 1 });
-        }
-      }
-
-      continue;
-    }
-
-    errors.push(`Line ${i + 1}: unrecognised syntax: ${raw}`);
-  }
-
-  // -----------------------------
-  // Resolve rank constraints *before* emitting nodes/clusters, but *emit* them later.
-  //
-  // IMPORTANT (Graphviz quirk):
-  // A node can only "live" in one subgraph for clustering purposes. If we emit a rank subgraph that
-  // mentions nodes at the top-level, Graphviz can treat that as moving the node OUT of its cluster.
-  // That’s exactly why a group disappears when *all* its nodes are listed in rank=... lines.
-  //
-  // So we:
-  // - resolve tokens to actual node ids here (creating implicit nodes if needed)
-  // - later, emit rank subgraphs INSIDE the same cluster when all nodes are in that cluster
-  // - emit top-level rank subgraphs only for nodes that are not in any cluster
-  // -----------------------------
-  function resolveRankTokenToNodeId(token) {
-    const t = String(token || "").trim();
-    if (!t) return "";
-
-    // Group alias: use the first node inside the cluster, or its invisible anchor if the group is empty.
-    const c = clusterByAlias.get(t) || null;
-    if (c) return clusterFirstNodeId(c) || c.anchorId || "";
-
-    // Regular node id / free-label node
-    return ensureNode(t) || "";
-  }
-
-  const resolvedRankConstraints = []; // { kind, ids, srcLineNo }
-  for (const rc of rankConstraints) {
-    const ids = [];
-    for (const tok of rc.tokens || []) {
-      const id = resolveRankTokenToNodeId(tok);
-      if (id) ids.push(id);
-    }
-    const uniq = Array.from(new Set(ids));
-    if (uniq.length >= 1) resolvedRankConstraints.push({ ...rc, ids: uniq });
-    else errors.push(`Line ${rc.srcLineNo}: rank constraint could not resolve any nodes`);
-  }
-
-  // Map node id -> the cluster id it belongs to (direct membership only; matches emission).
-  const nodeClusterId = new Map();
-  for (const c of clusters) {
-    for (const id of c.nodeIds || []) nodeClusterId.set(id, c.id);
-    if (c.anchorId) nodeClusterId.set(c.anchorId, c.id); // empty-group anchor lives in the cluster
-  }
-
-  // Partition rank constraints by emission scope:
-  // - inside a specific cluster, when ALL nodes are in that cluster
-  // - top-level (null), when ALL nodes are not in any cluster
-  // Anything mixed is rejected (to avoid silently breaking clusters).
-  const rankConstraintsInCluster = new Map(); // clusterId -> rc[]
-  const rankConstraintsTopLevel = []; // rc[]
-  const keptRankConstraints = []; // rc[] that we actually emit (used for numeric ordering edges)
-
-  for (const rc of resolvedRankConstraints) {
-    const scopeSet = new Set(rc.ids.map((id) => nodeClusterId.get(id) || null));
-    if (scopeSet.size === 1) {
-      const only = Array.from(scopeSet)[0];
-      if (only == null) rankConstraintsTopLevel.push(rc);
-      else {
-        if (!rankConstraintsInCluster.has(only)) rankConstraintsInCluster.set(only, []);
-        rankConstraintsInCluster.get(only).push(rc);
-      }
-      keptRankConstraints.push(rc);
-      continue;
-    }
-
-    // Mixed (some nodes in different clusters / mix of clustered + unclustered).
-    errors.push(
-      `Line ${rc.srcLineNo}: rank constraint mixes nodes from different groups (or grouped + ungrouped). ` +
-        `Split it into separate rank lines per group (or use only ungrouped nodes).`
-    );
-  }
-
-  // Build DOT
-  const dot = [];
-  dot.push("digraph G {");
-  // Keep a little breathing room so the graph title doesn't visually "sit inside" an outer cluster box,
-  // especially when the first/top cluster has an empty label.
-  // (Graphviz pad is inches; keep this subtle to avoid layout shifts.)
-  dot.push(
-    `  graph${toDotAttrs({
-      fontname: "Arial",
-      ...(settings.title && clusters.length ? { pad: "0.20" } : {}),
-      ...(clusters.length ? { compound: "true" } : {}),
-    })};`
-  );
-  const nodeDefaults = { fontname: "Arial", shape: "box" };
-  if (settings.defaultNodeTextColour) nodeDefaults.fontcolor = settings.defaultNodeTextColour;
-  dot.push(`  node${toDotAttrs(nodeDefaults)};`);
-  // Edge defaults (links)
-  const edgeDefaults = { fontname: "Arial", fontsize: 12 };
-  if (settings.defaultLinkColour) edgeDefaults.color = settings.defaultLinkColour;
-  if (settings.textColour) edgeDefaults.fontcolor = settings.textColour;
-  if (settings.defaultLinkStyle) {
-    const s = String(settings.defaultLinkStyle || "").trim().toLowerCase();
-    if (["solid", "dotted", "dashed"].includes(s)) addStyle(edgeDefaults, s);
-  }
-  if (Number.isFinite(settings.defaultLinkWidth) && settings.defaultLinkWidth > 0) edgeDefaults.penwidth = Math.round(settings.defaultLinkWidth);
-  dot.push(`  edge${toDotAttrs(edgeDefaults)};`);
-
-  if (settings.background) dot.push(`  bgcolor="${settings.background.replaceAll('"', '\\"')}";`);
-  if (settings.title) {
-    // Title (graph label): slightly larger by default, with a bit of extra space below.
-    // Graphviz doesn't have a simple "margin-bottom for title", so we add a trailing newline.
-    let titleFontColor = settings.textColour || null; // legacy default (also used for edge labels)
-    let titleFontSize = null;
-
-    // Optional title-only styling stored on the Title: line.
-    const titleInner = String(settings.titleStyleInner || "").trim();
-    if (titleInner) {
-      const { kv } = parseBracketAttrs(`[${titleInner}]`);
-      const tc = kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor;
-      if (tc) titleFontColor = normalizeColor(tc);
-      const sz = parseLeadingNumber(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
-      if (Number.isFinite(sz) && sz > 0) titleFontSize = sz;
-    }
-
-    const fsRaw = Number.isFinite(Number(titleFontSize)) ? Number(titleFontSize) : Number(settings.titleSize);
-    const fs = Number.isFinite(fsRaw) && fsRaw > 0 ? fsRaw : 18;
-    const tp = titlePositionToGraphvizAttrs(settings.titlePosition);
-    const fc = titleFontColor ? ` fontcolor="${String(titleFontColor).replaceAll('"', '\\"')}";` : "";
-    const titleDot = dotLabelWithManualBreaks(settings.title) ?? settings.title;
-    dot.push(`  label="${String(titleDot).replaceAll('"', '\\"')}\\n"; labelloc="${tp.labelloc}"; labeljust="${tp.labeljust}"; fontsize="${String(fs)}";${fc}`);
-  }
-  // Always emit a direction so Graphviz layout is consistent even when the user didn't specify Direction: ...
-  // App default is LR (left→right).
-  dot.push(`  rankdir="${settings.direction || "LR"}";`);
-  // Graphviz ranksep/nodesep are in inches; MapScript values are treated as "px-ish", so scale down.
-  if (Number.isFinite(settings.spacingAlong)) dot.push(`  ranksep="${settings.spacingAlong * 0.1}";`);
-  if (Number.isFinite(settings.spacingAcross)) dot.push(`  nodesep="${settings.spacingAcross * 0.1}";`);
-
-  // Emit clusters (nested)
-  const clustered = new Set();
-  // -----------------------------
-  // Node width equalisation within clusters
-  // -----------------------------
-  function makeTextMeasurer() {
-    // Purpose: measure label text width (px) so we can set a consistent DOT min `width` in inches.
-    // NOTE: This is an approximation (browser font metrics vs Graphviz), but good enough for "all same width".
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-    return function measureMaxLinePx(dotLabel, fontPx) {
-      if (!ctx) return 0;
-      const fs = Number(fontPx);
-      if (!(Number.isFinite(fs) && fs > 0)) return 0;
-      ctx.font = `${fs}px Arial`;
-      const lines = String(dotLabel ?? "").split("\\n");
-      let max = 0;
-      for (const line of lines) {
-        const w = ctx.measureText(String(line || "")).width || 0;
-        if (w > max) max = w;
-      }
-      return max;
-    };
-  }
-
-  const measureMaxLinePx = makeTextMeasurer();
-  const PX_PER_INCH = 96;
-  const PT_TO_PX = PX_PER_INCH / 72;
-  const NODE_LABEL_PAD_PX = 28; // small padding so Graphviz doesn't decide the max-label node needs to be wider
-
-  function nodeMinWidthInchesFromLabel(nodeId) {
-    // Purpose: approximate the minimum DOT node width (inches) needed to fit the label.
-    const n = nodes.get(nodeId);
-    if (!n) return 0;
-    const attrs = { ...n.attrs };
-    applyDefaults(attrs);
-    const labelDot = wrapLabelToDot(n.label, settings.labelWrap);
-    const fsPtRaw = Number(attrs.fontsize);
-    const fsPt = Number.isFinite(fsPtRaw) && fsPtRaw > 0 ? fsPtRaw : BASE_NODE_FONT_SIZE;
-    const fsPx = fsPt * PT_TO_PX;
-    const textPx = measureMaxLinePx(labelDot, fsPx);
-    const wPx = textPx + NODE_LABEL_PAD_PX;
-    return wPx > 0 ? wPx / PX_PER_INCH : 0;
-  }
-
-  function clusterDirectMaxNodeWidthInches(c) {
-    // Purpose: get the max required width across nodes that are DIRECT children of this cluster (exclude nested clusters).
-    let max = 0;
-    for (const id of c.nodeIds || []) {
-      const w = nodeMinWidthInchesFromLabel(id);
-      if (w > max) max = w;
-    }
-    return max;
-  }
-
-  function emitCluster(c, indent) {
-    // Emit even if empty (so nested structure remains visible)
-    dot.push(`${indent}subgraph ${c.id} {`);
-
-    // Cluster styling:
-    // - Default: rounded + light grey border (existing behavior)
-    // - Optional: allow cluster lines to override fill/border and title text styling
-    const clusterAttrs = {};
-    // IMPORTANT: Graphviz subgraphs can inherit graph-level attributes (including `label`).
-    // If we omit `label` entirely for an untitled cluster, it can accidentally inherit the map title.
-    // So for untitled clusters we explicitly set label="" to override inheritance.
-    clusterAttrs.label = String(c.label || "").trim() ? c.label : "";
-    addStyle(clusterAttrs, "rounded");
-    if (!clusterAttrs.color) clusterAttrs.color = "#cccccc";
-    if (settings.defaultBoxTextColour) clusterAttrs.fontcolor = settings.defaultBoxTextColour;
-
-    if (c.styleInner) {
-      const { kv } = parseBracketAttrs(`[${c.styleInner}]`);
-
-      // Fill (accept colour/color/background)
-      if (kv.colour || kv.color || kv.background) {
-        clusterAttrs.fillcolor = normalizeColor(kv.colour || kv.color || kv.background);
-        addStyle(clusterAttrs, "filled");
-      }
-
-      // Border
-      if (kv.border) {
-        const b = parseBorder(String(kv.border));
-        if (b.color) clusterAttrs.color = b.color;
-        if (b.penwidth) clusterAttrs.penwidth = b.penwidth;
-        if (b.style) addStyle(clusterAttrs, b.style);
-      }
-
-      // Cluster title text colour
-      if (kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor) {
-        clusterAttrs.fontcolor = normalizeColor(kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor);
-      }
-
-      // Cluster title text sizing (multiplier)
-      const textSizeScale = parseRelativeScale(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
-      if (Number.isFinite(textSizeScale) && textSizeScale > 0) {
-        clusterAttrs.fontsize = (BASE_CLUSTER_FONT_SIZE * textSizeScale).toFixed(1);
-      }
-    }
-
-    // Emit cluster attrs (stable order)
-    if (clusterAttrs.label != null) {
-      const lab = dotLabelWithManualBreaks(clusterAttrs.label) ?? clusterAttrs.label;
-      dot.push(`${indent}  label="${String(lab).replaceAll('"', '\\"')}";`);
-    }
-    if (clusterAttrs.style) dot.push(`${indent}  style="${String(clusterAttrs.style).replaceAll('"', '\\"')}";`);
-    if (clusterAttrs.color) dot.push(`${indent}  color="${String(clusterAttrs.color).replaceAll('"', '\\"')}";`);
-    if (clusterAttrs.penwidth) dot.push(`${indent}  penwidth="${String(clusterAttrs.penwidth).replaceAll('"', '\\"')}";`);
-    if (clusterAttrs.fillcolor) dot.push(`${indent}  fillcolor="${String(clusterAttrs.fillcolor).replaceAll('"', '\\"')}";`);
-    if (clusterAttrs.fontcolor) dot.push(`${indent}  fontcolor="${String(clusterAttrs.fontcolor).replaceAll('"', '\\"')}";`);
-    if (clusterAttrs.fontsize) dot.push(`${indent}  fontsize="${String(clusterAttrs.fontsize).replaceAll('"', '\\"')}";`);
-
-    // If this group has an alias but contains no nodes at all (even nested), emit an invisible anchor node.
-    // Purpose: allow edges to/from the group border using Graphviz compound edges (lhead/ltail) for empty groups.
-    if (c.anchorId && !clusterFirstNodeId(c)) {
-      dot.push(
-        `${indent}  "${c.anchorId}"${toDotAttrs({
-          label: "",
-          shape: "point",
-          fixedsize: "true",
-          width: "0",
-          height: "0",
-          style: "invis",
-        })};`
-      );
-    }
-
-    for (const id of c.nodeIds) {
-      clustered.add(id);
-      const n = nodes.get(id);
-      const attrs = { ...n.attrs };
-      applyDefaults(attrs); // ensure defaults apply even if node was created implicitly via edges
-      attrs.label = wrapLabelToDot(n.label, settings.labelWrap);
-      attrs.id = makeNodeDomId(id);
-      // Purpose: make all DIRECT child nodes of this cluster share the same min width (the max needed by any direct child node).
-      const equalWidthInches = clusterDirectMaxNodeWidthInches(c);
-      if (Number.isFinite(equalWidthInches) && equalWidthInches > 0) attrs.width = equalWidthInches.toFixed(3);
-      dot.push(`${indent}  "${id}"${toDotAttrs(attrs)};`);
-    }
-
-    for (const child of c.children) {
-      emitCluster(child, `${indent}  `);
-    }
-
-    // Rank constraints scoped to this cluster (so nodes remain in the group).
-    const scoped = rankConstraintsInCluster.get(c.id) || [];
-    if (scoped.length) {
-      for (const rc of scoped) {
-        if (typeof rc.kind === "number") {
-          dot.push(`${indent}  subgraph {`);
-          dot.push(`${indent}    rank="same"; // MapScript rank=${rc.kind}`);
-          for (const id of rc.ids) dot.push(`${indent}    "${id}";`);
-          dot.push(`${indent}  }`);
-        } else {
-          dot.push(`${indent}  subgraph {`);
-          dot.push(`${indent}    rank="${String(rc.kind).replaceAll('"', '\\"')}";`);
-          for (const id of rc.ids) dot.push(`${indent}    "${id}";`);
-          dot.push(`${indent}  }`);
-        }
-      }
-    }
-
-    dot.push(`${indent}}`);
-  }
-
-  // Only top-level clusters (depth === 2) start emission; children are emitted recursively.
-  clusters
-    .filter((c) => c.depth === 2)
-    .forEach((c) => emitCluster(c, "  "));
-
-  // Emit nodes not in clusters
-  for (const [id, n] of nodes.entries()) {
-    if (clustered.has(id)) continue;
-    const attrs = { ...n.attrs };
-    applyDefaults(attrs); // ensure defaults apply even if node was created implicitly via edges
-    attrs.label = wrapLabelToDot(n.label, settings.labelWrap);
-    attrs.id = makeNodeDomId(id);
-    dot.push(`  "${id}"${toDotAttrs(attrs)};`);
-  }
-
-  // -----------------------------
-  // Rank constraints (top-level only: applies to ungrouped nodes)
-  // -----------------------------
-  for (const rc of rankConstraintsTopLevel) {
-    if (typeof rc.kind === "number") {
-      dot.push("  subgraph {");
-      dot.push(`    rank="same"; // MapScript rank=${rc.kind}`);
-      for (const id of rc.ids) dot.push(`    "${id}";`);
-      dot.push("  }");
-    } else {
-      dot.push("  subgraph {");
-      dot.push(`    rank="${String(rc.kind).replaceAll('"', '\\"')}";`);
-      for (const id of rc.ids) dot.push(`    "${id}";`);
-      dot.push("  }");
-    }
-  }
-
-  // Numeric rank ordering edges (safe across clusters; does not re-parent nodes).
-  const numericKept = keptRankConstraints.filter((rc) => typeof rc.kind === "number");
-  if (numericKept.length) {
-    const byRank = new Map(); // rankNumber -> Set(nodeId)
-    for (const rc of numericKept) {
-      const k = Number(rc.kind);
-      if (!byRank.has(k)) byRank.set(k, new Set());
-      const set = byRank.get(k);
-      for (const id of rc.ids) set.add(id);
-    }
-
-    const rankNums = Array.from(byRank.keys()).sort((a, b) => a - b);
-    const anchors = []; // [{ rank, id }]
-    for (const n of rankNums) {
-      const ids = Array.from(byRank.get(n) || []);
-      if (!ids.length) continue;
-      anchors.push({ rank: n, id: ids[0] });
-    }
-
-    for (let j = 0; j < anchors.length - 1; j++) {
-      const a = anchors[j];
-      const b = anchors[j + 1];
-      dot.push(`  "${a.id}" -> "${b.id}"${toDotAttrs({ style: "invis", weight: "10" })};`);
-    }
-  }
-
-  // Resolve edges (support group aliases via lhead/ltail + anchor nodes)
-  const edges = []; // { fromId, toId, attrs, srcLineNo }
-  for (const e of rawEdges) {
-    const fromTok = String(e.fromToken || "").trim();
-    const toTok = String(e.toToken || "").trim();
-    if (!fromTok || !toTok) continue;
-
-    const fromCluster = clusterByAlias.get(fromTok) || null;
-    const toCluster = clusterByAlias.get(toTok) || null;
-
-    const fromAttach = fromCluster ? (clusterFirstNodeId(fromCluster) || fromCluster.anchorId) : "";
-    const toAttach = toCluster ? (clusterFirstNodeId(toCluster) || toCluster.anchorId) : "";
-    const fromId = fromCluster ? fromAttach : ensureNode(fromTok);
-    const toId = toCluster ? toAttach : ensureNode(toTok);
-    if (!fromId || !toId) continue;
-
-    const attrs = { ...e.attrs };
-    if (fromCluster) attrs.ltail = fromCluster.id;
-    if (toCluster) attrs.lhead = toCluster.id;
-    // Keep layout sane: don't overweight cluster edges in ranking, but don't disable constraints entirely.
-    if (fromCluster || toCluster) attrs.weight = "0";
-
-    edges.push({ fromId, toId, attrs, srcLineNo: e.srcLineNo });
-  }
-
-  // Emit edges
-  for (const e of edges) {
-    const attrs = { ...e.attrs, id: makeEdgeDomId(e) };
-    dot.push(`  "${e.fromId}" -> "${e.toId}"${toDotAttrs(attrs)};`);
-  }
-
-  dot.push("}");
-
-  return { dot: dot.join("\n"), errors, settings };
-}
-
-// -----------------------------
-// Viz interactivity (click nodes/edges → edit modal)
-// -----------------------------
-
-function stripCommentKeepSuffix(rawLine) {
-  const idx = rawLine.indexOf("#");
-  if (idx < 0) return { code: rawLine, comment: "" };
-  return { code: rawLine.slice(0, idx), comment: rawLine.slice(idx) };
-}
-
-function parseTrailingBracket(codePart) {
-  // Mirrors the relaxed parsing used elsewhere: take the last "[" if line ends with "]".
-  const c = String(codePart || "");
-  const bracketStart = c.lastIndexOf("[");
-  if (bracketStart >= 0 && c.trimEnd().endsWith("]")) {
-    const before = c.slice(0, bracketStart).trimEnd();
-    const bracket = c.slice(bracketStart).trim();
-    const inner = bracket.startsWith("[") && bracket.endsWith("]") ? bracket.slice(1, -1).trim() : bracket.trim();
-    return { before, inner };
-  }
-  return { before: c.trimEnd(), inner: "" };
-}
-
-function hasTrailingBracket(codePart) {
-  // True for "[]", "[x]", "Label [x]" etc; false for plain text.
-  const c = String(codePart || "");
-  return c.lastIndexOf("[") >= 0 && c.trimEnd().endsWith("]");
-}
-
-function findNodeDefLineIndex(lines, nodeId) {
-  const re = new RegExp(`^\\s*${nodeId.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\$&")}\\s*::\\s*`, "i");
-  for (let i = 0; i < lines.length; i++) {
-    const { code } = stripCommentKeepSuffix(lines[i]);
-    if (re.test(code)) return i;
-  }
-  return -1;
-}
-
-function getExplicitNodeIdsFromLines(lines) {
-  const ids = new Set();
-  for (const raw of lines) {
-    const { code } = stripCommentKeepSuffix(raw);
-    const m = code.trim().match(/^(\S+)\s*::\s*(.+)$/);
-    if (!m) continue;
-    ids.add(m[1].trim());
-  }
-  return ids;
-}
-
-function makeUniqueNodeIdFromLabel(label, existingIds) {
-  // Prefer a clean slug (no "N_" prefix) when it's already a valid MapScript ID token.
-  // Only add "N_" when needed to make it a valid identifier (must start with a letter).
-  const rawSlug = slugId(label || "node"); // lower_snake, may start with digit
-  const cleaned = String(rawSlug || "node").replace(/[^A-Za-z0-9_]/g, "_").slice(0, 40);
-  let id = cleaned.match(/^[A-Za-z]\w*$/) ? cleaned : `N_${cleaned}`.replace(/[^A-Za-z0-9_]/g, "_").slice(0, 40);
-  if (!id.match(/^[A-Za-z]\w*$/)) id = "N_node";
-
-  if (!existingIds?.has?.(id)) return id;
-  for (let i = 2; i < 9999; i++) {
-    const next = `${id}_${i}`;
-    if (!existingIds.has(next)) return next;
-  }
-  return `${id}_${Date.now()}`;
-}
-
-function parseNodeDefLine(lines, nodeId) {
-  const idx = findNodeDefLineIndex(lines, nodeId);
-  if (idx < 0) return null;
-  const raw = lines[idx];
-  const { code, comment } = stripCommentKeepSuffix(raw);
-  const after = code.split("::").slice(1).join("::"); // allow "::" inside label (rare)
-  const { before: labelPart, inner: styleInner } = parseTrailingBracket(after);
-  return {
-    idx,
-    comment,
-    label: labelPart.trim(),
-    styleInner,
-  };
-}
-
-function parseTitleDefLineAt(lines, idx) {
-  // Title line: "Title: My title [text colour=... | text size=...]"
-  const raw = lines[idx] || "";
-  const { code, comment } = stripCommentKeepSuffix(raw);
-  const trimmed = String(code || "").trim();
-  const m = trimmed.match(/^title\s*:\s*(.*)$/i);
-  if (!m) return null;
-  const value = String(m[1] || "");
-  const { before, inner } = parseTrailingBracket(value);
-  return {
-    idx,
-    comment,
-    title: String(before || "").trim(),
-    styleInner: String(inner || "").trim(),
-  };
-}
-
-function setTitleDefLineAt(lines, idx, { title, styleInner, comment }) {
-  const c = String(comment || "").trim();
-  const commentSuffix = c ? ` ${c}` : "";
-  const t = String(title ?? "").trim();
-  const inner = String(styleInner ?? "").trim();
-  const styleSuffix = inner ? ` [${inner}]` : "";
-  lines[idx] = `Title: ${t}${styleSuffix}${commentSuffix}`.trimEnd();
-  return true;
-}
-
-function parseClusterDefLineAt(lines, idx) {
-  const raw = lines[idx] || "";
-  const { code, comment } = stripCommentKeepSuffix(raw);
-  const trimmed = code.trim();
-  const m = trimmed.match(/^(-{2,})(.*)$/);
-  if (!m) return null;
-  const dashes = m[1];
-  if (dashes.length % 2 !== 0) return null;
-  const rest = String(m[2] || "").trim();
-  const hasBracket = hasTrailingBracket(rest);
-  const { before: labelPart, inner: styleInner } = parseTrailingBracket(rest);
-  const { alias, title } = parseClusterAliasTitle(String(labelPart || "").trim());
-  const label = title;
-  // Close marker is *only* "--" / "----" with nothing else. Untitled opener must be "--[]"/"--[...]" etc.
-  if (!label && !hasBracket) return null;
-  return {
-    idx,
-    comment,
-    dashes,
-    alias,
-    label,
-    styleInner: String(styleInner || "").trim(),
-  };
-}
-
-function scanClusterOpenersFromLines(lines) {
-  // Purpose: mirror the cluster open/close rules from dslToDot(), but keep editor line indices.
-  // Returns openers in the exact order they will be assigned cluster ids (cluster_0, cluster_1, ...).
-  const openers = [];
-  const stack = []; // { depth }
-  let inLinks = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i] || "";
-    const { code, comment } = stripCommentKeepSuffix(raw);
-    const trimmed = String(code || "").trim();
-    if (!trimmed) continue;
-
-    // Groups do not cross into the links section (explicit heading).
-    if (/^##\s*links\b/i.test(trimmed)) {
-      inLinks = true;
-      stack.length = 0;
-    }
-
-    const m = trimmed.match(/^(-{2,})(.*)$/);
-    if (!m) continue;
-    if (inLinks) continue; // boxes are closed/ignored in the links section
-    const dashes = m[1];
-    const depth = dashes.length;
-    if (depth % 2 !== 0) continue;
-
-    const rest = String(m[2] || "").trim();
-    const hasBracket = hasTrailingBracket(rest);
-    const { before: labelPart, inner: styleInnerRaw } = parseTrailingBracket(rest);
-    const parsed = parseClusterAliasTitle(String(labelPart || "").trim());
-    const alias = parsed.alias;
-    const label = parsed.title;
-    const styleInner = String(styleInnerRaw || "").trim();
-    const isClose = !label && !hasBracket;
-    if (isClose) {
-      while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
-      continue;
-    }
-
-    // Opener: align to parent depth (depth-2), matching dslToDot().
-    const parentDepth = depth - 2;
-    while (stack.length && stack[stack.length - 1].depth > parentDepth) stack.pop();
-
-    openers.push({ idx: i, comment, dashes, alias, label, styleInner, depth });
-    stack.push({ depth });
-  }
-
-  return openers;
-}
-
-function setClusterDefLineAt(lines, idx, { dashes, alias, label, styleInner, comment }) {
-  const c = String(comment || "").trim();
-  const commentSuffix = c ? ` ${c}` : "";
-  const a = String(alias || "").trim();
-  const lbl = String(label ?? "").trim();
-  const inner = String(styleInner ?? "").trim();
-  // If the user clears the label AND has no style attrs, force an explicit empty bracket ("[]")
-  // to keep the line an OPENING marker. Plain "--" is a closing marker.
-  const needEmptyBracket = !lbl && !inner;
-  const bracket = inner || needEmptyBracket ? `[${inner}]` : "";
-  const sep = bracket ? (lbl ? " " : "") : "";
-  // Note: MapScript group opener is "--Label" (no space). Untitled opener is "--[]".
-  const aliasPrefix = a ? `${a}:: ` : "";
-  lines[idx] = `${String(dashes || "").trim()}${aliasPrefix}${lbl}${sep}${bracket}${commentSuffix}`.trimEnd();
-  return true;
-}
-
-function setNodeDefLine(lines, nodeId, { label, styleInner }) {
-  const parsed = parseNodeDefLine(lines, nodeId);
-  if (!parsed) return false;
-  const comment = parsed.comment ? ` ${parsed.comment.trim()}` : "";
-  const style = String(styleInner || "").trim() ? ` [${String(styleInner).trim()}]` : "";
-  lines[parsed.idx] = `${nodeId}:: ${String(label || "").trim()}${style}${comment}`.trimEnd();
-  return true;
-}
-
-function parseEdgeLine(lines, lineNo1) {
-  const idx = Number(lineNo1) - 1;
-  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return null;
-  const raw = lines[idx];
-  const { code, comment } = stripCommentKeepSuffix(raw);
-  const { before, inner } = parseTrailingBracket(code);
-  const { kv, loose } = parseBracketAttrs(inner ? `[${inner}]` : "[]");
-
-  // Match the same “single part might actually be border” heuristic used by dslToDot()
-  // so the UI loads existing edge styling correctly.
-  let label = kv.label ? String(kv.label) : (loose[0] ? String(loose[0]) : "");
-  let border = kv.border ? String(kv.border) : (loose[1] ? String(loose[1]) : "");
-  if (loose.length === 1 && /\b(solid|dotted|dashed)\b/i.test(label) && /\d+\s*px/i.test(label)) {
-    border = label;
-    label = "";
-  }
-
-  // Preserve any extra edge attrs inside [...] so saving via modal doesn't wipe them.
-  const keptKv = { ...kv };
-  delete keptKv.label;
-  delete keptKv.border;
-  const keptLoose = loose.slice(0);
-  // If label/border came from loose positions, drop them from keptLoose (we will re-add from current widget values).
-  if (!kv.label && keptLoose.length) keptLoose.shift();
-  if (!kv.border && keptLoose.length) keptLoose.shift();
-
-  return {
-    idx,
-    comment,
-    label,
-    border,
-    keptKv,
-    keptLoose,
-    hasBracket: Boolean(inner && inner.trim()),
-    before, // code before trailing bracket
-  };
-}
-
-function buildEdgeBracketInner({ label, border, keptKv, keptLoose }) {
-  // Keep it simple and stable:
-  // - First: label (loose)
-  // - Second: border (loose)
-  // - Then: any remaining loose parts
-  // - Then: any remaining key=value parts (sorted by key for determinism)
-  const parts = [];
-  const l = String(label || "").trim();
-  const b = String(border || "").trim();
-  if (l) parts.push(l);
-  if (b) parts.push(b);
-
-  for (const x of (keptLoose || [])) {
-    const t = String(x || "").trim();
-    if (t) parts.push(t);
-  }
-
-  const kv = keptKv && typeof keptKv === "object" ? keptKv : {};
-  const keys = Object.keys(kv).sort((a, b2) => String(a).localeCompare(String(b2)));
-  for (const k of keys) {
-    const v = String(kv[k] ?? "").trim();
-    const kk = String(k || "").trim();
-    if (!kk || !v) continue;
-    parts.push(`${kk}=${v}`);
-  }
-
-  return parts.join(" | ");
-}
-
-function parseEdgeEndpoints(before) {
-  const m = String(before || "").trim().match(/^(.+?)\s*->\s*(.+)$/);
-  if (!m) return null;
-  const left = m[1].trim();
-  const right = m[2].trim();
-  return {
-    sources: left.split("|").map((t) => t.trim()).filter(Boolean),
-    targets: right.split("|").map((t) => t.trim()).filter(Boolean),
-  };
-}
-
-function isSimpleIdToken(token) {
-  return /^[A-Za-z]\w*$/.test(String(token || "").trim());
-}
-
-function nodeIdToDslToken(nodeId, nodesById) {
-  const id = String(nodeId || "").trim();
-  if (!id) return "";
-  const n = nodesById?.get?.(id) || null;
-  // For explicit/simple IDs use the ID token; for implicit (slugged) nodes use their label token.
-  if (isSimpleIdToken(id)) return id;
-  const label = n?.label ? String(n.label).trim() : "";
-  return label || id;
-}
-
-function setEdgeLine(lines, lineNo1, { fromId, toId, label, border, nodesById }) {
-  const parsed = parseEdgeLine(lines, lineNo1);
-  if (!parsed) return false;
-
-  // Default: preserve the original "A | B -> C | D" formatting unless endpoints are changed.
-  let before = parsed.before.trimEnd();
-  if (fromId || toId) {
-    // Update endpoints by replacing matching tokens (either exact match or slugId match).
-    const ep = parseEdgeEndpoints(parsed.before);
-    if (!ep) return false;
-
-    const findIdx = (arr, id) => arr.findIndex((tok) => tok === id || slugId(tok) === id);
-
-    if (fromId) {
-      const i = findIdx(ep.sources, fromId.old);
-      if (i >= 0) ep.sources[i] = nodeIdToDslToken(fromId.next, nodesById);
-      else return false;
-    }
-    if (toId) {
-      const i = findIdx(ep.targets, toId.old);
-      if (i >= 0) ep.targets[i] = nodeIdToDslToken(toId.next, nodesById);
-      else return false;
-    }
-
-    before = `${ep.sources.join(" | ")} -> ${ep.targets.join(" | ")}`;
-  }
-
-  const l = String(label || "").trim();
-  const b = String(border || "").trim();
-  const inner = buildEdgeBracketInner({
-    label: l,
-    border: b,
-    keptKv: parsed.keptKv,
-    keptLoose: parsed.keptLoose,
-  });
-  const bracket = inner ? ` [${inner}]` : "";
-
-  const comment = parsed.comment ? ` ${parsed.comment.trim()}` : "";
-  lines[parsed.idx] = `${before}${bracket}${comment}`.trimEnd();
-  return true;
-}
-
-function deleteEdgeLine(lines, lineNo1) {
-  const idx = Number(lineNo1) - 1;
-  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return false;
-  lines.splice(idx, 1);
-  return true;
-}
-
-function deleteSingleEdgeFromLine(lines, lineNo1, fromId, toId) {
-  // Purpose: if a single MapScript line expands into multiple rendered edges (eg "A|B -> C|D"),
-  // deleting one rendered edge should remove ONLY that edge, not the whole line.
-  const idx = Number(lineNo1) - 1;
-  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return false;
-
-  const raw = String(lines[idx] || "");
-  const { code, comment } = stripCommentKeepSuffix(raw);
-  const { before } = parseTrailingBracket(code);
-  const ep = parseEdgeEndpoints(before);
-  if (!ep) return false;
-
-  const norm = (x) => String(x || "").trim();
-  const wantFrom = norm(fromId);
-  const wantTo = norm(toId);
-  if (!wantFrom || !wantTo) return false;
-
-  const matchTok = (tok, id) => {
-    const t = norm(tok);
-    const i = norm(id);
-    if (!t || !i) return false;
-    return t === i || slugId(t) === i || slugId(t) === slugId(i);
-  };
-
-  // Single-edge line: keep current behavior (delete the whole line).
-  const isMulti = ep.sources.length > 1 || ep.targets.length > 1;
-  if (!isMulti) return deleteEdgeLine(lines, lineNo1);
-
-  // Preserve the original bracket/comment (styles/label apply to all remaining derived edges).
-  const parsed = parseEdgeLine(lines, lineNo1);
-  if (!parsed) return false;
-  const inner = buildEdgeBracketInner({
-    label: parsed.label,
-    border: parsed.border,
-    keptKv: parsed.keptKv,
-    keptLoose: parsed.keptLoose,
-  });
-  const hadBracket = hasTrailingBracket(code);
-  const bracket = hadBracket ? ` [${inner}]` : (inner ? ` [${inner}]` : "");
-  const commentSuffix = comment ? ` ${comment.trim()}` : "";
-
-  const remaining = [];
-  for (const s of ep.sources) {
-    for (const t of ep.targets) {
-      const isTarget = matchTok(s, wantFrom) && matchTok(t, wantTo);
-      if (!isTarget) remaining.push({ s, t });
-    }
-  }
-
-  // If the line only represented this one edge, delete it completely.
-  if (remaining.length === 0) {
-    lines.splice(idx, 1);
-    return true;
-  }
-
-  // Replace that single multi-edge line with explicit single-edge lines (minus the removed one).
-  const nextLines = remaining.map(({ s, t }) => `${String(s).trim()} -> ${String(t).trim()}${bracket}${commentSuffix}`.trimEnd());
-  lines.splice(idx, 1, ...nextLines);
-  return true;
-}
-
-function deleteNodeEverywhere(lines, nodeId) {
-  // Remove a node definition AND remove the node from any edge line endpoints.
-  // Important: edges may reference the node by:
-  // - exact ID token (e.g. X)
-  // - free-label token whose slugId matches the node id (e.g. "Training quality" -> training_quality)
-  // - differently cased ID token (Graphviz ids can be case-sensitive, but MapScript treats IDs case-insensitively in some places)
-  const out = [];
-  const id = String(nodeId || "").trim();
-  if (!id) return lines;
-
-  const idSlug = slugId(id);
-  const nodeRe = new RegExp(`^\\s*${id.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\$&")}\\s*::\\s*`, "i");
-  const matchesId = (tok) => {
-    const t = String(tok || "").trim();
-    if (!t) return false;
-    if (t === id) return true;
-    if (t.toLowerCase() === id.toLowerCase()) return true;
-    return slugId(t) === idSlug;
-  };
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw = String(lines[i] || "");
-    const { code } = stripCommentKeepSuffix(raw);
-    const line = String(code || "").trim();
-    if (!line) {
-      out.push(raw);
-      continue;
-    }
-
-    // Drop the explicit node definition line.
-    if (nodeRe.test(code)) continue;
-
-    // For edges (including multi-edge lines), remove this token from the source/target lists.
-    if (line.includes("->")) {
-      const parsed = parseEdgeLine(lines, i + 1);
-      const ep = parsed ? parseEdgeEndpoints(parsed.before) : null;
-      if (parsed && ep) {
-        const nextSources = ep.sources.filter((t) => !matchesId(t));
-        const nextTargets = ep.targets.filter((t) => !matchesId(t));
-
-        // If nothing changed, keep as-is.
-        if (nextSources.length === ep.sources.length && nextTargets.length === ep.targets.length) {
-          out.push(raw);
-          continue;
-        }
-
-        // If either side becomes empty, drop the entire edge line.
-        if (!nextSources.length || !nextTargets.length) continue;
-
-        const before = `${nextSources.join(" | ")} -> ${nextTargets.join(" | ")}`.trimEnd();
-        const inner = buildEdgeBracketInner({
-          label: parsed.label,
-          border: parsed.border,
-          keptKv: parsed.keptKv,
-          keptLoose: parsed.keptLoose,
-        });
-        const hadBracket = hasTrailingBracket(code);
-        const bracket = hadBracket ? ` [${inner}]` : (inner ? ` [${inner}]` : "");
-        const commentSuffix = parsed.comment ? ` ${parsed.comment.trim()}` : "";
-        out.push(`${before}${bracket}${commentSuffix}`.trimEnd());
-        continue;
-      }
-    }
-
-    out.push(raw);
-  }
-
-  return out;
-}
-
-function deleteCluster(lines, clusterId) {
-  // Delete the opening line and corresponding closing line for a cluster (keeping contents).
-  const range = findClusterRangeFromLines(lines, clusterId);
-  if (!range) return lines;
-  const { openIdx, closeIdx } = range;
-
-  // If no closing marker found, just delete the opening line.
-  if (closeIdx < 0) {
-    lines.splice(openIdx, 1);
-    return lines;
-  }
-
-  // Delete both lines (close first to preserve indices).
-  lines.splice(closeIdx, 1);
-  lines.splice(openIdx, 1);
-  return lines;
-}
-
-function clearVizSelection() {
-  document.querySelectorAll("#tm-viz .tm-viz-selected").forEach((el) => el.classList.remove("tm-viz-selected"));
-}
-
-function getClosestGraphvizGroup(target, cls) {
-  // Graphviz SVG uses <g class="node"> and <g class="edge"> groups.
-  return target?.closest?.(`g.${cls}`) || null;
-}
-
-function getGraphvizTitleText(gEl) {
-  const t = gEl?.querySelector?.("title");
-  return t ? String(t.textContent || "").trim() : "";
+function getGraphvizTitleText(gEl) {
+  const t = gEl?.querySelector?.("title");
+  return t ? String(t.textContent || "").trim() : "";
 }
 
 function parseTmEdgeDomIdFromEl(el) {
@@ -5718,63 +3871,6 @@ function parseTmEdgeDomIdFromEl(el) {
   return m ? Number(m[1]) : null;
 }
 
-function findClusterRangeFromLines(lines, clusterId) {
-  // Purpose: map Graphviz cluster id (cluster_0, cluster_1, ...) back to the opening + closing lines in MapScript.
-  // Mirrors dslToDot() open/close rules via scanClusterOpenersFromLines().
-  const cid = String(clusterId || "").trim();
-  if (!cid) return null;
-  const openers = scanClusterOpenersFromLines(lines);
-  const opener = openers.find((o, idx) => `cluster_${idx}` === cid) || null;
-  if (!opener) return null;
-
-  const openIdx = opener.idx;
-  const targetDepth = opener.depth;
-  if (!(Number.isFinite(openIdx) && openIdx >= 0)) return null;
-  if (!(Number.isFinite(targetDepth) && targetDepth >= 2)) return null;
-
-  // Find the matching closing line index.
-  let closeIdx = -1;
-  const stack = [{ depth: targetDepth, openIdx }];
-
-  for (let i = openIdx + 1; i < lines.length; i++) {
-    const raw = lines[i];
-    const { code } = stripCommentKeepSuffix(raw);
-    const line = String(code || "").trim();
-    const m = line.match(/^(-{2,})(.*)$/);
-    if (!m) continue;
-
-    const dashes = m[1];
-    const depth = dashes.length;
-    if (depth % 2 !== 0) continue;
-
-    const rest = String(m[2] || "").trim();
-    const hasBracket = hasTrailingBracket(rest);
-    const { before: labelPart } = parseTrailingBracket(rest);
-    const label = String(labelPart || "").trim();
-    const isClose = !label && !hasBracket;
-
-    if (isClose) {
-      // Closing marker - closes everything >= depth.
-      while (stack.length && stack[stack.length - 1].depth >= depth) {
-        const popped = stack.pop();
-        if (popped.openIdx === openIdx && depth === targetDepth) {
-          closeIdx = i;
-          break;
-        }
-      }
-      if (closeIdx >= 0) break;
-      continue;
-    }
-
-    // Opener: mirror dslToDot() alignment (can implicitly close nested stacks).
-    const parentDepth = depth - 2;
-    while (stack.length && stack[stack.length - 1].depth > parentDepth) stack.pop();
-    if (depth > targetDepth) stack.push({ depth, openIdx: i });
-  }
-
-  return { clusterId: cid, openIdx, closeIdx, depth: targetDepth, opener };
-}
-
 function initVizInteractivity(editor, graphviz, opts = {}) {
   const vizEl = document.getElementById("tm-viz");
   if (!vizEl) return;
@@ -5860,6 +3956,16 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   hoverClusterCheckbox.title = isTipsEnabled() ? hoverClusterCheckbox.dataset.tmTipTitle : "";
   const clusterCheckboxInput = hoverClusterCheckbox.querySelector("input");
 
+  // Hover-only collapse/expand toggle for groups ("[collapsed]" on the group line).
+  let hoverCollapseBtn = document.getElementById("tm-viz-hover-collapse");
+  if (!hoverCollapseBtn) {
+    hoverCollapseBtn = document.createElement("button");
+    hoverCollapseBtn.id = "tm-viz-hover-collapse";
+    hoverCollapseBtn.type = "button";
+    hoverCollapseBtn.className = "btn btn-sm btn-light border tm-viz-hover-collapse";
+    vizEl.appendChild(hoverCollapseBtn);
+  }
+
   const DEFAULT_VIZ_HINT = "Hover over the diagram to edit it";
 
   // Cursor-adjacent hint bubble (shown while pointer is over the diagram).
@@ -6171,8 +4277,29 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   const clusterFields = document.getElementById("tm-viz-edit-cluster-fields");
   const edgeFields = document.getElementById("tm-viz-edit-edge-fields");
   const nodeLabelInput = document.getElementById("tm-viz-node-label");
+  const nodeIdInput = document.getElementById("tm-viz-node-id");
+  const nodeIdRenameBtn = document.getElementById("tm-viz-node-id-rename");
+  const nodeIdFeedback = document.getElementById("tm-viz-node-id-feedback");
+  const nodeDetailsEl = document.getElementById("tm-viz-node-details");
+  const nodeDetailsList = document.getElementById("tm-viz-node-details-list");
+  const styleClassList = document.getElementById("tm-style-class-list");
+  const classRows = {
+    node: {
+      input: document.getElementById("tm-viz-node-class"),
+      applyBtn: document.getElementById("tm-viz-node-class-apply"),
+      editBtn: document.getElementById("tm-viz-node-class-edit"),
+      feedback: document.getElementById("tm-viz-node-class-feedback"),
+    },
+    cluster: {
+      input: document.getElementById("tm-viz-cluster-class"),
+      applyBtn: document.getElementById("tm-viz-cluster-class-apply"),
+      editBtn: document.getElementById("tm-viz-cluster-class-edit"),
+      feedback: document.getElementById("tm-viz-cluster-class-feedback"),
+    },
+  };
   const nodeFillInput = document.getElementById("tm-viz-node-fill-color");
-  const nodeRoundedChk = document.getElementById("tm-viz-node-rounded");
+  const nodeShapeSel = document.getElementById("tm-viz-node-shape");
+  fillNodeShapeSelect(nodeShapeSel, "Default");
   const nodeBwInput = document.getElementById("tm-viz-node-border-width");
   const nodeBsSel = document.getElementById("tm-viz-node-border-style");
   const nodeBsBtnsWrap = document.getElementById("tm-viz-node-border-style-btns");
@@ -6207,6 +4334,14 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   const edgeLabelInput = document.getElementById("tm-viz-edge-label");
   const edgeFromSel = document.getElementById("tm-viz-edge-from");
   const edgeToSel = document.getElementById("tm-viz-edge-to");
+  const edgeDirSel = document.getElementById("tm-viz-edge-dir");
+  const edgeDirBtnsWrap = document.getElementById("tm-viz-edge-dir-btns");
+  const edgeDirBtns = edgeDirBtnsWrap ? Array.from(edgeDirBtnsWrap.querySelectorAll('button[data-value]')) : [];
+  const edgeArrowSel = document.getElementById("tm-viz-edge-arrow");
+  const edgeArrowBtnsWrap = document.getElementById("tm-viz-edge-arrow-btns");
+  const edgeArrowBtns = edgeArrowBtnsWrap ? Array.from(edgeArrowBtnsWrap.querySelectorAll('button[data-value]')) : [];
+  const edgeFromSideSel = document.getElementById("tm-viz-edge-from-side");
+  const edgeToSideSel = document.getElementById("tm-viz-edge-to-side");
   const edgeBwInput = document.getElementById("tm-viz-edge-border-width");
   const edgeBsSel = document.getElementById("tm-viz-edge-border-style");
   const edgeBsBtnsWrap = document.getElementById("tm-viz-edge-border-style-btns");
@@ -6360,6 +4495,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       selectedClusters.size === 1
         ? { type: "cluster", clusterId: firstId }
         : { type: "cluster_bulk", clusterIds: Array.from(selectedClusters) };
+    syncStyleClassRow("cluster", editor.getValue().split(/\r?\n/));
     setActions({ save: true, del: false, message: selectedClusters.size === 1 ? "" : "Bulk edit: styling changes apply to all selected group boxes (title disabled)." });
     openClusterAccordionPanel(openPanel);
   }
@@ -6406,6 +4542,8 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   wireButtonsToSelect(clusterBsSel, clusterBsBtns);
   wireButtonsToSelect(clusterLinkBsSel, clusterLinkBsBtns);
   wireButtonsToSelect(edgeBsSel, edgeBsBtns);
+  wireButtonsToSelect(edgeDirSel, edgeDirBtns);
+  wireButtonsToSelect(edgeArrowSel, edgeArrowBtns);
   wireButtonsToSelect(selLinkBsSel, selLinkBsBtns);
 
   let hoverDeleteTarget = null; // { type: "node", nodeId } | { type: "edge", lineNo, fromId, toId }
@@ -6414,9 +4552,9 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   let baseline = null;
 
   // Bulk node styling: track which controls the user actually changed (so we don't overwrite other styling by accident).
-  let bulkNodeDirty = { fill: false, border: false, rounded: false, textSize: false };
+  let bulkNodeDirty = { fill: false, border: false, shape: false, textSize: false };
   function resetBulkNodeDirty() {
-    bulkNodeDirty = { fill: false, border: false, rounded: false, textSize: false };
+    bulkNodeDirty = { fill: false, border: false, shape: false, textSize: false };
   }
 
   // Keep checkbox sizing/placement consistent (hover checkbox + per-node selection checkboxes).
@@ -6482,6 +4620,28 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     hoverDeleteBtn.style.top = `${y - bh / 2}px`;
   }
 
+  function hideHoverCollapse() {
+    hoverCollapseBtn?.classList?.remove("tm-show");
+    if (hoverCollapseBtn?.dataset) delete hoverCollapseBtn.dataset.tmClusterId;
+  }
+
+  function showHoverCollapseAtSvgGroup(gEl, clusterId, collapse) {
+    // Purpose: "−" on a group box collapses it, "+" on a collapsed group's node expands it (top-right corner, inside).
+    if (!hoverCollapseBtn || !gEl) return;
+    const vizRect = vizEl.getBoundingClientRect();
+    const r = gEl.getBoundingClientRect();
+    const label = collapse ? "Collapse this group into one node" : "Expand this group";
+    hoverCollapseBtn.textContent = collapse ? "−" : "+";
+    hoverCollapseBtn.setAttribute("aria-label", label);
+    hoverCollapseBtn.title = isTipsEnabled() ? label : "";
+    hoverCollapseBtn.dataset.tmClusterId = clusterId;
+    hoverCollapseBtn.dataset.tmCollapse = collapse ? "1" : "0";
+    hoverCollapseBtn.classList.add("tm-show");
+    const bw = hoverCollapseBtn.offsetWidth || 24;
+    hoverCollapseBtn.style.left = `${Math.max(0, r.right - vizRect.left + vizEl.scrollLeft - bw - 4)}px`;
+    hoverCollapseBtn.style.top = `${Math.max(0, r.top - vizRect.top + vizEl.scrollTop + 4)}px`;
+  }
+
   function hideHoverCheckbox() {
     hoverCheckbox?.classList?.remove("tm-show");
     if (hoverCheckbox?.dataset) delete hoverCheckbox.dataset.tmNodeId;
@@ -6584,7 +4744,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     if (nodeBsSel) nodeBsSel.value = def.borderUi?.style || "solid";
     setButtonsUi(nodeBsBtns, def.borderUi?.style || "solid");
     if (nodeBcInput) nodeBcInput.value = def.borderUi?.colorHex || "#999999";
-    if (nodeRoundedChk) nodeRoundedChk.checked = Boolean(def.rounded);
+    if (nodeShapeSel) nodeShapeSel.value = "";
     if (nodeTextSizeInput) nodeTextSizeInput.value = "1";
     updateDeleteSelectedButton();
     syncSelectionNodeEditor();
@@ -6658,6 +4818,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       if (selNodeEditHint) selNodeEditHint.classList.add("d-none");
       if (nodeLabelRow) nodeLabelRow.classList.add("d-none"); // hide edit label row; add-node uses addNodeBlock
       nodeFields?.classList.remove("d-none"); // show styling widgets in add-node mode
+      syncNodeDetails("");
       setActions({ save: false, del: false, message: "" });
       return;
     }
@@ -6682,6 +4843,8 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         nodeLabelInput.value = "";
         nodeLabelInput.disabled = true;
       }
+      setNodeIdRow("", { disabled: true });
+      syncNodeDetails("");
 
       // Populate the styling controls from the first explicit node (if any), purely as a starting point.
       suppressLiveApply = true;
@@ -6698,6 +4861,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
 
       selection = { type: "node_bulk", nodeIds: Array.from(selectedNodes) };
       baseline = null;
+      syncStyleClassRow("node", editor.getValue().split(/\r?\n/));
       setActions({ save: true, del: false, message: "Bulk edit: styling changes apply to all selected nodes" });
       return;
     }
@@ -6708,9 +4872,43 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     if (nodeLabelRow) nodeLabelRow.classList.remove("d-none");
     selection = { type: "node", nodeId: onlyId };
     if (nodeLabelInput) nodeLabelInput.disabled = false;
+    setNodeIdRow(onlyId, { disabled: false });
+    syncNodeDetails(onlyId);
     refreshFormFromEditor();
   }
 
+  function syncNodeDetails(nodeId) {
+    // Purpose: list the node's metadata (read-only; it is edited in the script). Hidden when there is none.
+    if (!nodeDetailsEl || !nodeDetailsList) return;
+    // Every definition counts (this map's and included maps'); for a repeated key the later one wins, as in the DOT.
+    const defs = nodeId ? parseMapScriptWithIncludes(editor.getValue()).nodes.filter((n) => n.id === nodeId) : [];
+    const byKey = new Map(defs.flatMap((n) => n.meta || []).map((m) => [slugId(m.key), m]));
+    const meta = [...byKey.values()];
+    nodeDetailsList.replaceChildren(
+      ...meta.flatMap(({ key, value }) => {
+        const dt = document.createElement("dt");
+        dt.textContent = key;
+        const dd = document.createElement("dd");
+        dd.textContent = value || "—";
+        return [dt, dd];
+      })
+    );
+    nodeDetailsEl.classList.toggle("d-none", !meta.length);
+  }
+
+  function setNodeIdRow(nodeId, { disabled, message = "" }) {
+    // Purpose: the "ID" field + Rename button under the node label (single selection only).
+    if (nodeIdInput) {
+      nodeIdInput.value = String(nodeId || "");
+      nodeIdInput.disabled = Boolean(disabled);
+    }
+    if (nodeIdRenameBtn) nodeIdRenameBtn.disabled = Boolean(disabled);
+    if (nodeIdFeedback) {
+      nodeIdFeedback.textContent = message;
+      nodeIdFeedback.classList.toggle("d-none", !message);
+    }
+  }
+
   function syncSelectionLinkControls() {
     // Purpose: keep the link controls usable (they are always visible once selection exists).
     if (!selLinkControls) return;
@@ -6790,7 +4988,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     if (selectedNodes.size === 0) return; // IMPORTANT: group selection should NOT reveal node checkboxes
     for (const nodeG of svg.querySelectorAll("g.node")) {
       const nodeId = getGraphvizTitleText(nodeG);
-      if (!nodeId) continue;
+      if (!nodeId || clusterIdFromCollapsedNodeId(nodeId)) continue;
 
       // Place a checkbox at the left side, vertically centered (matches the hover checkbox).
       const bbox = nodeG.getBBox();
@@ -7110,13 +5308,13 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   });
 
   function getDiagramBackgroundHexFromEditor(dslText) {
-    const s = dslToDot(String(dslText || "")).settings || {};
+    const s = parseMapScript(String(dslText || "")).settings || {};
     const rgb = resolveCssColorToRgb(s.background || "#ffffff") || { r: 255, g: 255, b: 255 };
     return rgbToHex(rgb);
   }
 
   function getDefaultGroupTextHexFromEditor(dslText) {
-    const s = dslToDot(String(dslText || "")).settings || {};
+    const s = parseMapScript(String(dslText || "")).settings || {};
     const rgb = resolveCssColorToRgb(s.defaultBoxTextColour || "#111827") || { r: 17, g: 24, b: 39 };
     return rgbToHex(rgb);
   }
@@ -7149,47 +5347,16 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   }
 
   function buildNodesByIdFromDsl() {
-    const { errors, dot, settings, ...rest } = dslToDot(editor.getValue());
-    // Reconstruct nodes list by re-parsing from the editor; keeps this modal self-contained.
-    // (dslToDot already computed nodes internally; we reproduce that info by reading DOT is hard,
-    // so instead we derive a nodes list by scanning node defs + implicit nodes via dslToDot again.)
-    //
-    // NOTE: we can't access the internal nodes Map from dslToDot without changing its return shape.
-    // So we do a tiny, safe approximation: parse editor lines for explicit nodes, and add any implicit
-    // ones by reusing the same ensureNode logic indirectly isn't available here.
-    //
-    // Keep simple: just list explicit IDs from "ID:: ..." plus any IDs referenced in edges (simple IDs).
-    const lines = editor.getValue().split(/\r?\n/);
+    // Explicit node defs ("ID:: Label", included maps too) plus any simple IDs referenced in links.
+    const ast = parseMapScriptWithIncludes(editor.getValue());
     const nodesById = new Map();
-
-    for (const raw of lines) {
-      const { code } = stripCommentKeepSuffix(raw);
-      const m = code.trim().match(/^(\S+)\s*::\s*(.+)$/);
-      if (!m) continue;
-      const id = m[1].trim();
-      const labelRaw = m[2].trim();
-      const { before: labelPart } = parseTrailingBracket(labelRaw);
-      nodesById.set(id, { id, label: labelPart.trim() || id });
-    }
-
-    for (const raw of lines) {
-      const { code } = stripCommentKeepSuffix(raw);
-      const c = code.trim();
-      if (!c.includes("->")) continue;
-      const m = c.match(/^(.+?)\s*->\s*(.+)$/);
-      if (!m) continue;
-      const left = m[1].trim();
-      const right = parseTrailingBracket(m[2]).before.trim();
-      const tokens = []
-        .concat(left.split("|").map((t) => t.trim()))
-        .concat(right.split("|").map((t) => t.trim()))
-        .filter(Boolean);
-      for (const tok of tokens) {
+    for (const n of ast.nodes) nodesById.set(n.idToken, { id: n.idToken, label: n.label || n.idToken });
+    for (const e of ast.edges) {
+      for (const tok of e.hops.flat()) {
         if (!isSimpleIdToken(tok)) continue;
         if (!nodesById.has(tok)) nodesById.set(tok, { id: tok, label: tok });
       }
     }
-
     return nodesById;
   }
 
@@ -7223,7 +5390,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   }
 
   function buildClustersByIdFromLines(lines) {
-    // Must match dslToDot(): clusters get ids in the order opening markers appear.
+    // Must match parseMapScript(): clusters get ids in the order opening markers appear.
     const out = new Map(); // id -> { id, idx, dashes, label, styleInner, comment }
     const openers = scanClusterOpenersFromLines(lines);
     for (let n = 0; n < openers.length; n++) {
@@ -7245,15 +5412,9 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     for (const raw of lines) {
       const { code } = stripCommentKeepSuffix(raw);
       const c = String(code || "").trim();
-      if (!c.includes("->")) continue;
-      const m = c.match(/^(.+?)\s*->\s*(.+)$/);
-      if (!m) continue;
-      const left = m[1].trim();
-      const right = parseTrailingBracket(m[2]).before.trim();
-      const tokens = []
-        .concat(left.split("|").map((t) => t.trim()))
-        .concat(right.split("|").map((t) => t.trim()))
-        .filter(Boolean);
+      const ep = parseEdgeEndpoints(parseTrailingBracket(c).before);
+      if (!ep) continue;
+      const tokens = ep.hops.flat();
       for (const tok of tokens) {
         if (!isSimpleIdToken(tok)) continue;
         used.add(tok);
@@ -7268,149 +5429,30 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     const cid = String(clusterId || "").trim();
     if (!cid) return "";
     const clustersById = buildClustersByIdFromLines(lines);
-    const c = clustersById.get(cid) || null;
-    if (!c) return "";
-    const existing = String(c.alias || "").trim();
-    if (existing) return existing;
-
-    const used = getUsedSimpleIdTokensFromLines(lines);
-    let alias = "";
-    for (let i = 1; i < 10000; i++) {
-      const cand = `g${i}`;
-      if (!used.has(cand)) {
-        alias = cand;
-        break;
-      }
-    }
-    if (!alias) return "";
-
-    setClusterDefLineAt(lines, c.idx, {
-      dashes: c.dashes,
-      alias,
-      label: c.label,
-      styleInner: c.styleInner,
-      comment: c.comment,
-    });
-    return alias;
-  }
-
-  function findInsertIdxForAutoNodeDef(lines) {
-    // Insert near the top, before any grouping boxes ("-- ..."), and after any initial settings block.
-    const isSettingLine = (t) => {
-      const s = String(t || "").trim();
-      if (!s) return false;
-      if (s.startsWith("#")) return false;
-      if (s.includes("::")) return false;
-      if (s.includes("->")) return false;
-      if (s.startsWith("--")) return false;
-      return /^[A-Za-z][A-Za-z0-9 _-]*\s*:\s*.+$/.test(s);
-    };
-
-    let settingsEnd = 0;
-    for (let i = 0; i < lines.length; i++) {
-      const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
-      const t = String(code || "").trim();
-      if (!t) continue;
-      if (isSettingLine(t)) {
-        settingsEnd = i + 1;
-        continue;
-      }
-      // stop at first real non-setting line
-      break;
-    }
-
-    for (let i = 0; i < lines.length; i++) {
-      const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
-      const t = String(code || "").trim();
-      if (!t) continue;
-      if (/^-{2,}\b/.test(t)) return Math.max(settingsEnd, i);
-    }
-    return settingsEnd;
-  }
-
-  function findFreeLabelTokenForNodeId(lines, nodeId) {
-    // If this node came from a free-label edge token, find the original token ("Training quality") whose slug matches nodeId.
-    const id = String(nodeId || "").trim();
-    if (!id) return "";
-    for (const raw of lines) {
-      const { code } = stripCommentKeepSuffix(String(raw || ""));
-      const c = String(code || "").trim();
-      if (!c.includes("->")) continue;
-      const m = c.match(/^(.+?)\s*->\s*(.+)$/);
-      if (!m) continue;
-      const left = m[1].trim();
-      const right = parseTrailingBracket(m[2]).before.trim();
-      const tokens = []
-        .concat(left.split("|").map((t) => t.trim()))
-        .concat(right.split("|").map((t) => t.trim()))
-        .filter(Boolean);
-      for (const tok of tokens) {
-        if (!tok) continue;
-        if (tok === id) return tok;
-        if (slugId(tok) === id) return tok;
-      }
-    }
-    return "";
-  }
-
-  function ensureExplicitNodeFromFreeLabel(lines, nodeId) {
-    // Promote an implicit node created from a free-label edge token:
-    // - Add "ID:: Label" near the top (before any boxes)
-    // - Rewrite any edge endpoints that refer to the free label to use the ID token
-    // Returns { ok, nodeId } where nodeId may change if the original was not a valid ID token.
-    const oldId = String(nodeId || "").trim();
-    if (!oldId) return { ok: false, nodeId: "" };
-    const existingDef = parseNodeDefLine(lines, oldId);
-    if (existingDef) return { ok: true, nodeId: oldId };
-
-    const rawTok = findFreeLabelTokenForNodeId(lines, oldId);
-    const label = String(rawTok || oldId).trim() || oldId;
-
-    const existingIds = new Set(getExplicitNodeIdsFromLines(lines));
-    const newId = isSimpleIdToken(oldId) ? oldId : makeUniqueNodeIdFromLabel(label, existingIds);
-    if (!newId) return { ok: false, nodeId: "" };
-
-    // Rewrite edge tokens referencing this node (exact match OR slug match) to use the chosen ID.
-    for (let i = 0; i < lines.length; i++) {
-      const raw = String(lines[i] || "");
-      if (!isEdgeLineRaw(raw)) continue;
-      const parsed = parseEdgeLine(lines, i + 1);
-      const ep = parsed ? parseEdgeEndpoints(parsed.before) : null;
-      if (!parsed || !ep) continue;
-
-      let changed = false;
-      ep.sources = ep.sources.map((tok) => {
-        const t = String(tok || "").trim();
-        if (!t) return t;
-        if (t === oldId || slugId(t) === oldId) {
-          changed = true;
-          return newId;
-        }
-        return t;
-      });
-      ep.targets = ep.targets.map((tok) => {
-        const t = String(tok || "").trim();
-        if (!t) return t;
-        if (t === oldId || slugId(t) === oldId) {
-          changed = true;
-          return newId;
-        }
-        return t;
-      });
-      if (!changed) continue;
+    const c = clustersById.get(cid) || null;
+    if (!c) return "";
+    const existing = String(c.alias || "").trim();
+    if (existing) return existing;
 
-      const before = `${ep.sources.join(" | ")} -> ${ep.targets.join(" | ")}`.trimEnd();
-      const inner = buildEdgeBracketInner({ label: parsed.label, border: parsed.border, keptKv: parsed.keptKv, keptLoose: parsed.keptLoose });
-      const bracket = inner ? ` [${inner}]` : "";
-      const commentSuffix = parsed.comment ? ` ${parsed.comment.trim()}` : "";
-      lines[i] = `${before}${bracket}${commentSuffix}`.trimEnd();
+    const used = getUsedSimpleIdTokensFromLines(lines);
+    let alias = "";
+    for (let i = 1; i < 10000; i++) {
+      const cand = `g${i}`;
+      if (!used.has(cand)) {
+        alias = cand;
+        break;
+      }
     }
+    if (!alias) return "";
 
-    // Insert the explicit node def near the top.
-    const insertAt = findInsertIdxForAutoNodeDef(lines);
-    const defLine = `${newId}:: ${label}`.trimEnd();
-    lines.splice(insertAt, 0, defLine);
-    return { ok: true, nodeId: newId };
+    setClusterDefLineAt(lines, c.idx, {
+      dashes: c.dashes,
+      alias,
+      label: c.label,
+      styleInner: c.styleInner,
+      comment: c.comment,
+    });
+    return alias;
   }
 
   function refreshFormFromEditor() {
@@ -7431,6 +5473,12 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         edgeFields?.classList.add("d-none");
 
         const parsed = parseNodeDefLine(lines, selection.nodeId);
+        const included = parsed ? null : includedNodeSource(lines, selection.nodeId);
+        if (included) {
+          nodeFields?.classList.add("d-none");
+          setActions({ save: false, del: false, message: `This node is defined in the included map "${included}"; edit it there.` });
+          return;
+        }
         if (!parsed) {
           // Silent fix: promote implicit node to an explicit "ID:: Label" near the top (and rewrite edges to use the ID).
           const res = ensureExplicitNodeFromFreeLabel(lines, selection.nodeId);
@@ -7445,9 +5493,14 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
           return;
         }
         if (nodeLabelInput) nodeLabelInput.value = parsed?.label ?? "";
+        if (selectedNodes.size <= 1) setNodeIdRow(selection.nodeId, { disabled: false });
+
+        syncStyleClassRow("node", lines);
 
+        // Show the effective style (class attributes included); edits are still written inline.
+        const styleClasses = parseMapScript(lines.join("\n")).styleClasses;
         const defaults = getDefaultNodeUi();
-        const fromAttrs = styleInnerToNodeUi(parsed?.styleInner || "");
+        const fromAttrs = styleInnerToNodeUi(resolveStyleClasses(parsed?.styleInner || "", styleClasses, "node").inner);
 
         const fillHex = fromAttrs?.fillHex || (defaults.hasFillDefault ? defaults.fillHex : null);
         if (nodeFillInput) nodeFillInput.value = fillHex || "#ffffff";
@@ -7458,8 +5511,9 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         setButtonsUi(nodeBsBtns, nodeBsSel?.value);
         if (nodeBcInput) nodeBcInput.value = borderUi?.colorHex || "#999999";
 
-        const rounded = fromAttrs?.rounded ?? defaults.rounded;
-        if (nodeRoundedChk) nodeRoundedChk.checked = Boolean(rounded);
+        // Shape: only this line's own "shape=" ("Default" = class, group or Default node shape).
+        const shape = styleInnerToNodeUi(parsed?.styleInner || "")?.shape || "";
+        if (nodeShapeSel) nodeShapeSel.value = shape;
 
         const textSizeScale = Number.isFinite(fromAttrs?.textSizeScale) ? Number(fromAttrs.textSizeScale) : 1;
         if (nodeTextSizeInput) nodeTextSizeInput.value = String(textSizeScale);
@@ -7468,7 +5522,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
           type: "node",
           fillHex: (fillHex || "#ffffff").toLowerCase(),
           borderUi: { width: Number(borderUi?.width ?? 0), style: borderUi?.style || "solid", colorHex: borderUi?.colorHex || "#999999" },
-          rounded: Boolean(rounded),
+          shape,
           textSizeScale,
         };
 
@@ -7494,8 +5548,10 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         setActions({ save: true, del: false, message: "" });
 
         if (clusterLabelInput) clusterLabelInput.value = c.label || "";
+        syncStyleClassRow("cluster", lines);
 
-        const fromAttrs = styleInnerToClusterUi(c.styleInner || "");
+        const styleClasses = parseMapScript(lines.join("\n")).styleClasses;
+        const fromAttrs = styleInnerToClusterUi(resolveStyleClasses(c.styleInner || "", styleClasses, "group").inner);
 
         const baselineFillHex = (fromAttrs?.fillHex || getDiagramBackgroundHexFromEditor(editor.getValue()) || "#ffffff").toLowerCase();
         if (clusterFillInput) clusterFillInput.value = baselineFillHex;
@@ -7532,20 +5588,40 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
 
         const parsed = parseEdgeLine(lines, selection.lineNo);
         const ep = parsed ? parseEdgeEndpoints(parsed.before) : null;
-        const isMulti = Boolean(ep && (ep.sources.length > 1 || ep.targets.length > 1));
-        // Multi-link line: allow style/label edits (apply to all generated edges), but disable rerouting.
+        const isMulti = Boolean(ep && isMultiEdgeLine(ep));
+        // Multi-link line (or chain): allow style/label edits (apply to all generated edges), but disable rerouting.
         if (edgeFromSel) edgeFromSel.disabled = isMulti;
         if (edgeToSel) edgeToSel.disabled = isMulti;
+        // The connector is shared too ("A -> B | C": making A-B two-way would change A-C as well).
+        for (const el of [edgeDirSel, ...edgeDirBtns]) if (el) el.disabled = isMulti;
         setActions({
           save: true,
           del: !isMulti, // deleting a multi-link line is a bigger action; keep disabled here
           message: isMulti
-            ? "This link comes from a multi-link line using '|'. Any label/border changes here apply to ALL links produced by that line. Rerouting source/target is disabled."
+            ? "This link comes from a multi-link line (using '|' or a chain like 'A -> B -> C'). Any label, border or arrowhead changes here apply to ALL links produced by that line. Rerouting source/target and changing the direction are disabled."
             : "",
         });
 
         if (edgeLabelInput) edgeLabelInput.value = parsed?.label ?? "";
 
+        // Direction: the connector of the chain step that renders this link.
+        const pair = findEdgeChainPair(ep, selection.fromId, selection.toId);
+        if (edgeDirSel) edgeDirSel.value = pair?.op || "->";
+        setButtonsUi(edgeDirBtns, edgeDirSel?.value);
+
+        // Sides: an "id:port" on this link's endpoints wins over the line's from= / to=.
+        const oriented = pair ? orientEdgePair(pair) : null;
+        const sideOf = (port, written) => portSideName(port || portCompassPoint(written) || "");
+        edgeSidesShown = { from: sideOf(oriented?.fromPort, parsed?.fromSide), to: sideOf(oriented?.toPort, parsed?.toSide) };
+        if (edgeArrowSel) {
+          const arrow = normalizeArrowhead(parsed?.arrow) || "";
+          if (![...edgeArrowSel.options].some((o) => o.value === arrow)) edgeArrowSel.add(new Option(arrow, arrow)); // eg "odot"
+          edgeArrowSel.value = arrow;
+        }
+        setButtonsUi(edgeArrowBtns, edgeArrowSel?.value);
+        if (edgeFromSideSel) edgeFromSideSel.value = edgeSidesShown.from;
+        if (edgeToSideSel) edgeToSideSel.value = edgeSidesShown.to;
+
         const nodesById = buildNodesByIdFromDsl();
         fillNodeSelect(edgeFromSel, nodesById, selection.fromId);
         fillNodeSelect(edgeToSel, nodesById, selection.toId);
@@ -7570,6 +5646,154 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     renderNow(graphviz, editor);
   }
 
+  function renameSelectedNodeId() {
+    // Purpose: "Rename ID" in the node drawer: rewrite the ID everywhere, keep the node selected under its new ID.
+    if (!selection || selection.type !== "node") return;
+    const oldId = selection.nodeId;
+    const lines = editor.getValue().split(/\r?\n/);
+    const res = renameIdEverywhere(lines, oldId, nodeIdInput?.value ?? "");
+    if (!res.ok) return setNodeIdRow(nodeIdInput?.value ?? oldId, { disabled: false, message: res.message });
+    if (!res.count) return setNodeIdRow(oldId, { disabled: false });
+
+    const newId = String(nodeIdInput?.value || "").trim();
+    selectedNodes.delete(oldId);
+    selectedNodes.add(newId);
+    selection.nodeId = newId;
+    applyEditorLines(lines);
+    setNodeIdRow(newId, { disabled: false });
+    setVizStatus(res.message);
+  }
+  nodeIdRenameBtn?.addEventListener("click", renameSelectedNodeId);
+  nodeIdInput?.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    renameSelectedNodeId();
+  });
+  nodeIdInput?.addEventListener("input", () => {
+    if (nodeIdFeedback) nodeIdFeedback.classList.add("d-none");
+  });
+
+  // -----------------------------
+  // Style classes in the node / group drawers
+  // -----------------------------
+
+  function styleClassTargets(kind, lines) {
+    // Purpose: the selected node / group lines, as { styleInner, write(lines, inner) } (bulk selections included).
+    const sel = selection || {};
+    if (kind === "node") {
+      const ids = sel.type === "node" ? [sel.nodeId] : sel.type === "node_bulk" ? sel.nodeIds || [] : [];
+      return ids
+        .map((id) => ({ id, parsed: parseNodeDefLine(lines, id) }))
+        .filter((t) => t.parsed)
+        .map(({ id, parsed }) => ({
+          styleInner: parsed.styleInner || "",
+          write: (out, inner) => setNodeDefLine(out, id, { label: parsed.label || id, styleInner: inner }),
+        }));
+    }
+    const ids = sel.type === "cluster" ? [sel.clusterId] : sel.type === "cluster_bulk" ? sel.clusterIds || [] : [];
+    const clustersById = buildClustersByIdFromLines(lines);
+    return ids
+      .map((id) => clustersById.get(id))
+      .filter(Boolean)
+      .map((c) => ({
+        styleInner: c.styleInner || "",
+        write: (out, inner) =>
+          setClusterDefLineAt(out, c.idx, { dashes: c.dashes, alias: c.alias, label: c.label, styleInner: inner, comment: c.comment }),
+      }));
+  }
+
+  function setClassFeedback(kind, message, isError = false) {
+    const fb = classRows[kind].feedback;
+    if (!fb) return;
+    fb.textContent = message || "";
+    fb.classList.toggle("d-none", !message);
+    fb.classList.toggle("text-danger", Boolean(isError));
+    fb.classList.toggle("text-muted", !isError);
+  }
+
+  function syncStyleClassRow(kind, lines) {
+    // Purpose: show the classes the selected items share, and offer every defined class name.
+    const row = classRows[kind];
+    if (!row.input) return;
+    const defined = Object.values(parseMapScript(lines.join("\n")).styleClasses);
+    if (styleClassList) {
+      styleClassList.replaceChildren(
+        ...defined.map((c) => {
+          const opt = document.createElement("option");
+          opt.value = c.name;
+          opt.label = c.styleInner;
+          return opt;
+        })
+      );
+    }
+    const lists = styleClassTargets(kind, lines).map((t) => parseBracketAttrs(`[${t.styleInner}]`).classes);
+    const shared = lists.length ? lists[0].filter((n) => lists.every((l) => l.includes(n))) : [];
+    row.input.value = shared.join(" ");
+    if (row.editBtn) row.editBtn.disabled = !defined.length;
+    setClassFeedback(kind, "");
+  }
+
+  function applyStyleClassRow(kind) {
+    // Purpose: "Apply": set the typed classes on the selected items. A class that doesn't exist yet is created
+    // from the first item's own key=value attributes, which then move out of every selected item.
+    const row = classRows[kind];
+    const names = [...new Set(String(row.input?.value || "").split(/[\s,]+/).map((n) => n.replace(/^\./, "")).filter(Boolean))];
+    const bad = names.find((n) => !isStyleClassName(n));
+    if (bad) return setClassFeedback(kind, `"${bad}" is not a valid class name (letters, digits, "_" or "-", starting with a letter).`, true);
+
+    const lines = editor.getValue().split(/\r?\n/);
+    const targets = styleClassTargets(kind, lines);
+    if (!targets.length) return;
+    const defined = parseMapScript(lines.join("\n")).styleClasses;
+    const missing = names.filter((n) => !defined[n.toLowerCase()]);
+
+    const partsOf = (inner) => String(inner || "").split("|").map((p) => p.trim()).filter(Boolean);
+    const sameAttr = (a, b) => a.replace(/\s+/g, " ").toLowerCase() === b.replace(/\s+/g, " ").toLowerCase();
+    const moved = missing.length
+      ? partsOf(targets[0].styleInner).filter((p) => p.includes("=") && !/^class\s*=/i.test(p))
+      : [];
+
+    // Rewrite the items first (their rows don't move), then add any new "Style name:" lines at the top.
+    for (const t of targets) {
+      const kept = partsOf(t.styleInner).filter((p) => !moved.some((m) => sameAttr(m, p)));
+      const next = setStyleClassRefs(kept.join(" | "), names);
+      if (next !== t.styleInner) t.write(lines, next);
+    }
+    for (const name of missing) setStyleClassLine(lines, name, moved.join(" | "));
+
+    applyEditorLines(lines);
+    refreshFormFromEditor();
+    if (missing.length) setVizStatus(`Created style class ${missing.map((n) => `"${n}"`).join(", ")}`);
+    else setVizStatus(names.length ? `Style class: ${names.join(", ")}` : "Style classes removed");
+  }
+
+  function editStyleClassRow(kind) {
+    // Purpose: "Edit class": put the editor cursor on the "Style name: ..." line of the (first) typed class.
+    const lines = editor.getValue().split(/\r?\n/);
+    const names = String(classRows[kind].input?.value || "").split(/[\s,]+/).filter(Boolean);
+    const idx = names.map((n) => findStyleClassLineIndex(lines, n)).find((i) => i >= 0) ?? -1;
+    if (idx < 0) {
+      return setClassFeedback(kind, names.length ? "Not defined yet: press Apply to create it from this style." : "Type a class name first.");
+    }
+    const details = document.getElementById("tm-editor-details");
+    if (details && !details.open) details.open = true;
+    const line = lines[idx];
+    editor.gotoLine(idx + 1, line.length, true);
+    editor.focus();
+  }
+
+  for (const kind of Object.keys(classRows)) {
+    const row = classRows[kind];
+    row.applyBtn?.addEventListener("click", () => applyStyleClassRow(kind));
+    row.editBtn?.addEventListener("click", () => editStyleClassRow(kind));
+    row.input?.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      applyStyleClassRow(kind);
+    });
+    row.input?.addEventListener("input", () => setClassFeedback(kind, ""));
+  }
+
   function applySelectionEdits({ closeAfter = false } = {}) {
     // Purpose: apply current widget values back into the editor text (single-line patch) + rerender.
     if (!selection || !canSave) return;
@@ -7588,7 +5812,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         style: String(nodeBsSel?.value ?? "solid"),
         colorHex: String(nodeBcInput?.value ?? "#999999"),
       };
-      const curRounded = Boolean(nodeRoundedChk?.checked);
+      const curShape = String(nodeShapeSel?.value || "");
       const curTextSizeScale = Number(nodeTextSizeInput?.value ?? 1);
       if (!(Number.isFinite(curTextSizeScale) && curTextSizeScale > 0)) return;
 
@@ -7608,18 +5832,18 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         const ui = styleInnerToNodeUi(parsed.styleInner || "") || {};
         const existingFillHex = ui.fillHex || null;
         const existingBorderText = ui.borderUi ? uiToBorderText(ui.borderUi) : "";
-        const existingRounded = Boolean(ui.rounded);
+        const existingShape = ui.shape || "";
         const existingTextSizeScale = Number.isFinite(ui.textSizeScale) ? Number(ui.textSizeScale) : null;
 
         const fillHex = bulkNodeDirty.fill ? curFillHex : existingFillHex;
         const borderText = bulkNodeDirty.border ? newBorderText : existingBorderText;
-        const rounded = bulkNodeDirty.rounded ? curRounded : existingRounded;
+        const shape = bulkNodeDirty.shape ? curShape : existingShape;
         const textSizeScale = bulkNodeDirty.textSize ? curTextSizeScale : existingTextSizeScale;
 
         const nextInner = upsertNodeStyleInner(parsed.styleInner || "", {
           fillHex,
           borderText,
-          rounded,
+          shape,
           textSizeScale,
         });
 
@@ -7652,7 +5876,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         style: String(nodeBsSel?.value ?? "solid"),
         colorHex: String(nodeBcInput?.value ?? "#999999"),
       };
-      const curRounded = Boolean(nodeRoundedChk?.checked);
+      const curShape = String(nodeShapeSel?.value || "");
       const curTextSizeScale = Number(nodeTextSizeInput?.value ?? 1);
       if (!(Number.isFinite(curTextSizeScale) && curTextSizeScale > 0)) return;
 
@@ -7660,13 +5884,13 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       const borderText = !borderUiEquals(curBorderUi, base.borderUi)
         ? uiToBorderText({ width: curBorderUi.width, style: curBorderUi.style, colorHex: curBorderUi.colorHex })
         : "";
-      const rounded = curRounded !== base.rounded ? curRounded : false;
+      const shape = curShape; // the picker shows this line's own shape, so write it as is
       const textSizeScale = curTextSizeScale !== base.textSizeScale ? curTextSizeScale : null;
 
       const styleInner = upsertNodeStyleInner(parsed.styleInner || "", {
         fillHex,
         borderText: borderText || "",
-        rounded,
+        shape,
         textSizeScale,
       });
 
@@ -7788,20 +6012,35 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       const toChanged = nextTo !== selection.toId;
       const nodesById = fromChanged || toChanged ? buildNodesByIdFromDsl() : null;
 
+      const parsed = parseEdgeLine(lines, selection.lineNo);
+      const curOp = findEdgeChainPair(parsed ? parseEdgeEndpoints(parsed.before) : null, selection.fromId, selection.toId)?.op || "->";
+      const nextOp = (!edgeDirSel?.disabled && edgeDirSel?.value) || curOp;
+      const nextSides = { from: edgeFromSideSel?.value ?? edgeSidesShown.from, to: edgeToSideSel?.value ?? edgeSidesShown.to };
+
       const ok = setEdgeLine(lines, selection.lineNo, {
         fromId: fromChanged ? { old: selection.fromId, next: nextFrom } : null,
         toId: toChanged ? { old: selection.toId, next: nextTo } : null,
+        op: nextOp !== curOp ? nextOp : "",
+        edge: { fromId: selection.fromId, toId: selection.toId },
         label: edgeLabelInput?.value ?? "",
         border,
+        fromSide: nextSides.from !== edgeSidesShown.from ? nextSides.from : undefined,
+        toSide: nextSides.to !== edgeSidesShown.to ? nextSides.to : undefined,
+        arrow: edgeArrowSel ? edgeArrowSel.value : undefined,
         nodesById,
       });
       if (!ok) return;
+      edgeSidesShown = nextSides;
 
       // Keep selection meta accurate if the user rerouted the edge.
+      // Switching to/from "<-" flips which end Graphviz treats as the source.
+      const flipped = (curOp === "<-") !== (nextOp === "<-");
+      const fromNow = fromChanged ? nextFrom : selection.fromId;
+      const toNow = toChanged ? nextTo : selection.toId;
       selection = {
         ...selection,
-        fromId: fromChanged ? nextFrom : selection.fromId,
-        toId: toChanged ? nextTo : selection.toId,
+        fromId: flipped ? toNow : fromNow,
+        toId: flipped ? fromNow : toNow,
       };
     }
 
@@ -7815,6 +6054,17 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   }
 
   vizEl.addEventListener("click", (e) => {
+    // Items with url= are wrapped in an SVG <a>: a plain click still edits, Ctrl/Cmd+click opens the URL in a new tab.
+    const linkEl = e.target.closest?.("a");
+    if (linkEl && vizEl.contains(linkEl)) {
+      e.preventDefault();
+      const href = safeLinkUrl(linkEl.getAttribute("href") || linkEl.getAttributeNS("http://www.w3.org/1999/xlink", "href") || "");
+      if (href && (e.ctrlKey || e.metaKey)) {
+        window.open(href, "_blank", "noopener");
+        return;
+      }
+    }
+
     // If the user just drag-panned, suppress the synthetic click fired on mouseup.
     if (vizEl?.dataset?.tmIgnoreNextClick === "1") {
       delete vizEl.dataset.tmIgnoreNextClick;
@@ -7887,6 +6137,13 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         hideHoverCheckbox();
         return;
       }
+      // A collapsed group's node: clicking it expands the group (unless a selection is waiting for a target).
+      const collapsedClusterId = clusterIdFromCollapsedNodeId(nodeId);
+      if (collapsedClusterId) {
+        clearVizSelection();
+        if (selectedNodes.size === 0 && selectedClusters.size === 0) setGroupCollapsed(collapsedClusterId, false);
+        return;
+      }
 
       // If groups are selected, clicking a node creates links to/from those groups.
       if (selectedClusters.size > 0) {
@@ -8071,6 +6328,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       const toId = m ? clusterAliasFromAnchorNodeId(m[2].trim()) : "";
       const lineNo = parseTmEdgeDomIdFromEl(e.target);
       if (!fromId || !toId || !lineNo) return;
+      if (clusterIdFromCollapsedNodeId(fromId) || clusterIdFromCollapsedNodeId(toId)) return; // expand the group to edit it
       selection = { type: "edge", fromId, toId, lineNo };
       refreshFormFromEditor();
       openModal();
@@ -8084,6 +6342,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     if (e.target === hoverDeleteBtn || hoverDeleteBtn.contains(e.target)) return;
     if (e.target === hoverCheckbox || hoverCheckbox?.contains?.(e.target)) return;
     if (e.target === hoverClusterCheckbox || hoverClusterCheckbox?.contains?.(e.target)) return;
+    if (e.target === hoverCollapseBtn || hoverCollapseBtn?.contains?.(e.target)) return;
 
     // Prevent a common UX glitch: there can be a tiny "dead" gap between a node and the overlay
     // controls (checkbox / delete X). While the pointer is moving toward the overlay, we don't
@@ -8107,6 +6366,14 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     const hasClusterSelection = selectedClusters.size > 0;
     const selectionActive = hasNodeSelection || hasClusterSelection;
 
+    // Collapse/expand toggle: on a group box, or on a collapsed group's node (not while a selection is active).
+    const hoveredCollapsedId = nodeG ? clusterIdFromCollapsedNodeId(getGraphvizTitleText(nodeG)) : "";
+    const hoveredBoxId = !nodeG && !edgeG && clusterG ? getGraphvizTitleText(clusterG) : "";
+    if (selectionActive) hideHoverCollapse();
+    else if (hoveredCollapsedId) showHoverCollapseAtSvgGroup(nodeG, hoveredCollapsedId, false);
+    else if (hoveredBoxId.startsWith("cluster_")) showHoverCollapseAtSvgGroup(clusterG, hoveredBoxId, true);
+    else if (!isPointerNearEl(hoverCollapseBtn, 8)) hideHoverCollapse();
+
     // If the pointer is on a selection checkbox (SVG foreignObject overlay),
     // show checkbox-specific instructions (do not treat it like hovering the whole node/cluster).
     const isOnNodeCheckbox = Boolean(e.target?.closest?.(".tm-node-checkbox"));
@@ -8126,7 +6393,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     // - Only change the hint when hovering a valid target (node/group box).
     const hoveredNodeId = nodeG ? getGraphvizTitleText(nodeG) : "";
     const hoveredClusterId = clusterG ? getGraphvizTitleText(clusterG) : "";
-    const hoveredNodeIsTarget = Boolean(hoveredNodeId) && !isInternalClusterAnchorNodeId(hoveredNodeId);
+    const hoveredNodeIsTarget = Boolean(hoveredNodeId) && !isInternalClusterAnchorNodeId(hoveredNodeId) && !hoveredCollapsedId;
     const hoveredClusterIsTarget = Boolean(hoveredClusterId && hoveredClusterId.startsWith("cluster_"));
 
     if (selectionActive && !hoveredNodeIsTarget && !hoveredClusterIsTarget) {
@@ -8202,6 +6469,13 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         clearVizHint();
         return;
       }
+      if (hoveredCollapsedId) {
+        setVizHint("Click to expand this group");
+        hideHoverDelete();
+        hideHoverCheckbox();
+        hideHoverClusterCheckbox();
+        return;
+      }
       hoverDeleteTarget = { type: "node", nodeId };
       if (hoverDeleteBtn) {
         hoverDeleteBtn.title = "Click to delete this node";
@@ -8271,6 +6545,12 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
         clearVizHint();
         return;
       }
+      if (clusterIdFromCollapsedNodeId(fromId) || clusterIdFromCollapsedNodeId(toId)) {
+        setVizHint("Expand the group to edit the links it stands for");
+        hideHoverDelete();
+        hideHoverCheckbox();
+        return;
+      }
       hoverDeleteTarget = { type: "edge", fromId, toId, lineNo };
       if (hoverDeleteBtn) {
         hoverDeleteBtn.title = "Click to delete this link";
@@ -8328,75 +6608,6 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     clearHoverGlow();
   });
 
-  function moveExplicitNodeDefsIntoCluster(lines, nodeIds, clusterId) {
-    // Purpose: move explicit "A:: ..." lines so they appear inside an existing cluster (before its closing marker).
-    const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
-    if (!ids.length) return { ok: false, message: "No nodes to move." };
-
-    const defs = [];
-    const missing = [];
-    for (const id of ids) {
-      const idx = findExplicitNodeDefIdx(lines, id);
-      if (idx < 0) missing.push(id);
-      else defs.push({ id, idx, raw: lines[idx] });
-    }
-    if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to move." };
-
-    // Remove original node definition lines (bottom-up so indices stay valid).
-    defs.sort((a, b) => a.idx - b.idx);
-    const removeIdxs = defs.map((d) => d.idx).sort((a, b) => b - a);
-    for (const i of removeIdxs) lines.splice(i, 1);
-
-    // Re-find cluster range after removals (indices may shift).
-    const range = findClusterRangeFromLines(lines, clusterId);
-    if (!range) return { ok: false, message: "Drop failed: target group box couldn't be mapped back to the editor." };
-    if (range.closeIdx < 0) return { ok: false, message: "Drop failed: target group box has no closing line (use '--' to close it)." };
-
-    const insertAt = range.closeIdx; // insert BEFORE closing marker so nodes become members of that cluster
-    const nodeLines = defs.map((d) => d.raw);
-    lines.splice(insertAt, 0, ...nodeLines);
-
-    const msg = missing.length
-      ? `Moved ${defs.length} node(s) into group. Skipped (no explicit A:: line): ${missing.join(", ")}`
-      : `Moved ${defs.length} node(s) into group.`;
-    return { ok: true, message: msg };
-  }
-
-  function moveExplicitNodeDefsOutToTopLevel(lines, nodeIds) {
-    // Purpose: move explicit "A:: ..." lines out of any clusters (top-level).
-    const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
-    if (!ids.length) return { ok: false, message: "No nodes to move." };
-
-    const defs = [];
-    const missing = [];
-    for (const id of ids) {
-      const idx = findExplicitNodeDefIdx(lines, id);
-      if (idx < 0) missing.push(id);
-      else defs.push({ id, idx, raw: lines[idx] });
-    }
-    if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to move." };
-
-    // Remove original lines.
-    defs.sort((a, b) => a.idx - b.idx);
-    const removeIdxs = defs.map((d) => d.idx).sort((a, b) => b - a);
-    for (const i of removeIdxs) lines.splice(i, 1);
-
-    // Insert above the trailing links block (recommended style), but only if we're not inside a cluster there.
-    const insertAt = findTrailingLinksBlockStart(lines);
-    const depthAt = getClusterDepthAtLine(lines, insertAt);
-    if (depthAt > 0) {
-      return { ok: false, message: "Move out failed: you're still inside an open group box here. Add a closing line like '--' before the links section." };
-    }
-
-    const nodeLines = defs.map((d) => d.raw);
-    lines.splice(insertAt, 0, ...nodeLines);
-
-    const msg = missing.length
-      ? `Moved ${defs.length} node(s) out of groups. Skipped (no explicit A:: line): ${missing.join(", ")}`
-      : `Moved ${defs.length} node(s) out of groups.`;
-    return { ok: true, message: msg };
-  }
-
   hoverDeleteBtn?.addEventListener("click", (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -8408,6 +6619,12 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       // Delete immediately (no confirm modal).
       // Silent fix for implicit (free-label) nodes: promote to explicit first, so delete works reliably.
       const parsed = parseNodeDefLine(lines, hoverDeleteTarget.nodeId);
+      const included = parsed ? null : includedNodeSource(lines, hoverDeleteTarget.nodeId);
+      if (included) {
+        setVizStatus(`"${hoverDeleteTarget.nodeId}" is defined in the included map "${included}"; delete it there.`, 3000);
+        hideHoverDelete();
+        return;
+      }
       if (!parsed) {
         const res = ensureExplicitNodeFromFreeLabel(lines, hoverDeleteTarget.nodeId);
         if (res?.ok && res.nodeId) hoverDeleteTarget.nodeId = res.nodeId;
@@ -8492,129 +6709,24 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
 
   hoverClusterCheckbox?.addEventListener("click", (e) => e.stopPropagation());
 
-  function getClusterDepthAtLine(lines, idx) {
-    // Return current open cluster depth (0 = none, 2 = level-1, 4 = level-2, etc) just BEFORE lines[idx].
-    const stack = [];
-    for (let i = 0; i < idx; i++) {
-      const raw = lines[i] || "";
-      const line = stripComment(raw).trim();
-      if (!line) continue;
-      const m = line.match(/^(-{2,})(.*)$/);
-      if (!m) continue;
-      const dashes = m[1];
-      const rest = String(m[2] || "").trim();
-      const depth = dashes.length;
-      if (depth % 2 !== 0) continue;
-
-      // Closing marker
-      if (!rest) {
-        while (stack.length && stack[stack.length - 1] >= depth) stack.pop();
-        continue;
-      }
-
-      // Opening marker: align to parent depth
-      const parentDepth = depth - 2;
-      while (stack.length && stack[stack.length - 1] > parentDepth) stack.pop();
-      stack.push(depth);
-    }
-    return stack.length ? stack[stack.length - 1] : 0;
-  }
-
-  function findExplicitNodeDefIdx(lines, nodeId) {
-    const id = String(nodeId || "").trim();
-    if (!id) return -1;
-    const re = new RegExp(`^\\s*${id.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\$&")}\\s*::\\s*`, "i");
-    for (let i = 0; i < lines.length; i++) {
-      const { code } = stripCommentKeepSuffix(lines[i] || "");
-      if (re.test(code)) return i;
-    }
-    return -1;
-  }
-
-  function isEdgeLineRaw(rawLine) {
-    const { code } = stripCommentKeepSuffix(String(rawLine || ""));
-    const t = String(code || "").trim();
-    if (!t) return false;
-    const m = t.match(/^(.+?)\s*->\s*(.+)$/);
-    return Boolean(m);
-  }
-
-  function findTrailingLinksBlockStart(lines) {
-    // Purpose: keep "aliases + boxes" above the final block of link lines (recommended style).
-    // We treat the *bottom* contiguous block of edge lines (allowing blank/comment lines between)
-    // as the "links at end" region, and we insert groups above it.
-    let i = lines.length - 1;
-    // Skip trailing blanks/comments
-    while (i >= 0) {
-      const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
-      if (String(code || "").trim()) break;
-      i--;
-    }
-    // Walk upward through the trailing edge block
-    let sawEdge = false;
-    while (i >= 0) {
-      const raw = String(lines[i] || "");
-      const { code } = stripCommentKeepSuffix(raw);
-      const t = String(code || "").trim();
-      if (!t) {
-        i--;
-        continue;
-      }
-      if (isEdgeLineRaw(raw)) {
-        sawEdge = true;
-        i--;
-        continue;
-      }
-      break;
-    }
-    if (!sawEdge) return lines.length;
-    return i + 1;
+  // Collapse/expand toggle: writes "[collapsed]" on (or removes it from) the group's line, so shared links keep the view.
+  function setGroupCollapsed(clusterId, collapse) {
+    const lines = editor.getValue().split(/\r?\n/);
+    const c = buildClustersByIdFromLines(lines).get(clusterId);
+    if (!c || !setClusterCollapsed(lines, c.idx, collapse)) return;
+    hideHoverCollapse();
+    hideHoverDelete();
+    hideHoverClusterCheckbox();
+    clearHoverGlow();
+    applyEditorLines(lines);
+    setVizStatus(collapse ? "Collapsed group" : "Expanded group");
   }
 
-  function groupNodesIntoCluster(lines, nodeIds, labelText) {
-    // Group selected nodes by moving their explicit definition lines into a new cluster block.
-    const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
-    if (!ids.length) return { ok: false, message: "No selected nodes." };
-
-    const defs = [];
-    const missing = [];
-    for (const id of ids) {
-      const idx = findExplicitNodeDefIdx(lines, id);
-      if (idx < 0) missing.push(id);
-      else defs.push({ id, idx, raw: lines[idx] });
-    }
-
-    if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to group." };
-
-    // Insert at the earliest selected node definition line (but keep groups above the trailing link block).
-    defs.sort((a, b) => a.idx - b.idx);
-    const insertIdx = defs[0].idx;
-
-    // Remove original node definition lines (bottom-up so indices stay valid).
-    const removeIdxs = defs.map((d) => d.idx).sort((a, b) => b - a);
-    for (const i of removeIdxs) lines.splice(i, 1);
-
-    const trailingLinksStart = findTrailingLinksBlockStart(lines);
-    const insertAt = Math.min(insertIdx, trailingLinksStart);
-
-    // Determine nesting depth at insertion point (after removals; cluster markers unchanged).
-    const curDepth = getClusterDepthAtLine(lines, insertAt);
-    const newDepth = curDepth + 2;
-    const dashes = "-".repeat(newDepth);
-
-    const label = String(labelText ?? "").trim();
-    const openLine = label ? `${dashes}${label}` : `${dashes}[]`; // explicit untitled opener
-    const closeLine = `${dashes}`;
-
-    // Insert: open, node defs (in original order), close.
-    const nodeLines = defs.map((d) => d.raw);
-    lines.splice(insertAt, 0, openLine, ...nodeLines, closeLine);
-
-    const msg = missing.length
-      ? `Grouped ${defs.length} node(s). Skipped (no explicit A:: line): ${missing.join(", ")}`
-      : `Grouped ${defs.length} node(s).`;
-    return { ok: true, message: msg };
-  }
+  hoverCollapseBtn?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const clusterId = String(hoverCollapseBtn.dataset.tmClusterId || "").trim();
+    if (clusterId) setGroupCollapsed(clusterId, hoverCollapseBtn.dataset.tmCollapse === "1");
+  });
 
   // Delete selected nodes button
   const deleteSelectedBtn = document.getElementById("tm-delete-selected");
@@ -8685,13 +6797,13 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
       style: String(nodeBsSel?.value ?? "solid"),
       colorHex: String(nodeBcInput?.value ?? "#999999"),
     };
-    const curRounded = Boolean(nodeRoundedChk?.checked);
+    const curShape = String(nodeShapeSel?.value || "");
     const curTextSizeScale = Number(nodeTextSizeInput?.value ?? 1);
     const borderText = uiToBorderText(curBorderUi);
     const styleInner = upsertNodeStyleInner("", {
       fillHex: curFillHex,
       borderText,
-      rounded: curRounded,
+      shape: curShape,
       textSizeScale: Number.isFinite(curTextSizeScale) && curTextSizeScale > 0 ? curTextSizeScale : null,
     });
     const bracket = styleInner ? ` [${styleInner}]` : "";
@@ -8747,7 +6859,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   nodeBwInput?.addEventListener("input", () => markBulkDirty("border"));
   nodeBsSel?.addEventListener("change", () => markBulkDirty("border"));
   nodeBcInput?.addEventListener("input", () => markBulkDirty("border"));
-  nodeRoundedChk?.addEventListener("change", () => markBulkDirty("rounded"));
+  nodeShapeSel?.addEventListener("change", () => markBulkDirty("shape"));
   nodeTextSizeInput?.addEventListener("input", () => markBulkDirty("textSize"));
 
   // Bulk styling for group boxes
@@ -8765,7 +6877,7 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
   const liveEls = [
     nodeLabelInput,
     nodeFillInput,
-    nodeRoundedChk,
+    nodeShapeSel,
     nodeBwInput,
     nodeBsSel,
     nodeBcInput,
@@ -8780,6 +6892,10 @@ function initVizInteractivity(editor, graphviz, opts = {}) {
     edgeLabelInput,
     edgeFromSel,
     edgeToSel,
+    edgeDirSel,
+    edgeArrowSel,
+    edgeFromSideSel,
+    edgeToSideSel,
     edgeBwInput,
     edgeBsSel,
     edgeBcInput,
@@ -8835,18 +6951,51 @@ function showErrors(errs) {
   el.textContent = errs.join("\n");
 }
 
-function applyVizCssSettings(vizEl, settings) {
-  // CSS-based shadow applied to rendered SVG nodes (Graphviz itself doesn't do CSS box-shadow).
-  const raw = String(settings?.defaultBoxShadow || "").trim().toLowerCase();
-  let filter = "none";
+function showWarnings(warnings, editor) {
+  // Purpose: list lintMapScript() warnings below the errors. "Line N" jumps to the line; the button applies the quick fix.
+  const el = document.getElementById("tm-warnings");
+  if (!el) return;
+  el.replaceChildren();
+  el.classList.toggle("d-none", !warnings?.length);
+  for (const w of warnings || []) {
+    const row = document.createElement("div");
+    row.className = "tm-warning";
+
+    const lineLink = document.createElement("a");
+    lineLink.href = "#";
+    lineLink.className = "tm-warning-line";
+    lineLink.textContent = `Line ${w.line}:`;
+    lineLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      editor.gotoLine(w.line, 0, true);
+      editor.focus();
+    });
+    const msg = document.createElement("span");
+    msg.textContent = w.message;
+    row.append(lineLink, msg);
 
-  if (!raw || raw === "none") filter = "none";
-  else if (raw === "subtle") filter = "drop-shadow(0 1px 2px rgba(0,0,0,0.14))";
-  else if (raw === "medium") filter = "drop-shadow(0 2px 6px rgba(0,0,0,0.18))";
-  else if (raw === "strong") filter = "drop-shadow(0 6px 14px rgba(0,0,0,0.22))";
-  else if (raw.startsWith("drop-shadow(")) filter = settings.defaultBoxShadow.trim();
+    if (w.fix) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-sm btn-outline-secondary";
+      btn.textContent = w.fix.label;
+      btn.addEventListener("click", () => {
+        // The editor "change" handler rerenders (and re-lints) as for any other edit.
+        const cursor = editor.getCursorPosition();
+        editor.setValue(w.fix.apply(editor.getValue().split("\n")).join("\n"), -1);
+        editor.moveCursorToPosition(cursor);
+        editor.clearSelection();
+      });
+      row.append(btn);
+    }
+    el.append(row);
+  }
+}
 
-  vizEl.style.setProperty("--tm-node-shadow", filter);
+function applyVizCssSettings(vizEl, settings) {
+  // CSS-based shadow applied to rendered SVG nodes (Graphviz itself doesn't do CSS box-shadow).
+  // The mapping lives in mapscript.js so the command-line renderer (cli.mjs) draws the same shadows.
+  vizEl.style.setProperty("--tm-node-shadow", nodeShadowCssFilter(settings));
 }
 
 // -----------------------------
@@ -9144,6 +7293,25 @@ function repositionEdgeLabels() {
       // Ignore: keep CSS default.
     }
 
+    // Several <text> elements (rich-text runs, "///" lines): move them as one block, centre onto the path.
+    const textEls = Array.from(g.querySelectorAll("text"));
+    if (textEls.length > 1) {
+      const boxes = textEls.map((el) => el.getBBox());
+      const x0 = Math.min(...boxes.map((b) => b.x));
+      const x1 = Math.max(...boxes.map((b) => b.x + b.width));
+      const y0 = Math.min(...boxes.map((b) => b.y));
+      const y1 = Math.max(...boxes.map((b) => b.y + b.height));
+      const pt = getClosestPointOnSvgPath(path, (x0 + x1) / 2, (y0 + y1) / 2);
+      if (!pt) return;
+      const dx = pt.x - (x0 + x1) / 2;
+      const dy = pt.y - (y0 + y1) / 2;
+      for (const el of textEls) {
+        el.setAttribute("x", Number(el.getAttribute("x")) + dx);
+        el.setAttribute("y", Number(el.getAttribute("y")) + dy);
+      }
+      return;
+    }
+
     // Get label's current position in SVG coordinate space
     const bbox = textEl.getBBox();
     const labelCx = bbox.x + bbox.width / 2;
@@ -9537,6 +7705,9 @@ function setTipsEnabled(enabled) {
 // -----------------------------
 
 const TM_INTRO_TOUR_HIDE_KEY = "tm_intro_tour_hide_v1";
+const TM_EDITOR_GUTTER_KEY = "tm_editor_gutter_v1";
+const TM_STYLE_USE_VARIABLES_KEY = "tm_style_use_variables_v1";
+const TM_VIZ_ANIMATE_KEY = "tm_viz_animate_v1";
 
 function isElementVisible(el) {
   // Purpose: include only elements that are actually visible (not hidden/collapsed) when the tour starts.
@@ -9703,10 +7874,339 @@ function startIntroTour({ force = false } = {}) {
   intro.start();
 }
 
-async function renderNow(graphviz, editor) {
+function applyNodeSearch(editor) {
+  // Purpose: "Find nodes" box: highlight the nodes whose label, ID or details match; the rest of the diagram fades.
+  const input = document.getElementById("tm-node-search");
+  const svg = document.querySelector("#tm-viz svg");
+  if (!input || !svg) return;
+  const query = String(input.value || "").trim();
+  const hits = new Set(searchMapNodes(parseMapScriptWithIncludes(editor.getValue()), query).map(makeNodeDomId));
+  svg.classList.toggle("tm-node-searching", Boolean(query));
+  svg.querySelectorAll("g.node").forEach((g) => g.classList.toggle("tm-node-search-hit", hits.has(g.id)));
+  return hits.size;
+}
+
+function initNodeSearch(editor) {
+  const input = document.getElementById("tm-node-search");
+  if (!input) return;
+  input.addEventListener("input", () => {
+    const count = applyNodeSearch(editor);
+    if (String(input.value || "").trim()) setVizStatus(count === 1 ? "1 node matches" : `${count} nodes match`);
+    else setVizStatus("");
+  });
+  input.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    input.value = "";
+    applyNodeSearch(editor);
+    setVizStatus("");
+  });
+}
+
+// -----------------------------
+// Graphviz layout (Web Worker)
+// -----------------------------
+
+function createGraphvizWorkerClient() {
+  // Purpose: the same layout(dot, format, engine) as @hpcc-js/wasm's Graphviz, run in graphviz-worker.js.
+  // Jobs run one at a time in order. layout(..., { signal }) drops a queued job when the signal aborts, and stops a
+  // running one by terminating the worker (a fresh worker takes the next job); either way it rejects with an AbortError.
+  const queue = []; // { id, dot, format, engine, resolve, reject }
+  let worker = null;
+  let running = null;
+  let nextId = 1;
+
+  function startWorker() {
+    worker = new Worker(new URL("./graphviz-worker.js", import.meta.url), { type: "module" });
+    worker.addEventListener("message", (e) => {
+      const job = running;
+      if (!job || e.data?.id !== job.id) return;
+      running = null;
+      if (e.data.error != null) job.reject(new Error(e.data.error));
+      else job.resolve(e.data.result);
+      pump();
+    });
+    worker.addEventListener("error", (e) => {
+      // The worker script failed to load (or crashed): fail the running job and start the next one afresh.
+      e.preventDefault();
+      const job = running;
+      running = null;
+      worker?.terminate();
+      worker = null;
+      job?.reject(new Error(e.message || "Graphviz worker failed"));
+      pump();
+    });
+  }
+
+  function pump() {
+    if (running || !queue.length) return;
+    running = queue.shift();
+    if (!worker) startWorker();
+    worker.postMessage({ id: running.id, dot: running.dot, format: running.format, engine: running.engine });
+  }
+
+  function cancel(job) {
+    if (running === job) {
+      worker?.terminate();
+      worker = null;
+      running = null;
+    } else {
+      const i = queue.indexOf(job);
+      if (i < 0) return; // already finished
+      queue.splice(i, 1);
+    }
+    job.reject(new DOMException("Layout cancelled", "AbortError"));
+    pump();
+  }
+
+  function layout(dot, format = "svg", engine = "dot", { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException("Layout cancelled", "AbortError"));
+        return;
+      }
+      const job = { id: nextId++, dot, format, engine, resolve, reject };
+      signal?.addEventListener("abort", () => cancel(job), { once: true });
+      queue.push(job);
+      pump();
+    });
+  }
+
+  return { layout };
+}
+
+async function loadGraphviz() {
+  // Purpose: lay out in a worker when the browser can run module workers; otherwise on the main thread as before.
+  // The probe layout also loads the worker's WASM before the first real render.
+  try {
+    const client = createGraphvizWorkerClient();
+    await client.layout("digraph {}", "svg", "dot");
+    return client;
+  } catch {
+    return Graphviz.load();
+  }
+}
+
+// -----------------------------
+// Layout cache
+// -----------------------------
+
+function hashString(text) {
+  // Purpose: a short non-cryptographic hash (cyrb53) for cache keys; entries keep the full text to rule out collisions.
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function withLayoutCache(graphviz, { maxEntries = 40 } = {}) {
+  // Purpose: remember recent SVG layouts (engine + DOT -> SVG), so undo/redo, switching templates, thumbnails and
+  // CSS-only setting changes (eg Default node shadow) don't run Graphviz again. A DOT that differs from a cached one
+  // only in colour values is recoloured (recolourSvg) instead of laid out. Least recently used entries go first.
+  const byDot = new Map(); // hash of engine + DOT -> { engine, dot, svg } (Map order: least recently used first)
+  const byLayout = new Map(); // hash of engine + dotLayoutKey(DOT) -> the latest entry with that layout
+
+  function touch(map, key, entry) {
+    map.delete(key);
+    map.set(key, entry);
+    if (map.size > maxEntries) map.delete(map.keys().next().value);
+  }
+
+  async function layout(dot, format = "svg", engine = "dot", opts) {
+    if (format !== "svg") return graphviz.layout(dot, format, engine, opts);
+    const key = hashString(`${engine}\n${dot}`);
+    const hit = byDot.get(key);
+    if (hit && hit.engine === engine && hit.dot === dot) {
+      touch(byDot, key, hit);
+      return hit.svg;
+    }
+    const layoutKey = hashString(`${engine}\n${dotLayoutKey(dot)}`);
+    const similar = byLayout.get(layoutKey);
+    const recoloured = similar?.engine === engine ? recolourSvg(similar.svg, similar.dot, dot) : null;
+    const svg = recoloured ?? (await graphviz.layout(dot, format, engine, opts));
+    const entry = { engine, dot, svg };
+    touch(byDot, key, entry);
+    touch(byLayout, layoutKey, entry);
+    return svg;
+  }
+
+  return { layout };
+}
+
+// -----------------------------
+// Diagram transitions (nodes, groups and links glide to their new place)
+// -----------------------------
+
+const VIZ_TRANSITION_MS = 350;
+const VIZ_TRANSITION_MAX_ITEMS = 600; // bigger maps just swap (animating thousands of SVG groups stutters)
+const VIZ_TRANSITION_EASING = "cubic-bezier(0.2, 0, 0.2, 1)";
+
+function isVizAnimationEnabled() {
+  // Purpose: the "Animate" switch wins; with no choice stored, follow the OS "reduce motion" setting.
+  let stored = null;
+  try {
+    stored = localStorage.getItem(TM_VIZ_ANIMATE_KEY);
+  } catch {
+    // ignore (private mode etc.)
+  }
+  if (stored === "1") return true;
+  if (stored === "0") return false;
+  return !globalThis.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+}
+
+function vizTransitionKey(g) {
+  // Purpose: what identifies a diagram item across renders: node/link ids from makeNodeDomId()/makeEdgeDomId(),
+  // and the cluster name for groups (Graphviz numbers clusters' own ids by drawing order).
+  if (g.classList.contains("cluster")) {
+    const title = g.querySelector(":scope > title")?.textContent || "";
+    return title ? `c:${title}` : "";
+  }
+  if (!g.id) return "";
+  return g.classList.contains("node") ? `n:${g.id}` : `e:${g.id}`;
+}
+
+function captureVizItems(viz) {
+  // Purpose: screen positions of the diagram items before the SVG is replaced (the "first" of FLIP).
+  const items = new Map(); // key -> { el, rect }
+  const groups = viz?.querySelectorAll("svg g.node, svg g.edge, svg g.cluster") || [];
+  if (!groups.length || groups.length > VIZ_TRANSITION_MAX_ITEMS) return items;
+  for (const el of groups) {
+    const key = vizTransitionKey(el);
+    if (key && !items.has(key)) items.set(key, { el, rect: el.getBoundingClientRect() });
+  }
+  return items;
+}
+
+function edgeEndsKey(key) {
+  // Purpose: "e:tm_e_12--A--B" -> "e:A--B", to follow a link whose line number changed (lines added above it).
+  return key.startsWith("e:tm_e_") ? `e:${key.slice(7).replace(/^\d+--/, "")}` : "";
+}
+
+function flipTransform(el, from, to) {
+  // Purpose: the transform that puts el (now drawn at screen rect `to`) back at screen rect `from`, in el's own units.
+  const k = Math.abs(el.getScreenCTM?.()?.a || 1) || 1;
+  const sx = from.width > 0.5 && to.width > 0.5 ? from.width / to.width : 1;
+  const sy = from.height > 0.5 && to.height > 0.5 ? from.height / to.height : 1;
+  const dx = (from.left + from.width / 2 - (to.left + to.width / 2)) / k;
+  const dy = (from.top + from.height / 2 - (to.top + to.height / 2)) / k;
+  if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5 && Math.abs(sx - 1) < 0.01 && Math.abs(sy - 1) < 0.01) return "";
+  return `translate(${dx}px, ${dy}px) scale(${sx}, ${sy})`;
+}
+
+function animateVizTransition(viz, before) {
+  // Purpose: after a rerender, move matched items from their old place to the new one, fade in new items and
+  // fade out a copy of removed ones. Only transforms and opacity are animated, so clicks hit the final layout.
+  const svg = viz?.querySelector("svg");
+  if (!svg || !before?.size || !isVizAnimationEnabled() || typeof Element.prototype.animate !== "function") return;
+  const groups = [...svg.querySelectorAll("g.node, g.edge, g.cluster")];
+  if (groups.length > VIZ_TRANSITION_MAX_ITEMS) return;
+
+  const after = new Map();
+  for (const el of groups) {
+    const key = vizTransitionKey(el);
+    if (key && !after.has(key)) after.set(key, el);
+  }
+  // Links whose id changed only by line number: match by their ends when that is unambiguous.
+  const leftOver = (from, other) => [...from.keys()].filter((key) => !other.has(key) && edgeEndsKey(key));
+  const byEnds = (keys) => {
+    const groups = new Map();
+    for (const key of keys) groups.set(edgeEndsKey(key), [...(groups.get(edgeEndsKey(key)) || []), key]);
+    return groups;
+  };
+  const oldByEnds = byEnds(leftOver(before, after));
+  const renamed = new Map(); // new key -> old key
+  for (const [ends, newKeys] of byEnds(leftOver(after, before))) {
+    const oldKeys = oldByEnds.get(ends);
+    if (newKeys.length === 1 && oldKeys?.length === 1) renamed.set(newKeys[0], oldKeys[0]);
+  }
+
+  const timing = { duration: VIZ_TRANSITION_MS, easing: VIZ_TRANSITION_EASING };
+  const matched = new Set();
+  for (const [key, el] of after) {
+    const oldKey = before.has(key) ? key : renamed.get(key);
+    if (!oldKey) {
+      el.animate([{ opacity: 0 }, { opacity: 1 }], { ...timing, delay: VIZ_TRANSITION_MS / 2, fill: "backwards" });
+      continue;
+    }
+    matched.add(oldKey);
+    const transform = flipTransform(el, before.get(oldKey).rect, el.getBoundingClientRect());
+    if (!transform) continue;
+    el.style.transformBox = "fill-box";
+    el.style.transformOrigin = "center";
+    el.animate([{ transform }, { transform: "none" }], timing);
+  }
+
+  const graph = svg.querySelector("g.graph") || svg;
+  for (const [key, { el, rect }] of before) {
+    if (matched.has(key)) continue;
+    const ghost = el.cloneNode(true);
+    ghost.removeAttribute("id");
+    ghost.querySelectorAll("[id]").forEach((node) => node.removeAttribute("id"));
+    ghost.classList.add("tm-viz-leaving");
+    ghost.setAttribute("aria-hidden", "true");
+    ghost.style.pointerEvents = "none";
+    ghost.style.transformBox = "fill-box";
+    ghost.style.transformOrigin = "center";
+    graph.appendChild(ghost);
+    const transform = flipTransform(ghost, rect, ghost.getBoundingClientRect()) || "none";
+    const anim = ghost.animate([{ transform, opacity: 1 }, { transform, opacity: 0 }], { ...timing, duration: VIZ_TRANSITION_MS / 2 });
+    anim.finished.catch(() => {}).finally(() => ghost.remove());
+  }
+}
+
+function setVizRendering(on) {
+  // Purpose: "Rendering…" in the status line while a layout is running (only after a moment, so quick renders don't flicker).
+  const el = document.getElementById("tm-viz-status");
+  if (!el) return;
+  const text = "Rendering…";
+  window.clearTimeout(setVizRendering._t);
+  setVizRendering._t = null;
+  document.getElementById("tm-viz")?.setAttribute("aria-busy", on ? "true" : "false");
+  if (on) {
+    setVizRendering._t = window.setTimeout(() => {
+      window.clearTimeout(setVizStatus._t); // a transient message must not clear it mid-render
+      el.textContent = text;
+    }, 150);
+  } else if (el.textContent === text) {
+    el.textContent = "";
+  }
+}
+
+// The render in progress: a newer renderNow() cancels it; callers awaiting an older one wait for the newest instead.
+let currentRender = null; // { dsl, abort, promise }
+
+function cancelStaleRender() {
+  // Purpose: the editor changed, so the layout in progress is for old text (a debounced renderNow() follows).
+  currentRender?.abort.abort();
+}
+
+function renderNow(graphviz, editor) {
   const dsl = editor.getValue();
-  const { dot, errors, settings } = dslToDot(dsl);
+  if (currentRender && currentRender.dsl === dsl && !currentRender.abort.signal.aborted) return currentRender.promise;
+  currentRender?.abort.abort();
+  const render = { dsl, abort: new AbortController(), promise: null };
+  currentRender = render;
+  render.promise = renderDsl(graphviz, editor, render).finally(() => {
+    if (currentRender === render) {
+      currentRender = null;
+      setVizRendering(false);
+    }
+  });
+  return render.promise;
+}
+
+async function renderDsl(graphviz, editor, render) {
+  const { dsl, abort } = render;
+  const { dot, errors, settings, engine, ast } = dslToDot(dsl);
+  const warnings = lintMapScript(dsl, { resolveInclude: resolveMapInclude });
   showErrors(errors);
+  showWarnings(warnings, editor);
+  showMapScriptDiagnostics(editor, errors, warnings);
   applyVizCssSettings(document.getElementById("tm-viz"), settings);
   lastVizSettings = settings;
   // MapScript: "Description: ..." -> show as a simple legend below the diagram.
@@ -9718,16 +8218,22 @@ async function renderNow(graphviz, editor) {
   }
 
   try {
-    const svg = await graphviz.layout(dot, "svg", "dot");
+    setVizRendering(true);
+    const svg = await graphviz.layout(dot, "svg", engine, { signal: abort.signal });
+    // Only show the layout of the text that is in the editor now; a newer render is on its way otherwise.
+    if (abort.signal.aborted || editor.getValue() !== dsl) return superseded(render);
     // Keep any overlay UI (eg hover delete button) across rerenders.
     const viz = document.getElementById("tm-viz");
     const hoverDeleteBtn = document.getElementById("tm-viz-hover-delete"); // may be null on first render
     const hoverCheckbox = document.getElementById("tm-viz-hover-checkbox"); // may be null on first render
     const hoverClusterCheckbox = document.getElementById("tm-viz-hover-cluster-checkbox"); // may be null on first render
-    if (viz) viz.innerHTML = svg;
+    const hoverCollapseBtn = document.getElementById("tm-viz-hover-collapse"); // may be null on first render
+    const before = isVizAnimationEnabled() ? captureVizItems(viz) : null;
+    if (viz) viz.innerHTML = nodeDetailsInSvg(stadiumNodesInSvg(svg), ast); // Graphviz has no pill shape, and drops details
     if (viz && hoverDeleteBtn) viz.appendChild(hoverDeleteBtn);
     if (viz && hoverCheckbox) viz.appendChild(hoverCheckbox);
     if (viz && hoverClusterCheckbox) viz.appendChild(hoverClusterCheckbox);
+    if (viz && hoverCollapseBtn) viz.appendChild(hoverCollapseBtn);
     // Re-apply multi-select visuals after rerender
     if (window.vizInteractivityApi?.applyMultiSelectVisuals) {
       window.vizInteractivityApi.applyMultiSelectVisuals();
@@ -9737,12 +8243,20 @@ async function renderNow(graphviz, editor) {
     else applyVizScale(); // keep zoom consistent across rerenders
     enhanceEdgeHitTargets(); // easier clicking on links
     repositionEdgeLabels(); // position labels on the edge path
+    applyNodeSearch(editor); // keep "Find nodes" highlights across rerenders
+    animateVizTransition(viz, before); // last: it measures the final layout
   } catch (e) {
+    if (abort.signal.aborted) return superseded(render);
     showErrors([...(errors || []), `Graphviz error: ${e?.message || String(e)}`]);
     document.getElementById("tm-viz").innerHTML = "";
   }
 }
 
+function superseded(render) {
+  // Purpose: a cancelled/stale render settles when the newest one does (so "await renderNow()" sees the current SVG).
+  return currentRender && currentRender !== render ? currentRender.promise : undefined;
+}
+
 // -----------------------------
 // Chat UI
 // -----------------------------
@@ -10156,6 +8670,19 @@ async function main() {
   initRecommendedColourSwatches();
   setActiveTab("viz");
 
+  // Animate switch: nodes, groups and links glide to their new place on rerender (see animateVizTransition()).
+  const animateToggle = document.getElementById("tm-viz-animate-toggle");
+  if (animateToggle) {
+    animateToggle.checked = isVizAnimationEnabled();
+    animateToggle.addEventListener("change", () => {
+      try {
+        localStorage.setItem(TM_VIZ_ANIMATE_KEY, animateToggle.checked ? "1" : "0");
+      } catch {
+        // ignore (private mode etc.)
+      }
+    });
+  }
+
   // Diagram hint callout: gentle pulse on load, and allow dismiss for this browser session.
   const vizHintWrap = document.getElementById("tm-viz-hint-wrap");
   const vizHintDismiss = document.getElementById("tm-viz-hint-dismiss");
@@ -10190,16 +8717,60 @@ async function main() {
   // Ace editor setup
   const editor = ace.edit("editor"); // global from ace.js
   editor.setTheme("ace/theme/textmate");
-  editor.session.setMode("ace/mode/text");
+  registerMapScriptAceMode(ace);
+  editor.session.setMode("ace/mode/mapscript");
   editor.setOptions({
     fontSize: "13px",
     showPrintMargin: false,
-    showGutter: false, // per spec: remove Ace gutter
+    showGutter: false, // per spec: remove Ace gutter (opt back in via the "Line numbers" switch)
     wrap: true,
+    // Suggestions from the parsed map (ids, group aliases, settings, [...] attributes); needs ext-language_tools.js.
+    enableBasicAutocompletion: true,
+    enableLiveAutocompletion: true,
   });
+  editor.completers = [createMapScriptCompleter({ resolveInclude: resolveMapInclude })]; // only ours: Ace's word/keyword completers add noise
   editor.renderer.setShowGutter(false); // ensure gutter is hidden (Ace sometimes needs this)
   editor.renderer.setPadding(12); // add some breathing room around the text inside the editor
 
+  // Optional gutter: line numbers + error annotations (remembered in this browser).
+  const gutterToggle = document.getElementById("tm-editor-gutter-toggle");
+  const setEditorGutter = (on) => {
+    editor.renderer.setShowGutter(Boolean(on));
+    try {
+      localStorage.setItem(TM_EDITOR_GUTTER_KEY, on ? "1" : "0");
+    } catch {
+      // ignore (private mode etc.)
+    }
+  };
+  if (gutterToggle) {
+    gutterToggle.checked = localStorage.getItem(TM_EDITOR_GUTTER_KEY) === "1";
+    setEditorGutter(gutterToggle.checked);
+    gutterToggle.addEventListener("change", () => setEditorGutter(gutterToggle.checked));
+  }
+
+  // Format document (toolbar button or Shift+Alt+F): settings, then aliases + groups, then "## Links"; see formatMapScript().
+  const formatDocument = () => {
+    const text = editor.getValue();
+    const next = formatMapScript(text, { resolveColour: resolveCssColorToRgb });
+    if (next === text) {
+      setVizStatus("Already formatted");
+      return;
+    }
+    const { row } = editor.getCursorPosition();
+    editor.setValue(next, -1); // the "change" handler rerenders
+    editor.gotoLine(Math.min(row + 1, editor.session.getLength()), 0, false);
+    setVizStatus("Formatted");
+  };
+  editor.commands.addCommand({
+    name: "tmFormatDocument",
+    bindKey: { win: "Shift-Alt-F", mac: "Shift-Option-F" },
+    exec: formatDocument,
+  });
+  document.getElementById("tm-editor-format")?.addEventListener("click", () => {
+    formatDocument();
+    editor.focus();
+  });
+
   // Editor auto-grow: on focus (and while editing), expand Ace's height to fit its content
   // like an auto-growing textarea. (No other UI elements change on focus.)
   function resizeAceToContents() {
@@ -10259,8 +8830,8 @@ async function main() {
   // Mobile: single-screen mode via hamburger menu (do this early so first paint is the Diagram screen)
   initMobileScreens({ editor });
 
-  // Graphviz WASM init
-  const graphviz = await Graphviz.load();
+  // Graphviz WASM init (in a worker, so big layouts don't block typing), behind a cache of recent layouts
+  const graphviz = withLayoutCache(await loadGraphviz());
 
   // Chat UI (left panel)
   initChatUi({ editor, graphviz });
@@ -10402,10 +8973,12 @@ async function main() {
   // Viz interactivity (click-to-edit)
   const vizInteractivityApi = initVizInteractivity(editor, graphviz, { openTitleModal });
   window.vizInteractivityApi = vizInteractivityApi;
+  initNodeSearch(editor);
 
   // Keep typing predictable: on idle, only sync URL + rerender.
   // Do not rewrite editor text here, because that can fight in-progress edits.
   editor.session.on("change", () => {
+    cancelStaleRender();
     if (pendingManualEditAnalytics) {
       pendingManualEditAnalytics = false;
       trackGoatcounterSessionEvent("manual_edit_session", "manual_edit_session", "Manual edit in this session");
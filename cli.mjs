@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+// Theorymaker command line: render MapScript (.tm) files without a browser.
+// - theorymaker render map.tm --format svg|png|dot -o out.svg
+// - theorymaker render map.tm --check   (also prints lint warnings; exit 1 if MapScript reports errors; nothing is rendered)
+//
+// Uses the same pieces as the app: mapscript.js (MapScript -> DOT) and the same @hpcc-js/wasm Graphviz build
+// (pinned in package.json to match the CDN import in app.js). The SVG is then post-processed the way the app
+// styles its on-screen diagram: node shadows (nodeShadowCssFilter), stadium (pill) nodes, edge-label halos and labels placed on their links.
+
+import { readFileSync } from "node:fs";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// mapscript.js is shared with the browser, so package.json stays "typeless" (netlify/functions is CommonJS).
+// Node then prints a module-type warning on every run; drop just that one so CI logs stay clean.
+process.removeAllListeners("warning");
+process.on("warning", (w) => {
+  if (w?.code === "MODULE_TYPELESS_PACKAGE_JSON") return;
+  console.warn(`${w?.name || "Warning"}: ${w?.message || String(w)}`);
+});
+
+const { astToDot, cssColorToRgb, lintMapScript, nodeDetailsInSvg, nodeShadowCssFilter, parseMapScript, stadiumNodesInSvg } = await import("./mapscript.js");
+const { GALLERY_EXAMPLES } = await import("./examples.js");
+
+const USAGE = `Usage:
+  theorymaker render <map.tm|-> [--format svg|png|dot] [-o <out>] [--scale <n>]
+  theorymaker render <map.tm|-> --check
+
+Options:
+  -f, --format   Output format (default: from the -o extension, else svg)
+  -o, --output   Output file (default: stdout)
+      --scale    PNG pixels per SVG unit (default: 3, same as the app's PNG export)
+      --check    Only check the MapScript; print errors and warnings, exit 1 if there are errors
+  -h, --help     Show this help`;
+
+const FORMATS = new Set(["svg", "png", "dot"]);
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  // Purpose: tiny argv parser (no dependency) for "render <file> [options]".
+  const opts = { command: "", input: "", format: "", output: "", scale: 3, check: false, help: false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const takeValue = () => {
+      const v = argv[++i];
+      if (v == null) throw new UsageError(`Missing value for ${a}`);
+      return v;
+    };
+    if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--check") opts.check = true;
+    else if (a === "-f" || a === "--format") opts.format = takeValue();
+    else if (a.startsWith("--format=")) opts.format = a.slice("--format=".length);
+    else if (a === "-o" || a === "--output") opts.output = takeValue();
+    else if (a.startsWith("--output=")) opts.output = a.slice("--output=".length);
+    else if (a === "--scale") opts.scale = Number(takeValue());
+    else if (a.startsWith("--scale=")) opts.scale = Number(a.slice("--scale=".length));
+    else if (a.startsWith("-") && a !== "-") throw new UsageError(`Unknown option: ${a}`);
+    else rest.push(a);
+  }
+  [opts.command = "", opts.input = ""] = rest;
+  if (rest.length > 2) throw new UsageError(`Unexpected argument: ${rest[2]}`);
+
+  opts.format = String(opts.format || "").trim().toLowerCase();
+  if (!opts.format && opts.output) opts.format = path.extname(opts.output).slice(1).toLowerCase();
+  if (!opts.format) opts.format = "svg";
+  if (!FORMATS.has(opts.format)) throw new UsageError(`Unknown format "${opts.format}" (use svg, png or dot)`);
+  if (!(Number.isFinite(opts.scale) && opts.scale > 0)) throw new UsageError("--scale must be a positive number");
+  return opts;
+}
+
+async function readInput(input) {
+  if (input !== "-") return readFile(input, "utf8");
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function makeIncludeResolver(input) {
+  // Purpose: "Include: name" in a file -> "name" or "name.tm" next to that file (cwd for stdin), else a built-in
+  // example id, else a "#m=..." link (the app's saved maps live in the browser, so files stand in for them here).
+  // A nested include is looked up next to the included file that contains it ("parts/a.tm" including "b" -> "parts/b.tm").
+  const topDir = input === "-" ? process.cwd() : path.dirname(path.resolve(input));
+  const readNear = (dir, name) => {
+    for (const file of [name, `${name}.tm`]) {
+      const full = path.resolve(dir, file);
+      try {
+        return { text: readFileSync(full, "utf8"), dir: path.dirname(full) };
+      } catch {
+        // try the next candidate
+      }
+    }
+    return null;
+  };
+  return (name, includeStack = []) => {
+    // Follow the chain of including maps from the top file; examples and links keep the directory they were reached from.
+    const dir = includeStack.reduce((d, outer) => readNear(d, outer)?.dir || d, topDir);
+    const file = readNear(dir, name);
+    if (file) return file.text;
+    const example = GALLERY_EXAMPLES.find((ex) => ex.id === name);
+    if (example) return example.dsl;
+    const hash = name.match(/[#&]m=([\w-]+)/);
+    return hash ? Buffer.from(hash[1], "base64url").toString("utf8") : null;
+  };
+}
+
+// -----------------------------
+// Text metrics (stand-in for the app's canvas measurer)
+// -----------------------------
+
+// Arial/Helvetica advance widths (1/1000 em) for printable ASCII, starting at " " (32).
+const ARIAL_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584,
+];
+
+function measureMaxLinePx(dotLabel, fontPx) {
+  // Purpose: same contract as the app's getCanvasTextMeasurer() (widest "\n"-separated line in px, Arial).
+  const fs = Number(fontPx);
+  if (!(Number.isFinite(fs) && fs > 0)) return 0;
+  let max = 0;
+  for (const line of String(dotLabel ?? "").split("\\n")) {
+    let units = 0;
+    for (const ch of String(line || "")) {
+      const code = ch.codePointAt(0);
+      units += code >= 32 && code <= 126 ? ARIAL_WIDTHS[code - 32] : 556;
+    }
+    max = Math.max(max, (units / 1000) * fs);
+  }
+  return max;
+}
+
+// -----------------------------
+// SVG post-processing (mirrors styles.css + repositionEdgeLabels() in app.js)
+// -----------------------------
+
+function escapeXmlAttr(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function cssFilterToSvgFilter(filterCss, id) {
+  // Purpose: turn "drop-shadow(dx dy [blur] [colour]) ..." into an SVG <filter> (renderers like resvg and
+  // many editors ignore CSS filter functions, but all understand feDropShadow).
+  const shadows = [...String(filterCss || "").matchAll(/drop-shadow\(((?:[^()]|\([^()]*\))*)\)/gi)];
+  const prims = [];
+  for (const m of shadows) {
+    const inner = m[1].trim();
+    const colourMatch = inner.match(/(?:rgba?|hsla?)\([^)]*\)|#[0-9a-f]{3,8}\b|[a-z]+\s*$|^[a-z]+/i);
+    const colour = colourMatch ? colourMatch[0].trim() : "rgba(0,0,0,1)";
+    const nums = (colourMatch ? inner.replace(colourMatch[0], " ") : inner)
+      .trim()
+      .split(/\s+/)
+      .map((t) => parseFloat(t))
+      .filter((n) => Number.isFinite(n));
+    const [dx = 0, dy = 0, blur = 0] = nums;
+    // CSS blur radius = 2 × Gaussian standard deviation.
+    prims.push(
+      `<feDropShadow dx="${dx}" dy="${dy}" stdDeviation="${blur / 2}" flood-color="${escapeXmlAttr(colour)}"/>`
+    );
+  }
+  if (!prims.length) return "";
+  return `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">${prims.join("")}</filter>`;
+}
+
+function buildSvgStyle(settings) {
+  const shadowFilter = cssFilterToSvgFilter(nodeShadowCssFilter(settings), "tm-node-shadow");
+  const css = [
+    // Edge labels: faint translucent "halo" behind glyphs (same as styles.css)
+    "g.edge text { paint-order: stroke fill; stroke: rgba(255, 255, 255, 0.65); stroke-width: 3px; stroke-linejoin: round; }",
+  ];
+  if (shadowFilter) css.push("g.node polygon, g.node path, g.node ellipse { filter: url(#tm-node-shadow); }");
+  return `${shadowFilter ? `<defs>${shadowFilter}</defs>` : ""}<style>${css.join(" ")}</style>`;
+}
+
+function cubicPathPoints(d) {
+  // Purpose: sample a Graphviz edge path ("M x,y C x1,y1 x2,y2 x3,y3 ...", one polybezier) into points.
+  const nums = (String(d || "").match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+  if (nums.length < 2) return [];
+  const pts = [];
+  let x0 = nums[0];
+  let y0 = nums[1];
+  pts.push({ x: x0, y: y0 });
+  for (let i = 2; i + 5 < nums.length; i += 6) {
+    const [x1, y1, x2, y2, x3, y3] = nums.slice(i, i + 6);
+    const approxLen = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2);
+    const steps = Math.max(25, Math.ceil(approxLen / 2));
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const u = 1 - t;
+      pts.push({
+        x: u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+        y: u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3,
+      });
+    }
+    x0 = x3;
+    y0 = y3;
+  }
+  return pts;
+}
+
+function relativeLuminance({ r, g, b }) {
+  // WCAG relative luminance for sRGB (0..1). Higher = lighter.
+  const toLin = (v) => {
+    const s = (Number(v) || 0) / 255;
+    return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * toLin(r) + 0.7152 * toLin(g) + 0.0722 * toLin(b);
+}
+
+function moveEdgeLabelBlock(g, runs, d) {
+  // Purpose: a label drawn as several <text> elements (rich-text runs, "///" lines) moves as one block,
+  // its centre onto the closest point of the path (the app does the same with getBBox()).
+  const items = runs.map(([tag, attrs, text]) => {
+    const num = (name) => Number((attrs.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1]);
+    const fontSize = num("font-size") || 14;
+    const plain = text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#45;/g, "-").replace(/&amp;/g, "&");
+    const w = measureMaxLinePx(plain, fontSize) * (/\sfont-weight="bold"/.test(attrs) ? 1.1 : 1);
+    const anchor = (attrs.match(/\stext-anchor="([^"]*)"/) || [])[1] || "start";
+    const x0 = num("x") - (anchor === "middle" ? w / 2 : anchor === "end" ? w : 0);
+    return { tag, x: num("x"), y: num("y"), x0, x1: x0 + w, cy: num("y") - fontSize * 0.35, fontSize };
+  });
+  if (items.some((it) => !Number.isFinite(it.x) || !Number.isFinite(it.y))) return g;
+  const cx = (Math.min(...items.map((it) => it.x0)) + Math.max(...items.map((it) => it.x1))) / 2;
+  const cy = (Math.min(...items.map((it) => it.cy - it.fontSize / 2)) + Math.max(...items.map((it) => it.cy + it.fontSize / 2))) / 2;
+  let best = null;
+  let bestDist = Infinity;
+  for (const pt of cubicPathPoints(d)) {
+    const dist = Math.hypot(pt.x - cx, pt.y - cy);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = pt;
+    }
+  }
+  if (!best) return g;
+  const fmt = (n) => String(Math.round(n * 100) / 100);
+  let out = g;
+  for (const it of items) {
+    const moved = it.tag.replace(/\sx="[^"]*"/, ` x="${fmt(it.x + best.x - cx)}"`).replace(/\sy="[^"]*"/, ` y="${fmt(it.y + best.y - cy)}"`);
+    out = out.replace(it.tag, moved);
+  }
+  return out;
+}
+
+function repositionEdgeLabelsInSvg(svg) {
+  // Purpose: same result as repositionEdgeLabels() in the app: move each link's label onto the
+  // closest point of its path, centred, with a dark halo when the label text is light.
+  // An edge group runs up to the next item: with url= / tooltip= it holds nested <g><a> wrappers, so don't stop at its first "</g>".
+  return svg.replace(/<g id="[^"]*" class="edge">[\s\S]*?(?=<!--|<g id="[^"]*" class="(?:node|edge|cluster)"|<\/svg>)/g, (g) => {
+    const dMatch = g.match(/<path\b[^>]*\sd="([^"]*)"/);
+    const textMatch = g.match(/<text\b([^>]*)>/);
+    if (!dMatch || !textMatch) return g;
+    const runs = [...g.matchAll(/<text\b([^>]*)>([^<]*)<\/text>/g)];
+    if (runs.length > 1) return moveEdgeLabelBlock(g, runs, dMatch[1]);
+
+    const attrs = textMatch[1];
+    const num = (name) => Number((attrs.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1]);
+    const x = num("x");
+    const y = num("y");
+    const fontSize = num("font-size") || 14;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return g;
+
+    // Graphviz puts the baseline at y; the app measures the glyph box, whose centre sits ~0.35em higher (Arial).
+    const cy = y - fontSize * 0.35;
+    let best = null;
+    let bestDist = Infinity;
+    for (const pt of cubicPathPoints(dMatch[1])) {
+      const dist = Math.hypot(pt.x - x, pt.y - cy);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = pt;
+      }
+    }
+    if (!best) return g;
+
+    const fill = (attrs.match(/\sfill="([^"]*)"/) || [])[1];
+    const rgb = cssColorToRgb(fill || "#000000");
+    const halo = rgb && relativeLuminance(rgb) >= 0.65 ? ` style="stroke: rgba(0, 0, 0, 0.55)"` : "";
+
+    const nextAttrs = attrs
+      .replace(/\s(?:text-anchor|x|y|dominant-baseline|transform)="[^"]*"/g, "")
+      .trimEnd();
+    const fmt = (n) => String(Math.round(n * 100) / 100);
+    const nextTag = `<text text-anchor="middle" dominant-baseline="central" x="${fmt(best.x)}" y="${fmt(best.y)}"${nextAttrs}${halo}>`;
+    return g.replace(textMatch[0], nextTag);
+  });
+}
+
+function styleSvg(svg, settings, ast) {
+  // Purpose: inline the app's CSS styling so the file looks the same outside the app (node details ride along).
+  const withLabels = repositionEdgeLabelsInSvg(nodeDetailsInSvg(stadiumNodesInSvg(svg), ast));
+  return withLabels.replace(/<svg\b[^>]*>/, (open) => {
+    const ns = open.includes("xmlns=") ? open : open.replace("<svg", '<svg xmlns="http://www.w3.org/2000/svg"');
+    return `${ns}\n${buildSvgStyle(settings)}`;
+  });
+}
+
+async function svgToPng(svg, scale) {
+  // Purpose: rasterise like the app's PNG export (viewBox × scale, white background).
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch {
+    throw new Error("PNG output needs @resvg/resvg-js (run npm install)");
+  }
+  const vb = (svg.match(/\sviewBox="([^"]*)"/) || [])[1];
+  const vbWidth = vb ? Number(vb.trim().split(/[\s,]+/)[2]) : NaN;
+  const fitTo = Number.isFinite(vbWidth) && vbWidth > 0 ? { mode: "width", value: Math.max(1, Math.round(vbWidth * scale)) } : { mode: "zoom", value: scale };
+  return new Resvg(svg, { background: "white", fitTo }).render().asPng();
+}
+
+// -----------------------------
+// Commands
+// -----------------------------
+
+async function render(opts) {
+  const label = opts.input === "-" ? "<stdin>" : opts.input;
+  const text = await readInput(opts.input);
+  const resolveInclude = makeIncludeResolver(opts.input);
+  const ast = parseMapScript(text, { resolveInclude });
+  const { dot, errors, settings, engine } = astToDot(ast, { measureText: measureMaxLinePx });
+  for (const e of errors) console.error(`${label}: ${e}`);
+
+  if (opts.check) {
+    for (const w of lintMapScript(text, { resolveInclude })) console.error(`${label}: Line ${w.line}: warning: ${w.message}`);
+    return errors.length ? 1 : 0;
+  }
+
+  let out;
+  if (opts.format === "dot") out = `${dot}\n`;
+  else {
+    const { Graphviz } = await import("@hpcc-js/wasm/graphviz");
+    const graphviz = await Graphviz.load();
+    const svg = styleSvg(graphviz.layout(dot, "svg", engine), settings, ast);
+    out = opts.format === "png" ? await svgToPng(svg, opts.scale) : svg;
+  }
+
+  if (opts.output) await writeFile(opts.output, out);
+  else process.stdout.write(out);
+  return 0;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.command !== "render" || !opts.input) {
+    console.error(USAGE);
+    return 2;
+  }
+  try {
+    return await render(opts);
+  } catch (e) {
+    console.error(`theorymaker: ${e?.message || String(e)}`);
+    return 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,19 @@
+// Graphviz layout worker: runs the WebAssembly layout off the main thread, so typing stays responsive on big maps.
+// - message in:  { id, dot, format, engine }
+// - message out: { id, result } or { id, error }
+// One job at a time (createGraphvizWorkerClient() in app.js queues the rest); a stale job is cancelled by
+// terminating the worker, since a running layout can't be interrupted.
+
+import { Graphviz } from "https://cdn.jsdelivr.net/npm/@hpcc-js/wasm@2.20.0/dist/graphviz.js";
+
+const graphvizReady = Graphviz.load();
+
+self.addEventListener("message", async (e) => {
+  const { id, dot, format, engine } = e.data || {};
+  try {
+    const graphviz = await graphvizReady;
+    self.postMessage({ id, result: graphviz.layout(dot, format || "svg", engine || "dot") });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+});
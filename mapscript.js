@@ -0,0 +1,4460 @@
+// MapScript: parser, DOT emitter and line-rewriting helpers (pure ES module: no DOM, no Graphviz).
+// - parseMapScript(text, { resolveInclude }) -> AST with source spans (see "Parser" below)
+// - astToDot(ast, { measureText }) -> { dot, errors, settings, engine }
+// - line helpers (setNodeDefLine, setEdgeLine, deleteNodeEverywhere, groupNodesIntoCluster, renameIdEverywhere, ...) patch editor lines using the same parser
+// - normalizeDslRemoveRedundantSpecs(text, settings) drops styling that repeats the defaults
+// - formatMapScript(text) rewrites a map into the recommended layout ("Format document")
+// - findCommentStart(line): where the "#" comment starts ("#rrggbb" in a colour position is a colour, not a comment)
+// - stadiumNodesInSvg(svg) / nodeDetailsInSvg(svg, ast): SVG touch-ups shared by the app and the CLI
+// - dotLayoutKey(dot) / recolourSvg(svg, fromDot, toDot): reuse a cached layout when only colours changed
+// - lintMapScript(text) -> warnings for likely mistakes (typo'd ids, unlinked nodes, duplicate links, ...) with quick fixes
+//
+// Used by app.js in the browser; also importable from Node (cli.mjs, tests/).
+
+// -----------------------------
+// Text helpers
+// -----------------------------
+
+// "#" starts a comment, except in a hex colour ("#rgb", "#rrggbb", "#rrggbbaa") written where a colour value goes:
+// inside an open "[...]", on a "Style name: ..." or "Let name = ..." line, or in the value of a colour/border setting ("Background: #fafafa").
+// The colour must be the whole value (after "=", ":", "|" or "[") or end a border ("2px solid #333"),
+// so "#fed4", "x#fff" and "Background: red #add later" still comment.
+const HEX_COLOUR_AT_RE = /^#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3})(?![\w-])/i;
+const BORDER_BEFORE_COLOUR_RE = /^(?:\d+(?:\.\d+)?\s*px)?\s*(?:solid|dotted|dashed)?$/i;
+const COLOUR_VALUE_LINE_RE = /^\s*(?:(?:background|text colou?r|default (?:node |group |link )?(?:text )?colou?r|default node border)\s*:|style\s+[A-Za-z][\w-]*\s*:(?!:)|let\s+[A-Za-z_]\w*\s*=)/i;
+// Inside "[...]", a "#" in a url= value (before any space) is the URL's fragment, not a comment.
+const URL_VALUE_SO_FAR_RE = /^\s*url\s*=\s*\S+$/i;
+// On an "Include:" line, a "#" before any space in the value is part of a share link ("Include: #m=...").
+const INCLUDE_VALUE_SO_FAR_RE = /^\s*include\s*:\s*\S*$/i;
+
+export function findCommentStart(line) {
+  // Purpose: index of the "#" that starts the comment, or -1 (see the hex colour, url= and Include exceptions above).
+  const s = String(line ?? "");
+  if (!s.includes("#")) return -1;
+  const colourLine = COLOUR_VALUE_LINE_RE.test(s);
+  let open = 0; // unclosed "[" before this point
+  let partStart = 0; // start of the current "[...]" part
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "[") open++;
+    else if (ch === "]") open = Math.max(0, open - 1);
+    if (ch === "[" || ch === "|") partStart = i + 1;
+    else if (ch === "#") {
+      const before = s.slice(0, i);
+      const valueSoFar = before.slice(Math.max(...["=", ":", "|", "["].map((c) => before.lastIndexOf(c))) + 1);
+      const valueStart = /[\s=:|[]/.test(s[i - 1] || "") && BORDER_BEFORE_COLOUR_RE.test(valueSoFar.trim());
+      if ((open > 0 || colourLine) && valueStart && HEX_COLOUR_AT_RE.test(s.slice(i))) continue;
+      if (open > 0 && URL_VALUE_SO_FAR_RE.test(s.slice(partStart, i))) continue; // "url=https://x.org/doc#page=3"
+      if (!open && INCLUDE_VALUE_SO_FAR_RE.test(s.slice(0, i))) continue;
+      return i;
+    }
+  }
+  return -1;
+}
+
+export function stripComment(line) {
+  const idx = findCommentStart(line);
+  return (idx >= 0 ? line.slice(0, idx) : line).trim();
+}
+
+export function stripCommentKeepSuffix(rawLine) {
+  const idx = findCommentStart(rawLine);
+  if (idx < 0) return { code: rawLine, comment: "" };
+  return { code: rawLine.slice(0, idx), comment: rawLine.slice(idx) };
+}
+
+export function parseTrailingBracket(codePart) {
+  // Mirrors the relaxed parsing used elsewhere: take the last "[" if line ends with "]".
+  const c = String(codePart || "");
+  const bracketStart = c.lastIndexOf("[");
+  if (bracketStart >= 0 && c.trimEnd().endsWith("]")) {
+    const before = c.slice(0, bracketStart).trimEnd();
+    const bracket = c.slice(bracketStart).trim();
+    const inner = bracket.startsWith("[") && bracket.endsWith("]") ? bracket.slice(1, -1).trim() : bracket.trim();
+    return { before, inner };
+  }
+  return { before: c.trimEnd(), inner: "" };
+}
+
+export function hasTrailingBracket(codePart) {
+  // True for "[]", "[x]", "Label [x]" etc; false for plain text.
+  const c = String(codePart || "");
+  return c.lastIndexOf("[") >= 0 && c.trimEnd().endsWith("]");
+}
+
+export function slugId(s) {
+  return s
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40) || "node";
+}
+
+export function parseClusterAliasTitle(labelText) {
+  // Purpose: support optional group alias syntax: "-- a:: Group title"
+  // If present, returns { alias: "a", title: "Group title" }.
+  // Otherwise returns { alias: "", title: <labelText> }.
+  const s = String(labelText || "").trim();
+  const m = s.match(/^([A-Za-z]\w*)\s*::\s*(.*)$/);
+  if (!m) return { alias: "", title: s };
+  return { alias: String(m[1] || "").trim(), title: String(m[2] || "").trim() };
+}
+
+export function isInternalClusterAnchorNodeId(nodeId) {
+  return String(nodeId || "").startsWith("__cluster_anchor_");
+}
+
+export function clusterAliasFromAnchorNodeId(nodeId) {
+  // Purpose: map internal invisible anchor node ids back to the user-facing group alias token.
+  // "__cluster_anchor_a" -> "a"
+  const s = String(nodeId || "").trim();
+  const prefix = "__cluster_anchor_";
+  if (!s.startsWith(prefix)) return s;
+  return s.slice(prefix.length).trim();
+}
+
+// A collapsed group ("--Drivers [collapsed]") is drawn as one node with this id, in place of its cluster.
+export function collapsedGroupNodeId(clusterId) {
+  return `__collapsed_${clusterId}`;
+}
+
+export function clusterIdFromCollapsedNodeId(nodeId) {
+  // "__collapsed_cluster_2" -> "cluster_2"; "" for any other node id.
+  const m = String(nodeId || "").match(/^__collapsed_(cluster_\d+)$/);
+  return m ? m[1] : "";
+}
+
+export function isClusterCollapsed(styleInner) {
+  return parseBracketAttrs(String(styleInner || "")).loose.some((p) => p.toLowerCase() === "collapsed");
+}
+
+function domSafeToken(s) {
+  // Used only for DOM ids embedded into Graphviz SVG output.
+  // Keep it simple and deterministic: alnum only, other chars -> "_".
+  return String(s || "").replace(/[^A-Za-z0-9]+/g, "_");
+}
+
+export function makeNodeDomId(nodeId) {
+  return `tm_n_${domSafeToken(nodeId)}`;
+}
+
+export function makeEdgeDomId({ srcLineNo, fromId, toId }) {
+  // Use "--" as delimiter because domSafeToken never outputs "-".
+  return `tm_e_${srcLineNo}--${domSafeToken(fromId)}--${domSafeToken(toId)}`;
+}
+
+export function isSimpleIdToken(token) {
+  return /^[A-Za-z]\w*$/.test(String(token || "").trim());
+}
+
+export function nodeIdToDslToken(nodeId, nodesById) {
+  const id = String(nodeId || "").trim();
+  if (!id) return "";
+  const n = nodesById?.get?.(id) || null;
+  // For explicit/simple IDs use the ID token; for implicit (slugged) nodes use their label token.
+  if (isSimpleIdToken(id)) return id;
+  const label = n?.label ? String(n.label).trim() : "";
+  return label || id;
+}
+
+// -----------------------------
+// Colours + borders
+// -----------------------------
+
+// CSS named colours (lowercase). Used to tell colour tokens from words without asking the browser.
+export const CSS_NAMED_COLOURS = new Set(
+  (
+    "aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet brown burlywood " +
+    "cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan darkgoldenrod darkgray " +
+    "darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen " +
+    "darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue dimgray dimgrey dodgerblue " +
+    "firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green greenyellow grey honeydew " +
+    "hotpink indianred indigo ivory khaki lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan " +
+    "lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray " +
+    "lightslategrey lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine mediumblue " +
+    "mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen mediumturquoise mediumvioletred " +
+    "midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid " +
+    "palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum powderblue purple " +
+    "rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue " +
+    "slateblue slategray slategrey snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white " +
+    "whitesmoke yellow yellowgreen transparent"
+  ).split(" ")
+);
+
+export function isCssColourToken(token) {
+  // True for "#abc"/"#aabbcc", hex(aabbcc), rgb()/rgba(), hsl()/hsla() and CSS colour names (case-insensitive).
+  const raw = String(token || "").trim();
+  if (!raw) return false;
+  if (raw.startsWith("#")) return Boolean(expandHexColor(raw));
+  if (/^hex\(/i.test(raw)) return Boolean(hexFunctionToHex(raw));
+  if (/^rgba?\(/i.test(raw)) return Boolean(cssColorToRgb(raw));
+  if (/^hsla?\(\s*-?[\d.]+(deg)?[\s,]+[\d.]+%[\s,]+[\d.]+%([\s,/]+[\d.]+%?)?\s*\)$/i.test(raw)) return true;
+  return CSS_NAMED_COLOURS.has(raw.toLowerCase());
+}
+
+export function parseBorder(borderText) {
+  // Accept: "1px dotted green" or "1px solid blue"
+  // Maps to DOT: penwidth, style, color
+  const parts = borderText.trim().split(/\s+/);
+  if (parts.length < 2) return {};
+
+  const widthPart = parts[0];
+  const stylePart = parts[1];
+  const colorPart = parts.slice(2).join(" ");
+
+  const widthMatch = widthPart.match(/^(\d+)(px)?$/i);
+  const penwidth = widthMatch ? widthMatch[1] : null;
+
+  const style = ["solid", "dotted", "dashed"].includes(stylePart.toLowerCase())
+    ? stylePart.toLowerCase()
+    : null;
+
+  const color = colorPart ? normalizeColor(colorPart.trim()) : null;
+
+  const out = {};
+  if (penwidth) out.penwidth = penwidth;
+  if (style) out.style = style;
+  if (color) out.color = color;
+  return out;
+}
+
+export function parseBorderRaw(borderText) {
+  // Like parseBorder(), but keeps the raw colour token(s) without normalization
+  // so we can round-trip UI values as rgb(...) rather than hex.
+  const parts = String(borderText || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return {};
+
+  const widthPart = parts[0];
+  const stylePart = parts[1];
+  const colorPart = parts.slice(2).join(" ");
+
+  const widthMatch = widthPart.match(/^(\d+)(px)?$/i);
+  const penwidth = widthMatch ? Number(widthMatch[1]) : null;
+
+  const style = ["solid", "dotted", "dashed"].includes(stylePart.toLowerCase())
+    ? stylePart.toLowerCase()
+    : null;
+
+  const out = {};
+  if (penwidth != null) out.penwidth = penwidth;
+  if (style) out.style = style;
+  if (colorPart) out.colorRaw = colorPart.trim();
+  return out;
+}
+
+export function parseEdgeBorderLoosePart(partRaw) {
+  // Purpose: parse *partial* edge border specs so users can write:
+  // - [seagreen] (colour only)
+  // - [1px] (width only)
+  // - [dotted] (style only)
+  // - [1px solid] (width + style)
+  // - [1px solid seagreen] (full)
+  // - [solid seagreen] (style + colour)
+  const part = String(partRaw || "").trim();
+  if (!part) return {};
+
+  const normalizeColorIfValid = (token) => {
+    // Avoid treating arbitrary words (e.g. "decreases") as colours.
+    if (!isCssColourToken(token)) return null;
+    return normalizeColor(token);
+  };
+
+  // Try full border text first (only works for WIDTH STYLE [COLOUR]).
+  const full = parseBorder(part);
+  if (full && (full.penwidth || full.style || full.color)) return full;
+
+  // Width only
+  const mW = part.match(/^(\d+)(px)?$/i);
+  if (mW) return { penwidth: mW[1] };
+
+  // Style only
+  const s = part.toLowerCase();
+  if (["solid", "dotted", "dashed"].includes(s)) return { style: s };
+
+  // Style + colour (no width)
+  const mSC = part.match(/^(solid|dotted|dashed)\s+(.+)$/i);
+  if (mSC) {
+    const c = normalizeColorIfValid(mSC[2].trim());
+    const out = { style: mSC[1].toLowerCase() };
+    if (c) out.color = c;
+    return out;
+  }
+
+  // Colour only
+  const c = normalizeColorIfValid(part);
+  if (c) return { color: c };
+
+  return {};
+}
+
+export function looksLikeEdgeStyleToken(token) {
+  const t = String(token || "").trim();
+  if (!t) return false;
+  const b = parseEdgeBorderLoosePart(t);
+  return Boolean(b && (b.penwidth || b.style || b.color));
+}
+
+export function clampByte(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return 0;
+  return Math.max(0, Math.min(255, Math.round(x)));
+}
+
+export function byteToHex(n) {
+  return clampByte(n).toString(16).padStart(2, "0");
+}
+
+export function expandHexColor(s) {
+  // Supports: #rgb, #rgba, #rrggbb, #rrggbbaa (alpha ignored)
+  const hex = String(s || "").trim().replace(/^#/, "");
+  if (!/^[0-9a-fA-F]+$/.test(hex)) return null;
+  if (hex.length === 3) return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
+  if (hex.length === 4) return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
+  if (hex.length === 6) return `#${hex}`.toLowerCase();
+  if (hex.length === 8) return `#${hex.slice(0, 6)}`.toLowerCase();
+  return null;
+}
+
+function hexFunctionToHex(raw) {
+  // "hex(ff0000)" / "hex(#f00)" -> "#ff0000" (the comment-proof spelling of a hex colour); null if not that form.
+  const m = String(raw || "").trim().match(/^hex\(\s*#?([0-9a-f]+)\s*\)$/i);
+  return m ? expandHexColor(m[1]) : null;
+}
+
+export function compactColourToken(value) {
+  // Purpose: the short MapScript spelling of a colour for UI-written text: "rgb(255,0,0)" / "#FF0000" -> "#ff0000".
+  // Named colours and anything else are kept as written.
+  const raw = String(value ?? "").trim();
+  const rgb = cssColorToRgb(raw);
+  return rgb ? rgbToHex(rgb) : raw;
+}
+
+function parseCssNumberOrPercent(s) {
+  const t = String(s).trim();
+  if (t.endsWith("%")) {
+    const n = Number(t.slice(0, -1));
+    if (!Number.isFinite(n)) return null;
+    return (n / 100) * 255;
+  }
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeColor(value) {
+  // Convert common CSS formats into Graphviz-friendly hex where possible.
+  const raw = String(value ?? "").trim();
+  if (!raw) return raw;
+
+  if (raw.startsWith("#")) return expandHexColor(raw) ?? raw;
+  const fromHexFn = hexFunctionToHex(raw);
+  if (fromHexFn) return fromHexFn;
+
+  const rgbMatch = raw.match(/^rgba?\(\s*([^)]+)\s*\)$/i);
+  if (rgbMatch) {
+    const parts = rgbMatch[1].split(",").map((p) => p.trim());
+    const r = parseCssNumberOrPercent(parts[0]);
+    const g = parseCssNumberOrPercent(parts[1]);
+    const b = parseCssNumberOrPercent(parts[2]);
+    if (r == null || g == null || b == null) return raw;
+    return `#${byteToHex(r)}${byteToHex(g)}${byteToHex(b)}`;
+  }
+
+  // Keep named colours and other formats as-is.
+  return raw;
+}
+
+export function hexToRgb(hex) {
+  const h = String(hex || "").trim();
+  const ex = expandHexColor(h);
+  if (!ex || !/^#[0-9a-f]{6}$/i.test(ex)) return null;
+  const r = parseInt(ex.slice(1, 3), 16);
+  const g = parseInt(ex.slice(3, 5), 16);
+  const b = parseInt(ex.slice(5, 7), 16);
+  return { r, g, b };
+}
+
+export function rgbToHex({ r, g, b }) {
+  return `#${byteToHex(r)}${byteToHex(g)}${byteToHex(b)}`;
+}
+
+export function cssColorToRgb(value) {
+  // Fast path: parse rgb()/rgba(), #hex or hex(...) only.
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  // rgb()/rgba()
+  const rgbMatch = raw.match(/^rgba?\(\s*([^)]+)\s*\)$/i);
+  if (rgbMatch) {
+    const parts = rgbMatch[1].split(",").map((p) => p.trim());
+    const r = parseCssNumberOrPercent(parts[0]);
+    const g = parseCssNumberOrPercent(parts[1]);
+    const b = parseCssNumberOrPercent(parts[2]);
+    if (r == null || g == null || b == null) return null;
+    return { r: clampByte(r), g: clampByte(g), b: clampByte(b) };
+  }
+
+  // hex
+  if (raw.startsWith("#")) return hexToRgb(raw);
+  const fromHexFn = hexFunctionToHex(raw);
+  if (fromHexFn) return hexToRgb(fromHexFn);
+
+  // Named colours/hsl(): handled by resolveCssColorToRgb()
+  return null;
+}
+
+// -----------------------------
+// Attribute + DOT helpers
+// -----------------------------
+
+// Style class references inside [...]: ".outcome" parts, or "class=outcome" (several names: "class=a b").
+const STYLE_CLASS_NAME_RE = /^[A-Za-z][\w-]*$/;
+const STYLE_CLASS_REF_RE = /^\.([A-Za-z][\w-]*)$/;
+
+export function parseBracketAttrs(text) {
+  // Node form: [colour=red | border=1px solid blue]
+  // Edge form: [some edgelabel | 1px solid]
+  // Class references ([.outcome] / [class=outcome]) are listed in `classes`, not in `loose`.
+  const raw = text.trim();
+  const inner = raw.startsWith("[") && raw.endsWith("]") ? raw.slice(1, -1) : raw;
+  const parts = inner.split("|").map((p) => p.trim()).filter(Boolean);
+
+  const kv = {};
+  const loose = [];
+  const classes = [];
+
+  for (const p of parts) {
+    const ref = p.match(STYLE_CLASS_REF_RE);
+    if (ref) {
+      classes.push(ref[1]);
+      continue;
+    }
+    const eq = p.indexOf("=");
+    if (eq >= 0) {
+      const k = p.slice(0, eq).trim().toLowerCase();
+      const v = p.slice(eq + 1).trim();
+      kv[k] = v;
+      if (k === "class") classes.push(...v.split(/[\s,]+/).map((n) => n.replace(/^\./, "")).filter(Boolean));
+    } else {
+      loose.push(p);
+    }
+  }
+
+  return { kv, loose, classes };
+}
+
+export function isStyleClassName(name) {
+  return STYLE_CLASS_NAME_RE.test(String(name || "").trim());
+}
+
+export function hasStyleClassRefs(styleInner) {
+  return parseBracketAttrs(String(styleInner || "")).classes.length > 0;
+}
+
+export function setStyleClassRefs(styleInner, names) {
+  // Purpose: replace the class references in a "[...]" inner with ".name" parts (first), keeping every other part.
+  const rest = String(styleInner || "")
+    .split("|")
+    .map((p) => p.trim())
+    .filter((p) => p && !STYLE_CLASS_REF_RE.test(p) && !/^class\s*=/i.test(p));
+  const refs = [...new Set((names || []).map((n) => String(n || "").trim().replace(/^\./, "")).filter((n) => STYLE_CLASS_NAME_RE.test(n)))];
+  return [...refs.map((n) => `.${n}`), ...rest].join(" | ");
+}
+
+// Attribute spellings that mean the same thing (so an inline "color=" overrides a class "colour=").
+const STYLE_KEY_ALIASES = {
+  color: "colour",
+  background: "colour",
+  "text color": "text colour",
+  textcolour: "text colour",
+  textcolor: "text colour",
+  textsize: "text size",
+  "text scale": "text size",
+  textscale: "text size",
+  labelstyle: "label style",
+  labelsize: "label size",
+};
+
+function canonicalStyleKey(key) {
+  const k = String(key || "").trim().toLowerCase().replace(/\s+/g, " ");
+  return STYLE_KEY_ALIASES[k] || k;
+}
+
+export function resolveStyleClasses(styleInner, styleClasses, kind = "node") {
+  // Purpose: expand class references into the class attributes, for the emitter.
+  // Inline attributes win over class values; later classes win over earlier ones.
+  // kind "link": an inline loose label / border part counts as setting "label" / "border".
+  // Returns { inner, classes, unknown } (unknown = referenced names with no "Style name: ..." line).
+  const inner = String(styleInner || "").trim();
+  const { classes } = parseBracketAttrs(inner);
+  if (!classes.length) return { inner, classes: [], unknown: [] };
+
+  const own = inner
+    .split("|")
+    .map((p) => p.trim())
+    .filter((p) => p && !STYLE_CLASS_REF_RE.test(p) && !/^class\s*=/i.test(p));
+  const ownAttrs = parseBracketAttrs(own.join(" | "));
+  const ownKeys = new Set(Object.keys(ownAttrs.kv).map(canonicalStyleKey));
+  if (kind === "link" && ownAttrs.loose.length) {
+    if (!looksLikeEdgeStyleToken(ownAttrs.loose[0])) ownKeys.add("label");
+    if (ownAttrs.loose.length > 1 || looksLikeEdgeStyleToken(ownAttrs.loose[0])) ownKeys.add("border");
+  }
+
+  const inherited = new Map(); // canonical key -> "key=value"
+  const unknown = [];
+  for (const name of classes) {
+    const def = styleClasses?.[name.toLowerCase()];
+    if (!def) {
+      unknown.push(name);
+      continue;
+    }
+    for (const [k, v] of Object.entries(parseBracketAttrs(def.styleInner).kv)) {
+      const key = canonicalStyleKey(k);
+      inherited.delete(key);
+      inherited.set(key, `${k}=${v}`);
+    }
+  }
+  const fromClasses = [...inherited].filter(([k]) => !ownKeys.has(k)).map(([, part]) => part);
+  return { inner: [...fromClasses, ...own].join(" | "), classes, unknown };
+}
+
+export function toDotAttrs(attrs) {
+  const pairs = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "")
+    // NOTE: don't escape backslashes here; Graphviz uses sequences like "\n" inside quoted labels.
+    .map(([k, v]) => {
+      if (v?.html != null) return `${k}=<${v.html}>`; // HTML-like label (see labelToDotValue)
+      let s = String(v);
+      const kk = String(k).trim().toLowerCase();
+      if (kk === "label" || kk === "xlabel" || kk === "headlabel" || kk === "taillabel") {
+        const rich = richLabelLines(s);
+        if (rich) return `${k}=<${richLabelToDotHtml(rich)}>`;
+        const manual = dotLabelWithManualBreaks(s);
+        if (manual != null) s = manual;
+      }
+      return `${k}="${s.replaceAll('"', '\\"')}"`;
+    });
+  return pairs.length ? ` [${pairs.join(", ")}]` : "";
+}
+
+export function addStyle(attrs, styleToken) {
+  if (!styleToken) return;
+  const token = String(styleToken).trim();
+  if (!token) return;
+  const existing = String(attrs.style || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!existing.includes(token)) existing.push(token);
+  attrs.style = existing.join(",");
+}
+
+// Node shapes: MapScript name -> DOT node attrs. "box" is the built-in default (also accepted as "square").
+// Graphviz has no pill shape, so "stadium" is a rounded box tagged for stadiumNodesInSvg() to redraw.
+const NODE_SHAPE_DOT = {
+  box: { shape: "box" },
+  rounded: { shape: "box", style: "rounded" },
+  stadium: { shape: "box", style: "rounded", class: "tm-shape-stadium" },
+  ellipse: { shape: "ellipse" },
+  circle: { shape: "circle" },
+  diamond: { shape: "diamond" },
+  hexagon: { shape: "hexagon" },
+  parallelogram: { shape: "parallelogram" },
+  cylinder: { shape: "cylinder" },
+  note: { shape: "note" },
+  folder: { shape: "folder" },
+  plaintext: { shape: "plaintext" },
+};
+export const NODE_SHAPES = Object.keys(NODE_SHAPE_DOT);
+
+export function normalizeNodeShape(value) {
+  // "Diamond" -> "diamond", "square" -> "box"; unknown names -> "" (ignored, like other unknown values).
+  const v = String(value || "").trim().toLowerCase();
+  if (v === "square") return "box";
+  return Object.hasOwn(NODE_SHAPE_DOT, v) ? v : "";
+}
+
+export function applyNodeShape(attrs, shapeName) {
+  // Purpose: add the DOT attrs for a MapScript shape. Plain boxes add nothing (the node defaults are already shape=box).
+  const dotShape = NODE_SHAPE_DOT[normalizeNodeShape(shapeName)];
+  if (!dotShape) return;
+  if (dotShape.shape !== "box") attrs.shape = dotShape.shape;
+  if (dotShape.style) addStyle(attrs, dotShape.style);
+  if (dotShape.class) attrs.class = dotShape.class;
+}
+
+function groupNodeShapes(ast) {
+  // Purpose: cluster id -> default shape for the nodes inside it, from the group's "[shape=...]" (or a class);
+  // nested groups inherit it. "" = no group default (use "Default node shape").
+  const shapes = new Map();
+  for (const c of ast?.clusters || []) {
+    const inner = resolveStyleClasses(c.styleInner, ast?.styleClasses, "group").inner;
+    const own = normalizeNodeShape(parseBracketAttrs(`[${inner}]`).kv.shape);
+    shapes.set(c.id, own || shapes.get(c.parentId) || "");
+  }
+  return shapes;
+}
+
+// "url=" / "tooltip=" (nodes, links and groups) -> Graphviz URL / tooltip, so exported SVGs keep working links and hover text.
+// url= values end up in SVG hrefs (in the app, exports and shared maps), so only web and mail links are kept.
+const SAFE_URL_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+const URL_ENTITY_RE = /&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi;
+const URL_NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", colon: ":", tab: "\t", newline: "\n", sol: "/" };
+
+export function safeLinkUrl(value) {
+  // Purpose: the URL a browser would follow, or "" unless it is http(s), mailto or relative.
+  // Character references are decoded and control/whitespace characters dropped first, as browsers do
+  // ("&#106;avascript:" and "java<TAB>script:" are both javascript: URLs).
+  const decoded = String(value ?? "").replace(URL_ENTITY_RE, (m, hex, dec, name) => {
+    if (hex || dec) {
+      const code = Number.parseInt(hex || dec, hex ? 16 : 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return URL_NAMED_ENTITIES[name.toLowerCase()] ?? m;
+  });
+  const url = decoded.replace(/[\u0000-\u0020\u007f-\u009f\u00a0\u1680\u2000-\u200b\u2028\u2029\u202f\u205f\u3000\ufeff]/g, "");
+  if (!url) return "";
+  try {
+    return SAFE_URL_PROTOCOLS.has(new URL(url, "https://relative.invalid/").protocol) ? url : "";
+  } catch {
+    return "";
+  }
+}
+
+function applyUrlAndTooltip(attrs, kv) {
+  const url = safeLinkUrl(kv.url);
+  const tooltip = String(kv.tooltip || "").trim();
+  if (url) attrs.URL = url.replaceAll("&", "&amp;"); // Graphviz copies "&..;" into the SVG as written
+  if (tooltip) attrs.tooltip = tooltip;
+}
+
+export function dotLabelWithManualBreaks(rawLabel) {
+  // Purpose: allow explicit line breaks inside labels using "///".
+  // If present, this overrides the default wrap behavior for that one label.
+  const s = String(rawLabel ?? "");
+  if (!s.includes("///")) return null;
+  return s
+    .split("///")
+    .map((p) => String(p).trim())
+    .join("\\n");
+}
+
+export function wrapLabelToDot(label, maxChars) {
+  const manual = dotLabelWithManualBreaks(label);
+  if (manual != null) return manual;
+
+  const n = Number(maxChars);
+  if (!Number.isFinite(n) || n <= 0) return label;
+  const words = String(label).split(/\s+/).filter(Boolean);
+  if (!words.length) return label;
+
+  const lines = [];
+  let cur = "";
+  for (const w of words) {
+    const next = cur ? `${cur} ${w}` : w;
+    if (next.length <= n) {
+      cur = next;
+    } else {
+      if (cur) lines.push(cur);
+      cur = w;
+    }
+  }
+  if (cur) lines.push(cur);
+  return lines.join("\\n");
+}
+
+// Rich-text labels (nodes, links, group titles): "**bold**", "_italic_", "{red:coloured text}" and "///- item" bullet lines.
+// A label that uses any of them is emitted as a Graphviz HTML-like label (label=<...>); "///" and Label wrap still break lines.
+const LABEL_MARKUP_RE = [
+  { kind: "bold", re: /\*\*(?=\S)(.+?)\*\*/ },
+  { kind: "italic", re: /(?<![\w*])_(?=\S)(.+?)(?<=\S)_(?!\w)/ },
+  { kind: "colour", re: /\{([A-Za-z]+|hex\([0-9a-f]+\)|rgba?\([^)]*\)):([^{}]+)\}/i },
+];
+const BOLD_WIDTH_FACTOR = 1.1; // Arial Bold runs ~10% wider than regular
+
+function labelMarkupRuns(text, style = {}) {
+  // Purpose: "a **b {red:c}**" -> [{ text: "a ", ... }, { text: "b ", bold }, { text: "c", bold, colour: "red" }].
+  const runs = [];
+  let rest = String(text ?? "");
+  while (rest) {
+    let first = null;
+    for (const { kind, re } of LABEL_MARKUP_RE) {
+      const m = rest.match(re);
+      if (!m || (first && m.index >= first.m.index)) continue;
+      if (kind === "colour" && !isCssColourToken(m[1])) continue;
+      first = { kind, m };
+    }
+    if (!first) {
+      runs.push({ ...style, text: rest });
+      break;
+    }
+    const { kind, m } = first;
+    if (m.index > 0) runs.push({ ...style, text: rest.slice(0, m.index) });
+    if (kind === "colour") runs.push(...labelMarkupRuns(m[2], { ...style, colour: normalizeColor(m[1]) }));
+    else runs.push(...labelMarkupRuns(m[1], { ...style, [kind]: true }));
+    rest = rest.slice(m.index + m[0].length);
+  }
+  return runs.filter((r) => r.text);
+}
+
+export function richLabelLines(label, maxChars = 0) {
+  // Purpose: the lines of a rich-text label ([{ bullet, runs }]), or null when the label has no markup (plain DOT label).
+  const s = String(label ?? "");
+  const manual = s.includes("///") ? s.split("///").map((p) => p.trim()) : null;
+  const segments = (manual || [s]).map((seg, i) => {
+    const bullet = Boolean(manual) && i > 0 && /^-\s+/.test(seg);
+    return { bullet, runs: labelMarkupRuns(bullet ? seg.replace(/^-\s+/, "") : seg) };
+  });
+  const styled = segments.some((l) => l.bullet || l.runs.some((r) => r.bold || r.italic || r.colour));
+  if (!styled) return null;
+
+  // Label wrap (only without manual breaks, like wrapLabelToDot): greedy by visible characters, keeping each word's style.
+  const n = Number(maxChars);
+  if (manual || !Number.isFinite(n) || n <= 0) return segments;
+  const lines = [];
+  let cur = [];
+  let len = 0;
+  for (const run of segments[0].runs) {
+    for (const piece of run.text.split(/(\s+)/)) {
+      if (!piece) continue;
+      if (/^\s+$/.test(piece)) {
+        if (len) cur.push({ ...run, text: " " });
+        continue;
+      }
+      const trailing = cur.length && /^\s$/.test(cur[cur.length - 1].text);
+      if (len && trailing && len + piece.length > n) {
+        cur.pop();
+        lines.push({ bullet: false, runs: cur });
+        cur = [];
+        len = 0;
+      }
+      cur.push({ ...run, text: piece });
+      len += piece.length + (trailing ? 1 : 0);
+    }
+  }
+  if (cur.length && /^\s$/.test(cur[cur.length - 1].text)) cur.pop();
+  if (cur.length) lines.push({ bullet: false, runs: cur });
+  return lines;
+}
+
+function escapeDotHtml(s) {
+  return String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
+
+export function richLabelToDotHtml(lines) {
+  // Purpose: rich label lines -> the inside of a Graphviz HTML-like label (<B>, <I>, <FONT COLOR>, <BR/>).
+  // Bullet lines are left-aligned ("<BR ALIGN="LEFT"/>" ends them); other lines stay centred.
+  return lines
+    .map(({ bullet, runs }) => {
+      const merged = [];
+      for (const r of runs) {
+        const prev = merged[merged.length - 1];
+        if (prev && prev.bold === r.bold && prev.italic === r.italic && prev.colour === r.colour) prev.text += r.text;
+        else merged.push({ ...r });
+      }
+      const body = merged
+        .map((r) => {
+          let html = escapeDotHtml(r.text);
+          if (r.italic) html = `<I>${html}</I>`;
+          if (r.bold) html = `<B>${html}</B>`;
+          if (r.colour) html = `<FONT COLOR="${escapeDotHtml(r.colour)}">${html}</FONT>`;
+          return html;
+        })
+        .join("");
+      return bullet ? `• ${body}<BR ALIGN="LEFT"/>` : `${body}<BR/>`;
+    })
+    .join("")
+    .replace(/<BR\/>$/, "");
+}
+
+export function richLabelMaxLinePx(lines, fontPx, measureMaxLinePx) {
+  // Purpose: widest rendered line of a rich label in px, measuring the visible text only (bold runs a little wider).
+  let max = 0;
+  for (const { bullet, runs } of lines) {
+    let w = bullet ? measureMaxLinePx("• ", fontPx) : 0;
+    for (const r of runs) w += measureMaxLinePx(r.text, fontPx) * (r.bold ? BOLD_WIDTH_FACTOR : 1);
+    max = Math.max(max, w);
+  }
+  return max;
+}
+
+export function labelToDotValue(label, maxChars) {
+  // Purpose: a node label for toDotAttrs(): { html } for rich-text labels, else the plain wrapped "\n" form.
+  const rich = richLabelLines(label, maxChars);
+  return rich ? { html: richLabelToDotHtml(rich) } : wrapLabelToDot(label, maxChars);
+}
+
+export function normalizeDirection(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return null;
+  if (v === "tb" || v === "top-bottom" || v === "top to bottom") return "TB";
+  if (v === "bt" || v === "bottom-top" || v === "bottom to top") return "BT";
+  if (v === "lr" || v === "left-right" || v === "left to right") return "LR";
+  if (v === "rl" || v === "right-left" || v === "right to left") return "RL";
+  return null;
+}
+
+// "Link routing:" values -> Graphviz splines. Graphviz's own names (spline, line, ortho) are accepted too.
+export const LINK_ROUTINGS = { curved: "spline", straight: "line", orthogonal: "ortho", polyline: "polyline" };
+
+export function normalizeLinkRouting(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return null;
+  if (LINK_ROUTINGS[v]) return v;
+  return Object.keys(LINK_ROUTINGS).find((k) => LINK_ROUTINGS[k] === v) || null;
+}
+
+// "Layout:" values -> Graphviz layout engines. Engine names (dot, twopi, fdp, neato, circo, osage) are accepted too.
+// Only "hierarchical" (dot) has ranks, a direction and links that end on a group's border.
+export const LAYOUTS = { hierarchical: "dot", radial: "twopi", force: "fdp", circular: "circo", packed: "osage" };
+
+export function normalizeLayout(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return null;
+  if (LAYOUTS[v]) return v;
+  if (v === "neato") return "force";
+  return Object.keys(LAYOUTS).find((k) => LAYOUTS[k] === v) || null;
+}
+
+export function layoutEngine(settings) {
+  // Purpose: the Graphviz engine to lay a map out with (pass it to graphviz.layout(dot, "svg", engine)).
+  return LAYOUTS[settings?.layout] || "dot";
+}
+
+// "Arrowhead:" and "[arrow=...]" / "[arrowtail=...]" values. "open" is Graphviz's "vee";
+// other Graphviz arrow names (odot, tee, box, inv, lcrow, ...) are used as written.
+export const ARROWHEADS = { normal: "normal", open: "vee", dot: "dot", none: "none", diamond: "diamond" };
+const GRAPHVIZ_ARROW_RE = /^(?:[lr]?o?(?:box|crow|curve|icurve|diamond|dot|inv|none|normal|tee|vee)){1,4}$/;
+
+export function normalizeArrowhead(value) {
+  // Purpose: "Open" -> "open", "odot" -> "odot", "" / unknown -> null (write it back with arrowheadToGraphviz()).
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return null;
+  return ARROWHEADS[v] || GRAPHVIZ_ARROW_RE.test(v) ? v : null;
+}
+
+export function arrowheadToGraphviz(value) {
+  const v = normalizeArrowhead(value);
+  return v ? ARROWHEADS[v] || v : null;
+}
+
+export function normalizeTitlePosition(value) {
+  // MapScript values accepted (case-insensitive):
+  // - top left|centre|center|right
+  // - bottom left|centre|center|right
+  // - also accept hyphen/underscore forms (e.g. "bottom-left")
+  // - single word shortcuts: left|centre|center|right map to bottom-*
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (!raw) return null;
+
+  const compact = raw.replace(/[\s_-]+/g, "");
+  const mapCompact = new Map([
+    ["topleft", "top-left"],
+    ["topcenter", "top-centre"],
+    ["topcentre", "top-centre"],
+    ["topright", "top-right"],
+    ["bottomleft", "bottom-left"],
+    ["bottomcenter", "bottom-centre"],
+    ["bottomcentre", "bottom-centre"],
+    ["bottomright", "bottom-right"],
+    ["left", "bottom-left"],
+    ["center", "bottom-centre"],
+    ["centre", "bottom-centre"],
+    ["right", "bottom-right"],
+    ["top", "top-centre"],
+    ["bottom", "bottom-centre"],
+  ]);
+  const hit = mapCompact.get(compact);
+  return hit || null;
+}
+
+export function titlePositionToGraphvizAttrs(titlePosition) {
+  // Default: bottom-left (preferred)
+  const p = normalizeTitlePosition(titlePosition) || "bottom-left";
+  const loc = p.startsWith("top") ? "t" : "b";
+  const just = p.endsWith("left") ? "l" : p.endsWith("right") ? "r" : "c";
+  return { labelloc: loc, labeljust: just };
+}
+
+export function parseLeadingNumber(value) {
+  const m = String(value || "").trim().match(/^-?\d+(\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+
+export function parseRelativeScale(value) {
+  // Parse a "relative size" multiplier like:
+  // - "1.2" (20% bigger)
+  // - "80%" (20% smaller)
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  if (raw.endsWith("%")) {
+    const n = Number(raw.slice(0, -1));
+    if (!Number.isFinite(n) || n <= 0) return null;
+    return n / 100;
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n;
+}
+
+export function fontNameWithStyle(baseFont, styleText) {
+  // Minimal mapping: Graphviz doesn't have separate "font-weight"/"font-style" attrs,
+  // so we use fontname variants when possible.
+  const base = String(baseFont || "").trim() || "Arial";
+  const raw = String(styleText || "").trim().toLowerCase();
+  if (!raw || raw === "normal" || raw === "plain") return base;
+  const wantsBold = raw.includes("bold");
+  const wantsItalic = raw.includes("italic");
+  if (wantsBold && wantsItalic) return `${base} Bold Italic`;
+  if (wantsBold) return `${base} Bold`;
+  if (wantsItalic) return `${base} Italic`;
+  return base;
+}
+
+// -----------------------------
+// Link chains
+// -----------------------------
+
+// Link connectors between chain steps:
+// - "->" forward, "<-" reverse, "<->" both ways (one edge with arrowheads at each end)
+// - "--" undirected; it needs whitespace on both sides so hyphenated words and group markers never split
+export const EDGE_OP_SPLIT_RE = /\s*(<->|<-|->|(?<=\s)--(?=\s))\s*/;
+
+export const EDGE_OPS = ["->", "<->", "<-", "--"];
+
+// Ports: the side of a node where a link starts or ends, as Graphviz compass points (tailport/headport).
+// Written on an endpoint ("A:s -> B:n", compass letters only) or for every link of the line ("[from=bottom | to=top]").
+// from= / to= follow the arrow: "A <- B [from=bottom]" leaves B from its bottom.
+export const PORT_SIDES = {
+  top: "n",
+  bottom: "s",
+  left: "w",
+  right: "e",
+  "top-left": "nw",
+  "top-right": "ne",
+  "bottom-left": "sw",
+  "bottom-right": "se",
+  centre: "c",
+};
+const COMPASS_POINTS = new Set(Object.values(PORT_SIDES));
+const PORT_SUFFIX_RE = /^(.*[^:\s]):(n|ne|e|se|s|sw|w|nw|c)$/;
+
+export function portCompassPoint(side) {
+  // Purpose: "bottom" / "s" / "Bottom left" -> "s" / "s" / "sw"; "" or "auto" -> ""; anything else -> null.
+  const v = String(side ?? "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+  if (!v || v === "auto") return "";
+  if (v === "center") return "c";
+  if (COMPASS_POINTS.has(v)) return v;
+  return PORT_SIDES[v] ?? null;
+}
+
+export function portSideName(compass) {
+  // Purpose: "s" -> "bottom" (how the link drawer writes from= / to=); "" stays "".
+  return Object.keys(PORT_SIDES).find((k) => PORT_SIDES[k] === compass) || "";
+}
+
+export function splitEdgeChain(before) {
+  // Purpose: split a link line (code before any trailing bracket) into its chain steps + connectors.
+  // "A | B -> C <- D | E" -> { hops: [["A", "B"], ["C"], ["D", "E"]], ops: ["->", "<-"] }
+  // Endpoint ports are split off the ids: "A:s -> B" -> hops [["A"], ["B"]], ports [["s"], [""]].
+  // Only a simple id takes a port: "Phase one:n" stays one label-like token (node "phase_one_n").
+  // Returns null when the text isn't a link line. Middle steps can be empty (eg "A -> -> B"); callers decide.
+  const parts = String(before || "").trim().split(EDGE_OP_SPLIT_RE);
+  if (parts.length < 3) return null;
+  if (!String(parts[0]).trim() || !String(parts[parts.length - 1]).trim()) return null;
+  const hops = [];
+  const ops = [];
+  const ports = [];
+  for (let n = 0; n < parts.length; n++) {
+    if (n % 2) {
+      ops.push(parts[n]);
+      continue;
+    }
+    const toks = String(parts[n] || "")
+      .split("|")
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .map((t) => {
+        const m = t.match(PORT_SUFFIX_RE);
+        return m && isSimpleIdToken(m[1]) ? m : [t, t, ""];
+      });
+    hops.push(toks.map((m) => m[1]));
+    ports.push(toks.map((m) => m[2]));
+  }
+  return { hops, ops, ports };
+}
+
+export function isEdgeLineCode(code) {
+  // True for "A -> B", "A <-> B [x]", "A -- B", chains etc. (comment already stripped).
+  // "Key: value" lines stay settings even if the value contains "--" or "<-" (eg "Title: Inputs -- outputs");
+  // "->" anywhere still wins, as it always has.
+  const c = String(code || "");
+  const settingKey = c.match(/^([^:]+):(?!(?:n|ne|e|se|s|sw|w|nw|c)\s)\s*(.+)$/)?.[1]; // "A:s -- B" is a link with a port
+  if (settingKey && !c.includes("->") && !c.includes("::") && !splitEdgeChain(settingKey)) return false;
+  return Boolean(splitEdgeChain(parseTrailingBracket(c).before));
+}
+
+export function formatEdgeChain({ hops, ops, ports }) {
+  // ports (optional, parallel to hops): re-appended as "id:port".
+  let out = "";
+  (hops || []).forEach((h, n) => {
+    if (n > 0) out += ` ${(ops && ops[n - 1]) || "->"} `;
+    out += h.map((tok, k) => (ports?.[n]?.[k] ? `${tok}:${ports[n][k]}` : tok)).join(" | ");
+  });
+  return out;
+}
+
+export function edgeChainPairs({ hops, ops, ports }) {
+  // Expand a chain into its edges: the cross product of each step with the next one (in text order).
+  const out = []; // { s, t, step, op, sPort, tPort }
+  for (let h = 0; h < (hops || []).length - 1; h++) {
+    const op = (ops && ops[h]) || "->";
+    hops[h].forEach((s, i) => {
+      hops[h + 1].forEach((t, j) => {
+        out.push({ s, t, step: h, op, sPort: ports?.[h]?.[i] || "", tPort: ports?.[h + 1]?.[j] || "" });
+      });
+    });
+  }
+  return out;
+}
+
+export function orientEdgePair({ s, t, op, sPort = "", tPort = "" }) {
+  // Rendered edge for one chain pair. "A <- B" is drawn as B -> A so the layout follows the arrow.
+  if (op === "<-") return { fromTok: t, toTok: s, dir: "", fromPort: tPort, toPort: sPort };
+  const dir = op === "<->" ? "both" : op === "--" ? "none" : "";
+  return { fromTok: s, toTok: t, dir, fromPort: sPort, toPort: tPort };
+}
+
+export function parseEdgeEndpoints(before) {
+  // sources/targets are the first/last step of the chain (the only two steps for a plain "A -> B" line).
+  const chain = splitEdgeChain(before);
+  if (!chain) return null;
+  const { hops, ops, ports } = chain;
+  return {
+    hops,
+    ops,
+    ports,
+    sources: hops[0],
+    targets: hops[hops.length - 1],
+  };
+}
+
+export function findEdgeChainPair(ep, fromId, toId) {
+  // Chain pair that renders the edge fromId -> toId (ids as in the SVG edge title), or null.
+  if (!ep) return null;
+  const matchTok = (tok, id) => tok === id || slugId(tok) === id;
+  return (
+    edgeChainPairs(ep).find((p) => {
+      const o = orientEdgePair(p);
+      return matchTok(o.fromTok, fromId) && matchTok(o.toTok, toId);
+    }) || null
+  );
+}
+
+export function isMultiEdgeLine(ep) {
+  // True when one line renders as more than one edge ("A | B -> C" or "A -> B -> C").
+  const hops = ep?.hops || [];
+  return hops.length > 2 || hops.some((h) => h.length > 1);
+}
+
+// -----------------------------
+// Parser: MapScript text -> AST
+// -----------------------------
+//
+// parseMapScript() is pure (no DOM, no Graphviz) so it can run in the browser, a Worker, Node scripts and tests.
+//
+// Spans are { line, col, endCol }: `line` is 1-based (same numbering as "Line N: ..." errors and edge DOM ids),
+// `col`/`endCol` are 0-based offsets into the raw line (end exclusive), so they map directly onto Ace rows/columns.
+//
+// AST shape (see parseMapScript):
+// - statements: every non-blank line in source order (links_heading | rank | group_open | group_close | setting | style_class | variable | node | node_meta | edge | error)
+// - nodes: explicit "ID:: Label [..]" definitions (node.meta = the node's metadata, see "Node metadata" below)
+// - edges: link lines (one entry per line; expand with edgeChainPairs())
+// - clusters: grouping boxes in cluster id order (cluster_0, cluster_1, ...)
+// - ranks: "rank=kind: A | B" lines
+// - styleClasses: "Style name: ..." definitions, keyed by lower-case name (resolve with resolveStyleClasses())
+// - variables: "Let name = value" definitions, keyed by lower-case name; statements hold the expanded text (see "Variables")
+// - settings: final "Key: Value" settings
+// - errors: "Line N: ..." messages
+//
+// "Include: name" merges another map's settings, style classes and node definitions at that line (see parseMapScript).
+// Merged statements carry `source` (the included name) and `sourceLine`; their `line`/`span` point at the Include line,
+// so line helpers never patch host lines with positions from another text.
+
+export function makeDefaultSettings() {
+  return {
+    title: null,
+    titleStyleInner: "", // optional attrs stored on the Title: line as "[text colour=... | text size=...]"
+    description: null,
+    background: null,
+    textColour: null,
+    defaultNodeTextColour: null,
+    defaultBoxTextColour: null,
+    titlePosition: null,
+    defaultBoxColour: null,
+    defaultBoxShape: null,
+    defaultBoxBorder: null,
+    // Default node shadow (used for rendered SVG via CSS filter drop-shadow()).
+    defaultBoxShadow: "medium",
+    defaultLinkColour: null,
+    defaultLinkStyle: null,
+    defaultLinkWidth: null,
+    linkRouting: null,
+    arrowhead: null,
+    layout: null,
+    direction: null,
+    labelWrap: null,
+    spacingAlong: null,
+    spacingAcross: null,
+  };
+}
+
+// "Text color" and "Text colour" are the same setting.
+const settingKeyOf = (keyLower) => String(keyLower || "").trim().toLowerCase().replace(/\bcolor$/, "colour");
+
+export function applySettingLine(settings, keyLower, value) {
+  // Purpose: apply one "Key: Value" line to a settings object (unknown keys are ignored).
+  const key = String(keyLower || "").trim().toLowerCase();
+  if (key === "title") {
+    const { before, inner } = parseTrailingBracket(value);
+    settings.title = String(before || "").trim();
+    settings.titleStyleInner = String(inner || "").trim();
+  }
+  else if (key === "description") settings.description = value;
+  else if (key === "background") settings.background = normalizeColor(value);
+  else if (key === "text colour" || key === "text color") settings.textColour = normalizeColor(value);
+  else if (key === "default node text colour" || key === "default node text color") settings.defaultNodeTextColour = normalizeColor(value);
+  else if (key === "default group text colour" || key === "default group text color") settings.defaultBoxTextColour = normalizeColor(value);
+  else if (key === "title size") settings.titleSize = parseLeadingNumber(value);
+  else if (key === "title position") settings.titlePosition = normalizeTitlePosition(value);
+  else if (key === "default node colour" || key === "default node color") settings.defaultBoxColour = normalizeColor(value);
+  else if (key === "default node shape") settings.defaultBoxShape = normalizeNodeShape(value) || null;
+  else if (key === "default node border") settings.defaultBoxBorder = value;
+  else if (key === "default link colour" || key === "default link color") settings.defaultLinkColour = normalizeColor(value);
+  else if (key === "default link style") settings.defaultLinkStyle = value.trim().toLowerCase();
+  else if (key === "default link width") settings.defaultLinkWidth = parseLeadingNumber(value);
+  else if (key === "default node shadow") settings.defaultBoxShadow = value;
+  else if (key === "link routing") settings.linkRouting = normalizeLinkRouting(value);
+  else if (key === "arrowhead") settings.arrowhead = normalizeArrowhead(value);
+  else if (key === "layout") settings.layout = normalizeLayout(value);
+  else if (key === "direction") settings.direction = normalizeDirection(value);
+  else if (key === "label wrap") settings.labelWrap = parseLeadingNumber(value);
+  else if (key === "spacing along") settings.spacingAlong = parseLeadingNumber(value);
+  else if (key === "spacing across") settings.spacingAcross = parseLeadingNumber(value);
+  return settings;
+}
+
+// Supported *editor* settings line keys (eg "Background: ...") used by:
+// - splitMapScriptStylesAndContents() in app.js
+// - the cursor-adjacent "Style" button (so it can act on global style lines too)
+// - normalizeDslRemoveRedundantSpecs()
+export const SUPPORTED_SETTING_LINE_KEYS = new Set([
+  "background",
+  "text colour",
+  "text color",
+  "default node text colour",
+  "default node text color",
+  "default group text colour",
+  "default group text color",
+  "title size",
+  "title position",
+  "default node colour",
+  "default node color",
+  "default node shape",
+  "default node border",
+  "default link colour",
+  "default link color",
+  "default link style",
+  "default link width",
+  "default node shadow",
+  "link routing",
+  "arrowhead",
+  "layout",
+  "direction",
+  "label wrap",
+  "spacing along",
+  "spacing across",
+]);
+
+// Suggested values for settings lines (editor completion). Colour settings take any CSS colour instead.
+export const SETTING_VALUE_SUGGESTIONS = {
+  direction: ["left-right", "top-bottom", "right-left", "bottom-top"],
+  "title position": ["bottom-left", "bottom-centre", "bottom-right", "top-left", "top-centre", "top-right"],
+  "default node shape": NODE_SHAPES,
+  "default node shadow": ["none", "subtle", "medium", "strong"],
+  "default link style": ["solid", "dotted", "dashed", "bold"],
+  "link routing": Object.keys(LINK_ROUTINGS),
+  arrowhead: Object.keys(ARROWHEADS),
+  layout: Object.keys(LAYOUTS),
+};
+
+// "[key=value]" attributes understood by each kind of line, in British spelling (the emitter also accepts
+// "color", "textsize", "labelstyle", ...). Values: suggestions, or "colour" for any CSS colour.
+const BORDER_VALUE_SUGGESTIONS = ["1px solid", "2px solid", "1px dashed", "2px dotted"];
+export const BRACKET_ATTRIBUTES = {
+  node: {
+    colour: "colour",
+    border: BORDER_VALUE_SUGGESTIONS,
+    shape: NODE_SHAPES,
+    "text size": ["0.8", "1.2", "1.5"],
+    url: [],
+    tooltip: [],
+  },
+  group: {
+    colour: "colour",
+    border: BORDER_VALUE_SUGGESTIONS,
+    shape: NODE_SHAPES, // default shape of the nodes inside
+
+    "text colour": "colour",
+    "text size": ["0.8", "1.2", "1.5"],
+    url: [],
+    tooltip: [],
+  },
+  link: {
+    label: [],
+    border: BORDER_VALUE_SUGGESTIONS,
+    "label style": ["normal", "italic", "bold", "bold italic"],
+    "label size": ["10", "12", "14"],
+    from: Object.keys(PORT_SIDES),
+    to: Object.keys(PORT_SIDES),
+    arrow: Object.keys(ARROWHEADS),
+    arrowtail: Object.keys(ARROWHEADS),
+    url: [],
+    tooltip: [],
+  },
+  title: {
+    "text colour": "colour",
+    "text size": ["18", "22", "28"],
+  },
+};
+
+// Variables: "Let brand = rgb(30,80,160)" defines $brand for setting values, "[...]" attribute values and labels.
+// Names are case-insensitive and visible in the whole map, as are the variables of its included maps.
+// A value is used as written (no "$" inside it is expanded); "$$" is a literal "$".
+const VARIABLE_REF_RE = /\$\$|\$([A-Za-z_]\w*)/g;
+const LET_LINE_RE = /^\s*let\s+[A-Za-z_]\w*\s*=/i;
+const INCLUDE_LINE_RE = /^\s*include\s*:/i;
+
+export function expandVariables(text, variables) {
+  // Purpose: replace "$name" references. Returns { text, unknown } (unknown = names with no "Let" line, as written).
+  const unknown = [];
+  const out = String(text ?? "").replace(VARIABLE_REF_RE, (ref, name) => {
+    if (!name) return "$";
+    const v = variables?.[name.toLowerCase()];
+    if (v) return v.value;
+    if (!unknown.includes(name)) unknown.push(name);
+    return ref;
+  });
+  return { text: out, unknown };
+}
+
+// Statement fields that may hold "$name" references (ids and link endpoints never do).
+const VARIABLE_FIELDS = {
+  setting: ["value"],
+  style_class: ["styleInner"],
+  node: ["label", "styleInner"],
+  node_meta: ["value"],
+  edge: ["styleInner"],
+  group_open: ["label", "styleInner"],
+};
+
+// Node metadata ("details"): extra fields that are kept in the AST but never drawn.
+// - any "key=value" in a node's "[...]" that isn't a styling attribute: "A:: Training [owner=Jane | indicator=% trained]"
+// - indented "key: value" lines right under the "ID::" line (deeper than it; comment lines may sit between, a blank line ends them)
+// parseMapScript() stores them in order as node.meta = [{ key, value, line }] (keys as written).
+const NODE_META_LINE_RE = /^([A-Za-z][\w -]*?)\s*:\s*(.*)$/;
+
+function isStylingAttrKey(key) {
+  const k = canonicalStyleKey(key);
+  return k === "class" || Object.values(BRACKET_ATTRIBUTES).some((attrs) => k in attrs);
+}
+
+export function nodeMetaFromInner(styleInner) {
+  // Purpose: the metadata parts of a node "[...]" inner: [{ key, value }].
+  const out = [];
+  for (const part of String(styleInner || "").split("|")) {
+    const kv = part.match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/);
+    if (kv && !isStylingAttrKey(kv[1])) out.push({ key: kv[1], value: kv[2] });
+  }
+  return out;
+}
+
+export function parseNodeMetaLine(rawLine, hostIndent, lineNo = 1) {
+  // Purpose: parse an indented "key: value" line under a node, or null.
+  // hostIndent = leading whitespace of the "ID::" line; the metadata line must be indented deeper.
+  const { code, comment } = stripCommentKeepSuffix(String(rawLine ?? ""));
+  const line = code.trim();
+  const base = code.length - code.trimStart().length;
+  if (!line || base <= hostIndent || line.includes("::")) return null;
+  const m = line.match(NODE_META_LINE_RE);
+  if (!m || isEdgeLineCode(line)) return null; // "  A:s -> B" is a link with a port, not the detail "A"
+  // Indented settings and style classes stay what they are ("  Link routing: orthogonal", "  Style warm: ...").
+  const keyLower = m[1].trim().toLowerCase();
+  if (SUPPORTED_SETTING_LINE_KEYS.has(keyLower) || keyLower === "include" || /^style\s/.test(keyLower)) return null;
+  const at = (start, end) => ({ line: lineNo, col: base + start, endCol: base + end });
+  const value = m[2].trim();
+  return {
+    type: "node_meta",
+    line: lineNo,
+    span: at(0, line.length),
+    comment,
+    key: m[1],
+    value,
+    keySpan: at(0, m[1].length),
+    valueSpan: at(line.length - value.length, line.length),
+  };
+}
+
+export function nodeMetaLineCount(lines, idx) {
+  // Purpose: how many lines after the "ID::" line at idx belong to it (its "key: value" lines, and comments between them).
+  const host = parseMapScriptLine(lines[idx]);
+  if (host?.type !== "node") return 0;
+  let count = 0;
+  for (let i = idx + 1; i < lines.length; i++) {
+    const raw = String(lines[i] ?? "");
+    if (!raw.trim()) break;
+    if (parseNodeMetaLine(raw, host.span.col)) count = i - idx;
+    else if (parseMapScriptLine(raw)) break;
+  }
+  return count;
+}
+
+export function searchMapNodes(ast, query) {
+  // Purpose: ids of the nodes whose id, label or metadata (keys and values) contain every word of the query.
+  const words = String(query || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const ids = [];
+  for (const n of ast?.nodes || []) {
+    const text = [n.id, n.label, ...(n.meta || []).flatMap((m) => [m.key, m.value])].join("\n").toLowerCase();
+    if (words.every((w) => text.includes(w)) && !ids.includes(n.id)) ids.push(n.id);
+  }
+  return ids;
+}
+
+export function nodeIdFromToken(token) {
+  // "A" stays "A"; free-label tokens ("Training quality") become slug ids ("training_quality").
+  const raw = String(token || "").trim();
+  if (!raw) return "";
+  return isSimpleIdToken(raw) ? raw : slugId(raw);
+}
+
+function spanPipeTokens(text, offset, at) {
+  // Purpose: split "A | B | C" on "|" and keep the span of every (trimmed) token.
+  const out = [];
+  let pos = 0;
+  for (const part of String(text || "").split("|")) {
+    const t = part.trim();
+    if (t) {
+      const start = offset + pos + part.indexOf(t);
+      out.push({ text: t, span: at(start, start + t.length) });
+    }
+    pos += part.length + 1;
+  }
+  return out;
+}
+
+export function parseMapScriptLine(rawLine, lineNo = 1) {
+  // Purpose: parse ONE line into a statement, without context. Returns null for blank/comment-only lines.
+  // parseMapScript() adds the context rules (links section, group nesting, alias/id conflicts).
+  const raw = String(rawLine ?? "");
+  const { code, comment } = stripCommentKeepSuffix(raw);
+  const line = code.trim();
+  if (!line) return null;
+
+  const base = code.length - code.trimStart().length; // raw column of line[0]
+  const at = (start, end) => ({ line: lineNo, col: base + start, endCol: base + end });
+  const stmt = (type, fields) => ({ type, line: lineNo, span: at(0, line.length), comment, ...fields });
+  const fail = (of, message) => stmt("error", { of, message });
+
+  // Groups are always implicitly closed before the links section.
+  // We treat the links section as explicit: a "## Links" heading (recommended style).
+  if (/^##\s*links\b/i.test(line)) return stmt("links_heading", {});
+
+  // Rank constraints:
+  // - rank=same: A | B | C
+  // - rank=min:  A | B
+  // - rank=0:    A | B
+  //
+  // Tokens can be node IDs, free-label tokens (will be slugged), or group aliases (resolved by astToDot).
+  const rankMatch = line.match(/^rank\s*=\s*([^:]+)\s*:\s*(.+)$/i);
+  if (rankMatch) {
+    const kindRaw = String(rankMatch[1] || "").trim().toLowerCase();
+    const tokens = spanPipeTokens(rankMatch[2], line.length - rankMatch[2].length, at);
+    if (!tokens.length) return fail("rank", "rank constraint has no nodes (expected: rank=...: A | B | C)");
+
+    const isGraphvizRankKeyword = ["same", "min", "max", "source", "sink"].includes(kindRaw);
+    const isInt = /^-?\d+$/.test(kindRaw);
+    if (!isGraphvizRankKeyword && !isInt) {
+      return fail("rank", `invalid rank kind "${kindRaw}" (use same|min|max|source|sink or an integer like 0)`);
+    }
+    return stmt("rank", { kind: isInt ? Number(kindRaw) : kindRaw, tokens });
+  }
+
+  // Grouping box line:
+  // - "--Label" opens a level-1 cluster
+  // - "----Label" opens a level-2 cluster (nested)
+  // - "----" closes the current level-2 cluster (if any)
+  // - "--" closes the current level-1 cluster (and anything nested)
+  //
+  // Rule: the number of leading '-' determines nesting depth (2 = level 1, 4 = level 2, etc).
+  const clusterMatch = line.match(/^(-{2,})(.*)$/);
+  if (clusterMatch) {
+    const dashes = clusterMatch[1];
+    const depth = dashes.length;
+    if (depth % 2 !== 0) return fail("group", "grouping box marker must use an even number of '-' (e.g. -- or ----)");
+
+    // Optional cluster attrs: "--Label [colour=... | border=... | text colour=... | text size=...]"
+    const rest = String(clusterMatch[2] || "").trim();
+    const hasBracket = hasTrailingBracket(rest);
+    const { before, inner } = parseTrailingBracket(rest);
+
+    // Closing marker is *only* "--" / "----" with no label and no bracket.
+    // Untitled opener must be explicit ("--[]"/"--[...]" etc).
+    if (!before.trim() && !hasBracket) return stmt("group_close", { dashes, depth });
+
+    const { alias, title } = parseClusterAliasTitle(before);
+    const aliasStart = alias ? line.indexOf(alias, dashes.length) : -1;
+    return stmt("group_open", {
+      dashes,
+      depth,
+      alias,
+      aliasSpan: alias ? at(aliasStart, aliasStart + alias.length) : null,
+      label: title,
+      styleInner: String(inner || "").trim(),
+      hasBracket,
+    });
+  }
+
+  // Style class: "Style outcome: colour=seagreen | border=1px solid black" (used as [.outcome] or [class=outcome])
+  const styleClassMatch = line.match(/^style\s+([^:]+?)\s*:\s*(.*)$/i);
+  if (styleClassMatch && !line.includes("::") && !isEdgeLineCode(line)) {
+    const name = styleClassMatch[1];
+    if (!STYLE_CLASS_NAME_RE.test(name)) {
+      return fail("style", `invalid style class name "${name}" (use letters, digits, "_" or "-", starting with a letter)`);
+    }
+    const styleInner = styleClassMatch[2].trim();
+    const nameStart = line.indexOf(name, 5);
+    return stmt("style_class", { name, nameSpan: at(nameStart, nameStart + name.length), styleInner });
+  }
+
+  // Variable: "Let brand = rgb(30,80,160)" (used as "$brand")
+  const letMatch = line.match(/^let\s+([A-Za-z_]\w*)\s*=\s*(.*)$/i);
+  if (letMatch) {
+    const name = letMatch[1];
+    const value = letMatch[2].trim();
+    if (!value) return fail("variable", `variable "${name}" has no value (e.g. Let ${name} = seagreen)`);
+    const nameStart = line.indexOf(name, 3);
+    const valueStart = line.length - letMatch[2].length;
+    return stmt("variable", {
+      name,
+      nameSpan: at(nameStart, nameStart + name.length),
+      value,
+      valueSpan: at(valueStart, valueStart + value.length),
+    });
+  }
+
+  // Settings line: "Key: Value"
+  const settingMatch = line.match(/^([^:]+):\s*(.+)$/);
+  if (settingMatch && !line.includes("->") && !line.includes("::") && !isEdgeLineCode(line)) {
+    const key = settingMatch[1].trim();
+    const value = settingMatch[2].trim();
+    return stmt("setting", {
+      key,
+      keyLower: key.toLowerCase(),
+      value,
+      keySpan: at(0, key.length),
+      valueSpan: at(line.length - value.length, line.length),
+    });
+  }
+
+  // Node line: "A:: Label [attrs]"
+  const nodeMatch = line.match(/^(\S+)\s*::\s*(.+)$/);
+  if (nodeMatch) {
+    const idToken = nodeMatch[1].trim();
+    const rest = nodeMatch[2].trim();
+    const hasBracket = hasTrailingBracket(rest);
+    const { before, inner } = parseTrailingBracket(rest);
+    return stmt("node", {
+      id: nodeIdFromToken(idToken),
+      idToken,
+      idSpan: at(0, idToken.length),
+      label: before.trim(),
+      styleInner: String(inner || "").trim(),
+      hasBracket,
+    });
+  }
+
+  // Edge line: "A -> B | C [edgeLabel | 1px solid]"
+  // Chains are allowed too: "A -> B | C -> D" (each connector is one step; "|" fans out at every step).
+  // Connectors: "->" forward, "<-" reverse, "<->" both ways, "--" undirected (see splitEdgeChain).
+  const edgeParts = parseTrailingBracket(line);
+  const chain = splitEdgeChain(edgeParts.before);
+  if (chain) {
+    // Token spans: tokens appear in text order, so walk the line with a cursor.
+    // Autocorrect: allow "A→B" pasted, normalize arrows in every step
+    let cursor = 0;
+    const tokens = chain.hops.map((h, n) =>
+      h
+        .map((tok, k) => {
+          const start = line.indexOf(tok, cursor);
+          cursor = start + tok.length;
+          return { text: tok.replaceAll("→", "").trim(), span: at(start, start + tok.length), port: chain.ports[n][k] };
+        })
+        .filter((t) => t.text)
+    );
+    const hops = tokens.map((h) => h.map((t) => t.text));
+
+    // Cross product per step: "A | Q -> B | C" means A->B, A->C, Q->B, Q->C
+    if (!hops[0].length) return fail("edge", "edge has no sources");
+    if (!hops[hops.length - 1].length) return fail("edge", "edge has no targets");
+    if (hops.some((h) => !h.length)) return fail("edge", "link chain has an empty step (nothing between two connectors)");
+
+    return stmt("edge", {
+      hops,
+      ops: chain.ops,
+      ports: tokens.map((h) => h.map((t) => t.port)),
+      tokens,
+      before: edgeParts.before,
+      styleInner: edgeParts.inner,
+      hasBracket: hasTrailingBracket(line),
+    });
+  }
+
+  return fail("syntax", `unrecognised syntax: ${raw}`);
+}
+
+export function parseMapScript(text, { resolveInclude = null, includeStack = [], includedNames = new Set() } = {}) {
+  // Purpose: MapScript text -> AST (see the shape notes above). Never throws; problems are reported in `errors`.
+  // resolveInclude(name, includeStack) -> MapScript text or null, for "Include: name" lines (without it every include
+  // is "not found"). includeStack names the maps the line is in, outermost first ([] for this map's own lines).
+  const ast = {
+    statements: [],
+    nodes: [],
+    edges: [],
+    clusters: [], // { id, alias, label, depth, dashes, styleInner, line, span, comment, parentId, nodeIds, collapsed, closeLine }
+    ranks: [],
+    styleClasses: {}, // lower-case name -> { name, styleInner, line }
+    variables: {}, // lower-case name -> { name, value, line }
+    settings: makeDefaultSettings(),
+    errors: [],
+  };
+
+  const clusterStack = []; // stack of clusters (nested)
+  const clusterByAlias = new Map(); // alias -> cluster
+  const explicitNodeIds = new Set(); // ids defined via "ID:: Label" (used to detect alias collisions)
+  let inLinksSection = false; // once true, groups are implicitly closed (no nodes are assigned to groups after this point)
+  let metaHost = null; // the last "ID::" statement, while indented "key: value" lines may still follow it
+
+  function addStyleClass(s) {
+    const key = s.name.toLowerCase();
+    const prev = ast.styleClasses[key];
+    if (prev) {
+      const where = prev.source ? ` (included from "${prev.source}")` : "";
+      ast.errors.push(`Line ${s.line}: style class "${s.name}" is already defined on line ${prev.line}${where}`);
+    } else {
+      ast.styleClasses[key] = { name: s.name, styleInner: s.styleInner, line: s.line, ...(s.source ? { source: s.source } : {}) };
+    }
+  }
+
+  function addNode(s, top) {
+    explicitNodeIds.add(s.id);
+    if (clusterByAlias.has(s.id)) {
+      ast.errors.push(`Line ${s.line}: node id "${s.id}" conflicts with an existing group alias; please rename one of them`);
+    }
+    s.clusterId = top ? top.id : "";
+    if (top) top.nodeIds.push(s.id);
+    ast.nodes.push(s);
+  }
+
+  function addVariable(s) {
+    const key = s.name.toLowerCase();
+    const prev = ast.variables[key];
+    if (prev) ast.errors.push(`Line ${s.line}: variable "$${s.name}" is already defined on line ${prev.line}`);
+    else ast.variables[key] = { name: s.name, value: s.value, line: s.line };
+  }
+
+  function expandStatementVariables(s) {
+    // Purpose: "$name" -> its value in the fields that take variables; unknown names are errors on that line.
+    for (const field of VARIABLE_FIELDS[s.type] || []) {
+      if (typeof s[field] !== "string" || !s[field].includes("$")) continue;
+      const res = expandVariables(s[field], ast.variables);
+      s[field] = res.text;
+      for (const name of res.unknown) ast.errors.push(`Line ${s.line}: unknown variable "$${name}" (define it with a "Let ${name} = ..." line)`);
+    }
+  }
+
+  function loadInclude(name) {
+    // Purpose: resolve and parse one included map -> { sub } | { error } | {} (already merged elsewhere).
+    if (includeStack.includes(name)) return { error: `Include cycle: ${[...includeStack, name].join(" -> ")}` };
+    if (includedNames.has(name)) return {};
+    const included = typeof resolveInclude === "function" ? resolveInclude(name, includeStack) : null;
+    if (typeof included !== "string") {
+      return { error: `cannot find "${name}" to include (use the name of a saved map, an example id or a #m= link)` };
+    }
+    includedNames.add(name);
+    return { sub: parseMapScript(included, { resolveInclude, includeStack: [...includeStack, name], includedNames }) };
+  }
+
+  function mergeInclude(s, top) {
+    // "Include: name" -> the other map's settings, style classes and nodes, as if they were written on this line.
+    // Its links, groups and rank lines stay in that map. A map included twice (e.g. by two sub-maps) is merged once.
+    // What this map defines itself wins, above or below the "Include:" line: those included definitions are skipped.
+    // The map was loaded in the first pass (its variables are already known); report its errors here, in line order.
+    const name = s.value;
+    const at = `Line ${s.line}: `;
+    const { sub, error } = loadedIncludes.get(s.line) || loadInclude(name);
+    if (error) ast.errors.push(`${at}${error}`);
+    if (!sub) return;
+    for (const e of sub.errors) ast.errors.push(`${at}in included "${name}", ${e.replace(/^Line (\d+):/, "line $1:")}`);
+
+    for (const t of sub.statements) {
+      if (t.type !== "setting" && t.type !== "style_class" && t.type !== "node") continue;
+      if (t.type === "setting" && t.keyLower === "include") continue; // already merged into `sub`
+      if (t.type === "setting" && own.settings.has(settingKeyOf(t.keyLower))) continue;
+      if (t.type === "style_class" && own.styleClasses.has(t.name.toLowerCase())) continue;
+      if (t.type === "node" && own.nodeIds.has(t.id)) continue;
+      const m = { ...t, line: s.line, span: s.span, source: t.source || name, sourceLine: t.sourceLine || t.line };
+      ast.statements.push(m);
+      if (m.type === "setting") applySettingLine(ast.settings, m.keyLower, m.value);
+      else if (m.type === "style_class") addStyleClass(m);
+      else addNode(m, top);
+    }
+  }
+
+  const lines = String(text ?? "").split(/\r?\n/);
+  // Variables are defined before anything uses them, wherever their "Let" line is.
+  // With an "Include:" line, also note this map's own settings, style classes and nodes (they win over included ones).
+  const own = { settings: new Set(), styleClasses: new Set(), nodeIds: new Set() };
+  const hasInclude = lines.some((raw) => INCLUDE_LINE_RE.test(raw));
+  lines.forEach((raw, i) => {
+    if (!hasInclude && !LET_LINE_RE.test(raw)) return;
+    const s = parseMapScriptLine(raw, i + 1);
+    if (s?.type === "variable") addVariable(s);
+    else if (s?.type === "setting") own.settings.add(settingKeyOf(s.keyLower));
+    else if (s?.type === "style_class") own.styleClasses.add(s.name.toLowerCase());
+    else if (s?.type === "node") own.nodeIds.add(s.id);
+  });
+  // Then the included maps, so their variables can be used on any line too (this map's own "Let" lines win).
+  const loadedIncludes = new Map();
+  lines.forEach((raw, i) => {
+    if (!INCLUDE_LINE_RE.test(raw)) return;
+    const s = parseMapScriptLine(raw, i + 1);
+    if (s?.type !== "setting" || s.keyLower !== "include") return;
+    const name = expandVariables(s.value, ast.variables).text;
+    const loaded = loadInclude(name);
+    loadedIncludes.set(s.line, loaded);
+    for (const [key, v] of Object.entries(loaded.sub?.variables || {})) {
+      if (!ast.variables[key]) ast.variables[key] = { ...v, line: s.line, source: v.source || name };
+    }
+  });
+
+  for (let i = 0; i < lines.length; i++) {
+    const meta = metaHost && parseNodeMetaLine(lines[i], metaHost.span.col, i + 1);
+    if (meta) {
+      expandStatementVariables(meta);
+      meta.nodeId = metaHost.id;
+      metaHost.meta.push({ key: meta.key, value: meta.value, line: meta.line });
+      ast.statements.push(meta);
+      continue;
+    }
+    if (!lines[i].trim()) metaHost = null;
+    const s = parseMapScriptLine(lines[i], i + 1);
+    if (!s) continue;
+    metaHost = null;
+    expandStatementVariables(s);
+
+    // Links can appear anywhere; they don't affect box membership.
+    if (s.type === "links_heading") {
+      inLinksSection = true;
+      clusterStack.length = 0;
+    }
+    // Boxes are closed/ignored in the links section.
+    const isGroupLine = s.type === "group_open" || s.type === "group_close" || s.of === "group";
+    if (isGroupLine && inLinksSection) continue;
+
+    ast.statements.push(s);
+    const top = clusterStack[clusterStack.length - 1] || null;
+
+    if (s.type === "error") {
+      ast.errors.push(`Line ${s.line}: ${s.message}`);
+    } else if (s.type === "rank") {
+      ast.ranks.push(s);
+    } else if (s.type === "group_close") {
+      while (clusterStack.length && clusterStack[clusterStack.length - 1].depth >= s.depth) {
+        const closed = clusterStack.pop();
+        if (closed.depth === s.depth) closed.closeLine = s.line;
+      }
+    } else if (s.type === "group_open") {
+      // Opening marker: ensure stack is aligned to parent level (depth-2)
+      const parentDepth = s.depth - 2;
+      while (clusterStack.length && clusterStack[clusterStack.length - 1].depth > parentDepth) {
+        clusterStack.pop();
+      }
+
+      const { alias } = s;
+      if (alias) {
+        if (clusterByAlias.has(alias)) {
+          ast.errors.push(`Line ${s.line}: group alias "${alias}" is already used by another group`);
+        }
+        if (explicitNodeIds.has(alias)) {
+          ast.errors.push(`Line ${s.line}: group alias "${alias}" conflicts with an existing node id; please rename one of them`);
+        }
+      }
+
+      const parent = clusterStack[clusterStack.length - 1] || null;
+      const c = {
+        id: `cluster_${ast.clusters.length}`,
+        alias,
+        label: s.label,
+        depth: s.depth,
+        dashes: s.dashes,
+        styleInner: s.styleInner,
+        line: s.line,
+        span: s.span,
+        comment: s.comment,
+        parentId: parent ? parent.id : "",
+        nodeIds: [],
+        collapsed: isClusterCollapsed(s.styleInner),
+        closeLine: 0, // line of the explicit closing marker (0 = closed implicitly)
+      };
+      s.clusterId = c.id;
+      ast.clusters.push(c);
+      if (alias && !clusterByAlias.has(alias)) clusterByAlias.set(alias, c);
+      clusterStack.push(c);
+    } else if (s.type === "setting") {
+      if (s.keyLower === "include") mergeInclude(s, top);
+      else applySettingLine(ast.settings, s.keyLower, s.value);
+    } else if (s.type === "style_class") {
+      addStyleClass(s);
+      const { loose, classes } = parseBracketAttrs(s.styleInner);
+      if (loose.length || classes.length) {
+        ast.errors.push(`Line ${s.line}: style class "${s.name}" takes key=value attributes only (e.g. colour=seagreen | border=1px solid black)`);
+      }
+    } else if (s.type === "node") {
+      s.meta = nodeMetaFromInner(s.styleInner).map((m) => ({ ...m, line: s.line }));
+      addNode(s, top);
+      metaHost = s;
+    } else if (s.type === "edge") {
+      ast.edges.push(s);
+    }
+  }
+
+  return ast;
+}
+
+// -----------------------------
+// Emitter: AST -> Graphviz DOT
+// -----------------------------
+
+export function astToDot(ast, { measureText } = {}) {
+  // Purpose: emit DOT for a parsed map. Returns { dot, errors, settings, engine }; errors include the parse errors,
+  // engine is the Graphviz layout engine for the "Layout:" setting.
+  const errors = [...(ast?.errors || [])];
+  const BASE_NODE_FONT_SIZE = 14; // Graphviz-ish default; used only when user sets a relative node text size
+  const BASE_CLUSTER_FONT_SIZE = 14; // used only when user sets a relative cluster title text size
+  // Settings are replayed in source order (node defaults apply as the text reads, top to bottom).
+  const settings = makeDefaultSettings();
+
+  const nodes = new Map(); // id -> { label, attrs }
+  const rawEdges = []; // { fromToken, toToken, attrs, srcLineNo }
+  const rankConstraints = []; // { kind: "same"|"min"|"max"|"source"|"sink"|number, tokens: string[], srcLineNo }
+  // Cluster membership + nesting come from the parser; add the DOT-only bits here.
+  const clusters = (ast?.clusters || []).map((c) => ({
+    ...c,
+    nodeIds: [...c.nodeIds],
+    children: [],
+    anchorId: c.alias ? `__cluster_anchor_${c.alias}` : "",
+  }));
+  const clusterById = new Map(clusters.map((c) => [c.id, c]));
+  const clusterByAlias = new Map(); // alias -> cluster (first group wins)
+  for (const c of clusters) {
+    if (c.parentId) clusterById.get(c.parentId)?.children.push(c);
+    if (c.alias && !clusterByAlias.has(c.alias)) clusterByAlias.set(c.alias, c);
+  }
+  // "--Drivers [collapsed]": the group is drawn as one summary node, and links to its nodes (or to the group)
+  // end there instead. In nested collapsed groups the outermost one wins.
+  const foldedInto = new Map(); // node id -> the collapsed cluster it is drawn as
+  for (const c of clusters) {
+    for (let up = c; up; up = clusterById.get(up.parentId)) if (up.collapsed) c.foldedInto = up;
+    if (c.foldedInto) for (const id of c.nodeIds) foldedInto.set(id, c.foldedInto);
+  }
+  const visibleNodeId = (id) => (foldedInto.has(id) ? collapsedGroupNodeId(foldedInto.get(id).id) : id);
+
+  function clusterFirstNodeId(c) {
+    // Purpose: pick a stable "attachment node" inside a cluster so group->* edges don't need a synthetic anchor.
+    // Preference: first direct node; else first descendant node; else "".
+    if (!c) return "";
+    const direct = Array.isArray(c.nodeIds) ? c.nodeIds.find(Boolean) : "";
+    if (direct) return direct;
+    const kids = Array.isArray(c.children) ? c.children : [];
+    for (const child of kids) {
+      const got = clusterFirstNodeId(child);
+      if (got) return got;
+    }
+    return "";
+  }
+
+  function ensureNode(token) {
+    const raw = token.trim();
+    if (!raw) return null;
+
+    const isSimpleId = /^[A-Za-z]\w*$/.test(raw);
+    const id = isSimpleId ? raw : slugId(raw);
+
+    if (!nodes.has(id)) {
+      const label = isSimpleId ? raw : raw;
+      nodes.set(id, { label, attrs: {} });
+    }
+
+    // If token is a free label and we previously created an auto node, keep its label.
+    if (!isSimpleId) {
+      const n = nodes.get(id);
+      n.label = raw;
+    }
+
+    return id;
+  }
+
+  function withStyleClasses(inner, kind, lineNo) {
+    // "[.outcome | colour=red]" -> the class attributes plus the inline ones (inline wins).
+    const res = resolveStyleClasses(inner, ast?.styleClasses, kind);
+    for (const name of res.unknown) errors.push(`Line ${lineNo}: unknown style class "${name}" (define it with a "Style ${name}: ..." line)`);
+    return res.inner;
+  }
+
+  const groupShapes = groupNodeShapes(ast);
+
+  function applyDefaults(nodeAttrs, n) {
+    // Defaults are interpreted in DOT terms:
+    // - default node colour -> fillcolor + filled
+    // - default node shape -> the group's "[shape=...]" (innermost wins), else "Default node shape"; skipped when the node has its own
+    // - default node border -> color/style/penwidth
+    if (settings.defaultBoxColour) {
+      if (!nodeAttrs.fillcolor) nodeAttrs.fillcolor = settings.defaultBoxColour;
+      addStyle(nodeAttrs, "filled");
+    }
+    if (!n?.shape) applyNodeShape(nodeAttrs, groupShapes.get(n?.clusterId) || settings.defaultBoxShape);
+    if (settings.defaultBoxBorder) {
+      const b = parseBorder(settings.defaultBoxBorder);
+      if (b.color && !nodeAttrs.color) nodeAttrs.color = b.color;
+      if (b.style) addStyle(nodeAttrs, b.style);
+      if (b.penwidth && !nodeAttrs.penwidth) nodeAttrs.penwidth = b.penwidth;
+    }
+  }
+
+  for (const s of ast?.statements || []) {
+    if (s.type === "setting") {
+      applySettingLine(settings, s.keyLower, s.value);
+      continue;
+    }
+
+    if (s.type === "rank") {
+      rankConstraints.push({ kind: s.kind, tokens: s.tokens.map((t) => t.text), srcLineNo: s.line });
+      continue;
+    }
+
+    if (s.type === "node") {
+      const id = ensureNode(s.idToken);
+      const lineRef = s.source ? `${s.line}: in included "${s.source}", line ${s.sourceLine}` : s.line;
+      const bracket = s.hasBracket ? `[${withStyleClasses(s.styleInner, "node", lineRef)}]` : null;
+      const n = nodes.get(id);
+      n.label = s.label || n.label || id;
+      n.clusterId = s.clusterId;
+      const { kv } = parseBracketAttrs(bracket || "");
+      n.shape = normalizeNodeShape(kv.shape);
+
+      // Parse node attrs
+      const attrs = {};
+      applyDefaults(attrs, n);
+
+      if (bracket) {
+        // Flexible parsing: accept "colour"/"color" and "border"
+        if (kv.colour || kv.color) {
+          attrs.fillcolor = normalizeColor(kv.colour || kv.color);
+          addStyle(attrs, "filled");
+        }
+        if (kv.background) {
+          attrs.fillcolor = normalizeColor(kv.background);
+          addStyle(attrs, "filled");
+        }
+        applyNodeShape(attrs, n.shape);
+        if (kv.border) {
+          const b = parseBorder(kv.border);
+          if (b.color) attrs.color = b.color;
+          if (b.penwidth) attrs.penwidth = b.penwidth;
+          if (b.style) addStyle(attrs, b.style);
+        }
+        applyUrlAndTooltip(attrs, kv);
+
+        // Relative node text sizing (multiplier vs default)
+        // Example: A:: Label [text size=1.2] or [text size=80%]
+        const textSizeScale = parseRelativeScale(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
+        if (Number.isFinite(textSizeScale) && textSizeScale > 0) {
+          attrs.fontsize = (BASE_NODE_FONT_SIZE * textSizeScale).toFixed(1);
+        }
+      }
+
+      // Metadata rides along as "meta_<key>" attributes: Graphviz ignores them, DOT exports keep them.
+      for (const m of s.meta || []) attrs[`meta_${slugId(m.key)}`] = m.value;
+
+      n.attrs = { ...n.attrs, ...attrs };
+      continue;
+    }
+
+    if (s.type === "edge") {
+      const bracket = s.hasBracket ? `[${withStyleClasses(s.styleInner, "link", s.line)}]` : null;
+      const edgeAttrs = {};
+      if (bracket) {
+        const { kv, loose } = parseBracketAttrs(bracket);
+        // Flexible edge parsing:
+        // - label: either "label=..." or first loose part
+        // - border: either "border=..." or second loose part
+        //
+        // New (key/value only, to avoid ambiguity):
+        // - label style: "label style=italic|bold|bold italic|normal"
+        // - label size: "label size=10" (Graphviz points-ish)
+
+        const labelFromKv = kv.label ? String(kv.label) : "";
+        const borderFromKv = kv.border ? String(kv.border) : "";
+        const labelStyleFromKv = kv["label style"] || kv.labelstyle || "";
+        const labelSizeFromKv = kv["label size"] || kv.labelsize || "";
+
+        // Label/border (prefer explicit keys)
+        if (labelFromKv) edgeAttrs.label = labelFromKv;
+
+        // Border from explicit key: allow full or partial, just like loose tokens.
+        if (borderFromKv) {
+          const b = parseEdgeBorderLoosePart(borderFromKv);
+          if (b.color) edgeAttrs.color = b.color;
+          if (b.penwidth) edgeAttrs.penwidth = b.penwidth;
+          if (b.style) addStyle(edgeAttrs, b.style);
+        }
+
+        // Loose tokens (split by "|") are now more flexible:
+        // - first token is a label ONLY if it doesn't look like a style token (colour/width/style)
+        // - any remaining tokens are treated as style fragments (can be partial: colour-only, width-only, etc)
+        const looseTokens = Array.isArray(loose) ? loose.map((x) => String(x || "").trim()).filter(Boolean) : [];
+        if (!labelFromKv && looseTokens.length) {
+          if (!looksLikeEdgeStyleToken(looseTokens[0])) {
+            edgeAttrs.label = looseTokens[0];
+            looseTokens.shift();
+          }
+        }
+        if (!borderFromKv && looseTokens.length) {
+          for (const tok of looseTokens) {
+            const b = parseEdgeBorderLoosePart(tok);
+            if (b.color) edgeAttrs.color = b.color;
+            if (b.penwidth) edgeAttrs.penwidth = b.penwidth;
+            if (b.style) addStyle(edgeAttrs, b.style);
+          }
+        }
+
+        // Link label styling
+        if (labelStyleFromKv) edgeAttrs.fontname = fontNameWithStyle("Arial", labelStyleFromKv);
+        const sz = parseLeadingNumber(labelSizeFromKv);
+        if (Number.isFinite(sz) && sz > 0) edgeAttrs.fontsize = sz;
+        applyUrlAndTooltip(edgeAttrs, kv);
+        if (edgeAttrs.tooltip) edgeAttrs.labeltooltip = edgeAttrs.tooltip; // else the label's hover text is the label
+
+        // Sides for every link on the line (an "id:port" on an endpoint wins below).
+        for (const [key, portAttr] of [["from", "tailport"], ["to", "headport"]]) {
+          if (!kv[key]) continue;
+          const compass = portCompassPoint(kv[key]);
+          if (compass === null) {
+            errors.push(`Line ${s.line}: unknown side "${kv[key]}" for ${key}= (use ${Object.keys(PORT_SIDES).join(", ")} or a compass point like s or ne)`);
+          } else if (compass) edgeAttrs[portAttr] = compass;
+        }
+
+        // Arrowheads for this line's links: "arrow" (or "arrowhead") at the target end, "arrowtail" at the source end.
+        for (const [key, arrowAttr] of [["arrow", "arrowhead"], ["arrowhead", "arrowhead"], ["arrowtail", "arrowtail"]]) {
+          if (!kv[key]) continue;
+          const shape = arrowheadToGraphviz(kv[key]);
+          if (shape) edgeAttrs[arrowAttr] = shape;
+          else errors.push(`Line ${s.line}: unknown arrowhead "${kv[key]}" for ${key}= (use ${Object.keys(ARROWHEADS).join(", ")})`);
+        }
+      }
+
+      for (const pair of edgeChainPairs(s)) {
+        const { fromTok, toTok, dir, fromPort, toPort } = orientEdgePair(pair);
+        // IMPORTANT: clone attrs so per-edge ids or later changes don't mutate other edges from the same line.
+        const attrs = { ...edgeAttrs };
+        if (dir) attrs.dir = dir;
+        // A tail arrowhead only shows when Graphviz draws that end: "A -> B" becomes two-ended, "A -- B" tail-only.
+        if (attrs.arrowtail && dir !== "both") attrs.dir = dir === "none" ? "back" : "both";
+        if (fromPort) attrs.tailport = fromPort;
+        if (toPort) attrs.headport = toPort;
+        rawEdges.push({ fromToken: fromTok, toToken: toTok, attrs, srcLineNo: s.line });
+      }
+    }
+  }
+
+  // -----------------------------
+  // Resolve rank constraints *before* emitting nodes/clusters, but *emit* them later.
+  //
+  // IMPORTANT (Graphviz quirk):
+  // A node can only "live" in one subgraph for clustering purposes. If we emit a rank subgraph that
+  // mentions nodes at the top-level, Graphviz can treat that as moving the node OUT of its cluster.
+  // That’s exactly why a group disappears when *all* its nodes are listed in rank=... lines.
+  //
+  // So we:
+  // - resolve tokens to actual node ids here (creating implicit nodes if needed)
+  // - later, emit rank subgraphs INSIDE the same cluster when all nodes are in that cluster
+  // - emit top-level rank subgraphs only for nodes that are not in any cluster
+  // -----------------------------
+  function resolveRankTokenToNodeId(token) {
+    const t = String(token || "").trim();
+    if (!t) return "";
+
+    // Group alias: use the first node inside the cluster, or its invisible anchor if the group is empty.
+    const c = clusterByAlias.get(t) || null;
+    if (c?.foldedInto) return collapsedGroupNodeId(c.foldedInto.id);
+    if (c) return clusterFirstNodeId(c) || c.anchorId || "";
+
+    // Regular node id / free-label node (or the summary node of its collapsed group)
+    const id = ensureNode(t);
+    return id ? visibleNodeId(id) : "";
+  }
+
+  const resolvedRankConstraints = []; // { kind, ids, srcLineNo }
+  for (const rc of rankConstraints) {
+    const ids = [];
+    for (const tok of rc.tokens || []) {
+      const id = resolveRankTokenToNodeId(tok);
+      if (id) ids.push(id);
+    }
+    const uniq = Array.from(new Set(ids));
+    const folded = uniq.some((id) => clusterIdFromCollapsedNodeId(id));
+    if (uniq.length >= 1) resolvedRankConstraints.push({ ...rc, ids: uniq, folded });
+    else errors.push(`Line ${rc.srcLineNo}: rank constraint could not resolve any nodes`);
+  }
+
+  // Map node id -> the cluster id it belongs to (direct membership only; matches emission).
+  const nodeClusterId = new Map();
+  for (const c of clusters) {
+    for (const id of c.nodeIds || []) nodeClusterId.set(id, c.id);
+    if (c.anchorId) nodeClusterId.set(c.anchorId, c.id); // empty-group anchor lives in the cluster
+    if (c.collapsed) nodeClusterId.set(collapsedGroupNodeId(c.id), c.parentId); // the summary node lives in the parent
+  }
+
+  // Partition rank constraints by emission scope:
+  // - inside a specific cluster, when ALL nodes are in that cluster
+  // - top-level (null), when ALL nodes are not in any cluster
+  // Anything mixed is rejected (to avoid silently breaking clusters).
+  const rankConstraintsInCluster = new Map(); // clusterId -> rc[]
+  const rankConstraintsTopLevel = []; // rc[]
+  const keptRankConstraints = []; // rc[] that we actually emit (used for numeric ordering edges)
+
+  // Only the hierarchical layout (dot) has ranks, a direction and compound (group-border) links;
+  // other engines get the same nodes, groups and links without them (lintMapScript() says what is ignored).
+  const engine = layoutEngine(settings);
+  const hierarchical = engine === "dot";
+
+  for (const rc of hierarchical ? resolvedRankConstraints : []) {
+    const scopeSet = new Set(rc.ids.map((id) => nodeClusterId.get(id) || null));
+    if (scopeSet.size === 1) {
+      const only = Array.from(scopeSet)[0];
+      if (only == null) rankConstraintsTopLevel.push(rc);
+      else {
+        if (!rankConstraintsInCluster.has(only)) rankConstraintsInCluster.set(only, []);
+        rankConstraintsInCluster.get(only).push(rc);
+      }
+      keptRankConstraints.push(rc);
+      continue;
+    }
+
+    // Mixed (some nodes in different clusters / mix of clustered + unclustered).
+    // A collapsed group can make a rank line mixed: it is left out quietly and applies again once expanded.
+    if (rc.folded) continue;
+    errors.push(
+      `Line ${rc.srcLineNo}: rank constraint mixes nodes from different groups (or grouped + ungrouped). ` +
+        `Split it into separate rank lines per group (or use only ungrouped nodes).`
+    );
+  }
+
+  // Build DOT
+  const dot = [];
+  dot.push("digraph G {");
+  // Keep a little breathing room so the graph title doesn't visually "sit inside" an outer cluster box,
+  // especially when the first/top cluster has an empty label.
+  // (Graphviz pad is inches; keep this subtle to avoid layout shifts.)
+  dot.push(
+    `  graph${toDotAttrs({
+      fontname: "Arial",
+      ...(settings.title && clusters.length ? { pad: "0.20" } : {}),
+      ...(clusters.length && hierarchical ? { compound: "true" } : {}),
+      ...(hierarchical ? {} : { layout: engine }),
+      ...(engine === "twopi" || engine === "fdp" ? { overlap: "false" } : {}),
+    })};`
+  );
+  const nodeDefaults = { fontname: "Arial", shape: "box" };
+  if (settings.defaultNodeTextColour) nodeDefaults.fontcolor = settings.defaultNodeTextColour;
+  dot.push(`  node${toDotAttrs(nodeDefaults)};`);
+  // Edge defaults (links)
+  const edgeDefaults = { fontname: "Arial", fontsize: 12 };
+  if (settings.defaultLinkColour) edgeDefaults.color = settings.defaultLinkColour;
+  if (settings.textColour) edgeDefaults.fontcolor = settings.textColour;
+  if (settings.defaultLinkStyle) {
+    const s = String(settings.defaultLinkStyle || "").trim().toLowerCase();
+    if (["solid", "dotted", "dashed"].includes(s)) addStyle(edgeDefaults, s);
+  }
+  if (Number.isFinite(settings.defaultLinkWidth) && settings.defaultLinkWidth > 0) edgeDefaults.penwidth = Math.round(settings.defaultLinkWidth);
+  const arrowhead = arrowheadToGraphviz(settings.arrowhead);
+  if (arrowhead) {
+    // Both ends, so "<->" links match.
+    edgeDefaults.arrowhead = arrowhead;
+    edgeDefaults.arrowtail = arrowhead;
+  }
+  dot.push(`  edge${toDotAttrs(edgeDefaults)};`);
+
+  if (settings.background) dot.push(`  bgcolor="${settings.background.replaceAll('"', '\\"')}";`);
+  if (settings.title) {
+    // Title (graph label): slightly larger by default, with a bit of extra space below.
+    // Graphviz doesn't have a simple "margin-bottom for title", so we add a trailing newline.
+    let titleFontColor = settings.textColour || null; // legacy default (also used for edge labels)
+    let titleFontSize = null;
+
+    // Optional title-only styling stored on the Title: line.
+    const titleInner = String(settings.titleStyleInner || "").trim();
+    if (titleInner) {
+      const { kv } = parseBracketAttrs(`[${titleInner}]`);
+      const tc = kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor;
+      if (tc) titleFontColor = normalizeColor(tc);
+      const sz = parseLeadingNumber(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
+      if (Number.isFinite(sz) && sz > 0) titleFontSize = sz;
+    }
+
+    const fsRaw = Number.isFinite(Number(titleFontSize)) ? Number(titleFontSize) : Number(settings.titleSize);
+    const fs = Number.isFinite(fsRaw) && fsRaw > 0 ? fsRaw : 18;
+    const tp = titlePositionToGraphvizAttrs(settings.titlePosition);
+    const fc = titleFontColor ? ` fontcolor="${String(titleFontColor).replaceAll('"', '\\"')}";` : "";
+    const titleDot = dotLabelWithManualBreaks(settings.title) ?? settings.title;
+    dot.push(`  label="${String(titleDot).replaceAll('"', '\\"')}\\n"; labelloc="${tp.labelloc}"; labeljust="${tp.labeljust}"; fontsize="${String(fs)}";${fc}`);
+  }
+  // Always emit a direction so Graphviz layout is consistent even when the user didn't specify Direction: ...
+  // App default is LR (left→right).
+  if (hierarchical) dot.push(`  rankdir="${settings.direction || "LR"}";`);
+  // Graphviz ranksep/nodesep are in inches; MapScript values are treated as "px-ish", so scale down.
+  if (Number.isFinite(settings.spacingAlong)) dot.push(`  ranksep="${settings.spacingAlong * 0.1}";`);
+  if (Number.isFinite(settings.spacingAcross)) dot.push(`  nodesep="${settings.spacingAcross * 0.1}";`);
+  // Orthogonal links keep ordinary labels: Graphviz warns that it doesn't route them, but it still leaves room for
+  // them and draws them beside the link; repositionEdgeLabels() then moves each one onto its path as usual.
+  if (settings.linkRouting) dot.push(`  splines="${LINK_ROUTINGS[settings.linkRouting]}";`);
+
+  // Emit clusters (nested)
+  const clustered = new Set();
+  // -----------------------------
+  // Node width equalisation within clusters
+  // -----------------------------
+  // measureText(dotLabel, fontPx) -> widest line in px. Without one (eg Node scripts) widths are left to Graphviz.
+  const measureMaxLinePx = typeof measureText === "function" ? measureText : () => 0;
+  const PX_PER_INCH = 96;
+  const PT_TO_PX = PX_PER_INCH / 72;
+  const NODE_LABEL_PAD_PX = 28; // small padding so Graphviz doesn't decide the max-label node needs to be wider
+
+  function nodeMinWidthInchesFromLabel(nodeId) {
+    // Purpose: approximate the minimum DOT node width (inches) needed to fit the label.
+    const n = nodes.get(nodeId);
+    if (!n) return 0;
+    const attrs = { ...n.attrs };
+    applyDefaults(attrs, n);
+    const fsPtRaw = Number(attrs.fontsize);
+    const fsPt = Number.isFinite(fsPtRaw) && fsPtRaw > 0 ? fsPtRaw : BASE_NODE_FONT_SIZE;
+    const fsPx = fsPt * PT_TO_PX;
+    // Rich labels: measure the visible text of each line, not the markup.
+    const rich = richLabelLines(n.label, settings.labelWrap);
+    const textPx = rich ? richLabelMaxLinePx(rich, fsPx, measureMaxLinePx) : measureMaxLinePx(wrapLabelToDot(n.label, settings.labelWrap), fsPx);
+    const wPx = textPx + NODE_LABEL_PAD_PX;
+    return wPx > 0 ? wPx / PX_PER_INCH : 0;
+  }
+
+  function clusterDirectMaxNodeWidthInches(c) {
+    // Purpose: get the max required width across nodes that are DIRECT children of this cluster (exclude nested clusters).
+    let max = 0;
+    for (const id of c.nodeIds || []) {
+      const w = nodeMinWidthInchesFromLabel(id);
+      if (w > max) max = w;
+    }
+    return max;
+  }
+
+  function clusterDotAttrs(c) {
+    // Purpose: a group box's DOT attributes (also used for its summary node when collapsed).
+    // Cluster styling:
+    // - Default: rounded + light grey border (existing behavior)
+    // - Optional: allow cluster lines to override fill/border and title text styling
+    const clusterAttrs = {};
+    // IMPORTANT: Graphviz subgraphs can inherit graph-level attributes (including `label`).
+    // If we omit `label` entirely for an untitled cluster, it can accidentally inherit the map title.
+    // So for untitled clusters we explicitly set label="" to override inheritance.
+    clusterAttrs.label = String(c.label || "").trim() ? c.label : "";
+    addStyle(clusterAttrs, "rounded");
+    if (!clusterAttrs.color) clusterAttrs.color = "#cccccc";
+    if (settings.defaultBoxTextColour) clusterAttrs.fontcolor = settings.defaultBoxTextColour;
+
+    const clusterInner = withStyleClasses(c.styleInner, "group", c.line);
+    if (clusterInner) {
+      const { kv } = parseBracketAttrs(`[${clusterInner}]`);
+
+      // Fill (accept colour/color/background)
+      if (kv.colour || kv.color || kv.background) {
+        clusterAttrs.fillcolor = normalizeColor(kv.colour || kv.color || kv.background);
+        addStyle(clusterAttrs, "filled");
+      }
+
+      // Border
+      if (kv.border) {
+        const b = parseBorder(String(kv.border));
+        if (b.color) clusterAttrs.color = b.color;
+        if (b.penwidth) clusterAttrs.penwidth = b.penwidth;
+        if (b.style) addStyle(clusterAttrs, b.style);
+      }
+
+      // Cluster title text colour
+      if (kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor) {
+        clusterAttrs.fontcolor = normalizeColor(kv["text colour"] || kv["text color"] || kv.textcolour || kv.textcolor);
+      }
+
+      // Cluster title text sizing (multiplier)
+      const textSizeScale = parseRelativeScale(kv["text size"] || kv.textsize || kv["text scale"] || kv.textscale);
+      if (Number.isFinite(textSizeScale) && textSizeScale > 0) {
+        clusterAttrs.fontsize = (BASE_CLUSTER_FONT_SIZE * textSizeScale).toFixed(1);
+      }
+      applyUrlAndTooltip(clusterAttrs, kv);
+    }
+    return clusterAttrs;
+  }
+
+  function clusterNodeIds(c) {
+    // Purpose: every node in a group, nested groups included.
+    return [...c.nodeIds, ...c.children.flatMap(clusterNodeIds)];
+  }
+
+  function emitCollapsedCluster(c, indent) {
+    // Purpose: a collapsed group is one summary node in its parent, drawn like the group box, with the node count.
+    const ids = clusterNodeIds(c);
+    for (const id of ids) clustered.add(id);
+    const box = clusterDotAttrs(c);
+    const title = String(c.label || "").trim() || c.alias || "Group";
+    const count = ids.length ? `${ids.length} node${ids.length === 1 ? "" : "s"}` : "empty";
+    const attrs = {
+      label: labelToDotValue(`${title}///${count}`, settings.labelWrap),
+      style: box.style,
+      color: box.color,
+      penwidth: box.penwidth,
+      fillcolor: box.fillcolor,
+      fontcolor: box.fontcolor,
+      fontsize: box.fontsize,
+      URL: box.URL,
+      tooltip: box.tooltip,
+      peripheries: "2", // a stack of boxes: there is more inside
+      id: makeNodeDomId(collapsedGroupNodeId(c.id)),
+    };
+    dot.push(`${indent}"${collapsedGroupNodeId(c.id)}"${toDotAttrs(attrs)};`);
+  }
+
+  function emitCluster(c, indent) {
+    if (c.collapsed) return emitCollapsedCluster(c, indent);
+    // Emit even if empty (so nested structure remains visible)
+    dot.push(`${indent}subgraph ${c.id} {`);
+    const clusterAttrs = clusterDotAttrs(c);
+
+    // Emit cluster attrs (stable order)
+    const richTitle = clusterAttrs.label != null ? richLabelLines(clusterAttrs.label) : null;
+    if (richTitle) {
+      dot.push(`${indent}  label=<${richLabelToDotHtml(richTitle)}>;`);
+    } else if (clusterAttrs.label != null) {
+      const lab = dotLabelWithManualBreaks(clusterAttrs.label) ?? clusterAttrs.label;
+      dot.push(`${indent}  label="${String(lab).replaceAll('"', '\\"')}";`);
+    }
+    if (clusterAttrs.style) dot.push(`${indent}  style="${String(clusterAttrs.style).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.color) dot.push(`${indent}  color="${String(clusterAttrs.color).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.penwidth) dot.push(`${indent}  penwidth="${String(clusterAttrs.penwidth).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.fillcolor) dot.push(`${indent}  fillcolor="${String(clusterAttrs.fillcolor).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.fontcolor) dot.push(`${indent}  fontcolor="${String(clusterAttrs.fontcolor).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.fontsize) dot.push(`${indent}  fontsize="${String(clusterAttrs.fontsize).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.URL) dot.push(`${indent}  URL="${String(clusterAttrs.URL).replaceAll('"', '\\"')}";`);
+    if (clusterAttrs.tooltip) dot.push(`${indent}  tooltip="${String(clusterAttrs.tooltip).replaceAll('"', '\\"')}";`);
+
+    // If this group has an alias but contains no nodes at all (even nested), emit an invisible anchor node.
+    // Purpose: allow edges to/from the group border using Graphviz compound edges (lhead/ltail) for empty groups.
+    if (c.anchorId && !clusterFirstNodeId(c)) {
+      dot.push(
+        `${indent}  "${c.anchorId}"${toDotAttrs({
+          label: "",
+          shape: "point",
+          fixedsize: "true",
+          width: "0",
+          height: "0",
+          style: "invis",
+        })};`
+      );
+    }
+
+    for (const id of c.nodeIds) {
+      clustered.add(id);
+      const n = nodes.get(id);
+      const attrs = { ...n.attrs };
+      applyDefaults(attrs, n); // ensure defaults apply even if node was created implicitly via edges
+      attrs.label = labelToDotValue(n.label, settings.labelWrap);
+      attrs.id = makeNodeDomId(id);
+      // Purpose: make all DIRECT child nodes of this cluster share the same min width (the max needed by any direct child node).
+      const equalWidthInches = clusterDirectMaxNodeWidthInches(c);
+      if (Number.isFinite(equalWidthInches) && equalWidthInches > 0) attrs.width = equalWidthInches.toFixed(3);
+      dot.push(`${indent}  "${id}"${toDotAttrs(attrs)};`);
+    }
+
+    for (const child of c.children) {
+      emitCluster(child, `${indent}  `);
+    }
+
+    // Rank constraints scoped to this cluster (so nodes remain in the group).
+    const scoped = rankConstraintsInCluster.get(c.id) || [];
+    if (scoped.length) {
+      for (const rc of scoped) {
+        if (typeof rc.kind === "number") {
+          dot.push(`${indent}  subgraph {`);
+          dot.push(`${indent}    rank="same"; // MapScript rank=${rc.kind}`);
+          for (const id of rc.ids) dot.push(`${indent}    "${id}";`);
+          dot.push(`${indent}  }`);
+        } else {
+          dot.push(`${indent}  subgraph {`);
+          dot.push(`${indent}    rank="${String(rc.kind).replaceAll('"', '\\"')}";`);
+          for (const id of rc.ids) dot.push(`${indent}    "${id}";`);
+          dot.push(`${indent}  }`);
+        }
+      }
+    }
+
+    dot.push(`${indent}}`);
+  }
+
+  // Only top-level clusters (depth === 2) start emission; children are emitted recursively.
+  clusters
+    .filter((c) => c.depth === 2)
+    .forEach((c) => emitCluster(c, "  "));
+
+  // Emit nodes not in clusters
+  for (const [id, n] of nodes.entries()) {
+    if (clustered.has(id)) continue;
+    const attrs = { ...n.attrs };
+    applyDefaults(attrs, n); // ensure defaults apply even if node was created implicitly via edges
+    attrs.label = labelToDotValue(n.label, settings.labelWrap);
+    attrs.id = makeNodeDomId(id);
+    dot.push(`  "${id}"${toDotAttrs(attrs)};`);
+  }
+
+  // -----------------------------
+  // Rank constraints (top-level only: applies to ungrouped nodes)
+  // -----------------------------
+  for (const rc of rankConstraintsTopLevel) {
+    if (typeof rc.kind === "number") {
+      dot.push("  subgraph {");
+      dot.push(`    rank="same"; // MapScript rank=${rc.kind}`);
+      for (const id of rc.ids) dot.push(`    "${id}";`);
+      dot.push("  }");
+    } else {
+      dot.push("  subgraph {");
+      dot.push(`    rank="${String(rc.kind).replaceAll('"', '\\"')}";`);
+      for (const id of rc.ids) dot.push(`    "${id}";`);
+      dot.push("  }");
+    }
+  }
+
+  // Numeric rank ordering edges (safe across clusters; does not re-parent nodes).
+  const numericKept = keptRankConstraints.filter((rc) => typeof rc.kind === "number");
+  if (numericKept.length) {
+    const byRank = new Map(); // rankNumber -> Set(nodeId)
+    for (const rc of numericKept) {
+      const k = Number(rc.kind);
+      if (!byRank.has(k)) byRank.set(k, new Set());
+      const set = byRank.get(k);
+      for (const id of rc.ids) set.add(id);
+    }
+
+    const rankNums = Array.from(byRank.keys()).sort((a, b) => a - b);
+    const anchors = []; // [{ rank, id }]
+    for (const n of rankNums) {
+      const ids = Array.from(byRank.get(n) || []);
+      if (!ids.length) continue;
+      anchors.push({ rank: n, id: ids[0] });
+    }
+
+    for (let j = 0; j < anchors.length - 1; j++) {
+      const a = anchors[j];
+      const b = anchors[j + 1];
+      dot.push(`  "${a.id}" -> "${b.id}"${toDotAttrs({ style: "invis", weight: "10" })};`);
+    }
+  }
+
+  // Resolve edges (support group aliases via lhead/ltail + anchor nodes)
+  const edges = []; // { fromId, toId, attrs, srcLineNo }
+  for (const e of rawEdges) {
+    const fromTok = String(e.fromToken || "").trim();
+    const toTok = String(e.toToken || "").trim();
+    if (!fromTok || !toTok) continue;
+
+    const fromCluster = clusterByAlias.get(fromTok) || null;
+    const toCluster = clusterByAlias.get(toTok) || null;
+
+    const fromAttach = fromCluster ? (clusterFirstNodeId(fromCluster) || fromCluster.anchorId) : "";
+    const toAttach = toCluster ? (clusterFirstNodeId(toCluster) || toCluster.anchorId) : "";
+    const fromNode = fromCluster ? fromAttach : ensureNode(fromTok);
+    const toNode = toCluster ? toAttach : ensureNode(toTok);
+    if (!fromNode || !toNode) continue;
+
+    // An end in a collapsed group moves to its summary node; links inside one collapsed group are hidden.
+    const fromFolded = (fromCluster ? fromCluster.foldedInto : foldedInto.get(fromNode)) || null;
+    const toFolded = (toCluster ? toCluster.foldedInto : foldedInto.get(toNode)) || null;
+    if (fromFolded && fromFolded === toFolded) continue;
+    const fromId = fromFolded ? collapsedGroupNodeId(fromFolded.id) : fromNode;
+    const toId = toFolded ? collapsedGroupNodeId(toFolded.id) : toNode;
+    const fromGroup = fromFolded ? null : fromCluster;
+    const toGroup = toFolded ? null : toCluster;
+
+    const attrs = { ...e.attrs };
+    // A port would sit on the group's first node (or hidden anchor), not on the group's border: drop it.
+    if (fromCluster || fromFolded) delete attrs.tailport;
+    if (toCluster || toFolded) delete attrs.headport;
+    // Other engines have no compound edges: the link simply ends on the group's first node.
+    if (fromGroup && hierarchical) attrs.ltail = fromGroup.id;
+    if (toGroup && hierarchical) attrs.lhead = toGroup.id;
+    // Keep layout sane: don't overweight cluster edges in ranking, but don't disable constraints entirely.
+    if ((fromGroup || toGroup) && hierarchical) attrs.weight = "0";
+
+    const folded = Boolean(fromFolded || toFolded);
+    const same = folded
+      ? edges.find((x) => x.folded && x.fromId === fromId && x.toId === toId && x.attrs.lhead === attrs.lhead && x.attrs.ltail === attrs.ltail)
+      : null;
+    if (same) {
+      same.merged.push(attrs);
+      continue;
+    }
+    edges.push({ fromId, toId, attrs, srcLineNo: e.srcLineNo, folded, merged: [attrs] });
+  }
+
+  // Links that now run between the same two nodes (because of a collapsed group) are drawn once, labelled with
+  // how many they stand for; their own labels move to the tooltip.
+  for (const e of edges) {
+    if (!e.folded || e.merged.length < 2) continue;
+    const labels = [...new Set(e.merged.map((a) => String(a.label || "").trim()).filter(Boolean))];
+    e.attrs.label = `${e.merged.length} links`;
+    e.attrs.tooltip = labels.length ? labels.join("; ") : e.attrs.tooltip;
+    e.attrs.labeltooltip = e.attrs.tooltip;
+  }
+
+  // Emit edges
+  for (const e of edges) {
+    const attrs = { ...e.attrs, id: makeEdgeDomId(e) };
+    dot.push(`  "${e.fromId}" -> "${e.toId}"${toDotAttrs(attrs)};`);
+  }
+
+  dot.push("}");
+
+  return { dot: dot.join("\n"), errors, settings, engine };
+}
+
+// -----------------------------
+// Render styling applied on top of the Graphviz SVG (shared by the app and the CLI)
+// -----------------------------
+
+export function nodeShadowCssFilter(settings) {
+  // Purpose: map "Default node shadow: ..." to a CSS filter (Graphviz itself doesn't do box-shadow).
+  const raw = String(settings?.defaultBoxShadow || "").trim().toLowerCase();
+  if (!raw || raw === "none") return "none";
+  if (raw === "subtle") return "drop-shadow(0 1px 2px rgba(0,0,0,0.14))";
+  if (raw === "medium") return "drop-shadow(0 2px 6px rgba(0,0,0,0.18))";
+  if (raw === "strong") return "drop-shadow(0 6px 14px rgba(0,0,0,0.22))";
+  if (raw.startsWith("drop-shadow(")) return String(settings.defaultBoxShadow).trim();
+  return "none";
+}
+
+export function stadiumNodesInSvg(svg) {
+  // Purpose: redraw "shape=stadium" nodes (emitted as rounded boxes with class tm-shape-stadium) as pills,
+  // i.e. with fully round ends. Works on the SVG text, so the app and the CLI share it.
+  const nodeRe = /<g id="[^"]*" class="node tm(?:-|&#45;)shape(?:-|&#45;)stadium">[\s\S]*?<\/g>/g;
+  return String(svg || "").replace(nodeRe, (g) =>
+    g.replace(/(<path\b[^>]*\bd=")([^"]*)(")/, (m, open, d, close) => {
+      const nums = (d.match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+      if (nums.length < 4) return m;
+      const xs = nums.filter((_, i) => i % 2 === 0);
+      const ys = nums.filter((_, i) => i % 2 === 1);
+      const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+      const r = Math.min((y1 - y0) / 2, (x1 - x0) / 2);
+      const f = (n) => String(Math.round(n * 100) / 100);
+      const pill =
+        `M${f(x0 + r)},${f(y0)} L${f(x1 - r)},${f(y0)} A${f(r)},${f(r)} 0 0 1 ${f(x1 - r)},${f(y1)} ` +
+        `L${f(x0 + r)},${f(y1)} A${f(r)},${f(r)} 0 0 1 ${f(x0 + r)},${f(y0)} Z`;
+      return `${open}${pill}${close}`;
+    })
+  );
+}
+
+export function nodeDetailsInSvg(svg, ast) {
+  // Purpose: copy node details (metadata) onto the SVG node groups as data-meta-<key> attributes: Graphviz leaves
+  // the DOT's meta_<key> attributes out of its SVG, and downloaded or CLI-rendered SVGs should still carry them.
+  const byDomId = new Map(); // DOM id -> { key: value } (a later definition of the node wins per key, as in the DOT)
+  for (const n of ast?.nodes || []) {
+    if (!n.meta?.length) continue;
+    const domId = makeNodeDomId(n.id);
+    const fields = byDomId.get(domId) || {};
+    for (const m of n.meta) fields[slugId(m.key)] = m.value;
+    byDomId.set(domId, fields);
+  }
+  if (!byDomId.size) return String(svg || "");
+  return String(svg || "").replace(/<g id="([^"]*)" class="node\b[^"]*"/g, (open, id) => {
+    const fields = byDomId.get(id);
+    if (!fields) return open;
+    return `${open}${Object.entries(fields).map(([k, v]) => ` data-meta-${k}="${escapeDotHtml(v)}"`).join("")}`;
+  });
+}
+
+// Colour attributes in emitted DOT: at the start of a statement or after "[", ", " or "; " (never inside an HTML label).
+const DOT_COLOUR_ATTR_RE = /(?<=^\s*|\[|, |; )(color|fillcolor|fontcolor|bgcolor)="((?:[^"\\]|\\.)*)"/g;
+const SVG_SHAPE_TAG_RE = /<(?:polygon|ellipse|path|polyline)\b[^>]*>/g;
+const SVG_TEXT_TAG_RE = /<text\b[^>]*>/g;
+
+export function dotLayoutKey(dot) {
+  // Purpose: the DOT with its colour values blanked. Equal keys lay out identically, so one layout can be recoloured.
+  return String(dot ?? "").replace(/^.*$/gm, (line) => line.replace(DOT_COLOUR_ATTR_RE, '$1=""'));
+}
+
+function graphvizSvgColour(value) {
+  // Purpose: how Graphviz writes a DOT colour into SVG ("#rrggbb" lower-cased, SVG colour names as written),
+  // or null when that isn't simple to predict (alpha, X11-only names, "transparent", ...).
+  const v = String(value || "").trim();
+  if (/^#[0-9a-f]{6}$/i.test(v)) return v.toLowerCase();
+  const name = v.toLowerCase();
+  return CSS_NAMED_COLOURS.has(name) && name !== "rebeccapurple" && name !== "transparent" ? v : null;
+}
+
+function unescapeSvgText(s) {
+  return String(s)
+    .replace(/&#(\d+);/g, (m, n) => String.fromCharCode(Number(n)))
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&amp;", "&");
+}
+
+export function recolourSvg(svg, fromDot, toDot) {
+  // Purpose: the SVG Graphviz would draw for toDot, made from the one it drew for fromDot without laying out again,
+  // when the two differ only in colour values (same dotLayoutKey()). Returns null when a change can't be patched
+  // safely (a colour added or removed, alpha, an X11-only name, an HTML label, ...): lay toDot out instead.
+  if (fromDot === toDot) return svg;
+  const before = String(fromDot ?? "").split("\n");
+  const after = String(toDot ?? "").split("\n");
+  if (before.length !== after.length) return null;
+  const coloursOf = (line) => Object.fromEntries([...line.matchAll(DOT_COLOUR_ATTR_RE)].map((m) => [m[1], m[2]]));
+
+  const patches = new Map(); // svg group ("graph", a DOM id or "cluster:<name>") -> [{ attr, from, to, edge }]
+  const addPatch = (group, change) => {
+    if (!patches.has(group)) patches.set(group, []);
+    patches.get(group).push(change);
+  };
+  const ownColours = { node: new Map(), edge: new Map() }; // DOM id -> the colours set on its own line
+  const defaultChanges = { node: [], edge: [] };
+  const graphColours = {}; // attr -> { from, to } set on the graph itself (bgcolor, the title's fontcolor)
+  const clusters = new Map(); // cluster name -> { parent, colours: attr -> { from, to } }
+  const scopes = []; // open "{" blocks: the cluster name, or "" for the graph and rank subgraphs
+  const innermostCluster = () => scopes.findLast(Boolean) || "";
+
+  for (let i = 0; i < after.length; i++) {
+    const a = before[i];
+    const b = after[i];
+    if (a !== b && dotLayoutKey(a) !== dotLayoutKey(b)) return null;
+    const code = b.trim();
+    if (code.endsWith("{")) {
+      const name = code.match(/^subgraph (cluster_\w+) \{$/)?.[1] || "";
+      if (name) clusters.set(name, { parent: innermostCluster(), colours: {} });
+      scopes.push(name);
+      continue;
+    }
+    if (code === "}") {
+      scopes.pop();
+      continue;
+    }
+    const kind = /^"(?:[^"\\]|\\.)*" -> /.test(code) ? "edge" : code.startsWith('"') ? "node" : null;
+    const id = kind ? code.match(/(?:\[|, )id="((?:[^"\\]|\\.)*)"/)?.[1] : null;
+    if (id) ownColours[kind].set(id, coloursOf(b));
+    const from = coloursOf(a);
+    const to = coloursOf(b);
+    const defaults = code.match(/^(node|edge) \[/)?.[1];
+    if (!kind && !defaults) {
+      // A graph or cluster attribute line: kept even when unchanged, as nested clusters inherit it.
+      const colours = innermostCluster() ? clusters.get(innermostCluster()).colours : graphColours;
+      for (const attr of Object.keys(to)) colours[attr] = { from: from[attr], to: to[attr] };
+    }
+    if (a === b) continue;
+    if (b.includes("=<")) return null; // HTML label: its own colour spans could match
+
+    const changes = Object.keys(to)
+      .filter((attr) => from[attr] !== to[attr])
+      .map((attr) => ({ attr, from: from[attr], to: to[attr], edge: kind === "edge" }));
+    if (defaults) defaultChanges[defaults].push(...changes);
+    else if (id) changes.forEach((c) => addPatch(id, c));
+    else if (kind) return null;
+    else if (!innermostCluster()) changes.filter((c) => c.attr === "bgcolor" || c.attr === "fontcolor").forEach((c) => addPatch("graph", c));
+  }
+  // Clusters take colours they don't set from the enclosing cluster or the graph; an unfilled one shows the background.
+  const changed = (c) => (c && c.from !== c.to ? c : null);
+  for (const [name, cluster] of clusters) {
+    const inherited = (attr) => {
+      for (let c = cluster; c; c = clusters.get(c.parent)) if (c.colours[attr]) return c.colours[attr];
+      return null;
+    };
+    const stroke = changed(inherited("color"));
+    const text = changed(inherited("fontcolor") || graphColours.fontcolor);
+    const fill = changed(inherited("fillcolor") || graphColours.bgcolor);
+    if (stroke) addPatch(`cluster:${name}`, { attr: "color", ...stroke });
+    if (text) addPatch(`cluster:${name}`, { attr: "fontcolor", ...text });
+    if (fill) addPatch(`cluster:${name}`, { attr: "fillcolor", ...fill });
+  }
+  // "node [...]" / "edge [...]" colours reach every node / link that doesn't set its own.
+  for (const kind of ["node", "edge"]) {
+    for (const c of defaultChanges[kind]) {
+      for (const [id, own] of ownColours[kind]) if (own[c.attr] == null) addPatch(id, { ...c, edge: kind === "edge" });
+    }
+  }
+  if (!patches.size) return svg;
+
+  // Split the SVG at each node / edge / cluster group; the text before the first one is the graph (background, title).
+  const starts = [...String(svg).matchAll(/<g id="([^"]*)" class="(node|edge|cluster)\b[^"]*">\s*<title>([^<]*)<\/title>/g)];
+  const pieces = [{ group: "graph", text: String(svg).slice(0, starts[0]?.index ?? svg.length) }];
+  starts.forEach((m, n) => {
+    const group = m[2] === "cluster" ? `cluster:${unescapeSvgText(m[3])}` : unescapeSvgText(m[1]);
+    pieces.push({ group, text: String(svg).slice(m.index, starts[n + 1]?.index ?? svg.length) });
+  });
+
+  let patched = 0;
+  for (const piece of pieces) {
+    for (const c of patches.get(piece.group) || []) {
+      const from = graphvizSvgColour(c.from);
+      const to = graphvizSvgColour(c.to);
+      if (!from || !to) return null;
+      // fontcolor -> text fill; fillcolor / bgcolor -> shape fill; color -> shape stroke (and a link's arrowheads).
+      const tagRe = c.attr === "fontcolor" ? SVG_TEXT_TAG_RE : SVG_SHAPE_TAG_RE;
+      const svgAttrs = c.attr === "fontcolor" || c.attr === "fillcolor" || c.attr === "bgcolor" ? ["fill"] : c.edge ? ["stroke", "fill"] : ["stroke"];
+      let tags = 0;
+      let hits = 0;
+      piece.text = piece.text.replace(tagRe, (tag) => {
+        tags++;
+        return svgAttrs.reduce((t, name) => t.replace(` ${name}="${from}"`, () => (hits++, ` ${name}="${to}"`)), tag);
+      });
+      if (tags && !hits) return null; // drawn some other way (eg black text has no fill attribute)
+    }
+    if (patches.has(piece.group)) patched++;
+  }
+  return patched === patches.size ? pieces.map((p) => p.text).join("") : null;
+}
+
+// -----------------------------
+// Line helpers: patch editor lines in place (UI edits), using the same parser as parseMapScript()
+// -----------------------------
+
+function clusterToOpener(c) {
+  // AST cluster -> the opener shape used by the UI ({ idx } is a 0-based editor row).
+  return {
+    idx: c.line - 1,
+    comment: c.comment,
+    dashes: c.dashes,
+    alias: c.alias,
+    label: c.label,
+    styleInner: c.styleInner,
+    depth: c.depth,
+  };
+}
+
+export function findNodeDefLineIndex(lines, nodeId) {
+  // MapScript treats the written id token case-insensitively here ("a:: ..." defines A).
+  const want = String(nodeId || "").trim().toLowerCase();
+  if (!want) return -1;
+  for (let i = 0; i < lines.length; i++) {
+    const s = parseMapScriptLine(lines[i], i + 1);
+    if (s?.type === "node" && s.idToken.toLowerCase() === want) return i;
+  }
+  return -1;
+}
+
+export function getExplicitNodeIdsFromLines(lines) {
+  const ids = new Set();
+  for (const raw of lines) {
+    const s = parseMapScriptLine(raw);
+    if (s?.type === "node") ids.add(s.idToken);
+  }
+  return ids;
+}
+
+export function makeUniqueNodeIdFromLabel(label, existingIds) {
+  // Prefer a clean slug (no "N_" prefix) when it's already a valid MapScript ID token.
+  // Only add "N_" when needed to make it a valid identifier (must start with a letter).
+  const rawSlug = slugId(label || "node"); // lower_snake, may start with digit
+  const cleaned = String(rawSlug || "node").replace(/[^A-Za-z0-9_]/g, "_").slice(0, 40);
+  let id = cleaned.match(/^[A-Za-z]\w*$/) ? cleaned : `N_${cleaned}`.replace(/[^A-Za-z0-9_]/g, "_").slice(0, 40);
+  if (!id.match(/^[A-Za-z]\w*$/)) id = "N_node";
+
+  if (!existingIds?.has?.(id)) return id;
+  for (let i = 2; i < 9999; i++) {
+    const next = `${id}_${i}`;
+    if (!existingIds.has(next)) return next;
+  }
+  return `${id}_${Date.now()}`;
+}
+
+export function parseNodeDefLine(lines, nodeId) {
+  const idx = findNodeDefLineIndex(lines, nodeId);
+  if (idx < 0) return null;
+  const s = parseMapScriptLine(lines[idx], idx + 1);
+  return {
+    idx,
+    comment: s.comment,
+    label: s.label,
+    styleInner: s.styleInner,
+  };
+}
+
+export function parseTitleDefLineAt(lines, idx) {
+  // Title line: "Title: My title [text colour=... | text size=...]"
+  const s = parseMapScriptLine(lines[idx] || "", idx + 1);
+  if (s?.type !== "setting" || s.keyLower !== "title") return null;
+  const { before, inner } = parseTrailingBracket(s.value);
+  return {
+    idx,
+    comment: s.comment,
+    title: String(before || "").trim(),
+    styleInner: String(inner || "").trim(),
+  };
+}
+
+export function setTitleDefLineAt(lines, idx, { title, styleInner, comment }) {
+  const c = String(comment || "").trim();
+  const commentSuffix = c ? ` ${c}` : "";
+  const t = String(title ?? "").trim();
+  const inner = String(styleInner ?? "").trim();
+  const styleSuffix = inner ? ` [${inner}]` : "";
+  lines[idx] = `Title: ${t}${styleSuffix}${commentSuffix}`.trimEnd();
+  return true;
+}
+
+export function parseClusterDefLineAt(lines, idx) {
+  // Opening group lines only: "--Label", "--a:: Label [..]", "--[]". Closers ("--" / "----") return null.
+  const s = parseMapScriptLine(lines[idx] || "", idx + 1);
+  if (s?.type !== "group_open") return null;
+  return {
+    idx,
+    comment: s.comment,
+    dashes: s.dashes,
+    alias: s.alias,
+    label: s.label,
+    styleInner: s.styleInner,
+  };
+}
+
+export function scanClusterOpenersFromLines(lines) {
+  // Purpose: group openers in the exact order they are assigned cluster ids (cluster_0, cluster_1, ...),
+  // with editor line indices.
+  return parseMapScript(lines.join("\n")).clusters.map(clusterToOpener);
+}
+
+export function setClusterDefLineAt(lines, idx, { dashes, alias, label, styleInner, comment }) {
+  const c = String(comment || "").trim();
+  const commentSuffix = c ? ` ${c}` : "";
+  const a = String(alias || "").trim();
+  const lbl = String(label ?? "").trim();
+  const inner = String(styleInner ?? "").trim();
+  // If the user clears the label AND has no style attrs, force an explicit empty bracket ("[]")
+  // to keep the line an OPENING marker. Plain "--" is a closing marker.
+  const needEmptyBracket = !lbl && !inner;
+  const bracket = inner || needEmptyBracket ? `[${inner}]` : "";
+  const sep = bracket ? (lbl ? " " : "") : "";
+  // Note: MapScript group opener is "--Label" (no space). Untitled opener is "--[]".
+  const aliasPrefix = a ? `${a}:: ` : "";
+  lines[idx] = `${String(dashes || "").trim()}${aliasPrefix}${lbl}${sep}${bracket}${commentSuffix}`.trimEnd();
+  return true;
+}
+
+export function setClusterCollapsed(lines, idx, collapsed) {
+  // Purpose: add or remove the "collapsed" flag in a group opener's "[...]"; returns false if idx is not an opener.
+  const c = parseClusterDefLineAt(lines, idx);
+  if (!c) return false;
+  const rest = String(c.styleInner || "")
+    .split("|")
+    .map((p) => p.trim())
+    .filter((p) => p && p.toLowerCase() !== "collapsed");
+  const styleInner = (collapsed ? [...rest, "collapsed"] : rest).join(" | ");
+  return setClusterDefLineAt(lines, idx, { ...c, styleInner });
+}
+
+export function setNodeDefLine(lines, nodeId, { label, styleInner }) {
+  const parsed = parseNodeDefLine(lines, nodeId);
+  if (!parsed) return false;
+  const comment = parsed.comment ? ` ${parsed.comment.trim()}` : "";
+  const style = String(styleInner || "").trim() ? ` [${String(styleInner).trim()}]` : "";
+  lines[parsed.idx] = `${nodeId}:: ${String(label || "").trim()}${style}${comment}`.trimEnd();
+  return true;
+}
+
+export function findStyleClassLineIndex(lines, name) {
+  // Style class names are matched case-insensitively ("[.Outcome]" uses "Style outcome: ...").
+  const want = String(name || "").trim().replace(/^\./, "").toLowerCase();
+  if (!want) return -1;
+  for (let i = 0; i < lines.length; i++) {
+    const s = parseMapScriptLine(lines[i], i + 1);
+    if (s?.type === "style_class" && s.name.toLowerCase() === want) return i;
+  }
+  return -1;
+}
+
+export function setStyleClassLine(lines, name, styleInner) {
+  // Purpose: update "Style name: ..." in place, or add it after the settings at the top of the map.
+  // Returns the 0-based row of the line, or -1 for an invalid name.
+  const n = String(name || "").trim().replace(/^\./, "");
+  if (!STYLE_CLASS_NAME_RE.test(n)) return -1;
+  const inner = String(styleInner || "").trim();
+  const idx = findStyleClassLineIndex(lines, n);
+  if (idx >= 0) {
+    const s = parseMapScriptLine(lines[idx], idx + 1);
+    const comment = s.comment ? ` ${s.comment.trim()}` : "";
+    lines[idx] = `Style ${s.name}: ${inner}${comment}`.trimEnd();
+    return idx;
+  }
+  let at = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const s = parseMapScriptLine(lines[i], i + 1);
+    if (!s) continue;
+    if (s.type !== "setting" && s.type !== "style_class") break;
+    at = i + 1;
+  }
+  lines.splice(at, 0, `Style ${n}: ${inner}`.trimEnd());
+  return at;
+}
+
+export function parseEdgeLine(lines, lineNo1) {
+  const idx = Number(lineNo1) - 1;
+  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return null;
+  const s = parseMapScriptLine(lines[idx], idx + 1);
+  if (s?.type !== "edge") return null;
+  const { comment, styleInner: inner } = s;
+  const { kv, loose } = parseBracketAttrs(inner ? `[${inner}]` : "[]");
+
+  // Match the same “single part might actually be border” heuristic used by astToDot()
+  // so the UI loads existing edge styling correctly.
+  let label = kv.label ? String(kv.label) : (loose[0] ? String(loose[0]) : "");
+  let border = kv.border ? String(kv.border) : (loose[1] ? String(loose[1]) : "");
+  if (loose.length === 1 && /\b(solid|dotted|dashed)\b/i.test(label) && /\d+\s*px/i.test(label)) {
+    border = label;
+    label = "";
+  }
+
+  // Preserve any extra edge attrs inside [...] so saving via modal doesn't wipe them.
+  const keptKv = { ...kv };
+  delete keptKv.label;
+  delete keptKv.border;
+  const keptLoose = loose.slice(0);
+  // If label/border came from loose positions, drop them from keptLoose (we will re-add from current widget values).
+  if (!kv.label && keptLoose.length) keptLoose.shift();
+  if (!kv.border && keptLoose.length) keptLoose.shift();
+  // ".name" class references aren't label/border parts; keep them ("class=name" stays in keptKv).
+  keptLoose.push(...String(inner || "").split("|").map((p) => p.trim()).filter((p) => STYLE_CLASS_REF_RE.test(p)));
+
+  return {
+    idx,
+    comment,
+    label,
+    border,
+    keptKv,
+    keptLoose,
+    hasBracket: Boolean(inner && inner.trim()),
+    before: `${String(lines[idx]).slice(0, s.span.col)}${s.before}`, // code before trailing bracket (keeps indentation)
+    hops: s.hops,
+    ops: s.ops,
+    ports: s.ports,
+    // Line-wide sides as written ("bottom", "s", ...); they also stay in keptKv so rewrites keep them.
+    fromSide: kv.from ? String(kv.from) : "",
+    toSide: kv.to ? String(kv.to) : "",
+    arrow: String(kv.arrow || kv.arrowhead || ""), // likewise kept in keptKv
+  };
+}
+
+export function buildEdgeBracketInner({ label, border, keptKv, keptLoose }) {
+  // Keep it simple and stable:
+  // - First: label (loose)
+  // - Second: border (loose)
+  // - Then: any remaining loose parts
+  // - Then: any remaining key=value parts (sorted by key for determinism)
+  const parts = [];
+  const l = String(label || "").trim();
+  const b = String(border || "").trim();
+  if (l) parts.push(l);
+  if (b) parts.push(b);
+
+  for (const x of (keptLoose || [])) {
+    const t = String(x || "").trim();
+    if (t) parts.push(t);
+  }
+
+  const kv = keptKv && typeof keptKv === "object" ? keptKv : {};
+  const keys = Object.keys(kv).sort((a, b2) => String(a).localeCompare(String(b2)));
+  for (const k of keys) {
+    const v = String(kv[k] ?? "").trim();
+    const kk = String(k || "").trim();
+    if (!kk || !v) continue;
+    parts.push(`${kk}=${v}`);
+  }
+
+  return parts.join(" | ");
+}
+
+export function setEdgeLine(lines, lineNo1, { fromId, toId, op, edge, label, border, fromSide, toSide, arrow, nodesById }) {
+  // fromId/toId: optional { old, next } reroutes (rendered direction, as in the SVG edge title).
+  // op: optional connector ("->", "<->", "<-", "--") for the step that renders `edge` ({ fromId, toId }).
+  // It is ignored when that step fans out ("A -> B | C"): the connector there is shared by every link of the step.
+  // fromSide/toSide: optional sides ("bottom", "" = automatic) written as from= / to=; they replace any
+  // "id:port" on that edge's endpoints. Left undefined, the line's sides and ports are kept.
+  // arrow: optional arrowhead for the line ("open", "" = the diagram's Arrowhead:), written as arrow=.
+  const parsed = parseEdgeLine(lines, lineNo1);
+  if (!parsed) return false;
+
+  const keptKv = { ...parsed.keptKv };
+  const wantSides = { from: fromSide, to: toSide };
+  for (const key of ["from", "to"]) {
+    if (wantSides[key] === undefined) continue;
+    const compass = portCompassPoint(wantSides[key]);
+    if (compass) keptKv[key] = portSideName(compass);
+    else delete keptKv[key];
+  }
+  const sidesChanged = fromSide !== undefined || toSide !== undefined;
+  if (arrow !== undefined) {
+    delete keptKv.arrowhead;
+    if (normalizeArrowhead(arrow)) keptKv.arrow = normalizeArrowhead(arrow);
+    else delete keptKv.arrow;
+  }
+
+  // Default: preserve the original "A | B -> C | D" formatting unless endpoints/connector/ports are changed.
+  let before = parsed.before.trimEnd();
+  if (fromId || toId || op || (sidesChanged && parsed.ports.flat().some(Boolean))) {
+    // Update endpoints by replacing matching tokens (either exact match or slugId match).
+    const { hops, ops, ports } = parsed;
+
+    const findIdx = (arr, id) => arr.findIndex((tok) => tok === id || slugId(tok) === id);
+    // For "<-" steps the rendered source sits on the right of the connector.
+    const sides = (h) => (ops[h] === "<-" ? { from: h + 1, to: h } : { from: h, to: h + 1 });
+
+    // Chains: edit the first step whose endpoints match (a plain "A -> B" line has one step).
+    const wantFrom = fromId ? fromId.old : edge?.fromId || "";
+    const wantTo = toId ? toId.old : edge?.toId || "";
+    let step = -1;
+    for (let h = 0; h < hops.length - 1 && step < 0; h++) {
+      const sd = sides(h);
+      const fromOk = !wantFrom || findIdx(hops[sd.from], wantFrom) >= 0;
+      const toOk = !wantTo || findIdx(hops[sd.to], wantTo) >= 0;
+      if (fromOk && toOk) step = h;
+    }
+    if (step < 0) return false;
+
+    const sd = sides(step);
+    if (fromSide !== undefined && wantFrom) ports[sd.from][findIdx(hops[sd.from], wantFrom)] = "";
+    if (toSide !== undefined && wantTo) ports[sd.to][findIdx(hops[sd.to], wantTo)] = "";
+    if (fromId) {
+      const i = findIdx(hops[sd.from], fromId.old);
+      hops[sd.from][i] = nodeIdToDslToken(fromId.next, nodesById);
+    }
+    if (toId) {
+      const i = findIdx(hops[sd.to], toId.old);
+      hops[sd.to][i] = nodeIdToDslToken(toId.next, nodesById);
+    }
+    if (op && EDGE_OPS.includes(op) && hops[step].length === 1 && hops[step + 1].length === 1) ops[step] = op;
+
+    before = formatEdgeChain({ hops, ops, ports });
+  }
+
+  const l = String(label || "").trim();
+  const b = String(border || "").trim();
+  const inner = buildEdgeBracketInner({
+    label: l,
+    border: b,
+    keptKv,
+    keptLoose: parsed.keptLoose,
+  });
+  const bracket = inner ? ` [${inner}]` : "";
+
+  const comment = parsed.comment ? ` ${parsed.comment.trim()}` : "";
+  lines[parsed.idx] = `${before}${bracket}${comment}`.trimEnd();
+  return true;
+}
+
+export function deleteEdgeLine(lines, lineNo1) {
+  const idx = Number(lineNo1) - 1;
+  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return false;
+  lines.splice(idx, 1);
+  return true;
+}
+
+export function deleteSingleEdgeFromLine(lines, lineNo1, fromId, toId) {
+  // Purpose: if a single MapScript line expands into multiple rendered edges (eg "A|B -> C|D" or "A -> B -> C"),
+  // deleting one rendered edge should remove ONLY that edge, not the whole line.
+  const idx = Number(lineNo1) - 1;
+  if (!Number.isFinite(idx) || idx < 0 || idx >= lines.length) return false;
+
+  // Preserve the original bracket/comment (styles/label apply to all remaining derived edges).
+  const ep = parseEdgeLine(lines, lineNo1);
+  if (!ep) return false;
+
+  const norm = (x) => String(x || "").trim();
+  const wantFrom = norm(fromId);
+  const wantTo = norm(toId);
+  if (!wantFrom || !wantTo) return false;
+
+  const matchTok = (tok, id) => {
+    const t = norm(tok);
+    const i = norm(id);
+    if (!t || !i) return false;
+    return t === i || slugId(t) === i || slugId(t) === slugId(i);
+  };
+
+  // Single-edge line: keep current behavior (delete the whole line).
+  if (!isMultiEdgeLine(ep)) return deleteEdgeLine(lines, lineNo1);
+
+  // Chains: the edge comes from the first step whose (rendered) endpoints match.
+  const { hops, ops, ports } = ep;
+  const isTarget = (p) => {
+    const o = orientEdgePair(p);
+    return matchTok(o.fromTok, wantFrom) && matchTok(o.toTok, wantTo);
+  };
+  const hit = edgeChainPairs(ep).find(isTarget);
+  if (!hit) return false;
+  const step = hit.step;
+
+  const inner = buildEdgeBracketInner({
+    label: ep.label,
+    border: ep.border,
+    keptKv: ep.keptKv,
+    keptLoose: ep.keptLoose,
+  });
+  const hadBracket = parseMapScriptLine(lines[idx]).hasBracket;
+  const bracket = hadBracket ? ` [${inner}]` : (inner ? ` [${inner}]` : "");
+  const commentSuffix = ep.comment ? ` ${ep.comment.trim()}` : "";
+
+  const remaining = edgeChainPairs(ep).filter((p) => p.step === step && !isTarget(p));
+
+  // Split the line around that step:
+  // - earlier steps stay one chain (ending at this step's left side)
+  // - this step becomes explicit single-edge lines (minus the removed one), keeping its connector
+  // - later steps stay one chain (starting at this step's right side)
+  const head = { hops: hops.slice(0, step + 1), ops: ops.slice(0, step), ports: ports.slice(0, step + 1) };
+  const tail = { hops: hops.slice(step + 1), ops: ops.slice(step + 1), ports: ports.slice(step + 1) };
+  const befores = [];
+  if (head.hops.length >= 2) befores.push(formatEdgeChain(head));
+  for (const { s, t, op, sPort, tPort } of remaining) {
+    befores.push(formatEdgeChain({ hops: [[String(s).trim()], [String(t).trim()]], ops: [op], ports: [[sPort], [tPort]] }));
+  }
+  if (tail.hops.length >= 2) befores.push(formatEdgeChain(tail));
+
+  // If the line only represented this one edge, delete it completely.
+  if (befores.length === 0) {
+    lines.splice(idx, 1);
+    return true;
+  }
+
+  const nextLines = befores.map((b) => `${b}${bracket}${commentSuffix}`.trimEnd());
+  lines.splice(idx, 1, ...nextLines);
+  return true;
+}
+
+export function deleteNodeEverywhere(lines, nodeId) {
+  // Remove a node definition AND remove the node from any edge line endpoints.
+  // Important: edges may reference the node by:
+  // - exact ID token (e.g. X)
+  // - free-label token whose slugId matches the node id (e.g. "Training quality" -> training_quality)
+  // - differently cased ID token (Graphviz ids can be case-sensitive, but MapScript treats IDs case-insensitively in some places)
+  const out = [];
+  const id = String(nodeId || "").trim();
+  if (!id) return lines;
+
+  const idSlug = slugId(id);
+  // Group aliases are their own link endpoints ("a -> c"): never treat them as a differently cased node id.
+  const groupAliases = new Set(parseMapScript(lines.join("\n")).clusters.map((c) => c.alias).filter(Boolean));
+  const matchesId = (tok) => {
+    const t = String(tok || "").trim();
+    if (!t) return false;
+    if (t === id) return true;
+    if (groupAliases.has(t)) return false;
+    if (t.toLowerCase() === id.toLowerCase()) return true;
+    return slugId(t) === idSlug;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = String(lines[i] || "");
+    const s = parseMapScriptLine(raw, i + 1);
+
+    // Drop the explicit node definition line (and its metadata lines).
+    if (s?.type === "node" && s.idToken.toLowerCase() === id.toLowerCase()) {
+      i += nodeMetaLineCount(lines, i);
+      continue;
+    }
+
+    // For edges (including multi-edge lines and chains), remove this token from every step.
+    if (s?.type === "edge") {
+      const parsed = parseEdgeLine(lines, i + 1);
+      const ep = parsed;
+      if (parsed) {
+        const nextHops = ep.hops.map((h) => h.filter((t) => !matchesId(t)));
+        const nextPorts = ep.hops.map((h, n) => ep.ports[n].filter((_, k) => !matchesId(h[k])));
+
+        // If nothing changed, keep as-is.
+        if (nextHops.every((h, n) => h.length === ep.hops[n].length)) {
+          out.push(raw);
+          continue;
+        }
+
+        // A step that becomes empty breaks the chain there ("A -> X -> C" minus X links nothing).
+        // Keep every remaining run of 2+ steps; if none are left, drop the entire edge line.
+        const segments = [];
+        let run = { hops: [], ops: [], ports: [] };
+        nextHops.forEach((h, n) => {
+          if (h.length) {
+            if (run.hops.length) run.ops.push(ep.ops[n - 1]);
+            run.hops.push(h);
+            run.ports.push(nextPorts[n]);
+            return;
+          }
+          if (run.hops.length >= 2) segments.push(run);
+          run = { hops: [], ops: [], ports: [] };
+        });
+        if (run.hops.length >= 2) segments.push(run);
+        if (!segments.length) continue;
+
+        const inner = buildEdgeBracketInner({
+          label: parsed.label,
+          border: parsed.border,
+          keptKv: parsed.keptKv,
+          keptLoose: parsed.keptLoose,
+        });
+        const hadBracket = s.hasBracket;
+        const bracket = hadBracket ? ` [${inner}]` : (inner ? ` [${inner}]` : "");
+        const commentSuffix = parsed.comment ? ` ${parsed.comment.trim()}` : "";
+        for (const seg of segments) out.push(`${formatEdgeChain(seg)}${bracket}${commentSuffix}`.trimEnd());
+        continue;
+      }
+    }
+
+    out.push(raw);
+  }
+
+  return out;
+}
+
+export function deleteCluster(lines, clusterId) {
+  // Delete the opening line and corresponding closing line for a cluster (keeping contents).
+  const range = findClusterRangeFromLines(lines, clusterId);
+  if (!range) return lines;
+  const { openIdx, closeIdx } = range;
+
+  // If no closing marker found, just delete the opening line.
+  if (closeIdx < 0) {
+    lines.splice(openIdx, 1);
+    return lines;
+  }
+
+  // Delete both lines (close first to preserve indices).
+  lines.splice(closeIdx, 1);
+  lines.splice(openIdx, 1);
+  return lines;
+}
+
+export function findClusterRangeFromLines(lines, clusterId) {
+  // Purpose: map Graphviz cluster id (cluster_0, cluster_1, ...) back to the opening + closing lines in MapScript.
+  // closeIdx is -1 when the group is closed implicitly (by a sibling opener, "## Links" or end of text).
+  const cid = String(clusterId || "").trim();
+  if (!cid) return null;
+  const c = parseMapScript(lines.join("\n")).clusters.find((x) => x.id === cid) || null;
+  if (!c) return null;
+  const opener = clusterToOpener(c);
+  return { clusterId: cid, openIdx: opener.idx, closeIdx: c.closeLine ? c.closeLine - 1 : -1, depth: c.depth, opener };
+}
+
+export function getClusterDepthAtLine(lines, idx) {
+  // Return current open cluster depth (0 = none, 2 = level-1, 4 = level-2, etc) just BEFORE lines[idx].
+  const stack = [];
+  for (let i = 0; i < idx; i++) {
+    const raw = lines[i] || "";
+    const line = stripComment(raw).trim();
+    if (!line) continue;
+    const m = line.match(/^(-{2,})(.*)$/);
+    if (!m) continue;
+    const dashes = m[1];
+    const rest = String(m[2] || "").trim();
+    const depth = dashes.length;
+    if (depth % 2 !== 0) continue;
+
+    // Closing marker
+    if (!rest) {
+      while (stack.length && stack[stack.length - 1] >= depth) stack.pop();
+      continue;
+    }
+
+    // Opening marker: align to parent depth
+    const parentDepth = depth - 2;
+    while (stack.length && stack[stack.length - 1] > parentDepth) stack.pop();
+    stack.push(depth);
+  }
+  return stack.length ? stack[stack.length - 1] : 0;
+}
+
+export function findExplicitNodeDefIdx(lines, nodeId) {
+  const id = String(nodeId || "").trim();
+  if (!id) return -1;
+  const re = new RegExp(`^\\s*${id.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\$&")}\\s*::\\s*`, "i");
+  for (let i = 0; i < lines.length; i++) {
+    const { code } = stripCommentKeepSuffix(lines[i] || "");
+    if (re.test(code)) return i;
+  }
+  return -1;
+}
+
+export function isEdgeLineRaw(rawLine) {
+  const { code } = stripCommentKeepSuffix(String(rawLine || ""));
+  const t = String(code || "").trim();
+  if (!t) return false;
+  return isEdgeLineCode(t);
+}
+
+export function findTrailingLinksBlockStart(lines) {
+  // Purpose: keep "aliases + boxes" above the final block of link lines (recommended style).
+  // We treat the *bottom* contiguous block of edge lines (allowing blank/comment lines between)
+  // as the "links at end" region, and we insert groups above it.
+  let i = lines.length - 1;
+  // Skip trailing blanks/comments
+  while (i >= 0) {
+    const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
+    if (String(code || "").trim()) break;
+    i--;
+  }
+  // Walk upward through the trailing edge block
+  let sawEdge = false;
+  while (i >= 0) {
+    const raw = String(lines[i] || "");
+    const { code } = stripCommentKeepSuffix(raw);
+    const t = String(code || "").trim();
+    if (!t) {
+      i--;
+      continue;
+    }
+    if (isEdgeLineRaw(raw)) {
+      sawEdge = true;
+      i--;
+      continue;
+    }
+    break;
+  }
+  if (!sawEdge) return lines.length;
+  return i + 1;
+}
+
+export function findInsertIdxForAutoNodeDef(lines) {
+  // Insert near the top, before any grouping boxes ("-- ..."), and after any initial settings block.
+  const isSettingLine = (t) => {
+    const s = String(t || "").trim();
+    if (!s) return false;
+    if (s.startsWith("#")) return false;
+    if (s.includes("::")) return false;
+    if (s.includes("->")) return false;
+    if (s.startsWith("--")) return false;
+    return /^[A-Za-z][A-Za-z0-9 _-]*\s*:\s*.+$/.test(s);
+  };
+
+  let settingsEnd = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
+    const t = String(code || "").trim();
+    if (!t) continue;
+    if (isSettingLine(t)) {
+      settingsEnd = i + 1;
+      continue;
+    }
+    // stop at first real non-setting line
+    break;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const { code } = stripCommentKeepSuffix(String(lines[i] || ""));
+    const t = String(code || "").trim();
+    if (!t) continue;
+    if (/^-{2,}\b/.test(t)) return Math.max(settingsEnd, i);
+  }
+  return settingsEnd;
+}
+
+export function findFreeLabelTokenForNodeId(lines, nodeId) {
+  // If this node came from a free-label edge token, find the original token ("Training quality") whose slug matches nodeId.
+  const id = String(nodeId || "").trim();
+  if (!id) return "";
+  for (const raw of lines) {
+    const { code } = stripCommentKeepSuffix(String(raw || ""));
+    const c = String(code || "").trim();
+    const ep = parseEdgeEndpoints(parseTrailingBracket(c).before);
+    if (!ep) continue;
+    const tokens = ep.hops.flat();
+    for (const tok of tokens) {
+      if (!tok) continue;
+      if (tok === id) return tok;
+      if (slugId(tok) === id) return tok;
+    }
+  }
+  return "";
+}
+
+export function ensureExplicitNodeFromFreeLabel(lines, nodeId) {
+  // Promote an implicit node created from a free-label edge token:
+  // - Add "ID:: Label" near the top (before any boxes)
+  // - Rewrite any edge endpoints that refer to the free label to use the ID token
+  // Returns { ok, nodeId } where nodeId may change if the original was not a valid ID token.
+  const oldId = String(nodeId || "").trim();
+  if (!oldId) return { ok: false, nodeId: "" };
+  const existingDef = parseNodeDefLine(lines, oldId);
+  if (existingDef) return { ok: true, nodeId: oldId };
+
+  const rawTok = findFreeLabelTokenForNodeId(lines, oldId);
+  const label = String(rawTok || oldId).trim() || oldId;
+
+  const existingIds = new Set(getExplicitNodeIdsFromLines(lines));
+  const newId = isSimpleIdToken(oldId) ? oldId : makeUniqueNodeIdFromLabel(label, existingIds);
+  if (!newId) return { ok: false, nodeId: "" };
+
+  // Rewrite edge tokens referencing this node (exact match OR slug match) to use the chosen ID.
+  for (let i = 0; i < lines.length; i++) {
+    const raw = String(lines[i] || "");
+    if (!isEdgeLineRaw(raw)) continue;
+    const parsed = parseEdgeLine(lines, i + 1);
+    const ep = parsed ? parseEdgeEndpoints(parsed.before) : null;
+    if (!parsed || !ep) continue;
+
+    let changed = false;
+    const hops = ep.hops.map((h) =>
+      h.map((tok) => {
+        const t = String(tok || "").trim();
+        if (!t) return t;
+        if (t === oldId || slugId(t) === oldId) {
+          changed = true;
+          return newId;
+        }
+        return t;
+      })
+    );
+    if (!changed) continue;
+
+    const before = formatEdgeChain({ hops, ops: ep.ops, ports: ep.ports }).trimEnd();
+    const inner = buildEdgeBracketInner({ label: parsed.label, border: parsed.border, keptKv: parsed.keptKv, keptLoose: parsed.keptLoose });
+    const bracket = inner ? ` [${inner}]` : "";
+    const commentSuffix = parsed.comment ? ` ${parsed.comment.trim()}` : "";
+    lines[i] = `${before}${bracket}${commentSuffix}`.trimEnd();
+  }
+
+  // Insert the explicit node def near the top.
+  const insertAt = findInsertIdxForAutoNodeDef(lines);
+  const defLine = `${newId}:: ${label}`.trimEnd();
+  lines.splice(insertAt, 0, defLine);
+  return { ok: true, nodeId: newId };
+}
+
+export function moveExplicitNodeDefsIntoCluster(lines, nodeIds, clusterId) {
+  // Purpose: move explicit "A:: ..." lines so they appear inside an existing cluster (before its closing marker).
+  const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
+  if (!ids.length) return { ok: false, message: "No nodes to move." };
+
+  const defs = [];
+  const missing = [];
+  for (const id of ids) {
+    const idx = findExplicitNodeDefIdx(lines, id);
+    if (idx < 0) missing.push(id);
+    else defs.push({ id, idx, raws: lines.slice(idx, idx + 1 + nodeMetaLineCount(lines, idx)) });
+  }
+  if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to move." };
+
+  // Remove original node definition lines (bottom-up so indices stay valid).
+  defs.sort((a, b) => a.idx - b.idx);
+  const removeDefs = [...defs].sort((a, b) => b.idx - a.idx);
+  for (const d of removeDefs) lines.splice(d.idx, d.raws.length);
+
+  // Re-find cluster range after removals (indices may shift).
+  const range = findClusterRangeFromLines(lines, clusterId);
+  if (!range) return { ok: false, message: "Drop failed: target group box couldn't be mapped back to the editor." };
+
+  // Insert BEFORE the closing marker so nodes become members of that cluster.
+  // A nested group closed by its parent's marker ("---- inner" ... "--") has no closing line of its own: use the shared one.
+  let insertAt = range.closeIdx;
+  for (let i = range.openIdx + 1; insertAt < 0 && i < lines.length; i++) {
+    const s = parseMapScriptLine(lines[i], i + 1);
+    if (s?.type === "links_heading" || (s?.type === "group_open" && s.depth <= range.depth)) break;
+    if (s?.type === "group_close" && s.depth < range.depth) insertAt = i;
+  }
+  if (insertAt < 0) return { ok: false, message: "Drop failed: target group box has no closing line (use '--' to close it)." };
+
+  const nodeLines = defs.flatMap((d) => d.raws);
+  // A shared closing marker also closes nested groups; close those first,
+  // otherwise the moved nodes would land in the innermost nested group.
+  const closeNested = getClusterDepthAtLine(lines, insertAt) > range.depth ? ["-".repeat(range.depth + 2)] : [];
+  lines.splice(insertAt, 0, ...closeNested, ...nodeLines);
+
+  const msg = missing.length
+    ? `Moved ${defs.length} node(s) into group. Skipped (no explicit A:: line): ${missing.join(", ")}`
+    : `Moved ${defs.length} node(s) into group.`;
+  return { ok: true, message: msg };
+}
+
+export function moveExplicitNodeDefsOutToTopLevel(lines, nodeIds) {
+  // Purpose: move explicit "A:: ..." lines out of any clusters (top-level).
+  const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
+  if (!ids.length) return { ok: false, message: "No nodes to move." };
+
+  const defs = [];
+  const missing = [];
+  for (const id of ids) {
+    const idx = findExplicitNodeDefIdx(lines, id);
+    if (idx < 0) missing.push(id);
+    else defs.push({ id, idx, raws: lines.slice(idx, idx + 1 + nodeMetaLineCount(lines, idx)) });
+  }
+  if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to move." };
+
+  // Remove original lines.
+  defs.sort((a, b) => a.idx - b.idx);
+  const removeDefs = [...defs].sort((a, b) => b.idx - a.idx);
+  for (const d of removeDefs) lines.splice(d.idx, d.raws.length);
+
+  // Insert above the trailing links block (recommended style), but only if we're not inside a cluster there.
+  const insertAt = findTrailingLinksBlockStart(lines);
+  const depthAt = getClusterDepthAtLine(lines, insertAt);
+  if (depthAt > 0) {
+    return { ok: false, message: "Move out failed: you're still inside an open group box here. Add a closing line like '--' before the links section." };
+  }
+
+  const nodeLines = defs.flatMap((d) => d.raws);
+  lines.splice(insertAt, 0, ...nodeLines);
+
+  const msg = missing.length
+    ? `Moved ${defs.length} node(s) out of groups. Skipped (no explicit A:: line): ${missing.join(", ")}`
+    : `Moved ${defs.length} node(s) out of groups.`;
+  return { ok: true, message: msg };
+}
+
+export function groupNodesIntoCluster(lines, nodeIds, labelText) {
+  // Group selected nodes by moving their explicit definition lines into a new cluster block.
+  const ids = Array.from(nodeIds || []).map((s) => String(s || "").trim()).filter(Boolean);
+  if (!ids.length) return { ok: false, message: "No selected nodes." };
+
+  const defs = [];
+  const missing = [];
+  for (const id of ids) {
+    const idx = findExplicitNodeDefIdx(lines, id);
+    if (idx < 0) missing.push(id);
+    else defs.push({ id, idx, raws: lines.slice(idx, idx + 1 + nodeMetaLineCount(lines, idx)) });
+  }
+
+  if (!defs.length) return { ok: false, message: "No selected nodes have explicit 'A:: ...' lines to group." };
+
+  // Insert at the earliest selected node definition line (but keep groups above the trailing link block).
+  defs.sort((a, b) => a.idx - b.idx);
+  const insertIdx = defs[0].idx;
+
+  // Remove original node definition lines (bottom-up so indices stay valid).
+  const removeDefs = [...defs].sort((a, b) => b.idx - a.idx);
+  for (const d of removeDefs) lines.splice(d.idx, d.raws.length);
+
+  const trailingLinksStart = findTrailingLinksBlockStart(lines);
+  const insertAt = Math.min(insertIdx, trailingLinksStart);
+
+  // Determine nesting depth at insertion point (after removals; cluster markers unchanged).
+  const curDepth = getClusterDepthAtLine(lines, insertAt);
+  const newDepth = curDepth + 2;
+  const dashes = "-".repeat(newDepth);
+
+  const label = String(labelText ?? "").trim();
+  const openLine = label ? `${dashes}${label}` : `${dashes}[]`; // explicit untitled opener
+  const closeLine = `${dashes}`;
+
+  // Insert: open, node defs (in original order), close.
+  const nodeLines = defs.flatMap((d) => d.raws);
+  lines.splice(insertAt, 0, openLine, ...nodeLines, closeLine);
+
+  const msg = missing.length
+    ? `Grouped ${defs.length} node(s). Skipped (no explicit A:: line): ${missing.join(", ")}`
+    : `Grouped ${defs.length} node(s).`;
+  return { ok: true, message: msg };
+}
+
+export function renameIdEverywhere(lines, oldId, newId) {
+  // Purpose: rename a node ID or group alias everywhere it is used: the "ID::" / "-- alias::" definition, every link
+  // endpoint (chains and "|" lists included) and rank lines. Free-label endpoints that resolve to the node
+  // ("Training quality" for training_quality) are replaced by the new ID too. Returns { ok, message, count };
+  // `lines` is only patched when ok.
+  const from = String(oldId || "").trim();
+  const to = String(newId || "").trim();
+  if (!from) return { ok: false, message: "Nothing to rename." };
+  if (!isSimpleIdToken(to)) return { ok: false, message: `"${to}" is not a valid ID (start with a letter; then letters, digits or _).` };
+  if (to === from) return { ok: true, message: "ID unchanged.", count: 0 };
+
+  const ast = parseMapScript(lines.join("\n"));
+  const aliases = new Set(ast.clusters.map((c) => c.alias).filter(Boolean));
+  const explicitIds = new Set(ast.nodes.map((n) => n.id));
+  const isAlias = aliases.has(from);
+  const refersToOld = (tok) => (isAlias ? tok === from : !aliases.has(tok) && nodeIdFromToken(tok) === from);
+  const endpointTokens = [...ast.edges.flatMap((e) => e.tokens.flat()), ...ast.ranks.flatMap((r) => r.tokens)];
+
+  if (!isAlias && !explicitIds.has(from) && !endpointTokens.some((t) => refersToOld(t.text))) {
+    return { ok: false, message: `"${from}" is not a node ID or group alias.` };
+  }
+  // Same rules parseMapScript() reports as errors, plus implicit nodes (renaming onto one would merge two nodes).
+  if (aliases.has(to)) return { ok: false, message: `"${to}" is already used by a group alias; please pick another ID.` };
+  if (explicitIds.has(to)) return { ok: false, message: `"${to}" is already a node ID; please pick another ID.` };
+  if (endpointTokens.some((t) => !aliases.has(t.text) && nodeIdFromToken(t.text) === to)) {
+    return { ok: false, message: `"${to}" is already used as a node in links or rank lines; please pick another ID.` };
+  }
+
+  const spans = [];
+  for (const s of ast.statements) {
+    if (s.type === "node" && !isAlias && s.id === from) spans.push(s.idSpan);
+    if (s.type === "group_open" && isAlias && s.alias === from) spans.push(s.aliasSpan);
+  }
+  for (const t of endpointTokens) if (refersToOld(t.text)) spans.push(t.span);
+
+  // Right to left within a line, so earlier columns stay valid.
+  const next = [...lines];
+  spans.sort((a, b) => a.line - b.line || b.col - a.col);
+  for (const sp of spans) {
+    const raw = String(next[sp.line - 1] ?? "");
+    next[sp.line - 1] = raw.slice(0, sp.col) + to + raw.slice(sp.endCol);
+  }
+
+  const errorsAfter = parseMapScript(next.join("\n")).errors;
+  if (errorsAfter.length > ast.errors.length) {
+    const newError = errorsAfter.find((e) => !ast.errors.includes(e)) || errorsAfter[0];
+    return { ok: false, message: `Rename would break the map: ${newError}` };
+  }
+
+  lines.splice(0, lines.length, ...next);
+  return { ok: true, message: `Renamed ${from} to ${to} (${spans.length} place${spans.length === 1 ? "" : "s"}).`, count: spans.length };
+}
+
+// Settings whose value is a single colour (the Style drawer names repeated ones as variables).
+const COLOUR_SETTING_KEY_RE = /^(?:background|text colou?r|default (?:node |group |link )?(?:text )?colou?r)$/;
+
+export function settingLinesWithVariables(settingLines, lines, { useVariables = false } = {}) {
+  // Purpose: the Style drawer's "Key: Value" lines, written through "Let" variables:
+  // - a setting that already reads "$name" keeps it while the value is unchanged (always)
+  // - with useVariables, a changed value is written to that "Let name = ..." line instead (so every use follows),
+  //   a value some variable already holds is written as "$name", and a colour repeated by several settings
+  //   becomes a new "Let colourN = ..." line (returned first in settingLines)
+  // Patches `lines` (the Let lines) in place; returns { settingLines, lines }. Included maps' variables are only read.
+  const ast = parseMapScript(lines.join("\n"));
+  const sameValue = (a, b) => compactColourToken(a).toLowerCase() === compactColourToken(b).toLowerCase();
+  const vars = new Map(); // lower-case name -> { name, value, valueSpan } (no span: from an included map)
+  for (const [key, v] of Object.entries(ast.variables)) vars.set(key, { name: v.name, value: v.value });
+  for (const st of ast.statements) {
+    const key = st.type === "variable" ? st.name.toLowerCase() : "";
+    if (key && ast.variables[key].line === st.line) vars.get(key).valueSpan = st.valueSpan;
+  }
+
+  const refs = new Map(); // setting key -> variable name, for settings written as exactly "$name"
+  lines.forEach((raw, i) => {
+    const st = parseMapScriptLine(raw, i + 1);
+    const ref = st?.type === "setting" ? st.value.match(/^\$([A-Za-z_]\w*)$/) : null;
+    if (ref && vars.has(ref[1].toLowerCase())) refs.set(st.keyLower, ref[1].toLowerCase());
+  });
+
+  const entries = settingLines.map((line) => {
+    const m = String(line).match(/^([^:]+):\s*(.*)$/);
+    return m ? { key: m[1], keyLower: m[1].trim().toLowerCase(), value: m[2].trim() } : { line };
+  });
+
+  // Changed values first: update the variable they read, unless another setting has claimed it.
+  const claimed = new Set();
+  if (useVariables) {
+    for (const e of entries) {
+      const name = refs.get(e.keyLower);
+      const v = name ? vars.get(name) : null;
+      if (!v || sameValue(v.value, e.value) || claimed.has(name) || !v.valueSpan) continue;
+      replaceSpanInLines(lines, v.valueSpan, v.value, e.value);
+      v.value = e.value;
+      claimed.add(name);
+    }
+  }
+
+  const colourCounts = new Map();
+  for (const e of entries) {
+    if (COLOUR_SETTING_KEY_RE.test(e.keyLower || "")) colourCounts.set(e.value.toLowerCase(), (colourCounts.get(e.value.toLowerCase()) || 0) + 1);
+  }
+  const newLets = [];
+  const out = entries.map((e) => {
+    if (e.line != null) return e.line;
+    const ref = refs.get(e.keyLower);
+    if (ref && sameValue(vars.get(ref).value, e.value)) return `${e.key}: $${vars.get(ref).name}`;
+    if (!useVariables) return `${e.key}: ${e.value}`;
+    const holder = [...vars.values()].find((v) => sameValue(v.value, e.value));
+    if (holder) return `${e.key}: $${holder.name}`;
+    if (COLOUR_SETTING_KEY_RE.test(e.keyLower) && colourCounts.get(e.value.toLowerCase()) > 1) {
+      let n = 1;
+      while (vars.has(`colour${n}`)) n++;
+      vars.set(`colour${n}`, { name: `colour${n}`, value: e.value });
+      newLets.push(`Let colour${n} = ${e.value}`);
+      return `${e.key}: $colour${n}`;
+    }
+    return `${e.key}: ${e.value}`;
+  });
+  return { settingLines: [...newLets, ...out], lines };
+}
+
+// -----------------------------
+// Normalize: drop styling that repeats the defaults
+// -----------------------------
+// resolveColour(token) -> { r, g, b } | null. The browser passes a resolver that also knows named colours / hsl();
+// the default only understands #hex and rgb().
+
+export function normalizeDslRemoveRedundantEdgeBorders(dsl, settings, { resolveColour = cssColorToRgb } = {}) {
+  // Purpose: keep the editor text tidy by removing per-link border specs that don't change
+  // anything relative to the current global defaults (default link width/style/colour).
+  //
+  // Scope (intentionally minimal): edge border tokens only.
+  const text = String(dsl || "");
+  const lines = text.split(/\r?\n/);
+
+  const normalizeColourForCompare = (token) => {
+    const raw = String(token || "").trim();
+    if (!raw) return "";
+    const rgb = resolveColour(raw);
+    return rgb ? rgbToHex(rgb) : normalizeColor(raw);
+  };
+
+  const s = settings && typeof settings === "object" ? settings : {};
+  const defWRaw = Number(s.defaultLinkWidth);
+  const defW = Number.isFinite(defWRaw) && defWRaw > 0 ? Math.round(defWRaw) : 1;
+  const defStyleRaw = String(s.defaultLinkStyle || "").trim().toLowerCase();
+  const defStyle = ["solid", "dotted", "dashed"].includes(defStyleRaw) ? defStyleRaw : "solid";
+  // IMPORTANT: match Graphviz's real default edge colour (black) if the user hasn't set one.
+  const defColorToken = String(s.defaultLinkColour || "").trim() || "black";
+  const defColorCmp = normalizeColourForCompare(defColorToken);
+
+  const isEdgeLine = (rawLine) => {
+    const { code } = stripCommentKeepSuffix(String(rawLine || ""));
+    const t = String(code || "").trim();
+    if (!t) return false;
+    if (t.startsWith("#")) return false;
+    if (t.includes("::")) return false; // node def
+    return isEdgeLineCode(t);
+  };
+
+  const pickColourTokenFromBorderRaw = (borderRaw) => {
+    const parts = String(borderRaw || "").trim().split(/\s+/).filter(Boolean);
+    if (!parts.length) return "";
+
+    // Drop a leading width token and/or leading style token(s); whatever remains is a colour candidate.
+    let i = 0;
+    if (/^\d+(px)?$/i.test(parts[i] || "")) i++;
+    if (["solid", "dotted", "dashed"].includes(String(parts[i] || "").toLowerCase())) i++;
+    const candidate = parts.slice(i).join(" ").trim();
+    if (!candidate) return "";
+
+    // Only keep it if the browser can resolve it as a real colour (avoid words like "decreases").
+    return resolveColour(candidate) ? candidate : "";
+  };
+
+  let changed = false;
+  for (let i = 0; i < lines.length; i++) {
+    if (!isEdgeLine(lines[i])) continue;
+
+    const parsed = parseEdgeLine(lines, i + 1);
+    if (!parsed) continue;
+    // With a style class, a "default" border may be overriding the class: leave it.
+    if (hasStyleClassRefs(parseMapScriptLine(lines[i]).styleInner)) continue;
+
+    const borderRaw = String(parsed.border || "").trim();
+    if (!borderRaw) continue;
+
+    const spec = parseEdgeBorderLoosePart(borderRaw);
+    if (!spec || (!spec.penwidth && !spec.style && !spec.color)) continue;
+
+    const effW = spec.penwidth ? Math.round(Number(spec.penwidth)) : defW;
+    const effStyle = spec.style ? String(spec.style).trim().toLowerCase() : defStyle;
+    const effColorCmp = spec.color ? normalizeColourForCompare(String(spec.color).trim()) : defColorCmp;
+
+    const wDiff = effW !== defW;
+    const styleDiff = effStyle !== defStyle;
+    const colorDiff = effColorCmp !== defColorCmp;
+
+    let nextBorder = borderRaw;
+    if (!wDiff && !styleDiff && !colorDiff) {
+      // Fully redundant.
+      nextBorder = "";
+    } else {
+      const colourToken = pickColourTokenFromBorderRaw(borderRaw) || (spec.color ? String(spec.color).trim() : "");
+
+      // Emit the shortest border token string we can that will parse correctly.
+      if (!wDiff && !styleDiff && colorDiff) nextBorder = colourToken; // colour only
+      else if (!wDiff && styleDiff && !colorDiff) nextBorder = effStyle; // style only
+      else if (!wDiff && styleDiff && colorDiff) nextBorder = `${effStyle} ${colourToken}`.trim();
+      else if (wDiff && !styleDiff && !colorDiff) nextBorder = `${effW}px`;
+      else if (wDiff && styleDiff && !colorDiff) nextBorder = `${effW}px ${effStyle}`;
+      else if (wDiff && !styleDiff && colorDiff) nextBorder = `${effW}px ${defStyle} ${colourToken}`.trim(); // needs a style token to parse width+colour
+      else nextBorder = `${effW}px ${effStyle} ${colourToken}`.trim();
+    }
+
+    if (nextBorder !== borderRaw) {
+      setEdgeLine(lines, i + 1, { label: parsed.label, border: nextBorder });
+      changed = true;
+    }
+  }
+
+  return changed ? lines.join("\n") : text;
+}
+
+export function normalizeDslRemoveRedundantSpecs(dsl, settings, { resolveColour = cssColorToRgb } = {}) {
+  // Purpose: remove redundant styling/specification from the editor DSL while preserving meaning.
+  // Kept intentionally simple; only touches:
+  // - edge border tokens (including dropping fully redundant ones)
+  // - node and group (cluster) style overrides that repeat the global defaults
+  // - a small set of safe redundant settings lines (e.g. default link width=1)
+  const text = String(dsl || "");
+  const lines = text.split(/\r?\n/);
+
+  const normalizeColourForCompare = (token) => {
+    const raw = String(token || "").trim();
+    if (!raw) return "";
+    const rgb = resolveColour(raw);
+    return rgb ? rgbToHex(rgb) : normalizeColor(raw);
+  };
+
+  const s = settings && typeof settings === "object" ? settings : {};
+
+  // ----- Safe redundant settings lines (only those that are true no-ops vs Graphviz/app defaults)
+  const isSettingLine = (trimmed) => {
+    if (!trimmed) return false;
+    if (trimmed.startsWith("#")) return false;
+    if (trimmed.includes("->") || trimmed.includes("::")) return false;
+    const m = trimmed.match(/^([^:]+):\s*(.+)$/);
+    if (!m) return false;
+    const key = m[1].trim().toLowerCase();
+    return SUPPORTED_SETTING_LINE_KEYS.has(key);
+  };
+
+  const dropSettingLineIfRedundant = (rawLine) => {
+    const t = String(rawLine || "").trim();
+    if (!isSettingLine(t)) return rawLine;
+    const m = t.match(/^([^:]+):\s*(.+)$/);
+    if (!m) return rawLine;
+    const key = m[1].trim().toLowerCase();
+    const value = m[2].trim();
+
+    // Default node shadow: makeDefaultSettings() default is already "medium"
+    if (key === "default node shadow") {
+      const v = value.trim().toLowerCase();
+      if (!v || v === "medium") return ""; // redundant
+      return rawLine;
+    }
+
+    // Default node shape: box is the built-in default.
+    if (key === "default node shape") {
+      if (normalizeNodeShape(value) === "box") return "";
+      return rawLine;
+    }
+
+    // Default link width/style/colour: only remove when it matches Graphviz defaults.
+    if (key === "default link width") {
+      const n = parseLeadingNumber(value);
+      if (Number.isFinite(n) && Math.round(n) === 1) return "";
+      return rawLine;
+    }
+    if (key === "default link style") {
+      const v = value.trim().toLowerCase();
+      if (!v || v === "solid") return "";
+      return rawLine;
+    }
+    if (key === "default link colour" || key === "default link color") {
+      const vCmp = normalizeColourForCompare(value);
+      if (vCmp && vCmp === normalizeColourForCompare("black")) return "";
+      return rawLine;
+    }
+
+    return rawLine;
+  };
+
+  // ----- Node defaults for redundancy checks
+  const defNodeFillCmp = s.defaultBoxColour ? normalizeColourForCompare(s.defaultBoxColour) : "";
+  const defNodeBorder = s.defaultBoxBorder ? parseBorderRaw(String(s.defaultBoxBorder)) : {};
+  const defNodeBorderW = Number.isFinite(Number(defNodeBorder.penwidth)) ? Math.round(Number(defNodeBorder.penwidth)) : null;
+  const defNodeBorderStyle = defNodeBorder.style ? String(defNodeBorder.style).trim().toLowerCase() : null;
+  const defNodeBorderColorCmp = defNodeBorder.colorRaw ? normalizeColourForCompare(defNodeBorder.colorRaw) : "";
+
+  // ----- Cluster defaults for redundancy checks (from astToDot()'s emitCluster())
+  const defClusterBorderW = 1;
+  const defClusterBorderStyle = "solid";
+  const defClusterBorderColorCmp = normalizeColourForCompare("#cccccc");
+  const defClusterTextColorCmp = normalizeColourForCompare(s.defaultBoxTextColour || "black");
+
+  // First, drop safe redundant settings lines (but keep blank/comment formatting stable).
+  let changed = false;
+  for (let i = 0; i < lines.length; i++) {
+    const next = dropSettingLineIfRedundant(lines[i]);
+    if (next !== lines[i]) {
+      lines[i] = next;
+      changed = true;
+    }
+  }
+
+  // Normalize edge borders (reuse the existing routine over the current text).
+  const afterSettings = lines.join("\n");
+  const edgeNormalized = normalizeDslRemoveRedundantEdgeBorders(afterSettings, settings, { resolveColour });
+  if (edgeNormalized !== afterSettings) {
+    changed = true;
+    lines.splice(0, lines.length, ...edgeNormalized.split(/\r?\n/));
+  }
+
+  // ----- Default node shape per node/group line: the node's style class shape, else the enclosing group's
+  // "[shape=...]", else the global default. Lines using a class that isn't defined here (e.g. included) are left out.
+  const defaultShapeByLine = new Map(); // 1-based line -> shape a "shape=" there would repeat
+  {
+    const shapeAst = parseMapScript(lines.join("\n"));
+    const groupShapes = groupNodeShapes(shapeAst);
+    const clusterById = new Map(shapeAst.clusters.map((c) => [c.id, c]));
+    const globalShape = normalizeNodeShape(s.defaultBoxShape) || "box";
+    for (const st of shapeAst.statements) {
+      if (st.type === "node") {
+        const { classes } = parseBracketAttrs(st.styleInner || "");
+        const fromClasses = resolveStyleClasses(setStyleClassRefs("", classes), shapeAst.styleClasses);
+        if (fromClasses.unknown.length) continue;
+        const classShape = normalizeNodeShape(parseBracketAttrs(`[${fromClasses.inner}]`).kv.shape);
+        defaultShapeByLine.set(st.line, classShape || groupShapes.get(st.clusterId) || globalShape);
+      }
+      if (st.type === "group_open") defaultShapeByLine.set(st.line, groupShapes.get(clusterById.get(st.clusterId)?.parentId) || globalShape);
+    }
+  }
+
+  // Normalize nodes and clusters in-place, preserving unknown attrs verbatim.
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const { code, comment } = stripCommentKeepSuffix(String(raw || ""));
+    const trimmed = String(code || "").trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith("#")) continue;
+
+    // Edge line: remove redundant edge label attrs (label style/size) while preserving meaning.
+    // (Border redundancy is handled earlier; this is for kv-only attrs.)
+    if (isEdgeLineCode(trimmed) && !trimmed.includes("::")) {
+      const parsed = parseEdgeLine(lines, i + 1);
+      if (parsed && !hasStyleClassRefs(parseMapScriptLine(raw).styleInner)) {
+        const keptKv = parsed.keptKv && typeof parsed.keptKv === "object" ? { ...parsed.keptKv } : {};
+
+        const ls = String(keptKv["label style"] || keptKv.labelstyle || "").trim().toLowerCase();
+        if (ls === "normal" || ls === "plain") {
+          delete keptKv["label style"];
+          delete keptKv.labelstyle;
+          changed = true;
+        }
+
+        const lszRaw = keptKv["label size"] || keptKv.labelsize || "";
+        const lsz = parseLeadingNumber(lszRaw);
+        if (Number.isFinite(lsz) && Math.round(lsz) === 12) {
+          delete keptKv["label size"];
+          delete keptKv.labelsize;
+          changed = true;
+        }
+
+        const inner = buildEdgeBracketInner({
+          label: parsed.label,
+          border: parsed.border,
+          keptKv,
+          keptLoose: parsed.keptLoose,
+        });
+        const bracket = inner ? ` [${inner}]` : "";
+        const c = comment ? ` ${comment.trim()}` : "";
+        const nextLine = `${String(parsed.before || "").trimEnd()}${bracket}${c}`.trimEnd();
+        if (nextLine !== raw) {
+          lines[i] = nextLine;
+          changed = true;
+        }
+      }
+      continue;
+    }
+
+    // Node line: "A:: Label [attrs]"
+    const nodeMatch = trimmed.match(/^(\S+)\s*::\s*(.+)$/);
+    if (nodeMatch) {
+      const idToken = nodeMatch[1].trim();
+      const after = code.split("::").slice(1).join("::");
+      const { before: labelPart, inner: styleInner } = parseTrailingBracket(after);
+      const inner = String(styleInner || "").trim();
+      if (!inner) continue;
+      const classed = hasStyleClassRefs(inner); // with a class, "default" values may be overriding it (shape= is checked against it)
+
+      const parts = inner.split("|").map((p) => p.trim()).filter(Boolean);
+      const kept = [];
+
+      for (const p of parts) {
+        const eq = p.indexOf("=");
+        if (eq < 0) {
+          kept.push(p);
+          continue;
+        }
+        const k = p.slice(0, eq).trim().toLowerCase();
+        const v = p.slice(eq + 1).trim();
+        if (classed && k !== "shape") {
+          kept.push(p);
+          continue;
+        }
+
+        // Node fill: redundant only if global default node fill is set and matches.
+        if (k === "colour" || k === "color" || k === "background") {
+          const vCmp = normalizeColourForCompare(v);
+          if (defNodeFillCmp && vCmp && vCmp === defNodeFillCmp) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Node border: redundant only if global default node border is set and matches.
+        if (k === "border") {
+          if (s.defaultBoxBorder) {
+            const b = parseBorderRaw(v);
+            const bw = Number.isFinite(Number(b.penwidth)) ? Math.round(Number(b.penwidth)) : null;
+            const bs = b.style ? String(b.style).trim().toLowerCase() : null;
+            const bc = b.colorRaw ? normalizeColourForCompare(b.colorRaw) : "";
+            const same = bw === defNodeBorderW && bs === defNodeBorderStyle && bc === defNodeBorderColorCmp;
+            if (same) {
+              changed = true;
+              continue;
+            }
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Node shape: redundant if it matches the default for this line (group shape or global default).
+        if (k === "shape") {
+          if (normalizeNodeShape(v) && normalizeNodeShape(v) === defaultShapeByLine.get(i + 1)) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Node text size: drop if it's effectively 1 (no-op).
+        if (k === "text size" || k === "textscale" || k === "text scale") {
+          const scale = parseRelativeScale(v);
+          if (Number.isFinite(scale) && Math.abs(scale - 1) < 1e-9) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        kept.push(p);
+      }
+
+      const nextInner = kept.join(" | ").trim();
+      const bracket = nextInner ? ` [${nextInner}]` : "";
+      const c = comment ? ` ${comment.trim()}` : "";
+      const nextLine = `${idToken}:: ${String(labelPart || "").trim()}${bracket}${c}`.trimEnd();
+      if (nextLine !== raw) {
+        lines[i] = nextLine;
+        changed = true;
+      }
+      continue;
+    }
+
+    // Cluster line: "--Label [attrs]" (syntactic only; safe to normalize styleInner if present)
+    const cl = parseClusterDefLineAt(lines, i);
+    if (cl && cl.styleInner && !hasStyleClassRefs(cl.styleInner)) {
+      const parts = String(cl.styleInner || "")
+        .split("|")
+        .map((p) => p.trim())
+        .filter(Boolean);
+      const kept = [];
+      for (const p of parts) {
+        const eq = p.indexOf("=");
+        if (eq < 0) {
+          kept.push(p);
+          continue;
+        }
+        const k = p.slice(0, eq).trim().toLowerCase();
+        const v = p.slice(eq + 1).trim();
+
+        // Cluster border: redundant if it matches the built-in default cluster border (rounded + #cccccc).
+        if (k === "border") {
+          const b = parseBorderRaw(v);
+          const bw = Number.isFinite(Number(b.penwidth)) ? Math.round(Number(b.penwidth)) : null;
+          const bs = b.style ? String(b.style).trim().toLowerCase() : null;
+          const bc = b.colorRaw ? normalizeColourForCompare(b.colorRaw) : "";
+          const same = bw === defClusterBorderW && bs === defClusterBorderStyle && bc === defClusterBorderColorCmp;
+          if (same) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Group shape (for the nodes inside): redundant if the enclosing group or global default already gives it.
+        if (k === "shape") {
+          if (normalizeNodeShape(v) && normalizeNodeShape(v) === defaultShapeByLine.get(i + 1)) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Cluster title text colour: redundant if it matches the effective default.
+        if (k === "text colour" || k === "text color" || k === "textcolour" || k === "textcolor") {
+          const vCmp = normalizeColourForCompare(v);
+          if (vCmp && vCmp === defClusterTextColorCmp) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        // Cluster title text size: drop if effectively 1 (no-op).
+        if (k === "text size" || k === "textscale" || k === "text scale") {
+          const scale = parseRelativeScale(v);
+          if (Number.isFinite(scale) && Math.abs(scale - 1) < 1e-9) {
+            changed = true;
+            continue;
+          }
+          kept.push(p);
+          continue;
+        }
+
+        kept.push(p);
+      }
+
+      const nextInner = kept.join(" | ").trim();
+      if (nextInner !== cl.styleInner) {
+        setClusterDefLineAt(lines, cl.idx, { dashes: cl.dashes, alias: cl.alias, label: cl.label, styleInner: nextInner, comment: cl.comment });
+        changed = true;
+      }
+      continue;
+    }
+  }
+
+  // Tidy: remove blank lines that we may have created by dropping setting lines (keep it conservative).
+  // Only collapse runs of >2 blank lines to 2.
+  const out = [];
+  let blankRun = 0;
+  for (const l of lines) {
+    const isBlank = String(l || "").trim() === "";
+    if (isBlank) blankRun++;
+    else blankRun = 0;
+    if (blankRun > 2) {
+      changed = true;
+      continue;
+    }
+    out.push(l);
+  }
+
+  return changed ? out.join("\n").trimEnd() : text;
+}
+
+// -----------------------------
+// Format: rewrite a whole map into the recommended layout
+// -----------------------------
+// Settings (and "Style name:" classes) first, then node aliases and groups (contents indented by depth), then "## Links" with links and rank lines.
+// Relative order within each part is kept, so the drawing doesn't change; comment lines move with the statement below them.
+
+const FORMAT_INDENT = "  ";
+
+function formatBracketInner(inner) {
+  // "colour = red|border=1px solid" -> "colour=red | border=1px solid" (parseBracketAttrs() drops empty parts too)
+  return String(inner || "")
+    .split("|")
+    .map((p) => {
+      const part = p.trim();
+      const kv = part.match(/^([^=]*?)\s*=\s*(.*)$/);
+      return kv ? `${kv[1]}=${kv[2]}` : part;
+    })
+    .filter(Boolean)
+    .join(" | ");
+}
+
+function formatStatementCode(s) {
+  // One statement -> its canonical text (without indent or comment). null = keep the line as written.
+  const bracket = (inner) => {
+    const f = formatBracketInner(inner);
+    return f ? ` [${f}]` : "";
+  };
+  if (s.type === "setting") {
+    if (s.keyLower !== "title") return `${s.key}: ${s.value}`;
+    const { before, inner } = parseTrailingBracket(s.value);
+    return `${s.key}: ${before.trim()}${bracket(inner)}`;
+  }
+  if (s.type === "style_class") return `Style ${s.name}: ${formatBracketInner(s.styleInner)}`;
+  if (s.type === "variable") return `Let ${s.name} = ${s.value}`;
+  if (s.type === "node") return `${s.idToken}:: ${s.label}${bracket(s.styleInner)}`;
+  if (s.type === "group_close") return s.dashes;
+  if (s.type === "group_open") {
+    const out = [""];
+    setClusterDefLineAt(out, 0, { dashes: s.dashes, alias: s.alias, label: s.label, styleInner: formatBracketInner(s.styleInner) });
+    return out[0];
+  }
+  if (s.type === "edge") return `${formatEdgeChain(s)}${bracket(s.styleInner)}`;
+  if (s.type === "rank") return `rank=${s.kind}: ${s.tokens.map((t) => t.text).join(" | ")}`;
+  return null;
+}
+
+function formatSignature(s) {
+  // What a statement means (ignoring spacing), to check a reformatted line still says the same thing.
+  if (!s) return "";
+  const attrs = (inner) => parseBracketAttrs(String(inner || ""));
+  const title = s.type === "setting" && s.keyLower === "title" ? parseTrailingBracket(s.value) : null;
+  return JSON.stringify({
+    type: s.type,
+    id: s.id,
+    name: s.name,
+    label: s.label,
+    alias: s.alias,
+    dashes: s.dashes,
+    hasBracket: s.type === "group_open" ? s.hasBracket : undefined,
+    key: s.keyLower,
+    value: title ? [title.before.trim(), attrs(title.inner)] : s.value,
+    kind: s.kind,
+    hops: s.hops,
+    ops: s.ops,
+    ports: s.ports,
+    tokens: s.type === "rank" ? s.tokens.map((t) => t.text) : undefined,
+    attrs: attrs(s.styleInner),
+  });
+}
+
+export function formatMapScript(text, { resolveColour = cssColorToRgb } = {}) {
+  // Purpose: the editor's "Format document": tidy styling (normalizeDslRemoveRedundantSpecs), reorder into
+  // settings / aliases + boxes / "## Links", normalise spacing around "::", connectors, "|" and brackets,
+  // and indent group contents. Idempotent; returns the text unchanged if there are no statements.
+  const input = String(text ?? "");
+  const tidy = normalizeDslRemoveRedundantSpecs(input, parseMapScript(input).settings, { resolveColour });
+  const lines = tidy.split(/\r?\n/);
+
+  const parts = { settings: [], boxes: [], links: [] };
+  const clusterStack = []; // depths of the open groups (same rules as parseMapScript)
+  let comments = []; // comment-only lines waiting for the statement below them
+  let commentsBlankBefore = false;
+  let blankBefore = false;
+  let sawStatement = false;
+  let metaHost = null; // { s, item, indent } of the last node line: its indented "key: value" lines stay with it
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const trimmed = raw.trim();
+    if (!trimmed) {
+      if (sawStatement || comments.length) blankBefore = true;
+      metaHost = null;
+      continue;
+    }
+    const meta = metaHost && parseNodeMetaLine(raw, metaHost.s.span.col, i + 1);
+    if (meta) {
+      const indent = `${metaHost.indent}${FORMAT_INDENT}`;
+      const comment = meta.comment ? ` ${meta.comment.trim()}` : "";
+      metaHost.item.lines.push(...comments.map((c) => `${indent}${c}`), `${indent}${meta.key}: ${meta.value}${comment}`.trimEnd());
+      comments = [];
+      continue;
+    }
+    const s = parseMapScriptLine(raw, i + 1);
+    if (!s) {
+      // The "## Links" heading is written fresh below.
+      if (!/^##\s*links\b/i.test(trimmed)) {
+        if (!comments.length) commentsBlankBefore = blankBefore;
+        comments.push(trimmed);
+      }
+      blankBefore = false;
+      continue;
+    }
+
+    let part = "boxes";
+    if (s.type === "setting" || s.type === "style_class" || s.type === "variable") part = "settings";
+    else if (s.type === "edge" || s.type === "rank" || s.of === "edge" || s.of === "rank") part = "links";
+    if (s.type === "setting" && s.keyLower === "include" && clusterStack.length) part = "boxes"; // its nodes join this group
+
+    let depth = 0;
+    if (part === "boxes") {
+      if (s.type === "group_close") {
+        while (clusterStack.length && clusterStack[clusterStack.length - 1] >= s.depth) clusterStack.pop();
+      } else if (s.type === "group_open") {
+        while (clusterStack.length && clusterStack[clusterStack.length - 1] > s.depth - 2) clusterStack.pop();
+      }
+      depth = clusterStack.length;
+      if (s.type === "group_open") clusterStack.push(s.depth);
+    }
+
+    let code = formatStatementCode(s);
+    if (code == null || formatSignature(parseMapScriptLine(code, i + 1)) !== formatSignature(s)) {
+      code = stripCommentKeepSuffix(raw).code.trim();
+    }
+    const indent = FORMAT_INDENT.repeat(depth);
+    const comment = s.comment ? ` ${s.comment.trim()}` : "";
+    const item = {
+      blankBefore: comments.length ? commentsBlankBefore : blankBefore,
+      lines: [...comments.map((c) => `${indent}${c}`), `${indent}${code}${comment}`],
+    };
+    parts[part].push(item);
+    metaHost = s.type === "node" ? { s, item, indent } : null;
+    comments = [];
+    blankBefore = false;
+    sawStatement = true;
+  }
+  if (!sawStatement) return input;
+
+  const out = [];
+  const emit = (items) => {
+    items.forEach((item, n) => {
+      if (n > 0 && item.blankBefore) out.push("");
+      out.push(...item.lines);
+    });
+  };
+  for (const part of ["settings", "boxes", "links"]) {
+    if (!parts[part].length) continue;
+    if (out.length) out.push("");
+    if (part === "links") out.push("## Links");
+    emit(parts[part]);
+  }
+  if (comments.length) {
+    // Comments after the last statement stay at the end.
+    out.push("", ...comments);
+  }
+  return `${out.join("\n")}${/\n$/.test(input) ? "\n" : ""}`;
+}
+
+// -----------------------------
+// Lint: warnings for maps that parse fine but are probably not what was meant
+// -----------------------------
+//
+// lintMapScript(text) -> [{ line, message, fix }] sorted by line (1-based, like "Line N: ..." errors).
+// Warnings never stop or change the render; hard problems stay in parseMapScript()/astToDot() errors.
+// `fix` is null or { label, apply(lines) -> lines } for a one-click repair (apply may patch `lines` in place).
+
+function editDistance(a, b) {
+  // Optimal string alignment distance: Levenshtein plus swapping two neighbouring letters as one edit
+  // ("Grwoth" -> "Growth" is 1). Ids are short, so the plain O(n*m) table is fine.
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function likelyMeantId(token, knownIds) {
+  // Purpose: the defined id/alias an undefined link endpoint was probably meant to be ("Awarness" -> "Awareness").
+  // Short ids only match when they differ in case: "A -> B" without definitions is ordinary MapScript.
+  if (!isSimpleIdToken(token)) return "";
+  let best = "";
+  let bestDist = Infinity;
+  for (const id of knownIds) {
+    const n = Math.min(token.length, id.length);
+    const maxDist = n >= 8 ? 2 : n >= 4 ? 1 : 0;
+    const d = token.toLowerCase() === id.toLowerCase() ? 0 : editDistance(token, id);
+    if (d <= maxDist && d < bestDist) {
+      best = id;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+function replaceSpanInLines(lines, span, expected, text) {
+  // Purpose: swap the text at a parser span, but only if it still reads `expected` (the editor may have moved on).
+  const idx = span.line - 1;
+  const raw = String(lines[idx] ?? "");
+  if (raw.slice(span.col, span.endCol) === expected) lines[idx] = raw.slice(0, span.col) + text + raw.slice(span.endCol);
+  return lines;
+}
+
+function quoteList(names, max = 4) {
+  const shown = names.slice(0, max).map((n) => `"${n}"`);
+  return names.length > max ? `${shown.join(", ")} and ${names.length - max} more` : shown.join(", ");
+}
+
+// A "#..." hex-looking value right where a colour is expected, but not 3, 6 or 8 digits: the "#" started a comment.
+const SWALLOWED_HEX_RE = /^#[0-9a-f]+(?![\w-])/i;
+
+export function lintMapScript(text, { resolveInclude = null } = {}) {
+  // Purpose: likely mistakes, each with a quick fix where there is an obvious one:
+  // - link endpoint that is a near-miss of a defined id/alias (typo -> accidental new node)
+  // - explicit node with no links
+  // - the same link drawn twice
+  // - group with no nodes
+  // - part of the map that no link connects to the rest
+  // - "#hex" colour after "colour=" (or "Background:") with the wrong number of digits, so swallowed as a comment
+  // - rank line mixing nodes from different groups
+  // - rank lines, Direction and links to groups under a "Layout:" that ignores them (and groups it doesn't draw)
+  // Nodes from "Include:" maps count as defined, but are not reported as unlinked (the host may use only some of them).
+  const ast = parseMapScript(text, { resolveInclude });
+  const rawLines = String(text ?? "").split(/\r?\n/);
+  const warnings = [];
+  const warn = (line, message, fix = null) => warnings.push({ line, message, fix });
+
+  const explicitIds = new Set(ast.nodes.map((n) => n.id));
+  const clusterByAlias = new Map();
+  for (const c of ast.clusters) if (c.alias && !clusterByAlias.has(c.alias)) clusterByAlias.set(c.alias, c);
+  const knownIds = [...explicitIds, ...clusterByAlias.keys()];
+  const endpointKey = (tok) => (clusterByAlias.has(tok) ? tok : nodeIdFromToken(tok));
+
+  // Nodes inside a group (nested groups included), so a link to a group alias counts for its members.
+  const childClusters = new Map();
+  for (const c of ast.clusters) {
+    if (!childClusters.has(c.parentId)) childClusters.set(c.parentId, []);
+    childClusters.get(c.parentId).push(c);
+  }
+  const membersOf = (c) => [...c.nodeIds, ...(childClusters.get(c.id) || []).flatMap(membersOf)];
+
+  // Union-find over link endpoints (for "not connected to the rest of the map").
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) x = parent.get(x);
+    return x;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  const firstLinkLine = new Map(); // endpoint key -> first line it is linked on
+
+  const seenLinks = new Map(); // rendered link key -> first line
+  for (const e of ast.edges) {
+    for (const tok of e.tokens.flat()) {
+      const key = endpointKey(tok.text);
+      if (!firstLinkLine.has(key)) firstLinkLine.set(key, e.line);
+      find(key);
+      if (clusterByAlias.has(tok.text) || explicitIds.has(key)) continue;
+      const meant = likelyMeantId(tok.text, knownIds);
+      if (meant) {
+        warn(e.line, `"${tok.text}" is not defined, so it becomes a new node; did you mean "${meant}"?`, {
+          label: `Use ${meant}`,
+          apply: (lines) => replaceSpanInLines(lines, tok.span, tok.text, meant),
+        });
+      }
+    }
+
+    const onThisLine = new Set();
+    for (const pair of edgeChainPairs(e)) {
+      const { fromTok, toTok, dir } = orientEdgePair(pair);
+      const from = endpointKey(fromTok);
+      const to = endpointKey(toTok);
+      union(from, to);
+      const ends = dir ? [from, to].sort() : [from, to];
+      const linkKey = `${ends[0]} ${dir || "->"} ${ends[1]}`;
+      const arrow = `${pair.s} ${pair.op} ${pair.t}`;
+      if (onThisLine.has(linkKey)) {
+        warn(e.line, `the link ${arrow} appears twice on this line`);
+      } else if (seenLinks.has(linkKey)) {
+        warn(e.line, `the link ${arrow} is already on line ${seenLinks.get(linkKey)}, so it is drawn twice`, {
+          label: "Remove duplicate",
+          apply: (lines) => (deleteSingleEdgeFromLine(lines, e.line, nodeIdFromToken(fromTok), nodeIdFromToken(toTok)), lines),
+        });
+      }
+      onThisLine.add(linkKey);
+      if (!seenLinks.has(linkKey)) seenLinks.set(linkKey, e.line);
+    }
+  }
+
+  const linkedAliases = [...clusterByAlias.keys()].filter((a) => firstLinkLine.has(a));
+  const reachedViaGroup = new Set();
+  for (const alias of linkedAliases) {
+    for (const id of membersOf(clusterByAlias.get(alias))) {
+      reachedViaGroup.add(id);
+      if (parent.has(id)) union(alias, id);
+    }
+  }
+
+  for (const n of ast.nodes) {
+    if (n.source || firstLinkLine.has(n.id) || reachedViaGroup.has(n.id)) continue;
+    warn(n.line, `node "${n.id}" is not linked to anything`, {
+      label: "Delete node",
+      apply: (lines) => deleteNodeEverywhere(lines, n.id),
+    });
+  }
+
+  for (const c of ast.clusters) {
+    if (membersOf(c).length || childClusters.has(c.id)) continue;
+    const name = c.label || c.alias || "untitled";
+    const linked = c.alias && firstLinkLine.has(c.alias);
+    warn(c.line, `group "${name}" has no nodes in it`, linked ? null : { label: "Remove group", apply: (lines) => deleteCluster(lines, c.id) });
+  }
+
+  // Separate pieces of the map: everything except the biggest piece is reported once, at its first link.
+  const pieces = new Map(); // root -> endpoint keys (in order of first appearance)
+  for (const key of firstLinkLine.keys()) {
+    const root = find(key);
+    if (!pieces.has(root)) pieces.set(root, []);
+    pieces.get(root).push(key);
+  }
+  if (pieces.size > 1) {
+    const biggest = [...pieces.values()].reduce((a, b) => (b.length > a.length ? b : a));
+    for (const keys of pieces.values()) {
+      if (keys === biggest) continue;
+      warn(firstLinkLine.get(keys[0]), `${quoteList(keys)} ${keys.length > 1 ? "are" : "is"} not connected to the rest of the map`);
+    }
+  }
+
+  rawLines.forEach((raw, i) => {
+    const { code, comment } = stripCommentKeepSuffix(raw);
+    const hex = comment.match(SWALLOWED_HEX_RE);
+    if (!hex) return;
+    const inOpenBracket = code.lastIndexOf("[") > code.lastIndexOf("]");
+    const afterValueStart = inOpenBracket ? /(=|\b(?:solid|dashed|dotted|bold|\d+(?:\.\d+)?px))\s*$/i.test(code) : /^\s*[A-Za-z][A-Za-z ]*:\s*$/.test(code);
+    if (!afterValueStart) return;
+    const message = `"${hex[0]}" is not a hex colour (use 3, 6 or 8 digits), so it starts a comment and the rest of the line is ignored`;
+    const replacement = expandHexColor(hex[0]); // only "#rgba" has an obvious fix: "#rrggbb" (alpha dropped)
+    const span = { line: i + 1, col: code.length, endCol: code.length + hex[0].length };
+    warn(i + 1, message, replacement ? { label: `Use ${replacement}`, apply: (lines) => replaceSpanInLines(lines, span, hex[0], replacement) } : null);
+  });
+
+  // Layouts other than hierarchical (Graphviz dot) have no ranks, direction or group-border links.
+  const layoutSetting = ast.statements.findLast((s) => s.type === "setting" && s.keyLower === "layout");
+  if (layoutSetting && !normalizeLayout(layoutSetting.value)) {
+    warn(layoutSetting.line, `unknown layout "${layoutSetting.value}" (use ${Object.keys(LAYOUTS).join(", ")}), so the map is drawn hierarchical`);
+  }
+  const layout = ast.settings.layout;
+  const hierarchical = !layout || layout === "hierarchical";
+  if (!hierarchical) {
+    for (const r of ast.ranks) warn(r.line, `rank lines only apply to the hierarchical layout, so the ${layout} layout ignores this one`);
+    for (const s of ast.statements) {
+      if (s.type === "setting" && s.keyLower === "direction") warn(s.line, `Direction only applies to the hierarchical layout, so the ${layout} layout ignores it`);
+    }
+    for (const e of ast.edges) {
+      const groups = [...new Set(e.tokens.flat().map((tok) => tok.text).filter((t) => clusterByAlias.has(t)))];
+      if (!groups.length) continue;
+      warn(e.line, `in the ${layout} layout a link to or from a group (${quoteList(groups)}) ends on the group's first node, not on its border`);
+    }
+    if ((layout === "radial" || layout === "circular") && ast.clusters.length) {
+      const names = ast.clusters.map((c) => c.label || c.alias || "untitled");
+      warn(layoutSetting.line, `the ${layout} layout does not draw groups, so ${quoteList(names)} ${names.length > 1 ? "have" : "has"} no box (use force or packed to keep them)`);
+    }
+  }
+
+  const nodeClusterId = new Map(ast.nodes.map((n) => [n.id, n.clusterId]));
+  for (const r of hierarchical ? ast.ranks : []) {
+    const scopes = new Map(); // cluster id ("" = top level) -> tokens
+    for (const tok of r.tokens) {
+      const c = clusterByAlias.get(tok.text);
+      const scope = c ? c.id : nodeClusterId.get(nodeIdFromToken(tok.text)) || "";
+      if (!scopes.has(scope)) scopes.set(scope, []);
+      scopes.get(scope).push(tok.text);
+    }
+    if (scopes.size < 2) continue;
+    warn(r.line, "rank line mixes nodes from different groups (or grouped and ungrouped nodes)", {
+      label: "Split per group",
+      apply: (lines) => {
+        const raw = String(lines[r.line - 1] ?? "");
+        const m = raw.match(/^(\s*)rank\s*=\s*([^:]+?)\s*:/i);
+        if (!m) return lines;
+        const { comment } = stripCommentKeepSuffix(raw);
+        const next = [...scopes.values()].map((toks, n) => `${m[1]}rank=${m[2]}: ${toks.join(" | ")}${n === 0 && comment ? ` ${comment}` : ""}`);
+        lines.splice(r.line - 1, 1, ...next);
+        return lines;
+      },
+    });
+  }
+
+  return warnings.sort((a, b) => a.line - b.line);
+}
@@ -0,0 +1,61 @@
+// Collapsed groups: "--Drivers [collapsed]" draws the group as one node and moves its links there.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mapScriptCompletions } from "../ace-mapscript.js";
+import { astToDot, clusterIdFromCollapsedNodeId, parseMapScript, setClusterCollapsed } from "../mapscript.js";
+
+const MAP = [
+  "-- d:: Drivers [colour=wheat | collapsed]",
+  "A:: Awareness",
+  "---- Inner",
+  "B:: Behaviour",
+  "----",
+  "--",
+  "-- o:: Outcomes",
+  "C:: Change",
+  "--",
+  "A -> C [helps]",
+  "B -> C [drives]",
+  "A -> B",
+  "d -> o",
+  "C -> A:s",
+];
+const dotOf = (lines) => astToDot(parseMapScript(lines.join("\n")));
+
+test("a collapsed group is one summary node, drawn like its box, with the node count", () => {
+  const { dot, errors } = dotOf(MAP);
+  assert.deepEqual(errors, []);
+  assert.equal(parseMapScript(MAP.join("\n")).clusters[0].collapsed, true);
+  assert.match(dot, /"__collapsed_cluster_0" \[label="Drivers\\n2 nodes", style="rounded,filled", color="#cccccc", fillcolor="wheat", peripheries="2", id="tm_n__collapsed_cluster_0"\];/);
+  assert.doesNotMatch(dot, /subgraph cluster_[01] |"A" \[|"B" \[/); // the group and its nested group are gone
+  assert.match(dot, /subgraph cluster_2 \{/);
+  assert.equal(clusterIdFromCollapsedNodeId("__collapsed_cluster_0"), "cluster_0");
+  assert.equal(clusterIdFromCollapsedNodeId("A"), "");
+});
+
+test("links move to the summary node and are drawn once per pair, with a count", () => {
+  const { dot } = dotOf(MAP);
+  assert.match(dot, /"__collapsed_cluster_0" -> "C" \[label="2 links", tooltip="helps; drives", labeltooltip="helps; drives", id="tm_e_10--/);
+  assert.match(dot, /"__collapsed_cluster_0" -> "C" \[lhead="cluster_2", weight="0", id="tm_e_13--/); // still ends on the Outcomes border
+  assert.match(dot, /"C" -> "__collapsed_cluster_0" \[id=/); // no port on the summary node
+  assert.doesNotMatch(dot, /ltail="cluster_0"|"A" -> "B"/); // the link inside the group is hidden
+  assert.equal(dot.match(/ -> /g).length, 3);
+  // Expanded, the same map keeps its group box and compound links.
+  const expanded = dotOf(MAP.map((l, i) => (i === 0 ? "-- d:: Drivers [colour=wheat]" : l))).dot;
+  assert.match(expanded, /"A" -> "C" \[ltail="cluster_0", lhead="cluster_2", weight="0"/);
+  assert.doesNotMatch(expanded, /__collapsed_/);
+});
+
+test("setClusterCollapsed toggles the flag on the group line; completion offers it", () => {
+  const lines = [...MAP];
+  assert.equal(setClusterCollapsed(lines, 0, false), true);
+  assert.equal(lines[0], "--d:: Drivers [colour=wheat]");
+  assert.equal(setClusterCollapsed(lines, 6, true), true);
+  assert.equal(lines[6], "--o:: Outcomes [collapsed]");
+  assert.equal(setClusterCollapsed(lines, 5, true), false); // a closing marker
+  const at = (line) => mapScriptCompletions([line], 0, line.length).items.map((it) => it.value);
+  assert.ok(at("-- g:: G [colour=red | co").includes("collapsed"));
+  assert.ok(!at("A:: Awareness [co").includes("collapsed"));
+});
@@ -0,0 +1,45 @@
+// Hex colours in MapScript: "#rrggbb" where a colour value goes is a colour; everywhere else "#" starts a comment.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, compactColourToken, findCommentStart, normalizeColor, parseMapScript, stripComment } from "../mapscript.js";
+
+test("a hex colour in a colour position is not a comment", () => {
+  assert.equal(stripComment("A:: Label [colour=#ff0000 | border=2px solid #333] # note"), "A:: Label [colour=#ff0000 | border=2px solid #333]");
+  assert.equal(stripComment("A -> B [causes | #336699cc]"), "A -> B [causes | #336699cc]");
+  assert.equal(stripComment("Background: #fafafa # page"), "Background: #fafafa");
+  assert.equal(stripComment("Default node border: 1px solid #ccc"), "Default node border: 1px solid #ccc");
+  assert.equal(stripComment("Style brand: colour=#0a7 | text colour=#fff"), "Style brand: colour=#0a7 | text colour=#fff");
+});
+
+test("everything else still starts a comment", () => {
+  assert.equal(findCommentStart("A -> B #fff"), 7); // outside [...]
+  assert.equal(findCommentStart("Title: Issue #123"), 13); // not a colour setting
+  assert.equal(findCommentStart("A:: X [colour=#ff00]"), 14); // 4 digits
+  assert.equal(findCommentStart("A:: X [colour=#ff0000x]"), 14); // not the whole value
+  assert.equal(findCommentStart("A:: X [label=x#fff]"), 14); // does not start the value
+  assert.equal(findCommentStart("A:: X [colour=red] #abc"), 19); // after the bracket closed
+  assert.equal(findCommentStart("Background: red #add later"), 16); // after a value, not the whole value
+  assert.equal(findCommentStart("A:: X [colour=red #abc]"), 18);
+  assert.equal(astToDot(parseMapScript("Background: red #add later")).dot.match(/bgcolor="[^"]*"/)[0], 'bgcolor="red"');
+  assert.equal(findCommentStart("## Links"), 0);
+});
+
+test("hex(...) and #hex colours reach the DOT", () => {
+  const { dot, errors } = astToDot(
+    parseMapScript(["Background: #FAFAFA", "A:: One [colour=hex(ff0000) | border=2px dashed #00f]", "A -> B [label | 1px solid #0a0]"].join("\n"))
+  );
+  assert.deepEqual(errors, []);
+  assert.match(dot, /bgcolor="#fafafa"/);
+  assert.match(dot, /"A" \[fillcolor="#ff0000", style="filled,dashed", color="#0000ff"/);
+  assert.match(dot, /"A" -> "B" \[label="label", color="#00aa00"/);
+  assert.equal(normalizeColor("hex(#abc)"), "#aabbcc");
+});
+
+test("UI-written colours use the compact form", () => {
+  assert.equal(compactColourToken("rgb(255, 0, 0)"), "#ff0000");
+  assert.equal(compactColourToken("#ABC"), "#aabbcc");
+  assert.equal(compactColourToken("hex(0a7)"), "#00aa77");
+  assert.equal(compactColourToken("seagreen"), "seagreen");
+});
@@ -0,0 +1,97 @@
+// Editor completion: what mapScriptCompletions() suggests for the text before the cursor.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mapScriptCompletions } from "../ace-mapscript.js";
+
+const DOC = [
+  "Title: Demo",
+  "-- drivers:: Drivers",
+  "A:: Awareness",
+  "B:: Behaviour change",
+  "--",
+  "",
+];
+
+function complete(line, column = line.length) {
+  // Purpose: completions with the cursor on an extra last line.
+  const lines = [...DOC.slice(0, -1), line];
+  const res = mapScriptCompletions(lines, lines.length - 1, column);
+  return { start: res.start, values: res.items.map((it) => it.value), items: res.items };
+}
+
+test("link endpoints suggest node ids (with labels) and group aliases", () => {
+  const res = complete("A -> ");
+  assert.deepEqual(res.values, ["A", "B", "drivers"]);
+  assert.equal(res.start, 5);
+  assert.equal(res.items[1].meta, "Behaviour change");
+  assert.equal(res.items[2].meta, "group");
+  assert.deepEqual(complete("A | d").values, ["drivers"]);
+  assert.deepEqual(complete("x <-> B -- b").values, ["B"]);
+});
+
+test("line start suggests setting keys, rank lines and ids", () => {
+  const res = complete("Default node c");
+  assert.deepEqual(res.values, ["Default node colour: "]);
+  assert.equal(res.start, 0);
+  assert.ok(complete("").values.includes("Direction: "));
+  assert.ok(complete("").values.includes("A"));
+  assert.deepEqual(complete("ran").values.slice(0, 2), ["rank=same: ", "rank=min: "]);
+});
+
+test("settings values", () => {
+  assert.deepEqual(complete("Direction: top").values, ["top-bottom"]);
+  assert.deepEqual(complete("Background: alice").values, ["aliceblue"]);
+  assert.equal(complete("Background: alice").start, "Background: ".length);
+  assert.deepEqual(complete("Default node shadow: ").values, ["none", "subtle", "medium", "strong"]);
+});
+
+test("rank lines suggest kinds, then ids", () => {
+  assert.deepEqual(complete("rank=so").values, ["source: "]);
+  assert.deepEqual(complete("rank=same: A | ").values, ["A", "B", "drivers"]);
+});
+
+test("inside [...] keys depend on the kind of line", () => {
+  assert.deepEqual(complete("C:: Cost [").values, ["colour=", "border=", "shape=", "text size=", "url=", "tooltip="]);
+  assert.deepEqual(complete("-- g:: G [colour=red | text c").values, ["text colour="]);
+  assert.deepEqual(complete("A -> B [label=x | label s").values, ["label style=", "label size="]);
+  assert.equal(complete("A -> B [label=x | label s").start, "A -> B [label=x | ".length);
+  assert.deepEqual(complete("Title: Demo [text s").values, ["text size="]);
+});
+
+test("inside [...] values: colours, shapes, label styles, border colours", () => {
+  assert.deepEqual(complete("C:: Cost [colour=lightg").values, ["lightgoldenrodyellow", "lightgray", "lightgreen", "lightgrey"]);
+  assert.deepEqual(complete("C:: Cost [shape=").values.slice(0, 3), ["box", "rounded", "stadium"]);
+  assert.deepEqual(complete("C:: Cost [shape=di").values, ["diamond"]);
+  assert.deepEqual(complete("-- g:: G [shape=cyl").values, ["cylinder"]);
+  assert.deepEqual(complete("A -> B [label style=bo").values, ["bold", "bold italic"]);
+  const border = complete("C:: Cost [border=2px dashed tom");
+  assert.deepEqual(border.values, ["tomato"]);
+  assert.equal(border.start, "C:: Cost [border=2px dashed ".length);
+});
+
+test("no suggestions in comments, labels or after a closed bracket", () => {
+  assert.deepEqual(complete("A -> B # c").values, []);
+  assert.deepEqual(complete("C:: Cost of").values, []);
+  assert.deepEqual(complete("A -> B [x] ").values, []);
+  assert.deepEqual(complete("C:: Cost [colour=#fafafa | text s").values, ["text size="]); // a hex colour is not a comment
+});
+
+test("style classes: [.name], class= values and the attributes of a Style line", () => {
+  const at = (lines) => mapScriptCompletions(lines, lines.length - 1, lines[lines.length - 1].length).items.map((it) => it.value);
+  const defs = ["Style warm: colour=wheat", "Style wide: border=3px solid"];
+  assert.deepEqual(at([...defs, "A:: One [.w"]), [".warm", ".wide"]);
+  assert.deepEqual(at([...defs, "A -> B [label=x | class=wa"]), ["warm"]);
+  assert.ok(at([...defs, "--G [c"]).includes("class="));
+  assert.deepEqual(at(["Style warm: colour=wheat | label s"]), ["label style=", "label size="]);
+  assert.deepEqual(at(["Style warm: text c"]), ["text colour="]);
+});
+
+test("link ports: compass points after \"id:\", sides for from= / to=", () => {
+  const res = complete("A -> B:s");
+  assert.deepEqual(res.values, ["s", "sw", "se"]);
+  assert.equal(res.start, "A -> B:".length);
+  assert.deepEqual(complete("A -> B [to=bottom-").values, ["bottom-left", "bottom-right"]);
+  assert.deepEqual(complete("Title: x").values, []); // a setting, not a port
+});
@@ -0,0 +1,59 @@
+// formatMapScript(): the editor's "Format document" (layout and spacing; the gallery round trip is in line-helpers.test.mjs).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatMapScript } from "../mapscript.js";
+
+test("reorders into settings, aliases + groups, then ## Links", () => {
+  const text = [
+    "# Intro comment",
+    "A->B|C   [ leads to|2px dashed ]",
+    "Title :  Demo [text size = 20]",
+    "",
+    "--g::Group",
+    "B  ::  Middle  [colour = white]",
+    "Direction: LR",
+    "---- inner:: Inner",
+    "# about C",
+    "C:: End # trailing",
+    "----",
+    "rank = same : B|C",
+    "--",
+    "## Links",
+    "C <-> A",
+  ].join("\n");
+  assert.equal(
+    formatMapScript(text),
+    [
+      "Title: Demo [text size=20]",
+      "Direction: LR",
+      "",
+      "--g:: Group",
+      "  B:: Middle [colour=white]",
+      "  ----inner:: Inner",
+      "    # about C",
+      "    C:: End # trailing",
+      "  ----",
+      "--",
+      "",
+      "## Links",
+      "# Intro comment",
+      "A -> B | C [leads to | 2px dashed]",
+      "rank=same: B | C",
+      "C <-> A",
+    ].join("\n")
+  );
+});
+
+test("is idempotent and leaves lines it can't rewrite as written", () => {
+  const text = "A:: First\n---odd\nA ->  -> B\n";
+  const once = formatMapScript(text);
+  assert.equal(once, "A:: First\n---odd\n\n## Links\nA ->  -> B\n");
+  assert.equal(formatMapScript(once), once);
+  assert.equal(formatMapScript("# only a comment\n"), "# only a comment\n");
+});
+
+test("drops styling that repeats the defaults", () => {
+  assert.equal(formatMapScript("Default link width: 1\nA -> B [x | 1px solid]"), "## Links\nA -> B [x]");
+});
@@ -0,0 +1,36 @@
+// Golden DOT snapshots: every GALLERY_EXAMPLES entry through parseMapScript() -> astToDot().
+// A diff here means the rendered diagram changes for a built-in example; if that's intended, refresh with:
+//   UPDATE_SNAPSHOTS=1 npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { GALLERY_EXAMPLES } from "../examples.js";
+import { astToDot, parseMapScript } from "../mapscript.js";
+
+const SNAPSHOT_DIR = fileURLToPath(new URL("./snapshots/", import.meta.url));
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+test("gallery examples have unique ids (used as snapshot file names)", () => {
+  const ids = GALLERY_EXAMPLES.map((ex) => ex.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+for (const ex of GALLERY_EXAMPLES) {
+  test(`${ex.id} (${ex.title}) matches its DOT snapshot`, () => {
+    // No measureText: node widths are left to Graphviz, so the DOT doesn't depend on browser fonts.
+    const { dot, errors } = astToDot(parseMapScript(ex.dsl));
+    assert.deepEqual(errors, [], "built-in examples should not report MapScript errors");
+
+    const file = `${SNAPSHOT_DIR}${ex.id}.dot`;
+    if (UPDATE) {
+      mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      writeFileSync(file, `${dot}\n`);
+      return;
+    }
+    assert.ok(existsSync(file), `missing snapshot tests/snapshots/${ex.id}.dot (run UPDATE_SNAPSHOTS=1 npm test)`);
+    assert.equal(`${dot}\n`, readFileSync(file, "utf8"));
+  });
+}
@@ -0,0 +1,81 @@
+// "Include: name": another map's settings, style classes and nodes merged at that line (parseMapScript's resolveInclude).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, findCommentStart, formatMapScript, lintMapScript, parseMapScript } from "../mapscript.js";
+
+const MAPS = {
+  shared: ["Background: wheat", "Style warm: colour=tomato", "Awareness:: Awareness [.warm]", "  owner: Ann", "Behaviour:: Behaviour", "Awareness -> Behaviour"].join("\n"),
+  broken: ["Title: Broken", "X:: Uses [.missing]", "A -> "].join("\n"),
+  loopA: "Include: loopB",
+  loopB: "Include: loopA",
+  nested: "Include: shared\nOutcome:: Outcome",
+  palette: "Let brand = navy\nLet accent = gold",
+};
+const resolveInclude = (name) => MAPS[name] ?? null;
+
+test("settings, style classes and nodes are merged at the Include line", () => {
+  const ast = parseMapScript(["-- g:: Group", "Include: shared", "--", "Background: white", "Awareness -> Outcome"].join("\n"), { resolveInclude });
+  assert.deepEqual(ast.errors, []);
+  assert.equal(ast.settings.background, "white"); // later lines win
+  assert.deepEqual(
+    ast.nodes.map((n) => [n.id, n.line, n.source, n.sourceLine, n.clusterId]),
+    [
+      ["Awareness", 2, "shared", 3, "cluster_0"],
+      ["Behaviour", 2, "shared", 5, "cluster_0"],
+    ]
+  );
+  assert.equal(ast.edges.length, 1); // the included map's links stay there
+  const { dot } = astToDot(ast);
+  assert.match(dot, /"Awareness" \[fillcolor="tomato", style="filled", meta_owner="Ann", label="Awareness"/);
+  assert.doesNotMatch(dot, /"Awareness" -> "Behaviour"/);
+});
+
+test("this map's own settings, style classes and nodes win, above or below the Include line", () => {
+  const ast = parseMapScript(["Background: white", "Style warm: colour=gold", "Awareness:: Mine", "Include: shared"].join("\n"), { resolveInclude });
+  assert.deepEqual(ast.errors, []);
+  assert.equal(ast.settings.background, "white");
+  assert.deepEqual(ast.nodes.map((n) => [n.id, n.label, n.source]), [["Awareness", "Mine", undefined], ["Behaviour", "Behaviour", "shared"]]);
+  const { dot } = astToDot(ast);
+  assert.match(dot, /"Awareness" \[label="Mine"/);
+  assert.match(dot, /bgcolor="white"/);
+});
+
+test("an included map's variables work above its Include line; this map's Let wins", () => {
+  const ast = parseMapScript(["A:: a [colour=$brand | border=1px solid $accent]", "Let accent = red", "Include: palette"].join("\n"), { resolveInclude });
+  assert.deepEqual(ast.errors, []);
+  assert.equal(ast.nodes[0].styleInner, "colour=navy | border=1px solid red");
+  assert.deepEqual([ast.variables.brand.line, ast.variables.brand.source], [3, "palette"]);
+});
+
+test("resolveInclude is told which maps a nested Include line is in", () => {
+  const calls = [];
+  parseMapScript("Include: nested", { resolveInclude: (name, stack) => (calls.push([name, stack]), resolveInclude(name)) });
+  assert.deepEqual(calls, [
+    ["nested", []],
+    ["shared", ["nested"]],
+  ]);
+});
+
+test("errors name the included map and its line; missing maps and cycles are reported", () => {
+  const { errors } = astToDot(parseMapScript("Include: broken\nInclude: nowhere", { resolveInclude }));
+  assert.deepEqual(errors, [
+    'Line 1: in included "broken", line 3: unrecognised syntax: A -> ',
+    'Line 2: cannot find "nowhere" to include (use the name of a saved map, an example id or a #m= link)',
+    'Line 1: in included "broken", line 2: unknown style class "missing" (define it with a "Style missing: ..." line)',
+  ]);
+  assert.deepEqual(parseMapScript("Include: loopA", { resolveInclude }).errors, [
+    'Line 1: in included "loopA", line 1: in included "loopB", line 1: Include cycle: loopA -> loopB -> loopA',
+  ]);
+  // A map reached twice is merged once (no "already defined" errors).
+  assert.deepEqual(parseMapScript("Include: nested\nInclude: shared", { resolveInclude }).errors, []);
+});
+
+test("included nodes are known to lint, stay in their group when formatted, and #m= links are not comments", () => {
+  const warnings = lintMapScript("Include: shared\nAwarenes -> Outcome", { resolveInclude }).map((w) => w.message);
+  assert.deepEqual(warnings, ['"Awarenes" is not defined, so it becomes a new node; did you mean "Awareness"?']);
+  assert.equal(formatMapScript("Title: T\n--g:: G\nInclude: shared\n--\n"), "Title: T\n\n--g:: G\n  Include: shared\n--\n");
+  assert.equal(findCommentStart("Include: #m=VGl0bGU6IERlbW8"), -1);
+  assert.equal(findCommentStart("Include: shared # note"), 16);
+});
@@ -0,0 +1,49 @@
+// Layouts: "Layout: hierarchical | radial | force | circular | packed" and what other engines leave out.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, layoutEngine, lintMapScript, normalizeLayout, parseMapScript } from "../mapscript.js";
+
+const MAP = ["Direction: TB", "-- d:: Drivers", "A:: Awareness", "B:: Behaviour", "--", "C:: Cost", "rank=same: A | B", "rank=1: C", "d -> C", "A -> B"];
+
+test("Layout picks the Graphviz engine; the default stays dot with no layout attribute", () => {
+  assert.equal(astToDot(parseMapScript("Layout: radial\nA -> B")).engine, "twopi");
+  assert.equal(normalizeLayout("Circo"), "circular");
+  assert.equal(normalizeLayout("neato"), "force");
+  assert.equal(normalizeLayout("spiral"), null);
+  assert.equal(layoutEngine({ layout: "packed" }), "osage");
+  assert.equal(layoutEngine({}), "dot");
+  const { dot, engine } = astToDot(parseMapScript(MAP.join("\n")));
+  assert.equal(engine, "dot");
+  assert.doesNotMatch(dot, /layout=/);
+  assert.match(dot, /compound="true"/);
+  assert.match(dot, /rankdir="TB"/);
+  assert.match(dot, /"A" -> "C" \[ltail="cluster_0", weight="0"/);
+});
+
+test("other engines get no rankdir, rank subgraphs or compound links", () => {
+  const { dot, errors, engine } = astToDot(parseMapScript(["Layout: force", ...MAP].join("\n")));
+  assert.deepEqual(errors, []);
+  assert.equal(engine, "fdp");
+  assert.match(dot, /graph \[fontname="Arial", layout="fdp", overlap="false"\]/);
+  assert.doesNotMatch(dot, /rankdir|rank=|compound|ltail|weight|style="invis"/);
+  assert.match(dot, /subgraph cluster_0 \{/); // groups are kept
+  assert.match(dot, /"A" -> "C" \[id=/); // the group link ends on its first node
+  assert.match(astToDot(parseMapScript("Layout: packed\nA -> B")).dot, /graph \[fontname="Arial", layout="osage"\]/);
+});
+
+test("lint says what a non-hierarchical layout ignores", () => {
+  const messages = (text) => lintMapScript(text).map((w) => `${w.line}: ${w.message}`);
+  assert.deepEqual(messages(["Layout: circular", ...MAP].join("\n")), [
+    '1: the circular layout does not draw groups, so "Drivers" has no box (use force or packed to keep them)',
+    "2: Direction only applies to the hierarchical layout, so the circular layout ignores it",
+    "8: rank lines only apply to the hierarchical layout, so the circular layout ignores this one",
+    "9: rank lines only apply to the hierarchical layout, so the circular layout ignores this one",
+    '10: in the circular layout a link to or from a group ("d") ends on the group\'s first node, not on its border',
+  ]);
+  assert.deepEqual(messages("Layout: tree\nA -> B"), [
+    '1: unknown layout "tree" (use hierarchical, radial, force, circular, packed), so the map is drawn hierarchical',
+  ]);
+  assert.deepEqual(messages(["Layout: hierarchical", ...MAP].join("\n")), []);
+});
@@ -0,0 +1,276 @@
+// Round-trip properties for the editor line helpers (the code the UI uses to rewrite MapScript).
+// Each test applies one mutation to every gallery example (plus a few hand-written maps), re-parses the result and
+// checks that the node, link and group sets are unchanged apart from the intended change.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GALLERY_EXAMPLES } from "../examples.js";
+import {
+  astToDot,
+  deleteCluster,
+  deleteNodeEverywhere,
+  edgeChainPairs,
+  ensureExplicitNodeFromFreeLabel,
+  formatMapScript,
+  groupNodesIntoCluster,
+  moveExplicitNodeDefsIntoCluster,
+  nodeIdFromToken,
+  normalizeDslRemoveRedundantSpecs,
+  orientEdgePair,
+  parseMapScript,
+  renameIdEverywhere,
+} from "../mapscript.js";
+
+const EXTRA_MAPS = [
+  {
+    id: "chains",
+    dsl: `Title: Chains
+A:: Start
+-- g:: Group
+B:: Middle
+C:: End [colour=white]
+--
+A -> B -> C [leads to | 2px dashed rgb(51,102,153)]
+Free label <-> C
+C -- D, A <- E`,
+  },
+  {
+    id: "nested",
+    dsl: `Default link width: 1
+Default node shadow: medium
+-- outer:: Outer [border=1px solid rgb(204,204,204)]
+---- inner:: Inner
+X:: Inner node
+----
+Y:: Outer node
+--
+Z:: Loose
+X -> Y [1px solid black]
+Y -> Z | Loose label`,
+  },
+];
+
+const MAPS = [...GALLERY_EXAMPLES.map((ex) => ({ id: ex.id, dsl: ex.dsl })), ...EXTRA_MAPS];
+
+function graphOf(text) {
+  // Purpose: the parts of a map that mutations must preserve: node ids, links (rendered direction) and groups.
+  const ast = parseMapScript(text);
+  const explicit = new Set(ast.nodes.map((n) => n.id));
+  const nodes = new Set(explicit);
+  const edges = [];
+  for (const e of ast.edges) {
+    for (const pair of edgeChainPairs(e)) {
+      const { fromTok, toTok, dir } = orientEdgePair(pair);
+      const from = nodeIdFromToken(fromTok);
+      const to = nodeIdFromToken(toTok);
+      nodes.add(from);
+      nodes.add(to);
+      edges.push(`${from} ${dir || "->"} ${to}`);
+    }
+  }
+  const clusters = new Map();
+  for (const c of ast.clusters) clusters.set(clusterKey(c), new Set(c.nodeIds));
+  return { ast, explicit, nodes, edges: edges.sort(), clusters, errors: ast.errors };
+}
+
+function clusterKey(c) {
+  return c.alias || c.label || `(untitled ${c.id})`;
+}
+
+function sorted(set) {
+  return [...set].sort();
+}
+
+function without(set, ...items) {
+  const out = new Set(set);
+  for (const x of items) out.delete(x);
+  return out;
+}
+
+function clustersAsObject(clusters) {
+  return Object.fromEntries([...clusters].map(([k, v]) => [k, sorted(v)]));
+}
+
+const DOT_ATTR_RE = /(\w+)="((?:[^"\\]|\\.)*)"/g;
+// Graphviz's own defaults: writing them out explicitly doesn't change the drawing.
+const GRAPHVIZ_DEFAULTS = { node: { penwidth: "1" }, edge: { penwidth: "1", color: "black", style: "solid" } };
+
+function effectiveDot(text) {
+  // Purpose: DOT with per-node/per-link attributes that merely repeat the `node [...]` / `edge [...]` defaults
+  // dropped (they render the same), and without the source line numbers baked into link ids.
+  const dot = astToDot(parseMapScript(text)).dot;
+  const defaults = { node: { ...GRAPHVIZ_DEFAULTS.node }, edge: { ...GRAPHVIZ_DEFAULTS.edge } };
+  for (const kind of ["node", "edge"]) {
+    const m = dot.match(new RegExp(`^  ${kind} \\[(.*)\\];$`, "m"));
+    for (const [, k, v] of (m ? m[1] : "").matchAll(DOT_ATTR_RE)) defaults[kind][k] = v;
+  }
+  return dot
+    .split("\n")
+    .filter((line) => !/^\s+penwidth="1";$/.test(line)) // cluster statement repeating the default
+    .map((line) => line.replace(/style="([^"]*)"/g, (all, v) => `style="${v.split(",").filter((p) => p !== "solid").join(",")}"`))
+    .map((line) => {
+      const header = line.match(/^  (node|edge) \[/);
+      const isEdge = /^\s*"[^"]*" -> "[^"]*" \[/.test(line);
+      const isNode = !isEdge && /^\s*"[^"]*" \[/.test(line);
+      if (!header && !isEdge && !isNode) return line;
+      const defs = header ? GRAPHVIZ_DEFAULTS[header[1]] : isEdge ? defaults.edge : defaults.node;
+      return line
+        .replace(DOT_ATTR_RE, (all, k, v) => (defs[k] === v || (k === "style" && !v) ? "" : all))
+        .replace(/\bid="tm_e_\d+--/, 'id="tm_e_N--')
+        .replace(/\[(, )+/, "[")
+        .replace(/(, )+\]/, "]")
+        .replace(/(, ){2,}/g, ", ");
+    })
+    .join("\n");
+}
+
+function usedAsLinkEndpoint(g, tokenOrId) {
+  return g.edges.some((e) => e.split(" ").some((p) => p === tokenOrId));
+}
+
+for (const { id, dsl } of MAPS) {
+  const lines = () => dsl.split("\n");
+  const before = graphOf(dsl);
+
+  test(`${id}: parses without errors`, () => {
+    assert.deepEqual(before.errors, []);
+  });
+
+  test(`${id}: deleteNodeEverywhere removes exactly that node and its links`, () => {
+    for (const nodeId of before.explicit) {
+      const after = graphOf(deleteNodeEverywhere(lines(), nodeId).join("\n"));
+      assert.deepEqual(after.errors, [], nodeId);
+      assert.deepEqual(sorted(after.explicit), sorted(without(before.explicit, nodeId)), nodeId);
+      assert.ok(!after.nodes.has(nodeId), nodeId);
+      assert.deepEqual(
+        after.edges,
+        before.edges.filter((e) => !e.split(" ").includes(nodeId)),
+        nodeId
+      );
+      const expectedClusters = new Map([...before.clusters].map(([k, v]) => [k, without(v, nodeId)]));
+      assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(expectedClusters), nodeId);
+    }
+  });
+
+  test(`${id}: deleteCluster removes the box but keeps its nodes and links`, () => {
+    for (const c of before.ast.clusters) {
+      // Links that point at the group itself ("out -> X") can't survive the group being removed.
+      if (c.alias && usedAsLinkEndpoint(before, c.alias)) continue;
+      const next = lines();
+      deleteCluster(next, c.id);
+      const after = graphOf(next.join("\n"));
+      const key = clusterKey(c);
+      assert.deepEqual(after.errors, [], key);
+      assert.deepEqual(sorted(after.nodes), sorted(before.nodes), key);
+      assert.deepEqual(after.edges, before.edges, key);
+      assert.deepEqual(sorted(after.clusters.keys()), sorted(without(new Set(before.clusters.keys()), key)), key);
+    }
+  });
+
+  test(`${id}: moveExplicitNodeDefsIntoCluster only changes group membership`, () => {
+    for (const c of before.ast.clusters) {
+      const key = clusterKey(c);
+      for (const nodeId of before.explicit) {
+        if (c.nodeIds.includes(nodeId)) continue;
+        const next = lines();
+        const res = moveExplicitNodeDefsIntoCluster(next, [nodeId], c.id);
+        assert.ok(res.ok, `${nodeId} -> ${key}: ${res.message}`);
+        const after = graphOf(next.join("\n"));
+        assert.deepEqual(after.errors, [], `${nodeId} -> ${key}`);
+        assert.deepEqual(sorted(after.nodes), sorted(before.nodes), `${nodeId} -> ${key}`);
+        assert.deepEqual(after.edges, before.edges, `${nodeId} -> ${key}`);
+
+        const expected = new Map([...before.clusters].map(([k, v]) => [k, without(v, nodeId)]));
+        expected.get(key).add(nodeId);
+        assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(expected), `${nodeId} -> ${key}`);
+      }
+    }
+  });
+
+  test(`${id}: groupNodesIntoCluster wraps the selected nodes in one new group`, () => {
+    const ids = sorted(before.explicit).slice(0, 2);
+    if (!ids.length) return;
+    const next = lines();
+    const res = groupNodesIntoCluster(next, ids, "Test group");
+    assert.ok(res.ok, res.message);
+    const after = graphOf(next.join("\n"));
+    assert.deepEqual(after.errors, []);
+    assert.deepEqual(sorted(after.nodes), sorted(before.nodes));
+    assert.deepEqual(after.edges, before.edges);
+
+    const expected = new Map([...before.clusters].map(([k, v]) => [k, without(v, ...ids)]));
+    expected.set("Test group", new Set(ids));
+    assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(expected));
+  });
+
+  test(`${id}: ensureExplicitNodeFromFreeLabel adds a definition without changing the graph`, () => {
+    const clusterAliases = new Set(before.ast.clusters.map((c) => c.alias).filter(Boolean));
+    const implicit = sorted(before.nodes).filter((n) => !before.explicit.has(n) && !clusterAliases.has(n));
+    for (const nodeId of implicit) {
+      const next = lines();
+      const res = ensureExplicitNodeFromFreeLabel(next, nodeId);
+      assert.ok(res.ok, nodeId);
+      assert.equal(res.nodeId, nodeId);
+      const after = graphOf(next.join("\n"));
+      assert.deepEqual(after.errors, [], nodeId);
+      assert.deepEqual(sorted(after.explicit), sorted(new Set([...before.explicit, nodeId])), nodeId);
+      assert.deepEqual(sorted(after.nodes), sorted(before.nodes), nodeId);
+      assert.deepEqual(after.edges, before.edges, nodeId);
+      assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(before.clusters), nodeId);
+    }
+  });
+
+  test(`${id}: renameIdEverywhere renames one node or group alias and nothing else`, () => {
+    const aliases = before.ast.clusters.map((c) => c.alias).filter(Boolean);
+    for (const from of [...before.explicit, ...aliases]) {
+      const to = `renamed_${from}`;
+      const rename = (x) => (x === from ? to : x);
+      const next = lines();
+      const res = renameIdEverywhere(next, from, to);
+      assert.ok(res.ok, `${from}: ${res.message}`);
+      const after = graphOf(next.join("\n"));
+      assert.deepEqual(after.errors, [], from);
+      assert.deepEqual(sorted(after.nodes), sorted(new Set([...before.nodes].map(rename))), from);
+      assert.deepEqual(after.edges, before.edges.map((e) => e.split(" ").map(rename).join(" ")).sort(), from);
+      const expected = new Map([...before.clusters].map(([k, v]) => [rename(k), new Set([...v].map(rename))]));
+      assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(expected), from);
+    }
+  });
+
+  test(`${id}: renameIdEverywhere rejects IDs that are already taken`, () => {
+    const taken = [...before.explicit, ...before.ast.clusters.map((c) => c.alias).filter(Boolean)];
+    if (taken.length < 2) return;
+    const next = lines();
+    const res = renameIdEverywhere(next, taken[0], taken[1]);
+    assert.equal(res.ok, false);
+    assert.deepEqual(next, lines());
+  });
+
+  test(`${id}: normalizeDslRemoveRedundantSpecs keeps the rendered diagram and is idempotent`, () => {
+    const once = normalizeDslRemoveRedundantSpecs(dsl, before.ast.settings);
+    const twice = normalizeDslRemoveRedundantSpecs(once, parseMapScript(once).settings);
+    assert.equal(twice, once);
+
+    const after = graphOf(once);
+    assert.deepEqual(after.errors, []);
+    assert.deepEqual(sorted(after.nodes), sorted(before.nodes));
+    assert.deepEqual(after.edges, before.edges);
+    assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(before.clusters));
+
+    assert.equal(effectiveDot(once), effectiveDot(dsl));
+  });
+
+  test(`${id}: formatMapScript keeps the rendered diagram and is idempotent`, () => {
+    const once = formatMapScript(dsl);
+    assert.equal(formatMapScript(once), once);
+
+    const after = graphOf(once);
+    assert.deepEqual(after.errors, []);
+    assert.deepEqual(sorted(after.nodes), sorted(before.nodes));
+    assert.deepEqual(after.edges, before.edges);
+    assert.deepEqual(clustersAsObject(after.clusters), clustersAsObject(before.clusters));
+
+    assert.equal(effectiveDot(once), effectiveDot(dsl));
+  });
+}
@@ -0,0 +1,114 @@
+// lintMapScript(): one small map per warning, and its quick fix should make that warning go away.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GALLERY_EXAMPLES } from "../examples.js";
+import { lintMapScript, parseMapScript } from "../mapscript.js";
+
+function lint(lines) {
+  return lintMapScript(lines.join("\n")).map((w) => ({ line: w.line, message: w.message, fix: w.fix?.label || "" }));
+}
+
+function applyFirstFix(lines, match) {
+  // Purpose: apply the quick fix of the first warning whose message matches, and return the new lines.
+  const w = lintMapScript(lines.join("\n")).find((x) => match.test(x.message));
+  assert.ok(w?.fix, `no fixable warning matching ${match}`);
+  return w.fix.apply([...lines]);
+}
+
+test("link endpoint that looks like a typo of a defined id", () => {
+  const lines = ["Awareness:: Awareness raised", "Behaviour:: Behaviour change", "Awarness -> Behaviour", "awareness -> Behaviour", "Behaviour -> Awareness"];
+  assert.deepEqual(lint(lines), [
+    { line: 3, message: '"Awarness" is not defined, so it becomes a new node; did you mean "Awareness"?', fix: "Use Awareness" },
+    { line: 4, message: '"awareness" is not defined, so it becomes a new node; did you mean "Awareness"?', fix: "Use Awareness" },
+  ]);
+  const fixed = applyFirstFix(lines, /Awarness/);
+  assert.equal(fixed[2], "Awareness -> Behaviour");
+});
+
+test("two swapped neighbouring letters count as one typo", () => {
+  const lines = ["Growth:: Growth", "X:: X", "Growth -> X", "Grwoth -> X", "Growht -> X", "Gorwht -> X"];
+  assert.deepEqual(
+    lint(lines).map((w) => [w.line, w.fix]),
+    [
+      [4, "Use Growth"],
+      [5, "Use Growth"],
+    ]
+  ); // two swaps are too far for a 6-letter id
+});
+
+test("short implicit ids are not typos", () => {
+  assert.deepEqual(lint(["A:: First", "A -> B", "B -> C"]), []);
+});
+
+test("explicit node with no links", () => {
+  const lines = ["A:: First", "B:: Second", "C:: Unused", "A -> B"];
+  assert.deepEqual(lint(lines), [{ line: 3, message: 'node "C" is not linked to anything', fix: "Delete node" }]);
+  assert.deepEqual(applyFirstFix(lines, /not linked/), ["A:: First", "B:: Second", "A -> B"]);
+});
+
+test("members of a linked group count as linked", () => {
+  assert.deepEqual(lint(["-- g:: Group", "A:: In the group", "--", "g -> B"]), []);
+});
+
+test("duplicate links (also written the other way round)", () => {
+  const lines = ["A -> B [first]", "C -> A", "B <- A", "A -- C", "C -- A", "A -> C | C"];
+  assert.deepEqual(lint(lines), [
+    { line: 3, message: "the link B <- A is already on line 1, so it is drawn twice", fix: "Remove duplicate" },
+    { line: 5, message: "the link C -- A is already on line 4, so it is drawn twice", fix: "Remove duplicate" },
+    { line: 6, message: "the link A -> C appears twice on this line", fix: "" },
+  ]);
+  const fixed = applyFirstFix(lines, /B <- A/);
+  assert.deepEqual(fixed, ["A -> B [first]", "C -> A", "A -- C", "C -- A", "A -> C | C"]);
+});
+
+test("group with no nodes", () => {
+  const lines = ["--Empty", "--", "-- used:: Used as an endpoint", "--", "A -> used"];
+  assert.deepEqual(lint(lines), [
+    { line: 1, message: 'group "Empty" has no nodes in it', fix: "Remove group" },
+    { line: 3, message: 'group "Used as an endpoint" has no nodes in it', fix: "" },
+  ]);
+  assert.deepEqual(applyFirstFix(lines, /"Empty"/), ["-- used:: Used as an endpoint", "--", "A -> used"]);
+});
+
+test("parts of the map that are not connected to the rest", () => {
+  const lines = ["A -> B", "B -> C", "X -> Y", "P <-> Q", "Q -- P"];
+  const messages = lint(lines).map((w) => `${w.line}: ${w.message}`);
+  assert.deepEqual(messages, [
+    '3: "X", "Y" are not connected to the rest of the map',
+    '4: "P", "Q" are not connected to the rest of the map',
+  ]);
+});
+
+test('"#hex" colour with the wrong number of digits is swallowed as a comment', () => {
+  const lines = ["Background: #fafafa", "A:: First [colour=#ff000]", "A -> B [label | 2px dashed #3333]", "B -> A # a real comment", "B:: Second [colour=#ff0000]"];
+  assert.deepEqual(
+    lint(lines).map((w) => [w.line, w.fix]),
+    [
+      [2, ""],
+      [3, "Use #333333"],
+    ]
+  );
+  const fixed = applyFirstFix(lines, /#3333/);
+  assert.equal(fixed[2], "A -> B [label | 2px dashed #333333]");
+  assert.deepEqual(parseMapScript(fixed.join("\n")).edges[0].styleInner, "label | 2px dashed #333333");
+});
+
+test("rank line mixing groups", () => {
+  const lines = ["--Left", "A:: a", "B:: b", "--", "--Right", "C:: c", "--", "A -> C", "B -> D", "D -> C", "rank=same: A | C | B | D # keep"];
+  assert.deepEqual(lint(lines), [
+    { line: 11, message: "rank line mixes nodes from different groups (or grouped and ungrouped nodes)", fix: "Split per group" },
+  ]);
+  const fixed = applyFirstFix(lines, /rank line/);
+  assert.deepEqual(fixed.slice(10), ["rank=same: A | B # keep", "rank=same: C", "rank=same: D"]);
+  assert.deepEqual(lint(fixed), []);
+});
+
+test("gallery examples only warn about real leftovers", () => {
+  const byId = Object.fromEntries(GALLERY_EXAMPLES.map((ex) => [ex.id, lint(ex.dsl.split("\n")).map((w) => w.message)]));
+  for (const [id, messages] of Object.entries(byId)) {
+    if (id === "ex-06") assert.deepEqual(messages, ['node "HT" is not linked to anything']);
+    else assert.deepEqual(messages, [], id);
+  }
+});
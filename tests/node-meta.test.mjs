@@ -0,0 +1,100 @@
+// Node details (metadata): "[owner=...]" parts and indented "key: value" lines under an "ID::" line.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Graphviz } from "@hpcc-js/wasm/graphviz";
+
+import {
+  astToDot,
+  deleteNodeEverywhere,
+  formatMapScript,
+  moveExplicitNodeDefsOutToTopLevel,
+  nodeDetailsInSvg,
+  parseMapScript,
+  searchMapNodes,
+} from "../mapscript.js";
+
+const MAP = [
+  "--Drivers",
+  "A:: Staff trained [colour=wheat | owner=Jane Doe | border=1px solid]",
+  "    indicator: % of staff trained",
+  "    # from the logframe",
+  "    evidence source: Training records",
+  "B:: Budget",
+  "--",
+  "",
+  "  note: not a detail",
+  "A -> B",
+];
+
+test("bracket and indented details are stored on the node; styling keys are not details", () => {
+  const ast = parseMapScript(MAP.join("\n"));
+  const a = ast.nodes.find((n) => n.id === "A");
+  assert.deepEqual(
+    a.meta.map((m) => [m.key, m.value, m.line]),
+    [
+      ["owner", "Jane Doe", 2],
+      ["indicator", "% of staff trained", 3],
+      ["evidence source", "Training records", 5],
+    ]
+  );
+  assert.deepEqual(ast.nodes.find((n) => n.id === "B").meta, []);
+  assert.equal(ast.statements.find((s) => s.line === 9).type, "setting"); // after a blank line: not a detail
+  assert.deepEqual(parseMapScript("A:: One\nowner: Jane").nodes[0].meta, []); // not indented deeper than the node
+});
+
+test("indented links, settings and style classes under a node are not details", () => {
+  const ast = parseMapScript(
+    ["A:: One", "  owner: Jane", "  A:s -> B", "  C -- D:n", "  Default node colour: red", "  Link routing: orthogonal", "  Style warm: colour=wheat", "B:: Two"].join("\n")
+  );
+  assert.deepEqual(ast.nodes[0].meta.map((m) => m.key), ["owner"]);
+  assert.deepEqual(ast.edges.map((e) => e.line), [3, 4]);
+  assert.equal(ast.settings.defaultBoxColour, "red");
+  assert.equal(ast.settings.linkRouting, "orthogonal");
+  assert.ok(ast.styleClasses.warm);
+  const { dot } = astToDot(ast);
+  assert.doesNotMatch(dot, /meta_(?:a|c|default|link|style)/i);
+  assert.match(dot, /"A" -> "B" \[tailport="s"/);
+});
+
+test("details reach the DOT as meta_ attributes and are searchable", () => {
+  const ast = parseMapScript(MAP.join("\n"));
+  const { dot, errors } = astToDot(ast);
+  assert.deepEqual(errors, []);
+  assert.match(dot, /"A" \[fillcolor="wheat", style="filled,solid", penwidth="1", meta_owner="Jane Doe", meta_indicator="% of staff trained", meta_evidence_source="Training records"/);
+  assert.deepEqual(searchMapNodes(ast, "training RECORDS"), ["A"]);
+  assert.deepEqual(searchMapNodes(ast, "budget"), ["B"]);
+  assert.deepEqual(searchMapNodes(ast, "jane budget"), []);
+  assert.deepEqual(searchMapNodes(ast, "  "), []);
+});
+
+test("details are carried into the SVG as data-meta- attributes on the node", async () => {
+  const graphviz = await Graphviz.load();
+  const ast = parseMapScript([...MAP, "C:: Cost [owner=<Finance> & \"Ops\"]"].join("\n"));
+  const svg = nodeDetailsInSvg(graphviz.layout(astToDot(ast).dot, "svg", "dot"), ast);
+  assert.match(svg, /<g id="tm_n_A" class="node" data-meta-owner="Jane Doe" data-meta-indicator="% of staff trained" data-meta-evidence_source="Training records">/);
+  assert.match(svg, /<g id="tm_n_B" class="node">/);
+  assert.match(svg, /data-meta-owner="&lt;Finance&gt; &amp; &quot;Ops&quot;"/);
+  assert.equal(nodeDetailsInSvg("<svg/>", parseMapScript("A -> B")), "<svg/>");
+});
+
+test("detail lines move, delete and format with their node", () => {
+  const lines = [...MAP];
+  assert.deepEqual(deleteNodeEverywhere(lines, "A"), ["--Drivers", "B:: Budget", "--", "", "  note: not a detail"]);
+
+  const moved = [...lines];
+  assert.equal(moveExplicitNodeDefsOutToTopLevel(moved, ["A"]).ok, true);
+  assert.deepEqual(moved.slice(0, 3), ["--Drivers", "B:: Budget", "--"]);
+  assert.equal(parseMapScript(moved.join("\n")).nodes.find((n) => n.id === "A").meta.length, 3);
+
+  const formatted = formatMapScript(lines.join("\n")).split("\n");
+  assert.deepEqual(formatted.slice(formatted.indexOf("--Drivers"), formatted.indexOf("--Drivers") + 6), [
+    "--Drivers",
+    "  A:: Staff trained [colour=wheat | owner=Jane Doe | border=1px solid]",
+    "    indicator: % of staff trained",
+    "    # from the logframe",
+    "    evidence source: Training records",
+    "  B:: Budget",
+  ]);
+});
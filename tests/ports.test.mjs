@@ -0,0 +1,47 @@
+// Ports: "A:s -> B:n" on endpoints and "[from=bottom | to=top]" on a link line -> Graphviz tailport / headport.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, deleteNodeEverywhere, deleteSingleEdgeFromLine, formatMapScript, parseEdgeLine, parseMapScript, setEdgeLine } from "../mapscript.js";
+
+const edgeLines = (text) => astToDot(parseMapScript(text)).dot.split("\n").filter((l) => l.includes(" -> "));
+
+test("endpoint ports and from= / to= sides become tailport / headport, following the arrow", () => {
+  const text = ["A:s -> B:n", "A -- B:w [from=bottom | to=left]", "A <- B [from=top-right | to=e]", "A:e -> B | C"].join("\n");
+  const ast = parseMapScript(text);
+  assert.deepEqual(ast.errors, []);
+  assert.deepEqual(ast.edges[0].hops, [["A"], ["B"]]); // ids without the port
+  assert.deepEqual(ast.edges[0].tokens[0][0].span, { line: 1, col: 0, endCol: 1 });
+  assert.deepEqual(edgeLines(text), [
+    '  "A" -> "B" [tailport="s", headport="n", id="tm_e_1--A--B"];',
+    '  "A" -> "B" [tailport="s", headport="w", dir="none", id="tm_e_2--A--B"];',
+    '  "B" -> "A" [tailport="ne", headport="e", id="tm_e_3--B--A"];',
+    '  "A" -> "B" [tailport="e", id="tm_e_4--A--B"];',
+    '  "A" -> "C" [tailport="e", id="tm_e_4--A--C"];',
+  ]);
+  assert.equal(parseMapScript("A:s -- B").edges.length, 1); // a link, not a "A:" setting
+  // Only simple ids take a port; a label-like token keeps its ":n" (as before ports existed).
+  assert.deepEqual(parseMapScript("Phase one:n -> B").edges[0].hops, [["Phase one:n"], ["B"]]);
+  assert.match(edgeLines("Phase one:n -> B")[0], /^ {2}"phase_one_n" -> "B" \[id=/);
+  assert.deepEqual(astToDot(parseMapScript("A -> B [from=sideways]")).errors, [
+    'Line 1: unknown side "sideways" for from= (use top, bottom, left, right, top-left, top-right, bottom-left, bottom-right, centre or a compass point like s or ne)',
+  ]);
+});
+
+test("setEdgeLine writes sides as from= / to= and replaces that link's endpoint ports", () => {
+  const lines = ["A:s -> B:n # keep", "A:e -> B [x]"];
+  assert.deepEqual(parseEdgeLine(lines, 1).ports, [["s"], ["n"]]);
+  setEdgeLine(lines, 1, { edge: { fromId: "A", toId: "B" }, label: "", fromSide: "left", toSide: "" });
+  setEdgeLine(lines, 2, { edge: { fromId: "A", toId: "B" }, label: "x", toId: { old: "B", next: "C" } });
+  assert.deepEqual(lines, ["A -> B [from=left] # keep", "A:e -> C [x]"]);
+  assert.equal(parseEdgeLine(lines, 1).fromSide, "left");
+});
+
+test("ports survive formatting, deleting one link of a line and deleting a node", () => {
+  assert.equal(formatMapScript("A:s->B:n|C\n"), "## Links\nA:s -> B:n | C\n");
+  const lines = ["A:s | Q -> B:n | C:e"];
+  deleteSingleEdgeFromLine(lines, 1, "A", "C");
+  assert.deepEqual(lines, ["A:s -> B:n", "Q -> B:n", "Q -> C:e"]);
+  assert.deepEqual(deleteNodeEverywhere(["A:s | Q -> B:n -> C:w"], "Q"), ["A:s -> B:n -> C:w"]);
+});
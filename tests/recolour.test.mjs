@@ -0,0 +1,61 @@
+// Layout cache helpers: dotLayoutKey() (DOT without colours) and recolourSvg() (patch colours without laying out again).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Graphviz } from "@hpcc-js/wasm/graphviz";
+
+import { astToDot, dotLayoutKey, parseMapScript, recolourSvg } from "../mapscript.js";
+
+const MAP = [
+  "Background: #fafafa",
+  "Text colour: navy",
+  "Default node colour: #e7f5ff",
+  "Default link colour: #6c757d",
+  "-- d:: Drivers [colour=wheat | text colour=#333333]",
+  "A:: Awareness [colour=tomato]",
+  "B:: Behaviour",
+  "--",
+  "C:: Change",
+  "A -> B [helps]",
+  "B -> C [colour=seagreen]",
+];
+const dotOf = (lines) => astToDot(parseMapScript(lines.join("\n"))).dot;
+const withLine = (i, line) => MAP.map((l, n) => (n === i ? line : l));
+const graphviz = await Graphviz.load();
+const BEFORE = dotOf(MAP);
+const SVG = graphviz.layout(BEFORE, "svg", "dot");
+
+test("dotLayoutKey blanks colour values, but not label text", () => {
+  const key = dotLayoutKey(dotOf(MAP));
+  assert.doesNotMatch(key, /#fafafa|navy|tomato|seagreen|wheat/);
+  assert.match(key, /bgcolor="";/);
+  assert.equal(dotLayoutKey(dotOf(withLine(5, "A:: Awareness [colour=gold]"))), key);
+  assert.notEqual(dotLayoutKey(dotOf(withLine(5, "A:: Awareness [colour=gold | text size=20]"))), key);
+  assert.match(dotLayoutKey('  "A" [label="color=\\"red\\"", fillcolor="red"];'), /label="color=\\"red\\"", fillcolor=""/);
+});
+
+test("recolourSvg gives the SVG Graphviz draws for the recoloured map", () => {
+  const edits = [
+    [0, "Background: #f0f0f0"], // also the unfilled group box
+    [1, "Text colour: #aa0000"], // link labels and the group title
+    [2, "Default node colour: #fff3bf"],
+    [3, "Default link colour: crimson"],
+    [4, "-- d:: Drivers [colour=khaki | text colour=#333333]"],
+    [10, "B -> C [colour=#1e50a0]"],
+  ];
+  for (const [i, line] of edits) {
+    const after = dotOf(withLine(i, line));
+    assert.equal(recolourSvg(SVG, BEFORE, after), graphviz.layout(after, "svg", "dot"), line);
+  }
+});
+
+test("recolourSvg returns null when it can't patch safely", () => {
+  assert.equal(recolourSvg(SVG, BEFORE, BEFORE), SVG);
+  assert.equal(recolourSvg(SVG, BEFORE, dotOf(withLine(4, "-- d:: Drivers [colour=wheat]"))), null); // a colour removed
+  assert.equal(recolourSvg(SVG, BEFORE, dotOf(withLine(5, "A:: Awareness [colour=transparent]"))), null); // drawn as fill="none"
+  assert.equal(recolourSvg(SVG, BEFORE, dotOf(withLine(5, "A:: Awareness [colour=lightgoldenrod]"))), null); // X11-only name
+  const html = dotOf(withLine(5, "A:: **Awareness** [colour=tomato]"));
+  assert.equal(recolourSvg(graphviz.layout(html, "svg", "dot"), html, dotOf(withLine(5, "A:: **Awareness** [colour=gold]"))), null); // HTML label
+  assert.equal(recolourSvg(SVG, BEFORE, dotOf(withLine(6, "B:: Behaviour!"))), null); // not only colours
+});
@@ -0,0 +1,37 @@
+// Rich-text labels: **bold**, _italic_, {colour:text} and "///- item" bullets -> Graphviz HTML-like labels.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, parseMapScript, richLabelLines, richLabelMaxLinePx, richLabelToDotHtml } from "../mapscript.js";
+
+const html = (label, wrap) => richLabelToDotHtml(richLabelLines(label, wrap));
+
+test("markup becomes B / I / FONT tags; plain labels stay plain", () => {
+  assert.equal(html("A **bold** _italic_ {red:warm & <hot>}"), 'A <B>bold</B> <I>italic</I> <FONT COLOR="red">warm &amp; &lt;hot&gt;</FONT>');
+  assert.equal(html("**{seagreen:_all three_}**"), '<FONT COLOR="seagreen"><B><I>all three</I></B></FONT>');
+  assert.equal(richLabelLines("snake_case_name and 2*3*4"), null);
+  assert.equal(richLabelLines("{notacolour:x} and a///b"), null);
+});
+
+test("/// breaks, bullets and Label wrap", () => {
+  assert.equal(html("Goals///- one///- **two**"), 'Goals<BR/>• one<BR ALIGN="LEFT"/>• <B>two</B><BR ALIGN="LEFT"/>');
+  assert.equal(html("Staff **well trained** and motivated", 12), "Staff <B>well</B><BR/><B>trained</B> and<BR/>motivated");
+  assert.equal(html("**Key**///- a", 3), "<B>Key</B><BR/>• a<BR ALIGN=\"LEFT\"/>"); // manual breaks win over wrapping
+});
+
+test("the DOT uses HTML-like labels for nodes, links and group titles", () => {
+  const { dot, errors } = astToDot(
+    parseMapScript(["--Drivers _key_", "A:: **Bold** box", "--", 'A -> B [_maybe_ "x"]'].join("\n")),
+    { measureText: (text, px) => String(text).length * px * 0.5 }
+  );
+  assert.deepEqual(errors, []);
+  assert.match(dot, /label=<Drivers <I>key<\/I>>;/);
+  assert.match(dot, /"A" \[label=<<B>Bold<\/B> box>, id="tm_n_A", width="[\d.]+"\]/);
+  assert.match(dot, /"A" -> "B" \[label=<<I>maybe<\/I> &quot;x&quot;>/);
+});
+
+test("width measurement ignores the markup and widens bold runs", () => {
+  const measure = (text) => String(text).length;
+  assert.equal(richLabelMaxLinePx(richLabelLines("**ab** {red:cd}///- e"), 14, measure), 5.2); // 2 bold (2.2) + " " + 2
+});
@@ -0,0 +1,47 @@
+// Link routing and arrowheads: "Link routing:" / "Arrowhead:" settings and per-link "[arrow=...]" / "[arrowtail=...]".
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, normalizeArrowhead, normalizeLinkRouting, parseEdgeLine, parseMapScript, setEdgeLine } from "../mapscript.js";
+
+test("Link routing sets Graphviz splines and Arrowhead sets both ends of every link", () => {
+  const { dot, settings } = astToDot(parseMapScript("Link routing: orthogonal\nArrowhead: open\nA -> B [increases]"));
+  assert.equal(settings.linkRouting, "orthogonal");
+  assert.match(dot, /^ {2}splines="ortho";$/m);
+  assert.match(dot, /edge \[fontname="Arial", fontsize="12", arrowhead="vee", arrowtail="vee"\]/);
+  assert.match(dot, /"A" -> "B" \[label="increases"/); // labels stay labels (moved onto the path after layout)
+  assert.doesNotMatch(astToDot(parseMapScript("A -> B")).dot, /splines|arrowhead/);
+  assert.equal(normalizeLinkRouting("ortho"), "orthogonal");
+  assert.equal(normalizeLinkRouting("wiggly"), null);
+  assert.equal(normalizeArrowhead("ODot"), "odot");
+  assert.equal(normalizeArrowhead("arrow"), null);
+});
+
+test("arrow= and arrowtail= per link; a tail arrowhead makes Graphviz draw that end", () => {
+  const text = ["A -> B [arrow=none]", "A -> C [arrowtail=dot]", "B -- C [arrowtail=diamond]", "C <-> D [arrow=open | arrowtail=tee]", "D -> E [arrow=spiky]"].join("\n");
+  const { dot, errors } = astToDot(parseMapScript(text));
+  const edges = dot.split("\n").filter((l) => l.includes(" -> "));
+  assert.deepEqual(edges.slice(0, 4), [
+    '  "A" -> "B" [arrowhead="none", id="tm_e_1--A--B"];',
+    '  "A" -> "C" [arrowtail="dot", dir="both", id="tm_e_2--A--C"];',
+    '  "B" -> "C" [arrowtail="diamond", dir="back", id="tm_e_3--B--C"];',
+    '  "C" -> "D" [arrowhead="vee", arrowtail="tee", dir="both", id="tm_e_4--C--D"];',
+  ]);
+  assert.deepEqual(errors, ['Line 5: unknown arrowhead "spiky" for arrow= (use normal, open, dot, none, diamond)']);
+});
+
+test("setEdgeLine writes arrow= (replacing arrowhead=) and keeps arrowtail=", () => {
+  const lines = ["A -> B [x | arrowhead=dot | arrowtail=dot]", "A -> C [arrow=none]"];
+  assert.equal(parseEdgeLine(lines, 1).arrow, "dot");
+  setEdgeLine(lines, 1, { label: "x", arrow: "open" });
+  setEdgeLine(lines, 2, { label: "", arrow: "" });
+  assert.deepEqual(lines, ["A -> B [x | arrow=open | arrowtail=dot]", "A -> C"]);
+});
+
+test("setEdgeLine changes the direction of one link only: a fan-out step keeps its shared connector", () => {
+  const lines = ["A -> B | C [x]", "A -> B -> C"];
+  setEdgeLine(lines, 1, { edge: { fromId: "A", toId: "B" }, label: "x", op: "<->" });
+  setEdgeLine(lines, 2, { edge: { fromId: "B", toId: "C" }, label: "", op: "<->" });
+  assert.deepEqual(lines, ["A -> B | C [x]", "A -> B <-> C"]);
+});
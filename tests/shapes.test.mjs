@@ -0,0 +1,96 @@
+// Node shapes: [shape=...], "Default node shape", group and class defaults, and their normalization.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, normalizeDslRemoveRedundantSpecs, parseMapScript, stadiumNodesInSvg } from "../mapscript.js";
+
+function nodeLine(dot, id) {
+  return dot.split("\n").find((l) => l.trimStart().startsWith(`"${id}" [`)) || "";
+}
+
+function render(text) {
+  const { dot, errors } = astToDot(parseMapScript(text));
+  assert.deepEqual(errors, []);
+  return dot;
+}
+
+test("inline shapes map to Graphviz shapes; unknown shapes are ignored", () => {
+  const dot = render(["A:: One [shape=diamond]", "B:: Two [shape=Cylinder]", "C:: Three [shape=stadium]", "D:: Four [shape=blob]", "E:: Five [shape=box]"].join("\n"));
+  assert.match(nodeLine(dot, "A"), /shape="diamond"/);
+  assert.match(nodeLine(dot, "B"), /shape="cylinder"/);
+  assert.match(nodeLine(dot, "C"), /style="rounded", class="tm-shape-stadium"/);
+  assert.doesNotMatch(nodeLine(dot, "D"), /shape=|style=/);
+  assert.doesNotMatch(nodeLine(dot, "E"), /shape=|style=/);
+});
+
+test("own shape beats the group shape, which beats Default node shape", () => {
+  const dot = render(
+    [
+      "Style decision: shape=diamond",
+      "Default node shape: rounded",
+      "-- g:: Outer [shape=ellipse]",
+      "A:: In outer",
+      "---- Inner [.decision]",
+      "B:: In inner",
+      "C:: Own shape [shape=note]",
+      "----",
+      "--",
+      "D:: Outside",
+    ].join("\n")
+  );
+  assert.match(nodeLine(dot, "A"), /shape="ellipse"/);
+  assert.doesNotMatch(nodeLine(dot, "A"), /rounded/);
+  assert.match(nodeLine(dot, "B"), /shape="diamond"/);
+  assert.match(nodeLine(dot, "C"), /shape="note"/);
+  assert.match(nodeLine(dot, "D"), /style="rounded"/);
+  assert.doesNotMatch(nodeLine(dot, "D"), /shape=/);
+});
+
+test("normalize drops shapes that repeat the default for their line", () => {
+  const text = [
+    "Default node shape: hexagon",
+    "A:: One [shape=hexagon]",
+    "B:: Two [shape=box]",
+    "--G [shape=Hexagon | colour=wheat]",
+    "---- Inner [shape=circle]",
+    "C:: Three [shape=circle]",
+    "D:: Four [shape=hexagon]",
+    "----",
+    "--",
+  ].join("\n");
+  const settings = parseMapScript(text).settings;
+  assert.deepEqual(normalizeDslRemoveRedundantSpecs(text, settings).split("\n"), [
+    "Default node shape: hexagon",
+    "A:: One",
+    "B:: Two [shape=box]",
+    "--G [colour=wheat]",
+    "---- Inner [shape=circle]",
+    "C:: Three",
+    "D:: Four [shape=hexagon]",
+    "----",
+    "--",
+  ]);
+  assert.equal(normalizeDslRemoveRedundantSpecs("Default node shape: box\nA:: One [shape=square]", { defaultBoxShape: "box" }), "\nA:: One");
+  // A style class shape is the default for its nodes; other values are left alone next to a class.
+  const classed = ["Style s: shape=circle | colour=wheat", "A:: a [.s | shape=circle | colour=white]", "B:: b [.s | shape=box]", "C:: c [.other | shape=box]"].join("\n");
+  assert.deepEqual(normalizeDslRemoveRedundantSpecs(classed, parseMapScript(classed).settings).split("\n").slice(1), [
+    "A:: a [.s | colour=white]",
+    "B:: b [.s | shape=box]",
+    "C:: c [.other | shape=box]", // unknown class (e.g. from an included map): kept
+  ]);
+});
+
+test("stadium nodes are redrawn as pills in the SVG", () => {
+  const svg = [
+    '<g id="tm_n_A" class="node tm&#45;shape&#45;stadium">',
+    '<path fill="none" stroke="black" d="M42,-108C42,-108 12,-108 12,-108 6,-108 0,-102 0,-96 0,-84 6,-72 12,-72 42,-72 54,-78 54,-84 54,-102 48,-108 42,-108"/>',
+    "</g>",
+    '<g id="tm_n_B" class="node">',
+    '<path d="M0,0 L1,1"/>',
+    "</g>",
+  ].join("\n");
+  const out = stadiumNodesInSvg(svg);
+  assert.match(out, /d="M18,-108 L36,-108 A18,18 0 0 1 36,-72 L18,-72 A18,18 0 0 1 18,-108 Z"/);
+  assert.match(out, /<path d="M0,0 L1,1"\/>/);
+});
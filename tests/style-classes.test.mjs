@@ -0,0 +1,83 @@
+// Style classes: "Style name: ..." lines used as [.name] / [class=name], resolved by astToDot().
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  astToDot,
+  formatMapScript,
+  parseEdgeLine,
+  parseMapScript,
+  resolveStyleClasses,
+  setEdgeLine,
+  setStyleClassLine,
+  setStyleClassRefs,
+} from "../mapscript.js";
+
+const MAP = `Style outcome: colour=seagreen | border=1px solid black
+Style warn: border=2px dashed red | label style=italic
+A:: One [.outcome]
+B:: Two [class=outcome | color=white]
+-- g:: Group [.outcome]
+C:: Three
+--
+A -> B [.warn | causes]
+B -> C [.warn | 1px dotted]`;
+
+function dotLine(dot, start) {
+  return dot.split("\n").find((l) => l.trimStart().startsWith(start)) || "";
+}
+
+test("parser collects the classes; class lines are not settings", () => {
+  const ast = parseMapScript(MAP);
+  assert.deepEqual(ast.errors, []);
+  assert.deepEqual(Object.keys(ast.styleClasses), ["outcome", "warn"]);
+  assert.equal(ast.styleClasses.warn.line, 2);
+  assert.deepEqual(ast.statements.filter((s) => s.type === "setting"), []);
+});
+
+test("nodes, links and groups get the class attributes; inline values win", () => {
+  const { dot, errors } = astToDot(parseMapScript(MAP));
+  assert.deepEqual(errors, []);
+  assert.match(dotLine(dot, '"A" ['), /fillcolor="seagreen".*color="black"/);
+  assert.match(dotLine(dot, '"B" ['), /fillcolor="white"/);
+  assert.match(dotLine(dot, '"A" -> "B"'), /color="red", penwidth="2", style="dashed", label="causes", fontname="Arial Italic"/);
+  // A loose border part replaces the class border as a whole.
+  assert.match(dotLine(dot, '"B" -> "C"'), /penwidth="1", style="dotted", fontname="Arial Italic"/);
+  assert.doesNotMatch(dotLine(dot, '"B" -> "C"'), /red/);
+  const cluster = dot.slice(dot.indexOf("subgraph cluster_0"), dot.indexOf('"C" ['));
+  assert.match(cluster, /color="black";\n\s+penwidth="1";\n\s+fillcolor="seagreen";/);
+});
+
+test("later classes win over earlier ones; unknown classes are errors", () => {
+  const classes = parseMapScript("Style a: colour=red | border=1px solid\nStyle b: colour=blue").styleClasses;
+  assert.equal(resolveStyleClasses(".a | .b", classes).inner, "border=1px solid | colour=blue");
+  assert.equal(resolveStyleClasses("class=b a | text size=2", classes).inner, "colour=red | border=1px solid | text size=2");
+  const { errors } = astToDot(parseMapScript("A:: One [.missing]"));
+  assert.deepEqual(errors, ['Line 1: unknown style class "missing" (define it with a "Style missing: ..." line)']);
+  assert.deepEqual(parseMapScript("Style a: red\nStyle a: colour=red").errors, [
+    'Line 1: style class "a" takes key=value attributes only (e.g. colour=seagreen | border=1px solid black)',
+    'Line 2: style class "a" is already defined on line 1',
+  ]);
+});
+
+test("link editing keeps class references out of the label", () => {
+  const lines = MAP.split("\n");
+  assert.equal(parseEdgeLine(lines, 8).label, "causes");
+  setEdgeLine(lines, 8, { label: "drives", border: "" });
+  assert.equal(lines[7], "A -> B [drives | .warn]");
+});
+
+test("line helpers: set class references and add or update class lines", () => {
+  assert.equal(setStyleClassRefs("colour=red | .old | class=x", ["new", ".two"]), ".new | .two | colour=red");
+  assert.equal(setStyleClassRefs(".old", []), "");
+  const lines = ["# Styles", "Direction: LR", "", "A:: One", "A -> B"];
+  assert.equal(setStyleClassLine(lines, "warm", "colour=wheat"), 2);
+  assert.equal(setStyleClassLine(lines, "Warm", "colour=tan"), 2);
+  assert.equal(setStyleClassLine(lines, "1bad", ""), -1);
+  assert.deepEqual(lines, ["# Styles", "Direction: LR", "Style warm: colour=tan", "", "A:: One", "A -> B"]);
+});
+
+test("Format document keeps class lines with the settings", () => {
+  assert.equal(formatMapScript("A:: One [ .warm ]\nStyle warm:colour = wheat"), "Style warm: colour=wheat\n\nA:: One [.warm]");
+});
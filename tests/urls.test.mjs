@@ -0,0 +1,56 @@
+// url= / tooltip= on nodes, links and groups: Graphviz URL / tooltip attributes, and "#" fragments inside url= values.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Graphviz } from "@hpcc-js/wasm/graphviz";
+
+import { astToDot, findCommentStart, parseMapScript, safeLinkUrl } from "../mapscript.js";
+
+function render(text) {
+  const { dot, errors } = astToDot(parseMapScript(text));
+  assert.deepEqual(errors, []);
+  return dot;
+}
+
+test("url= and tooltip= become URL / tooltip on nodes, links and groups", () => {
+  const dot = render(
+    [
+      "--G [url=https://example.org/g | tooltip=Group docs]",
+      "A:: Alpha [url=https://example.org/doc?a=1&b=2#page=3 | tooltip=Evidence \"pack\"]",
+      "--",
+      "A -> B [causes | url=https://example.org/e | tooltip=Why]",
+      "B:: Beta [url=javascript:alert(1)]",
+    ].join("\n")
+  );
+  assert.match(dot, /URL="https:\/\/example.org\/g";\n\s*tooltip="Group docs";/);
+  assert.match(dot, /"A" \[URL="https:\/\/example.org\/doc\?a=1&amp;b=2#page=3", tooltip="Evidence \\"pack\\""/);
+  assert.match(dot, /"A" -> "B" \[label="causes", URL="https:\/\/example.org\/e", tooltip="Why", labeltooltip="Why"/);
+  assert.doesNotMatch(dot, /javascript/);
+  assert.equal(parseMapScript("A:: Alpha [url=https://x.org/#top]").nodes[0].meta.length, 0); // not node details
+});
+
+test("a '#' inside a url= value is part of the URL", () => {
+  const commentAt = (line, marker) => assert.equal(findCommentStart(line), line.indexOf(marker));
+  commentAt("A:: X [url=https://x.org/doc#page=3 | tooltip=Doc] # note", "# note");
+  assert.equal(findCommentStart("A -> B [url=https://x.org/a#b]"), -1);
+  commentAt("A:: X [url=https://x.org # note]", "# note"); // after a space
+  commentAt("A:: X [tooltip=Issue#12]", "#12"); // only url= values
+  commentAt("A:: X url=https://x.org/#a", "#a"); // not inside [...]
+});
+
+test("url= keeps only http(s), mailto and relative links, however a script URL is spelled", () => {
+  for (const url of ["&#106;avascript:alert(1)", "java\tscript:alert(2)", "&#x6A;avascript:x", "javascript&colon;x", " JaVaScRiPt:x", "vbscript:x", "data:text/html,x"]) {
+    assert.equal(safeLinkUrl(url), "", url);
+  }
+  assert.equal(safeLinkUrl("https://x.org/a?b=1&amp;c=2"), "https://x.org/a?b=1&c=2");
+  assert.equal(safeLinkUrl("mailto:team@example.org"), "mailto:team@example.org");
+  assert.equal(safeLinkUrl("docs/page.html#intro"), "docs/page.html#intro");
+});
+
+test("the SVG href of a url= is the URL as written, never a script URL", async () => {
+  const graphviz = await Graphviz.load();
+  const lines = ["A:: a [url=&#106;avascript:alert(1)]", "B:: b [url=java\tscript:alert(2)]", "C:: c [url=https://x.org/?a=1&b=2]"];
+  const svg = graphviz.layout(render(lines.join("\n")), "svg", "dot");
+  assert.deepEqual(svg.match(/href="[^"]*"/g), ['href="https://x.org/?a=1&amp;b=2"']);
+});
@@ -0,0 +1,63 @@
+// Variables: "Let name = value" lines and "$name" references in settings, [...] values and labels.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { astToDot, findCommentStart, formatMapScript, parseMapScript, settingLinesWithVariables } from "../mapscript.js";
+
+test("$name is replaced in setting values, attribute values, labels and details, wherever the Let line is", () => {
+  const text = [
+    "Background: $bg",
+    "Let bg = #fafafa # page",
+    "Let Partner = Oxfam",
+    "Let brand = rgb(30,80,160)",
+    "Title: $partner map",
+    "A:: $partner office [colour=$brand | owner=$PARTNER]",
+    "B:: Costs $$10",
+    "-- g:: $partner team [colour=$brand]",
+    "--",
+    "A -> B [funds | $brand]",
+  ].join("\n");
+  const ast = parseMapScript(text);
+  assert.deepEqual(ast.errors, []);
+  assert.deepEqual(ast.variables.partner, { name: "Partner", value: "Oxfam", line: 3 });
+  const { dot } = astToDot(ast);
+  assert.match(dot, /bgcolor="#fafafa"/);
+  assert.match(dot, /label="Oxfam map\\n"/);
+  assert.match(dot, /"A" \[fillcolor="#1e50a0", style="filled", meta_owner="Oxfam", label="Oxfam office"/);
+  assert.match(dot, /"B" \[label="Costs \$10"/);
+  assert.match(dot, /label="Oxfam team";/);
+  assert.match(dot, /"A" -> "B" \[label="funds", color="#1e50a0"/);
+  assert.equal(ast.nodes[0].span.endCol, "A:: $partner office [colour=$brand | owner=$PARTNER]".length); // spans follow the text as written
+});
+
+test("unknown and repeated variables are errors on their line", () => {
+  const { errors } = astToDot(parseMapScript(["Let x = red", "A:: $y [colour=$x]", "Let X = blue", "Let z ="].join("\n")));
+  assert.deepEqual(errors, [
+    'Line 3: variable "$X" is already defined on line 1',
+    'Line 2: unknown variable "$y" (define it with a "Let y = ..." line)',
+    'Line 4: variable "z" has no value (e.g. Let z = seagreen)',
+  ]);
+  assert.equal(findCommentStart("Let brand = #1e50a0 # main"), 20);
+  assert.equal(formatMapScript("A -> B\nLet  brand=red\n"), "Let brand = red\n\n## Links\nA -> B\n");
+});
+
+test("the Style drawer keeps $name references and, with useVariables, writes through Let lines", () => {
+  const doc = ["Let brand = #1e50a0 # main", "Background: $brand", "Default node colour: $brand", "", "A:: x [colour=$brand]"];
+  const settings = ["Background: #ff0000", "Default node colour: #1e50a0", "Default link colour: #00aa00", "Text colour: #00aa00", "Direction: LR"];
+
+  const kept = settingLinesWithVariables(settings, [...doc]);
+  assert.deepEqual(kept.settingLines, ["Background: #ff0000", "Default node colour: $brand", "Default link colour: #00aa00", "Text colour: #00aa00", "Direction: LR"]);
+  assert.deepEqual(kept.lines, doc);
+
+  const written = settingLinesWithVariables(settings, [...doc], { useVariables: true });
+  assert.deepEqual(written.settingLines, [
+    "Let colour1 = #00aa00",
+    "Background: $brand",
+    "Default node colour: #1e50a0",
+    "Default link colour: $colour1",
+    "Text colour: $colour1",
+    "Direction: LR",
+  ]);
+  assert.equal(written.lines[0], "Let brand = #ff0000 # main");
+});